@@ -1,5 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Upload, Music, Sparkles, TrendingUp, Play, Pause, SkipForward, Loader2, RefreshCw, Trash2, CheckCircle, AlertTriangle, X, Repeat } from 'lucide-react';
+import { Upload, Music, Sparkles, TrendingUp, Play, Pause, SkipForward, Loader2, RefreshCw, Trash2, CheckCircle, AlertTriangle, X, Repeat, Repeat1, GripVertical, Plus, Check, Pencil, SkipBack, Shuffle, ListPlus, ListStart, Radio, LogIn, LogOut, Users, UserPlus, Share2, Copy, Download, FileUp, Search, SlidersHorizontal, Merge } from 'lucide-react';
+import { createAudioEngine, CROSSFADE_CURVES, DEFAULT_TRANSITION_SETTINGS } from './audioEngine';
+import {
+  EMPTY_QUEUE, createQueue, currentItem, nextIndex, previousIndex, jumpTo,
+  setShuffle, cycleRepeat, playNext, addToQueue, moveItem, removeItem,
+} from './queue';
+import { createPlayTracker } from './playTracker';
+import { uploadFile, discardUpload } from './uploader';
+import { normalizationDb, normalizationGain, usesAlbumGain } from './loudness';
 
 
 // A self-contained Notification component for a better UX than alert()
@@ -15,6 +23,10 @@ const Notification = ({ message, type, onDismiss }) => {
       icon: <AlertTriangle className="text-red-500" />,
       bar: 'bg-red-500',
     },
+    warning: {
+      icon: <AlertTriangle className="text-yellow-400" />,
+      bar: 'bg-yellow-400',
+    },
   };
 
   return (
@@ -29,28 +41,1145 @@ const Notification = ({ message, type, onDismiss }) => {
   );
 };
 
+// Prefer tag metadata over the raw filename when displaying a track
+const getTrackTitle = (track) => track?.title || track?.original_name || track?.filename || 'Unknown track';
+
+const getTrackArtist = (track) => track?.artist || null;
+
+// Secondary line for a track: "Artist · Album" when tags are available
+const getTrackSubtitle = (track) => [track?.artist, track?.album].filter(Boolean).join(' · ');
+
+// Hand-made playlists carry a name; generated ones are known by their mood
+const getPlaylistTitle = (playlist) =>
+  playlist?.name || (playlist?.mood_prompt ? `Mood: "${playlist.mood_prompt}"` : 'Untitled playlist');
+
+// Choices in a playlist's export menu: playlist file format, and whether to
+// bundle the audio files with it in a ZIP. Plain playlist files come with a
+// share link, so only members who may share playlists get them.
+const EXPORT_OPTIONS = [
+  ['m3u8', 'M3U8 playlist'],
+  ['xspf', 'XSPF playlist'],
+  ['jspf', 'JSPF playlist'],
+  ['m3u8:bundle', 'ZIP with audio (M3U8)'],
+  ['xspf:bundle', 'ZIP with audio (XSPF)'],
+];
+
+// "Play next" and "Add to queue" buttons for a library track
+const QueueButtons = ({ track, onQueue }) => (
+  <>
+    <button
+      onClick={() => onQueue(track, 'next')}
+      className="p-2 text-blue-300 hover:text-blue-200 hover:bg-blue-500/20 rounded-full transition-colors"
+      title="Play Next"
+    >
+      <ListStart className="w-5 h-5" />
+    </button>
+    <button
+      onClick={() => onQueue(track, 'end')}
+      className="p-2 text-blue-300 hover:text-blue-200 hover:bg-blue-500/20 rounded-full transition-colors"
+      title="Add to Queue"
+    >
+      <ListPlus className="w-5 h-5" />
+    </button>
+  </>
+);
+
+// Sort choices for the library list, as "sort:order"
+const LIBRARY_SORTS = [
+  ['uploaded:desc', 'Newest first'],
+  ['uploaded:asc', 'Oldest first'],
+  ['title:asc', 'Title A–Z'],
+  ['title:desc', 'Title Z–A'],
+  ['artist:asc', 'Artist A–Z'],
+  ['duration:desc', 'Longest first'],
+  ['duration:asc', 'Shortest first'],
+  ['bpm:desc', 'Fastest first'],
+  ['bpm:asc', 'Slowest first'],
+  ['selections:desc', 'Most picked'],
+];
+
+// Keys as the server's audio analysis names them
+const MUSICAL_KEYS = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B']
+  .flatMap((tonic) => [`${tonic} major`, `${tonic} minor`]);
+
+const DEFAULT_LIBRARY_QUERY = {
+  q: '', sort: 'uploaded:desc', durationMin: '', durationMax: '', bpmMin: '', bpmMax: '',
+  key: '', genre: '', uploadedAfter: '', neverSelected: false,
+};
+
+const LIBRARY_PAGE_SIZE = 50;
+const LIBRARY_ROW_HEIGHT = 92; // Pixels, including the gap below each row
+
+// Whether anything narrows the library list down; sorting doesn't
+const isLibraryFiltered = ({ sort, ...filters }) =>
+  Object.entries(filters).some(([name, value]) => value !== DEFAULT_LIBRARY_QUERY[name]);
+
+// Query string for GET /api/tracks, leaving out unset filters. Durations are
+// entered in minutes.
+const libraryQueryString = (query, cursor) => {
+  const [sort, order] = query.sort.split(':');
+  const seconds = (minutes) => (minutes === '' ? '' : String(Number(minutes) * 60));
+  return new URLSearchParams(Object.entries({
+    q: query.q.trim(), sort, order,
+    duration_min: seconds(query.durationMin), duration_max: seconds(query.durationMax),
+    bpm_min: query.bpmMin, bpm_max: query.bpmMax,
+    key: query.key, genre: query.genre.trim(), uploaded_after: query.uploadedAfter,
+    never_selected: query.neverSelected ? 'true' : '',
+    limit: String(LIBRARY_PAGE_SIZE), cursor,
+  }).filter(([, value]) => value)).toString();
+};
+
+// Search box, sort order and filters of the library list
+const LibraryFilters = ({ query, onChange }) => {
+  const [showFilters, setShowFilters] = useState(false);
+  const set = (name) => (e) => onChange({ ...query, [name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+  const inputClass = 'p-2 rounded-lg bg-purple-900/50 border border-purple-500 text-sm text-white placeholder-purple-300';
+
+  return (
+    <div className="mb-4">
+      <div className="flex gap-2">
+        <div className="relative flex-grow">
+          <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-purple-300" />
+          <input
+            type="search"
+            value={query.q}
+            onChange={set('q')}
+            placeholder="Search titles, artists, albums and genres"
+            className={`${inputClass} w-full pl-9`}
+          />
+        </div>
+        <select value={query.sort} onChange={set('sort')} className={inputClass}>
+          {LIBRARY_SORTS.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          className={`p-2 rounded-lg transition-colors ${showFilters || isLibraryFiltered({ ...query, q: '' }) ? 'bg-purple-600' : 'bg-purple-900/50 hover:bg-purple-800/50'}`}
+          title="Filters"
+        >
+          <SlidersHorizontal size={18} />
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mt-2">
+          <input type="number" min="0" step="0.5" value={query.durationMin} onChange={set('durationMin')} placeholder="Min minutes" className={inputClass} />
+          <input type="number" min="0" step="0.5" value={query.durationMax} onChange={set('durationMax')} placeholder="Max minutes" className={inputClass} />
+          <input type="number" min="0" value={query.bpmMin} onChange={set('bpmMin')} placeholder="Min BPM" className={inputClass} />
+          <input type="number" min="0" value={query.bpmMax} onChange={set('bpmMax')} placeholder="Max BPM" className={inputClass} />
+          <select value={query.key} onChange={set('key')} className={inputClass}>
+            <option value="">Any key</option>
+            {MUSICAL_KEYS.map((key) => (
+              <option key={key} value={key}>{key}</option>
+            ))}
+          </select>
+          <input type="text" value={query.genre} onChange={set('genre')} placeholder="Genre" className={inputClass} />
+          <input type="date" value={query.uploadedAfter} onChange={set('uploadedAfter')} className={inputClass} title="Uploaded since" />
+          <label className="flex items-center gap-2 text-sm text-purple-200">
+            <input type="checkbox" checked={query.neverSelected} onChange={set('neverSelected')} />
+            Never picked
+          </label>
+          {isLibraryFiltered(query) && (
+            <button
+              onClick={() => onChange({ ...DEFAULT_LIBRARY_QUERY, sort: query.sort })}
+              className="col-span-2 sm:col-span-4 py-1 text-sm text-purple-300 hover:text-white transition-colors"
+            >
+              Clear search and filters
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Scrolling list that only renders the rows in view, for lists too long to
+// render at once. Rows have a fixed height; `onEndReached` is called when the
+// last rows come into view, to load the next page.
+const VirtualList = ({ items, rowHeight, maxHeight, overscan = 4, onEndReached, renderRow }) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const last = Math.min(items.length, Math.ceil((scrollTop + maxHeight) / rowHeight) + overscan);
+
+  useEffect(() => {
+    if (items.length > 0 && last >= items.length) onEndReached?.();
+  }, [last, items.length]);
+
+  return (
+    <div
+      className="overflow-y-auto"
+      style={{ height: Math.min(maxHeight, items.length * rowHeight) }}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <div className="relative" style={{ height: items.length * rowHeight }}>
+        {items.slice(first, last).map((item, i) => (
+          <div key={item.id} className="absolute inset-x-0 pb-2" style={{ top: (first + i) * rowHeight, height: rowHeight }}>
+            {renderRow(item)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+const uploadStatusText = (item) => {
+  switch (item.status) {
+    case 'queued': return 'Waiting';
+    case 'uploading': return `${formatBytes(item.sent)} of ${formatBytes(item.size)}`;
+    case 'processing': return 'Saving...';
+    case 'done': return 'Added';
+    case 'duplicate': return item.result.duplicate.action === 'linked' ? 'Already in your library' : 'Skipped, already in your library';
+    default: return item.error || 'Failed';
+  }
+};
+
+// How often the library checks on tracks that are still being processed
+const PROCESSING_POLL_MS = 3000;
+
+const isProcessing = (track) => track.processing_status === 'pending' || track.processing_status === 'processing';
+
+// Where a library track is in its background processing (tags, analysis,
+// duplicate check); nothing once it is ready. `job` is its processing job as
+// last polled.
+const ProcessingState = ({ track, job, onRetry }) => {
+  if (isProcessing(track)) {
+    const processing = track.processing_status === 'processing';
+    const retrying = job?.status === 'queued' && job.attempts > 0;
+    return (
+      <span className="inline-flex items-center gap-1 text-blue-200" title={retrying ? job.error : undefined}>
+        <Loader2 size={12} className={processing ? 'animate-spin' : ''} />
+        {processing ? 'Processing...' : retrying ? `Retrying (attempt ${job.attempts + 1} of ${job.max_attempts})` : 'Waiting to be processed'}
+      </span>
+    );
+  }
+  if (track.processing_status === 'failed') {
+    return (
+      <span className="inline-flex items-center gap-1 text-red-300" title={track.processing_error || undefined}>
+        <AlertTriangle size={12} />
+        Processing failed
+        {onRetry && (
+          <button onClick={onRetry} className="ml-1 underline hover:text-red-200">Retry</button>
+        )}
+      </span>
+    );
+  }
+  return null;
+};
+
+// Per-file progress of resumable uploads; failed files can be retried (they
+// resume where they stopped) or discarded one by one
+const UploadProgress = ({ items, onRetry, onDiscard, onClear }) => (
+  <div className="mt-4 space-y-2">
+    {items.map((item) => (
+      <div key={item.key} className="bg-purple-900/30 p-3 rounded-lg">
+        <div className="flex items-center gap-3 text-sm">
+          <span className="flex-1 truncate">{item.name}</span>
+          <span className={`text-xs whitespace-nowrap ${item.status === 'failed' ? 'text-red-300' : 'text-purple-300'}`}>
+            {uploadStatusText(item)}
+          </span>
+          {item.status === 'failed' && (
+            <>
+              <button onClick={() => onRetry(item)} className="p-1 rounded-full hover:bg-purple-700" title="Retry">
+                <RefreshCw size={14} />
+              </button>
+              <button onClick={() => onDiscard(item)} className="p-1 rounded-full hover:bg-purple-700" title="Discard">
+                <X size={14} />
+              </button>
+            </>
+          )}
+        </div>
+        <div className="mt-2 h-1.5 bg-purple-950/60 rounded-full overflow-hidden">
+          <div
+            className={`h-full transition-all ${item.status === 'failed' ? 'bg-red-400' : 'bg-gradient-to-r from-pink-500 to-purple-500'}`}
+            style={{ width: `${item.size > 0 ? (item.sent / item.size) * 100 : 0}%` }}
+          />
+        </div>
+      </div>
+    ))}
+    {items.some((item) => item.status === 'done' || item.status === 'duplicate') && (
+      <button onClick={onClear} className="text-sm text-purple-300 hover:text-white">
+        Clear finished
+      </button>
+    )}
+  </div>
+);
+
+// "Identical" for byte-identical files, otherwise how alike they sound
+const formatSimilarity = (similarity) => (similarity >= 1 ? 'identical' : `${Math.round(similarity * 100)}% alike`);
+
+// A group of tracks flagged as duplicates, oldest first. Curators pick the
+// track to keep and merge the others into it, or dismiss the group when the
+// tracks differ. `onMerge` and `onDismiss` resolve once the change is saved.
+const DuplicateGroup = ({ group, canEdit, onMerge, onDismiss }) => {
+  const [keepId, setKeepId] = useState(group.tracks[0].id);
+  const [busy, setBusy] = useState(false);
+  const ids = group.tracks.map((track) => track.id);
+
+  // Best similarity of each track to any other track of the group
+  const similarityOf = (id) => Math.max(...group.links
+    .filter((link) => link.track_id === id || link.duplicate_of === id)
+    .map((link) => link.similarity));
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-purple-900/30 p-3 rounded-lg">
+      <div className="space-y-1">
+        {group.tracks.map((track) => (
+          <label key={track.id} className="flex items-center gap-3 text-sm">
+            {canEdit && (
+              <input type="radio" checked={keepId === track.id} onChange={() => setKeepId(track.id)} title="Keep this one" />
+            )}
+            <span className="flex-1 truncate">{getTrackTitle(track)}</span>
+            <span className="text-xs text-purple-300 whitespace-nowrap">
+              {formatSimilarity(similarityOf(track.id))} · used {track.selection_count || 0} times
+            </span>
+          </label>
+        ))}
+      </div>
+      {canEdit && (
+        <div className="flex gap-2 mt-3">
+          <button
+            onClick={() => run(() => onMerge(keepId, ids.filter((id) => id !== keepId)))}
+            disabled={busy}
+            className="px-3 py-1 bg-pink-600 rounded-lg text-sm font-bold hover:bg-pink-700 transition-colors disabled:opacity-50 flex items-center gap-1"
+          >
+            <Merge size={14} /> Merge into selected
+          </button>
+          <button
+            onClick={() => run(() => onDismiss(ids))}
+            disabled={busy}
+            className="px-3 py-1 bg-purple-800/50 rounded-lg text-sm hover:bg-purple-700 transition-colors disabled:opacity-50"
+          >
+            Not duplicates
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const STATS_WINDOWS = [
+  ['24h', 'Last 24 hours'],
+  ['7d', 'Last 7 days'],
+  ['30d', 'Last 30 days'],
+  ['all', 'All time'],
+];
+
+// Mood clusters the server groups playlists by (see MOOD_CLUSTERS in lib/ai/heuristic.js)
+const MOOD_CLUSTERS = ['energetic', 'calm', 'focused', 'sad', 'happy', 'romantic', 'aggressive', 'balanced'];
+
+const DEFAULT_STATS_FILTERS = { window: '30d', mood: '', cluster: '', playlistId: '' };
+
+// Query string for the stats endpoints, leaving out unset filters
+const statsQuery = ({ window, mood, cluster, playlistId }) => new URLSearchParams(Object.entries({
+  window, mood: mood.trim(), cluster, playlist_id: playlistId,
+}).filter(([, value]) => value)).toString();
+
+// Time window, mood and playlist filters shared by every section of the Stats tab
+const StatsFilters = ({ filters, playlists, onChange }) => {
+  const [mood, setMood] = useState(filters.mood);
+  const applyMood = () => mood.trim() !== filters.mood && onChange({ ...filters, mood: mood.trim() });
+  const selectClass = 'p-2 rounded-lg bg-purple-900/50 border border-purple-500 text-sm';
+
+  return (
+    <div className="flex flex-wrap gap-2 mb-6">
+      <select value={filters.window} onChange={(e) => onChange({ ...filters, window: e.target.value })} className={selectClass}>
+        {STATS_WINDOWS.map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <select value={filters.cluster} onChange={(e) => onChange({ ...filters, cluster: e.target.value })} className={selectClass}>
+        <option value="">Any mood</option>
+        {MOOD_CLUSTERS.map((cluster) => (
+          <option key={cluster} value={cluster}>{cluster[0].toUpperCase() + cluster.slice(1)}</option>
+        ))}
+      </select>
+      <select value={filters.playlistId} onChange={(e) => onChange({ ...filters, playlistId: e.target.value })} className={`${selectClass} max-w-[14rem]`}>
+        <option value="">Any playlist</option>
+        {playlists.map((p) => (
+          <option key={p.id} value={p.id}>{getPlaylistTitle(p)}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={mood}
+        onChange={(e) => setMood(e.target.value)}
+        onKeyDown={(e) => e.key === 'Enter' && applyMood()}
+        onBlur={applyMood}
+        placeholder="Mood keyword"
+        className={`${selectClass} flex-grow placeholder-purple-300`}
+      />
+    </div>
+  );
+};
+
+// "2h 05m", "12m", "40s"
+const formatListeningTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  if (minutes === 0) return `${Math.round(seconds)}s`;
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+};
+
+const formatRate = (rate) => (rate == null ? '–' : `${Math.round(rate * 100)}%`);
+
+// What people listened to, from GET /api/stats/plays
+const ListeningStats = ({ stats, onQueue }) => {
+  const busiestPeriod = Math.max(1, ...(stats?.listening || []).map((p) => p.seconds));
+  const periodLabel = (start) => (stats.bucket === 'hour'
+    ? new Date(start).toLocaleString(undefined, { weekday: 'short', hour: 'numeric' })
+    : new Date(start).toLocaleDateString(undefined, { timeZone: 'UTC' }));
+
+  return (
+    <div className="mb-10">
+      <h3 className="text-xl font-semibold mb-4">Listening</h3>
+
+      {!stats ? (
+        <Loader2 className="mx-auto animate-spin text-purple-300" />
+      ) : stats.totals.plays === 0 ? (
+        <p className="text-center text-purple-300 py-4">Nothing played in this period yet.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-6">
+            {[
+              ['Plays', stats.totals.plays],
+              ['Listening time', formatListeningTime(stats.totals.listened_seconds)],
+              ['Completion rate', formatRate(stats.totals.completion_rate)],
+              ['Skips', stats.totals.skips],
+            ].map(([label, value]) => (
+              <div key={label} className="bg-purple-900/50 p-4 rounded-lg">
+                <p className="text-sm text-purple-300">{label}</p>
+                <p className="text-2xl font-bold">{value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex items-end gap-px h-24 mb-6" aria-label={`Listening time per ${stats.bucket}`}>
+            {stats.listening.map(({ start, seconds }) => (
+              <div
+                key={start}
+                title={`${periodLabel(start)}: ${formatListeningTime(seconds)}`}
+                className="flex-1 bg-gradient-to-t from-pink-500 to-purple-500 rounded-t min-h-[2px]"
+                style={{ height: `${(seconds / busiestPeriod) * 100}%` }}
+              />
+            ))}
+          </div>
+
+          <div className="grid sm:grid-cols-2 gap-6">
+            {[
+              ['Most played', stats.most_played, (row) => `${row.plays} plays · ${formatRate(row.completion_rate)} completed`],
+              ['Most skipped', stats.most_skipped, (row) => `${row.skips} skips · ${formatRate(row.skip_rate)} of plays`],
+            ].map(([title, rows, describe]) => (
+              <div key={title}>
+                <h4 className="font-semibold mb-2">{title}</h4>
+                {rows.length === 0 && <p className="text-sm text-purple-300">None yet.</p>}
+                <ul className="space-y-2">
+                  {rows.map((row) => (
+                    <li key={row.track.id} className="bg-purple-900/50 p-3 rounded-lg flex items-center justify-between">
+                      <div className="min-w-0">
+                        <p className="font-medium truncate">{getTrackTitle(row.track)}</p>
+                        <p className="text-sm text-purple-300">{describe(row)}</p>
+                      </div>
+                      <QueueButtons track={row.track} onQueue={onQueue} />
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// The player queue: click to jump, drag to reorder, remove upcoming entries
+const QueueList = ({ queue, onJump, onMove, onRemove }) => {
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const [dropTargetIndex, setDropTargetIndex] = useState(null);
+
+  return (
+    <div className="space-y-2">
+      {queue.items.map(({ key, track }, index) => (
+        <div
+          key={key}
+          draggable
+          onDragStart={() => setDraggedIndex(index)}
+          onDragEnd={() => { setDraggedIndex(null); setDropTargetIndex(null); }}
+          onDragOver={(e) => { e.preventDefault(); setDropTargetIndex(index); }}
+          onDrop={(e) => {
+            e.preventDefault();
+            if (draggedIndex !== null && draggedIndex !== index) onMove(draggedIndex, index);
+            setDraggedIndex(null);
+            setDropTargetIndex(null);
+          }}
+          onClick={() => onJump(index)}
+          className={`p-3 rounded-lg cursor-pointer transition-colors ${
+            index === queue.index
+              ? 'bg-purple-600'
+              : 'bg-purple-900/30 hover:bg-purple-800/50'
+          } ${dropTargetIndex === index && draggedIndex !== index ? 'ring-2 ring-pink-400' : ''}`}
+        >
+          <div className="flex justify-between items-center gap-3">
+            <GripVertical size={16} className="text-purple-400 shrink-0 cursor-move" />
+            <span className="truncate flex-grow">
+              {getTrackTitle(track)}
+              {getTrackArtist(track) && <span className="text-purple-300"> — {getTrackArtist(track)}</span>}
+            </span>
+            {track.weight != null && (
+              <span className="text-sm text-purple-300">
+                Weight: {track.weight.toFixed(2)}
+              </span>
+            )}
+            {index !== queue.index && (
+              <button
+                onClick={(e) => { e.stopPropagation(); onRemove(index); }}
+                className="p-1 text-red-400 hover:text-red-300 hover:bg-red-500/20 rounded-full transition-colors"
+                title="Remove from queue"
+              >
+                <X size={16} />
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Radio keeps at least this many tracks queued after the current one,
+// fetching a batch at a time and sending the recent history along
+const RADIO_LOOKAHEAD = 2;
+const RADIO_BATCH_SIZE = 3;
+const RADIO_HISTORY = 50;
+
+// Crossfade and normalization preferences survive page reloads
+const TRANSITION_SETTINGS_KEY = 'music-dj:transitions';
+
+// Album or track gain for `track`, from its neighbours in the play order
+const normalizationOptions = (queue, track) => {
+  const tracks = queue.items.map((item) => item.track);
+  const index = tracks.indexOf(track);
+  return { album: index >= 0 && usesAlbumGain(tracks, index) };
+};
+
+const formatGain = (db) => `${db > 0 ? '+' : ''}${db.toFixed(1)} dB`;
+
+const loadTransitionSettings = () => {
+  try {
+    return { ...DEFAULT_TRANSITION_SETTINGS, ...JSON.parse(localStorage.getItem(TRANSITION_SETTINGS_KEY)) };
+  } catch {
+    return { ...DEFAULT_TRANSITION_SETTINGS };
+  }
+};
+
+// The signed-in session ({ access_token, refresh_token, user }) survives
+// page reloads
+const SESSION_KEY = 'music-dj:session';
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// Sign-in and sign-up form. The server says whether it wants a password;
+// the local development driver signs anyone in by email alone.
+const SignIn = ({ apiUrl, onSignedIn }) => {
+  const [mode, setMode] = useState('sign-in');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [passwordRequired, setPasswordRequired] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  useEffect(() => {
+    fetch(`${apiUrl}/auth/config`)
+      .then((response) => response.json())
+      .then((config) => setPasswordRequired(config.password_required))
+      .catch((error) => console.error('Error loading sign-in options:', error));
+  }, [apiUrl]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setBusy(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch(`${apiUrl}/auth/${mode}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email, password }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Sign-in failed.');
+
+      // Sign-up that still needs the email address confirmed
+      if (!data.access_token) {
+        setMessage({ text: data.message, type: 'success' });
+        setMode('sign-in');
+        return;
+      }
+      onSignedIn(data);
+    } catch (error) {
+      setMessage({ text: error.message, type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-sm mx-auto bg-white/10 backdrop-blur-lg rounded-2xl p-6 sm:p-8 shadow-2xl space-y-4">
+      <h2 className="text-2xl font-bold">{mode === 'sign-in' ? 'Sign In' : 'Create Account'}</h2>
+      <input
+        type="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        placeholder="Email"
+        autoComplete="email"
+        required
+        className="w-full px-4 py-3 bg-purple-900/30 border border-purple-400 rounded-lg focus:outline-none focus:border-pink-400"
+      />
+      {passwordRequired ? (
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete={mode === 'sign-in' ? 'current-password' : 'new-password'}
+          required
+          className="w-full px-4 py-3 bg-purple-900/30 border border-purple-400 rounded-lg focus:outline-none focus:border-pink-400"
+        />
+      ) : (
+        <p className="text-sm text-purple-300">Development sign-in: any email address works, no password needed.</p>
+      )}
+      {message.text && (
+        <p className={`text-sm ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>{message.text}</p>
+      )}
+      <button
+        type="submit"
+        disabled={busy}
+        className="w-full py-3 bg-gradient-to-r from-pink-500 to-purple-600 rounded-lg font-bold hover:from-pink-600 hover:to-purple-700 transition-all disabled:opacity-50 flex items-center justify-center"
+      >
+        {busy ? <Loader2 className="animate-spin mr-2" size={20} /> : <LogIn className="mr-2" size={20} />}
+        {mode === 'sign-in' ? 'Sign In' : 'Sign Up'}
+      </button>
+      {passwordRequired && (
+        <button
+          type="button"
+          onClick={() => setMode(mode === 'sign-in' ? 'sign-up' : 'sign-in')}
+          className="w-full text-sm text-blue-200 hover:text-white"
+        >
+          {mode === 'sign-in' ? 'No account yet? Sign up' : 'Already have an account? Sign in'}
+        </button>
+      )}
+    </form>
+  );
+};
+
+const SHARE_EXPIRY_OPTIONS = [
+  ['', 'Never expires'],
+  ['1', 'Expires in 1 day'],
+  ['7', 'Expires in 7 days'],
+  ['30', 'Expires in 30 days'],
+];
+
+// Share links for one playlist: create links (optionally expiring), copy the
+// link or an <iframe> snippet, and revoke links. `onRequest(path, method,
+// body)` calls the playlist's /shares API and resolves to the reply, or null
+// when it failed. A link's token is only shown right after it is created.
+const SharePanel = ({ onRequest, onCopy, onClose }) => {
+  const [shares, setShares] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState('');
+  const [created, setCreated] = useState(null);
+
+  const load = async () => {
+    const data = await onRequest('', 'GET');
+    if (data) setShares(data);
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const create = async () => {
+    const share = await onRequest('', 'POST', { expires_in_days: expiresInDays ? Number(expiresInDays) : null });
+    if (share) {
+      setCreated(share);
+      await load();
+    }
+  };
+
+  const revoke = async (shareId) => {
+    if (!window.confirm('Revoke this link? Anyone using it loses access immediately.')) return;
+    if (await onRequest(`/${shareId}`, 'DELETE')) {
+      if (created?.id === shareId) setCreated(null);
+      await load();
+    }
+  };
+
+  const embedCode = created && `<iframe src="${created.url}" width="100%" height="400" frameborder="0"></iframe>`;
+
+  return (
+    <div className="mt-4 border-t border-purple-500/30 pt-4 space-y-3">
+      <div className="flex flex-wrap gap-2">
+        <select
+          value={expiresInDays}
+          onChange={(e) => setExpiresInDays(e.target.value)}
+          className="p-2 rounded-lg bg-purple-900/50 border border-purple-500 text-sm"
+        >
+          {SHARE_EXPIRY_OPTIONS.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={create}
+          className="px-3 py-2 bg-purple-600 rounded-lg text-sm font-bold hover:bg-purple-700 transition-colors flex items-center gap-1"
+        >
+          <Share2 size={16} /> Create Link
+        </button>
+        <button
+          onClick={onClose}
+          className="px-3 py-2 bg-green-600 rounded-lg text-sm font-bold hover:bg-green-700 transition-colors flex items-center gap-1"
+        >
+          <Check size={16} /> Done
+        </button>
+      </div>
+
+      {created && (
+        <div className="bg-purple-900/40 p-3 rounded-lg space-y-2 text-sm">
+          <p className="text-blue-200">Copy the link now; it won't be shown again.</p>
+          {[['Link', created.url], ['Embed', embedCode]].map(([label, text]) => (
+            <div key={label} className="flex items-center gap-2">
+              <span className="w-12 text-purple-300">{label}</span>
+              <input readOnly value={text} onFocus={(e) => e.target.select()} className="flex-grow p-2 rounded bg-purple-950/60 text-xs" />
+              <button onClick={() => onCopy(text)} className="p-2 rounded-full hover:bg-purple-800/50" title={`Copy ${label}`}>
+                <Copy size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {shares.length > 0 && (
+        <ul className="space-y-1 text-sm">
+          {shares.map((share) => (
+            <li key={share.id} className="flex items-center gap-2 bg-purple-900/30 px-3 py-2 rounded-lg">
+              <span className="flex-grow">
+                Created {new Date(share.created_at).toLocaleString()}
+                <span className="text-purple-300">
+                  {share.revoked_at
+                    ? ' · revoked'
+                    : share.expires_at
+                      ? ` · ${share.active ? 'expires' : 'expired'} ${new Date(share.expires_at).toLocaleString()}`
+                      : ' · never expires'}
+                </span>
+              </span>
+              {share.active && (
+                <button onClick={() => revoke(share.id)} className="text-red-400 hover:text-red-300">
+                  Revoke
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// The workspace picked last time
+const WORKSPACE_KEY = 'music-dj:workspace';
+
+const ROLE_DESCRIPTIONS = {
+  owner: 'Owner · manages members',
+  curator: 'Curator · uploads and edits',
+  listener: 'Listener · generates and plays',
+};
+
+// Members of the current workspace and, for owners, invitations, role changes
+// and workspace settings. Every `on*` callback resolves once the change is
+// saved and state is refreshed.
+const WorkspacePanel = ({ workspace, members, currentUserId, onInvite, onChangeRole, onRemove, onRename, onDelete, onCreate }) => {
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('listener');
+  const [name, setName] = useState(workspace.name);
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const canManage = workspace.permissions.includes('members:manage');
+
+  useEffect(() => setName(workspace.name), [workspace.id, workspace.name]);
+
+  const invite = async () => {
+    if (!inviteEmail.trim()) return;
+    await onInvite(inviteEmail.trim(), inviteRole);
+    setInviteEmail('');
+  };
+
+  const create = async () => {
+    if (!newWorkspaceName.trim()) return;
+    await onCreate(newWorkspaceName.trim());
+    setNewWorkspaceName('');
+  };
+
+  return (
+    <div className="space-y-6">
+      {workspace.permissions.includes('workspace:manage') && (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onBlur={() => name.trim() && name.trim() !== workspace.name && onRename(name.trim())}
+            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+            className="flex-grow p-3 rounded-lg bg-purple-900/50 border border-purple-500 focus:border-pink-400 focus:outline-none text-white"
+            aria-label="Workspace name"
+          />
+          <button
+            onClick={onDelete}
+            className="px-4 py-2 bg-red-600/80 rounded-lg text-sm font-bold hover:bg-red-700 transition-colors flex items-center gap-2"
+          >
+            <Trash2 size={16} /> Delete Workspace
+          </button>
+        </div>
+      )}
+
+      <div>
+        <h3 className="text-xl font-semibold mb-3">Members ({members.length})</h3>
+        <div className="space-y-2">
+          {members.map((member) => (
+            <div key={member.id} className="bg-purple-900/30 p-3 rounded-lg flex items-center gap-4">
+              <div className="flex-1 truncate">
+                <p className="truncate">{member.email}</p>
+                <p className="text-xs text-purple-300">
+                  {member.user_id ? ROLE_DESCRIPTIONS[member.role] : 'Invited · joins on next sign-in'}
+                </p>
+              </div>
+              {canManage ? (
+                <select
+                  value={member.role}
+                  onChange={(e) => onChangeRole(member.id, e.target.value)}
+                  className="p-2 rounded-lg bg-purple-900/50 border border-purple-500 text-sm"
+                >
+                  {Object.keys(ROLE_DESCRIPTIONS).map((role) => (
+                    <option key={role} value={role}>{role}</option>
+                  ))}
+                </select>
+              ) : (
+                <span className="text-sm text-purple-300">{member.role}</span>
+              )}
+              {(canManage || member.user_id === currentUserId) && (
+                <button
+                  onClick={() => onRemove(member)}
+                  className="p-2 text-red-400 hover:text-red-300 hover:bg-red-500/20 rounded-full transition-colors"
+                  title={member.user_id === currentUserId ? 'Leave Workspace' : 'Remove Member'}
+                >
+                  {member.user_id === currentUserId ? <LogOut className="w-5 h-5" /> : <X className="w-5 h-5" />}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {canManage && (
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="email"
+            value={inviteEmail}
+            onChange={(e) => setInviteEmail(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && invite()}
+            placeholder="Invite by email"
+            className="flex-grow p-3 rounded-lg bg-purple-900/50 border border-purple-500 focus:border-pink-400 focus:outline-none text-white placeholder-purple-300"
+          />
+          <select
+            value={inviteRole}
+            onChange={(e) => setInviteRole(e.target.value)}
+            className="p-3 rounded-lg bg-purple-900/50 border border-purple-500"
+          >
+            {Object.keys(ROLE_DESCRIPTIONS).map((role) => (
+              <option key={role} value={role}>{role}</option>
+            ))}
+          </select>
+          <button
+            onClick={invite}
+            className="px-4 py-2 bg-gradient-to-r from-pink-500 to-purple-600 rounded-lg font-bold hover:from-pink-600 hover:to-purple-700 transition-all flex items-center justify-center gap-2"
+          >
+            <UserPlus size={18} /> Invite
+          </button>
+        </div>
+      )}
+
+      <div className="border-t border-purple-500/30 pt-6">
+        <h3 className="text-xl font-semibold mb-3">New Workspace</h3>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={newWorkspaceName}
+            onChange={(e) => setNewWorkspaceName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && create()}
+            placeholder="Workspace name"
+            className="flex-grow p-3 rounded-lg bg-purple-900/50 border border-purple-500 focus:border-pink-400 focus:outline-none text-white placeholder-purple-300"
+          />
+          <button
+            onClick={create}
+            className="px-4 py-2 bg-purple-600 rounded-lg font-bold hover:bg-purple-700 transition-colors flex items-center gap-2"
+          >
+            <Plus size={18} /> Create
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Read a Server-Sent Events response body, yielding { event, data } per message.
+// EventSource only supports GET, so POST streams are parsed by hand.
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const message = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const data = [];
+      for (const line of message.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      }
+      if (data.length > 0) yield { event, data: JSON.parse(data.join('\n')) };
+    }
+  }
+}
+
+// Inline editor for one playlist: rename, drag entries to reorder, change
+// weights, remove entries and add tracks from the library. `onEdit(path,
+// method, body)` sends the change to the playlist's API and resolves once the
+// updated playlist is in state; `onSearchTracks(q)` resolves to the library
+// tracks to offer for `q`.
+const PlaylistEditor = ({ playlist, onEdit, onSearchTracks, onClose }) => {
+  const [name, setName] = useState(playlist.name || '');
+  const [trackSearch, setTrackSearch] = useState('');
+  const [trackResults, setTrackResults] = useState([]);
+  const [trackToAdd, setTrackToAdd] = useState('');
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  const entries = [...playlist.playlist_tracks].sort((a, b) => a.position - b.position);
+
+  const saveName = () => {
+    if (name.trim() !== (playlist.name || '')) {
+      onEdit('', 'PATCH', { name: name.trim() || null });
+    }
+  };
+
+  const handleDrop = (targetId) => {
+    setDropTargetId(null);
+    if (!draggedId || draggedId === targetId) return;
+
+    // Move the dragged entry into the target's slot
+    const order = entries.map((pt) => pt.id);
+    const [moved] = order.splice(order.indexOf(draggedId), 1);
+    order.splice(entries.findIndex((pt) => pt.id === targetId), 0, moved);
+    onEdit('/tracks/order', 'PUT', { entry_ids: order });
+  };
+
+  const addTrack = () => {
+    if (!trackToAdd) return;
+    onEdit('/tracks', 'POST', { track_id: trackToAdd }).then(() => setTrackToAdd(''));
+  };
+
+  // Look tracks up once typing pauses
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      onSearchTracks(trackSearch).then((tracks) => {
+        if (!cancelled) setTrackResults(tracks);
+      });
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [trackSearch]);
+
+  return (
+    <div className="mt-4 w-full">
+      <label className="block mb-1 text-sm text-purple-300">Name</label>
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={saveName}
+        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+        placeholder={playlist.mood_prompt || 'Untitled playlist'}
+        className="w-full p-2 mb-4 rounded-lg bg-purple-900/50 border border-purple-500 focus:border-pink-400 focus:outline-none text-white placeholder-purple-300"
+      />
+
+      <ul className="space-y-2 mb-4">
+        {entries.map((pt) => (
+          <li
+            key={pt.id}
+            draggable
+            onDragStart={() => setDraggedId(pt.id)}
+            onDragEnd={() => { setDraggedId(null); setDropTargetId(null); }}
+            onDragOver={(e) => { e.preventDefault(); setDropTargetId(pt.id); }}
+            onDrop={(e) => { e.preventDefault(); handleDrop(pt.id); }}
+            className={`flex items-center gap-3 p-2 rounded-lg bg-purple-800/40 cursor-move ${
+              dropTargetId === pt.id && draggedId !== pt.id ? 'ring-2 ring-pink-400' : ''
+            } ${draggedId === pt.id ? 'opacity-50' : ''}`}
+          >
+            <GripVertical size={16} className="text-purple-400 shrink-0" />
+            <span className="w-6 text-purple-300 text-sm">{pt.position}.</span>
+            <span className="flex-grow truncate">{getTrackTitle(pt.tracks)}</span>
+            <input
+              type="number"
+              min="0"
+              max="1"
+              step="0.05"
+              defaultValue={pt.weight ?? ''}
+              onBlur={(e) => {
+                const weight = parseFloat(e.target.value);
+                if (Number.isNaN(weight) || weight < 0 || weight > 1) {
+                  e.target.value = pt.weight ?? '';
+                } else if (weight !== pt.weight) {
+                  onEdit(`/tracks/${pt.id}`, 'PATCH', { weight });
+                }
+              }}
+              className="w-20 p-1 rounded bg-purple-900/50 border border-purple-600 text-sm text-white"
+              title="Weight (0-1)"
+            />
+            <button
+              onClick={() => onEdit(`/tracks/${pt.id}`, 'DELETE')}
+              className="p-1 text-red-400 hover:text-red-300 hover:bg-red-500/20 rounded-full transition-colors"
+              title="Remove from playlist"
+            >
+              <X size={16} />
+            </button>
+          </li>
+        ))}
+        {entries.length === 0 && (
+          <li className="text-sm text-purple-300">No tracks yet. Add some from your library below.</li>
+        )}
+      </ul>
+
+      <input
+        type="search"
+        value={trackSearch}
+        onChange={(e) => setTrackSearch(e.target.value)}
+        placeholder="Search the library to add a track"
+        className="w-full p-2 mb-2 rounded-lg bg-purple-900/50 border border-purple-500 focus:border-pink-400 focus:outline-none text-white placeholder-purple-300"
+      />
+      <div className="flex gap-2">
+        <select
+          value={trackToAdd}
+          onChange={(e) => setTrackToAdd(e.target.value)}
+          className="flex-grow p-2 rounded-lg bg-purple-900/50 border border-purple-500 text-white"
+        >
+          <option value="">{trackResults.length > 0 ? 'Add a track...' : 'No matching tracks'}</option>
+          {trackResults.map((track) => (
+            <option key={track.id} value={track.id}>
+              {getTrackTitle(track)}{getTrackArtist(track) ? ` – ${getTrackArtist(track)}` : ''}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={addTrack}
+          disabled={!trackToAdd}
+          className="px-3 py-2 bg-purple-600 rounded-lg text-sm font-bold hover:bg-purple-700 transition-colors disabled:opacity-50 flex items-center gap-1"
+        >
+          <Plus size={16} /> Add
+        </button>
+        <button
+          onClick={onClose}
+          className="px-3 py-2 bg-green-600 rounded-lg text-sm font-bold hover:bg-green-700 transition-colors flex items-center gap-1"
+        >
+          <Check size={16} /> Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
 const App = () => {
-  const [libraryTracks, setLibraryTracks] = useState([]);
+  const [libraryTracks, setLibraryTracks] = useState([]); // Pages of the library list loaded so far
+  const [libraryQuery, setLibraryQuery] = useState(DEFAULT_LIBRARY_QUERY);
+  const [libraryTotal, setLibraryTotal] = useState(null); // Tracks matching libraryQuery
+  const [libraryCursor, setLibraryCursor] = useState(null); // Next page of the library list
+  const [processingJobs, setProcessingJobs] = useState({}); // Latest state of library tracks' processing jobs, by id
+  const [loadingMoreTracks, setLoadingMoreTracks] = useState(false);
   const [playlists, setPlaylists] = useState([]);
+  const [playlistsCursor, setPlaylistsCursor] = useState(null); // Next page of playlists
   const [topTracks, setTopTracks] = useState([]);
-  const [currentPlaylist, setCurrentPlaylist] = useState(null);
-  const [currentTrackIndex, setCurrentTrackIndex] = useState(0);
+  const [playStats, setPlayStats] = useState(null);
+  const [statsFilters, setStatsFilters] = useState(DEFAULT_STATS_FILTERS);
+  const [currentPlaylist, setCurrentPlaylist] = useState(null); // Playlist the queue was started from
+  const [queue, setQueue] = useState(EMPTY_QUEUE);
+  const [radioMood, setRadioMood] = useState(null); // Mood of the running radio station
   const [isPlaying, setIsPlaying] = useState(false);
   const [trackProgress, setTrackProgress] = useState({
     currentTime: 0,
     duration: 0,
   });
-  const [isLooping, setIsLooping] = useState(false); // State for playlist loop
+  const [transitionSettings, setTransitionSettings] = useState(loadTransitionSettings);
   const [moodPrompt, setMoodPrompt] = useState('');
   const [loading, setLoading] = useState(false);
+  const [generationStatus, setGenerationStatus] = useState(''); // Progress line while a playlist is generated
+  const [streamedTracks, setStreamedTracks] = useState([]); // Picks received so far
   const [uploading, setUploading] = useState(false);
+  const [uploadItems, setUploadItems] = useState([]); // Files being uploaded, with their progress
   const [refreshing, setRefreshing] = useState(false);
   const [deletingId, setDeletingId] = useState(null); // To track which track is being deleted
+  const [editingPlaylistId, setEditingPlaylistId] = useState(null); // Playlist open in the editor
+  const [sharingPlaylistId, setSharingPlaylistId] = useState(null); // Playlist showing its share links
+  const [newPlaylistName, setNewPlaylistName] = useState('');
   const [notification, setNotification] = useState({ message: '', type: '' });
   const [activeTab, setActiveTab] = useState('upload');
+  const [session, setSession] = useState(loadSession);
+  const [workspaces, setWorkspaces] = useState([]); // Workspaces the user belongs to, with role and permissions
+  const [workspaceId, setWorkspaceId] = useState(() => localStorage.getItem(WORKSPACE_KEY));
+  const [members, setMembers] = useState([]);
+  const [duplicateGroups, setDuplicateGroups] = useState([]); // Tracks flagged as duplicates of each other
   
-  const audioRef = useRef(null);
+  const engineRef = useRef(null); // Web Audio playback engine
+  const playTrackerRef = useRef(null); // Reports play events for listening stats
+  const queueRef = useRef(EMPTY_QUEUE);
+  const loadedKeyRef = useRef(null); // Queue entry the engine is playing
+  const currentPlaylistRef = useRef(null); // Read by engine callbacks
+  const nextIndexRef = useRef(null); // Queue index the engine will move on to
+  const isPlayingRef = useRef(false);
+  const radioMoodRef = useRef(null);
+  const radioRequestRef = useRef(null); // In-flight radio batch
   const fileInputRef = useRef(null);
+  const uploadKeyRef = useRef(0);
+  const importInputRef = useRef(null);
+  const generateAbortRef = useRef(null);
+  const libraryRequestRef = useRef(0); // Latest library list request; replies to older ones are dropped
+  const sessionRef = useRef(session); // Read by callbacks that outlive a render
+  const refreshRef = useRef(null); // In-flight token refresh
+  const workspaceIdRef = useRef(workspaceId);
 
   // Use environment variable for the API URL, with a fallback for development
   // Build API base URL
@@ -76,36 +1205,293 @@ const App = () => {
     }, 4000); // Auto-dismiss after 4 seconds
   };
 
-  // Fetch all tracks
+  const currentWorkspace = workspaces.find((w) => w.id === workspaceId) || null;
+  const can = (permission) => Boolean(currentWorkspace?.permissions.includes(permission));
+
+  // Only known once the unfiltered library has loaded
+  const libraryEmpty = libraryTotal === 0 && !isLibraryFiltered(libraryQuery);
+
+  // Stop playback and drop the library, e.g. when switching workspaces
+  const clearLibrary = () => {
+    // Report the listen in progress while the session and workspace still apply
+    playTrackerRef.current?.stop(engineRef.current?.getProgress().currentTime);
+    playTrackerRef.current?.flush();
+    engineRef.current?.pause();
+    setQueue(EMPTY_QUEUE);
+    setCurrentPlaylist(null);
+    setRadioMood(null);
+    setEditingPlaylistId(null);
+    setSharingPlaylistId(null);
+    libraryRequestRef.current += 1;
+    setLibraryTracks([]);
+    setLibraryQuery(DEFAULT_LIBRARY_QUERY);
+    setLibraryTotal(null);
+    setLibraryCursor(null);
+    setPlaylists([]);
+    setPlaylistsCursor(null);
+    setTopTracks([]);
+    setPlayStats(null);
+    setStatsFilters(DEFAULT_STATS_FILTERS);
+    setMembers([]);
+  };
+
+  // Forget the session and everything that belonged to it
+  const signOut = (message) => {
+    clearLibrary();
+    sessionRef.current = null;
+    setSession(null);
+    setWorkspaces([]);
+    if (message) showNotification(message, 'error');
+  };
+
+  const switchWorkspace = (id) => {
+    if (id === workspaceIdRef.current) return;
+    clearLibrary();
+    workspaceIdRef.current = id;
+    setWorkspaceId(id);
+  };
+
+  // Trade the refresh token for a new session; concurrent callers share one
+  // request because refresh tokens are single-use
+  const refreshSession = (refreshToken) => {
+    if (!refreshRef.current) {
+      refreshRef.current = fetch(`${API_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refresh_token: refreshToken }),
+      })
+        .then((response) => (response.ok ? response.json() : null))
+        .catch(() => null)
+        .finally(() => {
+          refreshRef.current = null;
+        });
+    }
+    return refreshRef.current;
+  };
+
+  // fetch() on behalf of the signed-in user. An expired token is refreshed
+  // once; if that fails the user is signed out.
+  const authFetch = async (url, options = {}) => {
+    const send = (token) => fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        Authorization: `Bearer ${token}`,
+        ...(workspaceIdRef.current && { 'X-Workspace-Id': workspaceIdRef.current }),
+      },
+    });
+
+    const current = sessionRef.current;
+    if (!current) throw new Error('Please sign in.');
+
+    const response = await send(current.access_token);
+    if (response.status !== 401) return response;
+
+    const refreshed = current.refresh_token ? await refreshSession(current.refresh_token) : null;
+    if (refreshed && sessionRef.current === current) {
+      sessionRef.current = refreshed;
+      setSession(refreshed);
+    }
+    if (sessionRef.current && sessionRef.current !== current) {
+      return send(sessionRef.current.access_token);
+    }
+    signOut('Your session has expired. Please sign in again.');
+    return response;
+  };
+
+  // Fetch the user's workspaces and stay in the current one if it still exists
+  const fetchWorkspaces = async () => {
+    try {
+      const response = await authFetch(`${API_URL}/workspaces`);
+      if (!response.ok) throw new Error('Failed to fetch workspaces');
+      const data = await response.json();
+      setWorkspaces(data);
+      if (!data.some((w) => w.id === workspaceIdRef.current)) {
+        switchWorkspace(data[0]?.id || null);
+      }
+    } catch (error) {
+      console.error('Error fetching workspaces:', error);
+    }
+  };
+
+  const fetchMembers = async () => {
+    try {
+      const response = await authFetch(`${API_URL}/workspaces/${workspaceIdRef.current}/members`);
+      if (!response.ok) throw new Error('Failed to fetch members');
+      setMembers(await response.json());
+    } catch (error) {
+      console.error('Error fetching members:', error);
+    }
+  };
+
+  // Send a workspace or member change, then refresh workspaces and members
+  const handleWorkspaceChange = async (path, method, body, successMessage) => {
+    try {
+      const response = await authFetch(`${API_URL}/workspaces${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to update the workspace.');
+      if (successMessage) showNotification(successMessage, 'success');
+      return data;
+    } catch (error) {
+      console.error('Error updating workspace:', error);
+      showNotification(error.message, 'error');
+      return null;
+    } finally {
+      await fetchWorkspaces();
+      if (workspaceIdRef.current) await fetchMembers();
+    }
+  };
+
+  const handleCreateWorkspace = async (name) => {
+    const workspace = await handleWorkspaceChange('', 'POST', { name }, `Created "${name}".`);
+    if (workspace) switchWorkspace(workspace.id);
+  };
+
+  const handleDeleteWorkspace = async () => {
+    if (!window.confirm(`Delete "${currentWorkspace.name}" with all its tracks and playlists? This action cannot be undone.`)) {
+      return;
+    }
+    await handleWorkspaceChange(`/${workspaceId}`, 'DELETE', null, 'Workspace deleted.');
+  };
+
+  const handleRemoveMember = async (member) => {
+    const leaving = member.user_id === session.user.id;
+    if (!window.confirm(leaving ? `Leave "${currentWorkspace.name}"?` : `Remove ${member.email}?`)) {
+      return;
+    }
+    await handleWorkspaceChange(`/${workspaceId}/members/${member.id}`, 'DELETE', null, leaving ? 'You left the workspace.' : 'Member removed.');
+  };
+
+  // Fetch the first page of the library list for the current search and filters
   const fetchTracks = async () => {
+    const request = ++libraryRequestRef.current;
     setRefreshing(true);
     try {
-      const response = await fetch(`${API_URL}/tracks`);
+      const response = await authFetch(`${API_URL}/tracks?${libraryQueryString(libraryQuery)}`);
+      if (!response.ok) throw new Error('Failed to fetch tracks');
+      const data = await response.json();
+      if (request !== libraryRequestRef.current) return;
+      setLibraryTracks(data.tracks);
+      setLibraryTotal(data.total);
+      setLibraryCursor(data.next_cursor);
+    } catch (error) {
+      console.error('Error fetching tracks:', error);
+    } finally {
+      if (request === libraryRequestRef.current) setRefreshing(false);
+    }
+  };
+
+  // Append the next page once the list is scrolled to its end
+  const fetchMoreTracks = async () => {
+    if (!libraryCursor || loadingMoreTracks) return;
+    const request = libraryRequestRef.current;
+    setLoadingMoreTracks(true);
+    try {
+      const response = await authFetch(`${API_URL}/tracks?${libraryQueryString(libraryQuery, libraryCursor)}`);
       if (!response.ok) throw new Error('Failed to fetch tracks');
       const data = await response.json();
-      setLibraryTracks(data);
+      if (request !== libraryRequestRef.current) return;
+      setLibraryTracks((tracks) => [...tracks, ...data.tracks]);
+      setLibraryCursor(data.next_cursor);
     } catch (error) {
       console.error('Error fetching tracks:', error);
     } finally {
-      setRefreshing(false);
+      setLoadingMoreTracks(false);
     }
   };
 
-  // Fetch all playlists
+  // Tracks for the playlist editor to offer: the first matches for `q`
+  const searchTracks = async (q) => {
+    try {
+      const params = new URLSearchParams({ q: q.trim(), sort: 'title', order: 'asc', limit: '25' });
+      const response = await authFetch(`${API_URL}/tracks?${params}`);
+      if (!response.ok) throw new Error('Failed to search tracks');
+      return (await response.json()).tracks;
+    } catch (error) {
+      console.error('Error searching tracks:', error);
+      return [];
+    }
+  };
+
+  // Fetch the first page of playlists
   const fetchPlaylists = async () => {
     try {
-      const response = await fetch(`${API_URL}/playlists`);
+      const response = await authFetch(`${API_URL}/playlists`);
+      const data = await response.json();
+      setPlaylists(data.playlists);
+      setPlaylistsCursor(data.next_cursor);
+    } catch (error) {
+      console.error('Error fetching playlists:', error);
+    }
+  };
+
+  const fetchMorePlaylists = async () => {
+    try {
+      const response = await authFetch(`${API_URL}/playlists?cursor=${encodeURIComponent(playlistsCursor)}`);
+      if (!response.ok) throw new Error('Failed to fetch playlists');
       const data = await response.json();
-      setPlaylists(data);
+      setPlaylists((list) => [...list, ...data.playlists]);
+      setPlaylistsCursor(data.next_cursor);
     } catch (error) {
       console.error('Error fetching playlists:', error);
     }
   };
 
+  const fetchDuplicates = async () => {
+    try {
+      const response = await authFetch(`${API_URL}/tracks/duplicates`);
+      if (!response.ok) throw new Error('Failed to fetch duplicates');
+      setDuplicateGroups((await response.json()).groups);
+    } catch (error) {
+      console.error('Error fetching duplicates:', error);
+    }
+  };
+
+  const handleMergeDuplicates = async (keepId, trackIds) => {
+    try {
+      const response = await authFetch(`${API_URL}/tracks/duplicates/merge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ keep_id: keepId, track_ids: trackIds }),
+      });
+      if (!response.ok) throw new Error('Failed to merge the duplicates.');
+
+      // Playlists that held a merged track now hold the kept one
+      await Promise.all([fetchDuplicates(), fetchTracks(), fetchPlaylists(), fetchTopTracks()]);
+      showNotification(`Merged ${trackIds.length} duplicate${trackIds.length === 1 ? '' : 's'}.`, 'success');
+    } catch (error) {
+      console.error('Error merging duplicates:', error);
+      showNotification(error.message, 'error');
+    }
+  };
+
+  const handleDismissDuplicates = async (trackIds) => {
+    try {
+      const response = await authFetch(`${API_URL}/tracks/duplicates/dismiss`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ track_ids: trackIds }),
+      });
+      if (!response.ok) throw new Error('Failed to dismiss the duplicates.');
+      await fetchDuplicates();
+    } catch (error) {
+      console.error('Error dismissing duplicates:', error);
+      showNotification(error.message, 'error');
+    }
+  };
+
   // Fetch top tracks
   const fetchTopTracks = async () => {
     try {
-      const response = await fetch(`${API_URL}/stats/top-tracks`);
+      const response = await authFetch(`${API_URL}/stats/top-tracks?${statsQuery(statsFilters)}`);
       if (!response.ok) throw new Error('Failed to fetch top tracks');
       const data = await response.json();
       setTopTracks(data);
@@ -114,37 +1500,101 @@ const App = () => {
     }
   };
 
-  // Handle file upload
-  const handleFileUpload = async (event) => {
-    const files = event.target.files;
-    if (!files || files.length === 0) return;
-
-    setUploading(true);
-    const formData = new FormData();
-    
-    for (let i = 0; i < files.length; i++) {
-      formData.append('music', files[i]);
+  const fetchPlayStats = async () => {
+    try {
+      const response = await authFetch(`${API_URL}/stats/plays?${statsQuery(statsFilters)}`);
+      if (!response.ok) throw new Error('Failed to fetch listening stats');
+      setPlayStats(await response.json());
+    } catch (error) {
+      console.error('Error fetching listening stats:', error);
     }
+  };
 
+  const updateUploadItem = (key, changes) =>
+    setUploadItems((items) => items.map((item) => (item.key === key ? { ...item, ...changes } : item)));
+
+  // Upload one file in chunks; resolves to the server's reply, or null when
+  // it failed (the item keeps its upload id so a retry resumes it)
+  const uploadItem = async (item) => {
+    updateUploadItem(item.key, { status: 'uploading', error: null });
     try {
-      const response = await fetch(`${API_URL}/tracks/upload`, {
-        method: 'POST',
-        body: formData,
+      const result = await uploadFile({
+        file: item.file,
+        uploadId: item.uploadId,
+        request: (path, options) => authFetch(`${API_URL}${path}`, options),
+        onProgress: ({ uploadId, sent }) =>
+          updateUploadItem(item.key, { uploadId, sent, status: sent < item.size ? 'uploading' : 'processing' }),
       });
-      
-      if (response.ok) {
-        await fetchTracks();
-        setActiveTab('upload'); // Stay on upload tab to see new tracks
-        showNotification('Files uploaded successfully!', 'success');
-      }
+      updateUploadItem(item.key, { status: result.duplicate ? 'duplicate' : 'done', result });
+      return result;
     } catch (error) {
-      console.error('Error uploading files:', error);
-      showNotification('Error uploading files.', 'error');
+      console.error(`Error uploading ${item.name}:`, error);
+      updateUploadItem(item.key, { status: 'failed', error: error.message, uploadId: error.uploadId ?? null });
+      return null;
+    }
+  };
+
+  // Handle file upload: files go up one after another, then the library is
+  // refreshed once
+  const handleFileUpload = async (event) => {
+    const files = [...(event.target.files || [])];
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+    if (files.length === 0) return;
+
+    const items = files.map((file) => ({
+      key: uploadKeyRef.current++,
+      file,
+      name: file.name,
+      size: file.size,
+      sent: 0,
+      status: 'queued',
+      error: null,
+      uploadId: null,
+      result: null,
+    }));
+    setUploadItems((current) => [...current, ...items]);
+
+    setUploading(true);
+    const results = [];
+    try {
+      for (const item of items) {
+        results.push(await uploadItem(item));
+      }
+      await Promise.all([fetchTracks(), fetchDuplicates()]);
     } finally {
       setUploading(false);
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
+    }
+
+    // Identical files are not stored again; tracks that sound like one
+    // already in the library are listed under Possible Duplicates once they
+    // have been processed
+    const added = results.filter((result) => result?.track);
+    const duplicates = results.filter((result) => result?.duplicate).length;
+    const failed = results.filter((result) => !result).length;
+    const notes = [
+      duplicates > 0 && `${duplicates} already in your library`,
+      failed > 0 && `${failed} failed`
+    ].filter(Boolean);
+    showNotification(
+      notes.length > 0 ? `Uploaded ${added.length} file${added.length === 1 ? '' : 's'}; ${notes.join(', ')}.` : 'Files uploaded successfully!',
+      failed > 0 ? 'error' : notes.length > 0 ? 'warning' : 'success'
+    );
+  };
+
+  const retryUpload = async (item) => {
+    const result = await uploadItem(item);
+    if (result) {
+      await Promise.all([fetchTracks(), fetchDuplicates()]);
+    }
+  };
+
+  const discardUploadItem = (item) => {
+    setUploadItems((items) => items.filter((other) => other.key !== item.key));
+    if (item.uploadId) {
+      discardUpload(item.uploadId, (path, options) => authFetch(`${API_URL}${path}`, options))
+        .catch((error) => console.error('Error discarding upload:', error));
     }
   };
 
@@ -155,27 +1605,119 @@ const App = () => {
       return;
     }
 
+    const controller = new AbortController();
+    generateAbortRef.current = controller;
     setLoading(true);
+    setStreamedTracks([]);
+    setGenerationStatus('Connecting...');
     try {
-      const response = await fetch(`${API_URL}/playlists/generate`, {
+      const response = await authFetch(`${API_URL}/playlists/generate/stream`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ mood: moodPrompt }),
+        signal: controller.signal,
       });
 
-      const data = await response.json();
-      setCurrentPlaylist(data);
-      setCurrentTrackIndex(0);
-      setActiveTab('player');
-      await fetchPlaylists(); // Refresh playlist list
-      await fetchTopTracks(); // Refresh top tracks
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Error generating playlist.');
+      }
+
+      // Tracks appear as the model picks them; a failed reply or a switch to
+      // the fallback selector discards the picks shown so far
+      let playlist = null;
+      for await (const { event, data } of readServerSentEvents(response)) {
+        if (event === 'prompt') {
+          setGenerationStatus(data.attempt > 1 ? `Asking ${data.provider} again (attempt ${data.attempt})...` : `Asking ${data.provider}...`);
+        } else if (event === 'track') {
+          setStreamedTracks((tracks) => [...tracks, data]);
+        } else if (event === 'invalid') {
+          setStreamedTracks([]);
+          setGenerationStatus('Reply was invalid, asking for a correction...');
+        } else if (event === 'fallback') {
+          setStreamedTracks([]);
+          setGenerationStatus(`Falling back to ${data.provider} selection...`);
+        } else if (event === 'saved') {
+          setGenerationStatus('Saving playlist...');
+        } else if (event === 'done') {
+          playlist = data;
+        } else if (event === 'error') {
+          throw new Error(data.details || data.error);
+        }
+      }
+
+      if (!playlist) throw new Error('Playlist generation ended unexpectedly.');
+
+      setCurrentPlaylist(playlist);
+      setRadioMood(null);
+      setQueue((q) => createQueue(playlist.tracks, { shuffle: q.shuffle, repeat: q.repeat }));
+      setActiveTab('player');
+      setStreamedTracks([]);
+      await fetchPlaylists(); // Refresh playlist list
+      await fetchTopTracks(); // Refresh top tracks
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        showNotification('Playlist generation cancelled.', 'success');
+      } else {
+        console.error('Error generating playlist:', error);
+        showNotification(error.message || 'Error generating playlist.', 'error');
+      }
+    } finally {
+      generateAbortRef.current = null;
+      setGenerationStatus('');
+      setLoading(false);
+    }
+  };
+
+  // Stop an in-flight generation; the server drops the request and saves nothing
+  const cancelGeneration = () => {
+    generateAbortRef.current?.abort();
+    setStreamedTracks([]);
+  };
+
+  // Poll the processing jobs `jobIds` (comma-separated) and bring their
+  // tracks in the library list up to date
+  const checkProcessing = async (jobIds) => {
+    try {
+      const response = await authFetch(`${API_URL}/jobs?ids=${jobIds}`);
+      if (!response.ok) throw new Error('Failed to fetch jobs');
+      const { jobs } = await response.json();
+      const found = new Map(jobs.map((job) => [job.id, job]));
+      setProcessingJobs((current) => ({ ...current, ...Object.fromEntries(found) }));
+
+      setLibraryTracks((tracks) => tracks.map((track) => {
+        if (!isProcessing(track) || !jobIds.split(',').includes(track.processing_job_id)) return track;
+        const job = found.get(track.processing_job_id);
+        // Jobs of the in-process queue do not outlive a server restart
+        if (!job) return { ...track, processing_status: 'failed', processing_error: 'Processing was interrupted' };
+        switch (job.status) {
+          case 'completed': return { ...track, ...job.result?.track, processing_status: 'ready' };
+          case 'failed': return { ...track, processing_status: 'failed', processing_error: job.error };
+          case 'active': return { ...track, processing_status: 'processing' };
+          default: return { ...track, processing_status: 'pending' };
+        }
+      }));
+
+      if (jobs.some((job) => job.result?.track?.near_duplicates?.length > 0)) {
+        fetchDuplicates();
+      }
+    } catch (error) {
+      console.error('Error checking processing:', error);
+    }
+  };
+
+  // Process a track again after its processing failed
+  const handleRetryProcessing = async (track) => {
+    try {
+      const response = await authFetch(`${API_URL}/tracks/${track.id}/analyze`, { method: 'POST' });
+      if (!response.ok) throw new Error('Failed to retry processing.');
+      const queued = await response.json();
+      setLibraryTracks((tracks) => tracks.map((other) => (other.id === track.id ? queued.track : other)));
     } catch (error) {
-      console.error('Error generating playlist:', error);
-      showNotification('Error generating playlist.', 'error');
-    } finally {
-      setLoading(false);
+      console.error('Error retrying processing:', error);
+      showNotification(error.message, 'error');
     }
   };
 
@@ -189,7 +1731,7 @@ const App = () => {
 
     setDeletingId(trackId);
     try {
-      const response = await fetch(`${API_URL}/tracks/${trackId}`, {
+      const response = await authFetch(`${API_URL}/tracks/${trackId}`, {
         method: 'DELETE',
       });
 
@@ -197,9 +1739,12 @@ const App = () => {
         throw new Error('Failed to delete the track.');
       }
 
-      // Refresh all relevant data after deletion
+      // Drop it from the loaded pages rather than starting the list over
+      setLibraryTracks((tracks) => tracks.filter((track) => track.id !== trackId));
+      setLibraryTotal((total) => (total === null ? null : total - 1));
+
+      // Refresh the other data that may include it
       await Promise.all([
-        fetchTracks(),
         fetchPlaylists(),
         fetchTopTracks()
       ]);
@@ -215,13 +1760,13 @@ const App = () => {
   const handleDeletePlaylist = async (playlistId, playlistName) => {
     if (deletingId) return; // Prevent multiple deletions at once
 
-    if (!window.confirm(`Are you sure you want to delete the playlist with mood "${playlistName}"? This action cannot be undone.`)) {
+    if (!window.confirm(`Are you sure you want to delete the playlist "${playlistName}"? This action cannot be undone.`)) {
       return;
     }
 
     setDeletingId(playlistId);
     try {
-      const response = await fetch(`${API_URL}/playlists/${playlistId}`, {
+      const response = await authFetch(`${API_URL}/playlists/${playlistId}`, {
         method: 'DELETE',
       });
 
@@ -238,6 +1783,156 @@ const App = () => {
     }
   };
 
+  // Download a playlist file, or a ZIP with the audio files when `option` ends
+  // in ":bundle". Playlist files create a share link, so they are POSTed for.
+  const handleExportPlaylist = async (playlist, option) => {
+    const [format, bundle] = option.split(':');
+    try {
+      const response = bundle
+        ? await authFetch(`${API_URL}/playlists/${playlist.id}/export?format=${format}&bundle=true`)
+        : await authFetch(`${API_URL}/playlists/${playlist.id}/export`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ format }),
+        });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to export the playlist.');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${(playlist.name || playlist.mood_prompt || 'playlist').replace(/[\\/:*?"<>|]+/g, '_')}.${bundle ? 'zip' : format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting playlist:', error);
+      showNotification(error.message, 'error');
+    }
+  };
+
+  // Import an M3U8, XSPF or JSPF file, matching its entries to library tracks
+  const handleImportPlaylist = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('playlist', file);
+
+    try {
+      const response = await authFetch(`${API_URL}/playlists/import`, {
+        method: 'POST',
+        body: formData,
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to import the playlist.');
+      }
+
+      await fetchPlaylists();
+      const missing = data.matches.filter(m => !m.track_id).length;
+      showNotification(
+        missing > 0
+          ? `Imported "${data.playlist.name}"; ${missing} of ${data.matches.length} entries matched no track in the library.`
+          : `Imported "${data.playlist.name}".`,
+        'success'
+      );
+    } catch (error) {
+      console.error('Error importing playlist:', error);
+      showNotification(error.message, 'error');
+    } finally {
+      if (importInputRef.current) {
+        importInputRef.current.value = '';
+      }
+    }
+  };
+
+  // Create an empty playlist and open it in the editor
+  const handleCreatePlaylist = async () => {
+    if (!newPlaylistName.trim()) {
+      showNotification('Please enter a playlist name.', 'error');
+      return;
+    }
+
+    try {
+      const response = await authFetch(`${API_URL}/playlists`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: newPlaylistName }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create the playlist.');
+      }
+      setPlaylists((list) => [data, ...list]);
+      setEditingPlaylistId(data.id);
+      setNewPlaylistName('');
+    } catch (error) {
+      console.error('Error creating playlist:', error);
+      showNotification(error.message, 'error');
+    }
+  };
+
+  // Send one editor change to /api/playlists/:id{path} and swap in the result
+  const handleEditPlaylist = async (playlistId, path, method, body) => {
+    try {
+      const response = await authFetch(`${API_URL}/playlists/${playlistId}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update the playlist.');
+      }
+      setPlaylists((list) => list.map((p) => (p.id === data.id ? data : p)));
+    } catch (error) {
+      console.error('Error editing playlist:', error);
+      showNotification(error.message, 'error');
+    }
+  };
+
+  // Call /api/playlists/:id/shares{path}; resolves to the reply or null
+  const handleShareRequest = async (playlistId, path, method, body) => {
+    try {
+      const response = await authFetch(`${API_URL}/playlists/${playlistId}/shares${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update share links.');
+      }
+      return data;
+    } catch (error) {
+      console.error('Error managing share links:', error);
+      showNotification(error.message, 'error');
+      return null;
+    }
+  };
+
+  const copyToClipboard = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      showNotification('Copied to clipboard.', 'success');
+    } catch {
+      showNotification('Could not copy; select the text and copy it instead.', 'error');
+    }
+  };
+
   const handlePlayPlaylist = (playlist) => {
     // The data from GET /api/playlists has a different structure than the one from generation.
     // We need to reformat it to match what the player component expects.
@@ -253,72 +1948,276 @@ const App = () => {
 
 
     setCurrentPlaylist({ ...playlist, tracks: formattedTracks });
-    setCurrentTrackIndex(0);
+    setRadioMood(null);
+    setQueue((q) => createQueue(formattedTracks, { shuffle: q.shuffle, repeat: q.repeat }));
     setActiveTab('player');
   };
 
+  // Ask the server for the next radio tracks
+  const fetchRadioTracks = async (mood, history) => {
+    const response = await authFetch(`${API_URL}/radio/next`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ mood, history, count: RADIO_BATCH_SIZE }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load radio tracks.');
+    return data.tracks;
+  };
+
+  // Start an endless station for the mood prompt
+  const startRadio = async () => {
+    if (!moodPrompt.trim()) {
+      showNotification('Please enter a mood prompt.', 'error');
+      return;
+    }
+
+    try {
+      const mood = moodPrompt.trim();
+      const tracks = await fetchRadioTracks(mood, []);
+      setCurrentPlaylist(null);
+      setRadioMood(mood);
+      // Radio never runs out, so repeating makes no sense
+      setQueue((q) => createQueue(tracks, { shuffle: false, repeat: 'off' }));
+      setActiveTab('player');
+    } catch (error) {
+      console.error('Error starting radio:', error);
+      showNotification(error.message, 'error');
+    }
+  };
+
+  // Queue a library track after the current one, or at the end
+  const handleQueueTrack = (track, mode) => {
+    setQueue((q) => (mode === 'next' ? playNext(q, track) : addToQueue(q, track)));
+    showNotification(`"${getTrackTitle(track)}" ${mode === 'next' ? 'will play next' : 'added to the queue'}.`, 'success');
+  };
+
   // Audio playback controls
   const togglePlayPause = () => {
-    if (audioRef.current) {
-      if (audioRef.current.paused) {
-        audioRef.current.play().catch(e => console.error("Playback error:", e));
+    const engine = engineRef.current;
+    if (engine) {
+      if (engine.isPlaying) {
+        engine.pause();
       } else {
-        audioRef.current.pause();
+        engine.play().catch(e => console.error("Playback error:", e));
       }
     }
   };
 
+  // Tell the engine which track follows the one it is playing, so it can
+  // preload it and schedule the transition
+  const queueNextTrack = () => {
+    const q = queueRef.current;
+    const index = nextIndex(q, { auto: true });
+    nextIndexRef.current = index;
+    engineRef.current?.setNext(index === null ? null : q.items[index].track);
+  };
+
   const playNextTrack = () => {
-    if (isLooping && currentPlaylist && currentTrackIndex === currentPlaylist.tracks.length - 1) {
-      setCurrentTrackIndex(0);
-    } else if (currentPlaylist && currentTrackIndex < currentPlaylist.tracks.length - 1) {
-      setCurrentTrackIndex(prevIndex => prevIndex + 1);
-    }
+    setQueue((q) => jumpTo(q, nextIndex(q)));
   };
 
-  const handleTimeUpdate = () => {
-    if (audioRef.current) {
-      setTrackProgress({
-        currentTime: audioRef.current.currentTime,
-        duration: audioRef.current.duration,
-      });
+  // Go back a track, or restart the current one when it has played a while
+  const playPreviousTrack = () => {
+    const engine = engineRef.current;
+    const index = previousIndex(queue);
+    if (engine && (index === null || engine.getProgress().currentTime > 3)) {
+      playTrackerRef.current?.restart(engine.getProgress().currentTime);
+      engine.seek(0);
+      setTrackProgress(engine.getProgress());
+    } else {
+      setQueue((q) => jumpTo(q, index));
     }
   };
 
-  const handleLoadedMetadata = () => {
-    if (audioRef.current) {
-      setTrackProgress({
-        currentTime: audioRef.current.currentTime,
-        duration: audioRef.current.duration,
-      });
+  const seekTo = (seconds) => {
+    if (engineRef.current) {
+      engineRef.current.seek(seconds);
+      setTrackProgress(engineRef.current.getProgress());
     }
   };
 
-  const handleTrackEnded = () => {
-    playNextTrack();
-  };
+  // Create the playback engine once; it outlives tab changes
+  useEffect(() => {
+    const tracker = createPlayTracker({
+      send: async (events, { keepalive }) => {
+        if (!sessionRef.current) return;
+        const response = await authFetch(`${API_URL}/plays`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ events }),
+          keepalive,
+        });
+        // Only server errors are worth retrying
+        if (response.status >= 500) throw new Error('Failed to record play events.');
+      },
+    });
+    playTrackerRef.current = tracker;
+
+    const engine = createAudioEngine({
+      getUrl: (track) => `${API_URL}/tracks/stream/${track.id}`,
+      fetchAudio: (url) => authFetch(url),
+      // Long tracks play through an <audio> element, which cannot send our
+      // Authorization header: it gets a signed URL instead
+      getStreamUrl: async (track) => {
+        const response = await authFetch(`${API_URL}/tracks/${track.id}/stream-url`, { method: 'POST' });
+        if (!response.ok) throw new Error(`Failed to load track (${response.status})`);
+        return (await response.json()).url;
+      },
+      getGain: (track) => normalizationGain(track, normalizationOptions(queueRef.current, track)),
+      onAdvance: (track) => {
+        // The engine moved on by itself (gapless or crossfade)
+        const q = queueRef.current;
+        const index = nextIndexRef.current;
+        tracker.complete(currentItem(q)?.track.duration);
+        tracker.begin(track, { playlistId: currentPlaylistRef.current?.id });
+        loadedKeyRef.current = q.items[index]?.key;
+        setQueue((q) => jumpTo(q, index));
+      },
+      onEnded: () => {
+        tracker.complete(currentItem(queueRef.current)?.track.duration);
+      },
+      onStateChange: (playing) => {
+        isPlayingRef.current = playing;
+        setIsPlaying(playing);
+      },
+      onError: (error) => {
+        console.error('Audio playback error:', error);
+        showNotification('Could not play this track.', 'error');
+      },
+    });
+    engineRef.current = engine;
+
+    // Deliver what is left when the page is hidden or closed
+    const flushOnHide = () => {
+      if (document.visibilityState === 'hidden') tracker.flush({ keepalive: true });
+    };
+    document.addEventListener('visibilitychange', flushOnHide);
 
-  const handleAudioError = (e) => {
-    console.error('%c[DEBUG] Audio Element Error Event:', 'color: red', e.target.error);
-  };
+    return () => {
+      document.removeEventListener('visibilitychange', flushOnHide);
+      tracker.destroy();
+      engine.destroy();
+    };
+  }, []);
 
-  const handleCanPlay = () => {
-    console.log(`%c[DEBUG] handleCanPlay fired. isPlaying=${isPlaying}. Ready to play: ${audioRef.current.currentSrc}`, 'color: green');
-    // This event fires when the browser has loaded the new track and is ready.
-    // Now it's safe to command it to play.
-    if (isPlaying && audioRef.current) {
-      audioRef.current.play().catch((error) => {
-        // Catch potential AbortError if user interacts quickly
-        if (error.name !== 'AbortError') console.error("Audio play error:", error);
+  // Load the current queue entry when it changes from outside the engine,
+  // and keep the engine's idea of the next track up to date
+  useEffect(() => {
+    queueRef.current = queue;
+    currentPlaylistRef.current = currentPlaylist;
+    const item = currentItem(queue);
+    if (!engineRef.current) return;
+
+    if (item && item.key !== loadedKeyRef.current) {
+      loadedKeyRef.current = item.key;
+      playTrackerRef.current?.begin(item.track, {
+        playlistId: currentPlaylistRef.current?.id,
+        position: engineRef.current.getProgress().currentTime,
       });
+      setTrackProgress({ currentTime: 0, duration: item.track.duration || 0 });
+      engineRef.current.load(item.track, { autoplay: isPlayingRef.current });
     }
-  };
+    queueNextTrack();
+  }, [queue]);
+
+  // Keep the radio queue topped up so the engine always has a next track
+  useEffect(() => {
+    radioMoodRef.current = radioMood;
+    if (!radioMood || radioRequestRef.current) return;
+    if (queue.items.length - queue.index - 1 >= RADIO_LOOKAHEAD) return;
+
+    const history = queue.items.map((item) => item.track.id).slice(-RADIO_HISTORY);
+    radioRequestRef.current = fetchRadioTracks(radioMood, history)
+      .then((tracks) => {
+        if (radioMoodRef.current === radioMood) {
+          setQueue((q) => tracks.reduce(addToQueue, q));
+        }
+      })
+      .catch((error) => {
+        console.error('Error extending radio:', error);
+        showNotification(error.message, 'error');
+      })
+      .finally(() => {
+        radioRequestRef.current = null;
+      });
+  }, [queue, radioMood]);
+
+  useEffect(() => {
+    engineRef.current?.setTransitionSettings(transitionSettings);
+    localStorage.setItem(TRANSITION_SETTINGS_KEY, JSON.stringify(transitionSettings));
+  }, [transitionSettings]);
+
+  // Poll the engine for the progress bar while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+    const interval = setInterval(() => setTrackProgress(engineRef.current.getProgress()), 250);
+    return () => clearInterval(interval);
+  }, [isPlaying]);
+
+  useEffect(() => {
+    sessionRef.current = session;
+    if (session) {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(SESSION_KEY);
+    }
+  }, [session]);
+
+  useEffect(() => {
+    workspaceIdRef.current = workspaceId;
+    if (workspaceId) {
+      localStorage.setItem(WORKSPACE_KEY, workspaceId);
+    } else {
+      localStorage.removeItem(WORKSPACE_KEY);
+    }
+  }, [workspaceId]);
+
+  const userId = session?.user?.id;
+  useEffect(() => {
+    if (userId) fetchWorkspaces();
+  }, [userId]);
 
+  // Load the current workspace's library
+  const workspaceReady = Boolean(userId && currentWorkspace);
   useEffect(() => {
-    fetchTracks();
+    if (!workspaceReady) return;
     fetchTopTracks();
     fetchPlaylists();
-  }, []);
+    fetchMembers();
+    fetchDuplicates();
+  }, [workspaceReady, workspaceId]);
+
+  // Reload the library list when the search or filters change, once typing pauses
+  useEffect(() => {
+    if (!workspaceReady) return;
+    const timer = setTimeout(fetchTracks, 300);
+    return () => clearTimeout(timer);
+  }, [workspaceReady, workspaceId, libraryQuery]);
+
+  // Check on tracks still being processed every few seconds until they are
+  // ready or have failed
+  const processingJobIds = libraryTracks
+    .filter((track) => isProcessing(track) && track.processing_job_id)
+    .slice(0, 100)
+    .map((track) => track.processing_job_id)
+    .join(',');
+  useEffect(() => {
+    if (!processingJobIds) return;
+    const timer = setTimeout(() => checkProcessing(processingJobIds), PROCESSING_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [processingJobIds, processingJobs]);
+
+  // Stats change with every play, so reload them whenever the tab opens
+  useEffect(() => {
+    if (!workspaceReady || activeTab !== 'stats') return;
+    fetchPlayStats();
+    fetchTopTracks();
+  }, [workspaceReady, workspaceId, activeTab, statsFilters]);
 
   const moodSuggestions = [
     'Calm focus for work',
@@ -331,13 +2230,13 @@ const App = () => {
 
   // --- Media Session API Integration ---
   useEffect(() => {
-    const track = currentPlaylist?.tracks[currentTrackIndex];
+    const track = currentItem(queue)?.track;
 
     if ('mediaSession' in navigator && track) {
       navigator.mediaSession.metadata = new MediaMetadata({
-        title: track.original_name,
-        artist: 'Mood DJ', // You can replace this with actual artist data if available
-        album: currentPlaylist.mood_prompt,
+        title: getTrackTitle(track),
+        artist: getTrackArtist(track) || 'Mood DJ',
+        album: track.album || currentPlaylist?.name || currentPlaylist?.mood_prompt || '',
         artwork: [
           // You can add multiple sizes. The browser will pick the best one.
           // Using a generic icon for now.
@@ -350,7 +2249,13 @@ const App = () => {
       navigator.mediaSession.setActionHandler('play', () => togglePlayPause());
       navigator.mediaSession.setActionHandler('pause', () => togglePlayPause());
       navigator.mediaSession.setActionHandler('nexttrack', () => playNextTrack());
-      // You can also add 'previoustrack' if you implement that functionality
+      navigator.mediaSession.setActionHandler('previoustrack', () => playPreviousTrack());
+      navigator.mediaSession.setActionHandler('seekto', (details) => seekTo(details.seekTime));
+      navigator.mediaSession.setActionHandler('seekbackward', (details) =>
+        seekTo(Math.max(0, engineRef.current.getProgress().currentTime - (details.seekOffset || 10))));
+      navigator.mediaSession.setActionHandler('seekforward', (details) =>
+        seekTo(engineRef.current.getProgress().currentTime + (details.seekOffset || 10)));
+      navigator.mediaSession.playbackState = isPlaying ? 'playing' : 'paused';
     }
 
     // Cleanup function to clear the metadata when the component unmounts or track changes
@@ -359,7 +2264,18 @@ const App = () => {
         navigator.mediaSession.metadata = null;
       }
     };
-  }, [currentPlaylist, currentTrackIndex, isPlaying]);
+  }, [currentPlaylist, queue, isPlaying]);
+
+  // Keep the lock screen / notification scrubber in sync
+  useEffect(() => {
+    if ('mediaSession' in navigator && navigator.mediaSession.setPositionState && trackProgress.duration > 0) {
+      navigator.mediaSession.setPositionState({
+        duration: trackProgress.duration,
+        position: Math.min(trackProgress.currentTime, trackProgress.duration),
+        playbackRate: 1,
+      });
+    }
+  }, [trackProgress]);
 
   const formatTime = (timeInSeconds) => {
     if (isNaN(timeInSeconds) || timeInSeconds === 0) return '0:00';
@@ -368,30 +2284,39 @@ const App = () => {
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   };
 
+  // What normalization does to the current track, shown in the player
+  const normalizedTrackGain = (() => {
+    const track = currentItem(queue)?.track;
+    const options = normalizationOptions(queue, track);
+    const db = normalizationDb(track, options);
+    return db == null ? null : { db, album: options.album && track.album_loudness != null };
+  })();
+
   const handleSeek = (event) => {
-    if (audioRef.current) {
-      audioRef.current.currentTime = event.target.value;
-    }
+    seekTo(Number(event.target.value));
   };
 
-  const currentTrackUrl = currentPlaylist ? `${API_URL}/tracks/stream/${currentPlaylist.tracks[currentTrackIndex]?.id}` : null;
-  console.log(`%c[DEBUG] Component rendering. Current track URL: ${currentTrackUrl}`, 'color: cyan');
+  if (!session) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 text-white p-4 sm:p-6">
+        <Notification
+          message={notification.message}
+          type={notification.type}
+          onDismiss={() => setNotification({ message: '', type: '' })}
+        />
+        <div className="text-center mb-6 sm:mb-8">
+          <h1 className="text-4xl sm:text-5xl font-bold mb-2 bg-gradient-to-r from-pink-400 to-purple-400 bg-clip-text text-transparent">
+            Music Mood DJ
+          </h1>
+          <p className="text-blue-200">AI-Powered Playlist Generation</p>
+        </div>
+        <SignIn apiUrl={API_URL} onSignedIn={setSession} />
+      </div>
+    );
+  }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 text-white p-4 sm:p-6">
-      {/* Persistent Audio Element - moved to top level to prevent unmounting on tab change */}
-      <audio
-        ref={audioRef}
-        onEnded={handleTrackEnded}
-        onPlay={() => setIsPlaying(true)}
-        onPause={() => setIsPlaying(false)}
-        onError={handleAudioError}
-        onTimeUpdate={handleTimeUpdate}
-        onLoadedMetadata={handleLoadedMetadata}
-        onCanPlay={handleCanPlay}
-        src={currentTrackUrl || ''}
-        hidden // The UI is handled by the player tab, this element is just for playback
-      />
       <Notification 
         message={notification.message} 
         type={notification.type}
@@ -400,6 +2325,27 @@ const App = () => {
       
       <div className="max-w-6xl mx-auto flex flex-col flex-grow">
         {/* Header */}
+        <div className="flex justify-end items-center gap-3 text-sm text-blue-200">
+          {workspaces.length > 0 && (
+            <select
+              value={workspaceId || ''}
+              onChange={(e) => switchWorkspace(e.target.value)}
+              className="px-2 py-1 rounded-lg bg-purple-900/50 border border-purple-500 text-white"
+              aria-label="Workspace"
+            >
+              {workspaces.map((w) => (
+                <option key={w.id} value={w.id}>{w.name} ({w.role})</option>
+              ))}
+            </select>
+          )}
+          <span className="truncate">{session.user.email}</span>
+          <button
+            onClick={() => signOut()}
+            className="px-3 py-1 rounded-lg bg-purple-900/30 hover:bg-purple-800/50 transition-colors flex items-center gap-1"
+          >
+            <LogOut size={16} /> Sign Out
+          </button>
+        </div>
         <div className="text-center mb-6 sm:mb-8">
           <h1 className="text-4xl sm:text-5xl font-bold mb-2 bg-gradient-to-r from-pink-400 to-purple-400 bg-clip-text text-transparent">
             Music Mood DJ
@@ -409,7 +2355,7 @@ const App = () => {
 
         {/* Navigation Tabs */}
         <div className="flex justify-center flex-wrap gap-2 sm:gap-4 mb-6">
-          {['upload', 'generate', 'player', 'playlists', 'stats'].map((tab) => (
+          {['upload', 'generate', 'player', 'playlists', 'stats', 'team'].map((tab) => (
             <button
               key={tab}
               onClick={() => setActiveTab(tab)}
@@ -432,11 +2378,12 @@ const App = () => {
               <h2 className="text-2xl font-bold">Upload Music</h2>
             </div>
             
+            {can('tracks:write') ? (
             <div className="border-2 border-dashed border-purple-400 rounded-xl p-8 sm:p-12 text-center hover:border-pink-400 transition-colors">
               <input
                 ref={fileInputRef}
                 type="file"
-                accept="audio/mp3,audio/wav,audio/*"
+                accept="audio/*,.mp3,.wav,.flac,.m4a,.aac,.ogg,.oga,.opus"
                 multiple
                 onChange={handleFileUpload}
                 className="hidden"
@@ -447,37 +2394,95 @@ const App = () => {
                 <p className="text-xl mb-2">
                   {uploading ? 'Uploading...' : 'Click to upload music files'}
                 </p>
-                <p className="text-sm text-blue-300">MP3 or WAV format</p>
+                <p className="text-sm text-blue-300">MP3, WAV, FLAC, AAC/M4A, Ogg Vorbis or Opus</p>
               </label>
             </div>
+            ) : (
+              <p className="text-blue-200">
+                Listeners can play and generate from this library; ask a curator or owner to add music.
+              </p>
+            )}
+
+            {uploadItems.length > 0 && (
+              <UploadProgress
+                items={uploadItems}
+                onRetry={retryUpload}
+                onDiscard={discardUploadItem}
+                onClear={() => setUploadItems((items) => items.filter((item) => item.status !== 'done' && item.status !== 'duplicate'))}
+              />
+            )}
+
+            {duplicateGroups.length > 0 && (
+              <div className="mt-8">
+                <h3 className="text-xl font-semibold mb-4 flex items-center">
+                  <AlertTriangle className="mr-2 text-yellow-400" size={20} />
+                  Possible Duplicates ({duplicateGroups.length})
+                </h3>
+                <div className="space-y-2">
+                  {duplicateGroups.map((group) => (
+                    <DuplicateGroup
+                      key={group.tracks.map((track) => track.id).join()}
+                      group={group}
+                      canEdit={can('tracks:write')}
+                      onMerge={handleMergeDuplicates}
+                      onDismiss={handleDismissDuplicates}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
 
             {/* Track List */}
             <div className="mt-8">
               <div className="flex justify-between items-center mb-4">
-                <h3 className="text-xl font-semibold">Your Music Library ({libraryTracks.length} tracks)</h3>
+                <h3 className="text-xl font-semibold">
+                  Your Music Library{libraryTotal !== null && ` (${libraryTotal} ${isLibraryFiltered(libraryQuery) ? 'matching' : 'tracks'})`}
+                </h3>
                 <button onClick={fetchTracks} disabled={refreshing} className="p-2 rounded-full hover:bg-purple-800/50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed" title="Refresh Library">
                   <RefreshCw className={`w-5 h-5 ${refreshing ? 'animate-spin' : ''}`} />
                 </button>
               </div>
-              <div className="space-y-2 max-h-64 overflow-y-auto">
-                {libraryTracks.map((track, index) => (
-                  <div key={track.id || index} className="bg-purple-900/30 p-3 rounded-lg flex justify-between items-center gap-4">
+              <LibraryFilters query={libraryQuery} onChange={setLibraryQuery} />
+              <VirtualList
+                key={libraryQueryString(libraryQuery)}
+                items={libraryTracks}
+                rowHeight={LIBRARY_ROW_HEIGHT}
+                maxHeight={LIBRARY_ROW_HEIGHT * 5}
+                onEndReached={fetchMoreTracks}
+                renderRow={(track) => (
+                  <div className="h-full bg-purple-900/30 p-3 rounded-lg flex justify-between items-center gap-4">
                     <div className="flex-1 truncate">
-                      <p className="truncate">{track.original_name || track.filename}</p>
+                      <p className="truncate">{getTrackTitle(track)}</p>
+                      {getTrackSubtitle(track) && (
+                        <p className="text-sm text-blue-200 truncate">{getTrackSubtitle(track)}</p>
+                      )}
                       <p className="text-xs text-purple-300">
-                        Used {track.selection_count || 0} times
+                        {track.duration ? `${formatTime(track.duration)} · ` : ''}Used {track.selection_count || 0} times
+                        {track.processing_status && track.processing_status !== 'ready' && ' · '}
+                        <ProcessingState
+                          track={track}
+                          job={processingJobs[track.processing_job_id]}
+                          onRetry={can('tracks:write') ? () => handleRetryProcessing(track) : null}
+                        />
                       </p>
                     </div>
-                    <button 
-                      onClick={() => handleDeleteTrack(track.id, track.original_name)}
-                      disabled={deletingId === track.id}
-                      className="p-2 text-red-400 hover:text-red-300 hover:bg-red-500/20 rounded-full transition-colors disabled:opacity-50"
-                    >
-                      {deletingId === track.id ? <Loader2 className="w-5 h-5 animate-spin" /> : <Trash2 className="w-5 h-5" />}
-                    </button>
+                    <QueueButtons track={track} onQueue={handleQueueTrack} />
+                    {can('tracks:write') && (
+                      <button 
+                        onClick={() => handleDeleteTrack(track.id, getTrackTitle(track))}
+                        disabled={deletingId === track.id}
+                        className="p-2 text-red-400 hover:text-red-300 hover:bg-red-500/20 rounded-full transition-colors disabled:opacity-50"
+                      >
+                        {deletingId === track.id ? <Loader2 className="w-5 h-5 animate-spin" /> : <Trash2 className="w-5 h-5" />}
+                      </button>
+                    )}
                   </div>
-                ))}
-              </div>
+                )}
+              />
+              {loadingMoreTracks && <Loader2 className="mx-auto mt-2 animate-spin text-purple-300" size={20} />}
+              {libraryTotal === 0 && isLibraryFiltered(libraryQuery) && (
+                <p className="text-center text-purple-300 py-4">No tracks match your search and filters.</p>
+              )}
             </div>
           </div>
         )}
@@ -518,7 +2523,7 @@ const App = () => {
 
             <button
               onClick={generatePlaylist}
-              disabled={loading || libraryTracks.length === 0}
+              disabled={loading || libraryEmpty}
               className="w-full py-4 bg-gradient-to-r from-pink-500 to-purple-600 rounded-lg font-bold text-lg hover:from-pink-600 hover:to-purple-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
             >
               {loading ? (
@@ -534,7 +2539,46 @@ const App = () => {
               )}
             </button>
 
-            {libraryTracks.length === 0 && (
+            <button
+              onClick={startRadio}
+              disabled={loading || libraryEmpty}
+              className="w-full mt-3 py-3 bg-purple-800/60 border border-purple-500 rounded-lg font-bold hover:bg-purple-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+            >
+              <Radio className="mr-2" size={20} />
+              Start Mood Radio
+            </button>
+
+            {loading && (
+              <div className="mt-6">
+                <div className="flex items-center justify-between mb-3">
+                  <p className="text-sm text-blue-300">{generationStatus}</p>
+                  <button
+                    onClick={cancelGeneration}
+                    className="px-3 py-1 bg-red-500/80 rounded-lg text-sm hover:bg-red-600 transition-colors flex items-center"
+                  >
+                    <X className="mr-1" size={16} />
+                    Cancel
+                  </button>
+                </div>
+                <div className="space-y-2">
+                  {streamedTracks.map((track) => (
+                    <div key={track.id} className="p-3 bg-purple-900/30 rounded-lg animate-fade-in-down">
+                      <p className="font-medium truncate">
+                        {track.position}. {getTrackTitle(track)}
+                      </p>
+                      {getTrackSubtitle(track) && (
+                        <p className="text-sm text-blue-200 truncate">{getTrackSubtitle(track)}</p>
+                      )}
+                      {track.reason && (
+                        <p className="text-xs text-purple-300 mt-1">{track.reason}</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {libraryEmpty && (
               <p className="text-yellow-300 text-center mt-4">
                 Please upload some tracks first!
               </p>
@@ -550,13 +2594,18 @@ const App = () => {
               <h2 className="text-2xl font-bold">Now Playing</h2>
             </div>
 
-            {currentPlaylist ? (
+            {queue.items.length > 0 ? (
               <div>
                 <div className="bg-purple-900/50 rounded-xl p-6 mb-6">
-                  <p className="text-sm text-purple-300 mb-2">Mood: {currentPlaylist.mood_prompt}</p>
-                  <h3 className="text-xl font-bold mb-4">
-                    {currentPlaylist.tracks[currentTrackIndex]?.original_name || 'No track'}
+                  <p className="text-sm text-purple-300 mb-2">
+                    {currentPlaylist ? getPlaylistTitle(currentPlaylist) : radioMood ? `Radio: "${radioMood}"` : 'Queue'}
+                  </p>
+                  <h3 className="text-xl font-bold">
+                    {currentItem(queue) ? getTrackTitle(currentItem(queue).track) : 'No track'}
                   </h3>
+                  <p className="text-blue-200 mb-4">
+                    {getTrackSubtitle(currentItem(queue)?.track)}
+                  </p>
                   
                   {/* Custom Progress Bar */}
                   <div className="my-4">
@@ -577,6 +2626,20 @@ const App = () => {
 
                   {/* Playback Controls */}
                   <div className="flex justify-center items-center space-x-4">
+                    <button
+                      onClick={() => setQueue((q) => setShuffle(q, !q.shuffle))}
+                      className={`p-4 rounded-full hover:bg-purple-700 transition-colors ${queue.shuffle ? 'bg-green-600 text-white' : 'bg-purple-600'}`}
+                      title={queue.shuffle ? "Disable Shuffle" : "Shuffle (favours higher-weighted tracks)"}
+                    >
+                      <Shuffle size={24} />
+                    </button>
+                    <button
+                      onClick={playPreviousTrack}
+                      className="p-4 bg-purple-600 rounded-full hover:bg-purple-700 transition-colors"
+                      title="Previous"
+                    >
+                      <SkipBack size={24} />
+                    </button>
                     <button
                       onClick={togglePlayPause}
                       className="p-4 bg-purple-600 rounded-full hover:bg-purple-700 transition-colors"
@@ -585,55 +2648,106 @@ const App = () => {
                     </button>
                     <button
                       onClick={playNextTrack}
-                      disabled={!isLooping && currentTrackIndex >= currentPlaylist.tracks.length - 1}
+                      disabled={nextIndex(queue) === null}
                       className="p-4 bg-purple-600 rounded-full hover:bg-purple-700 transition-colors disabled:opacity-50"
+                      title="Next"
                     >
                       <SkipForward size={24} />
                     </button>
                     <button
-                      onClick={() => setIsLooping(!isLooping)}
-                      className={`p-4 rounded-full hover:bg-purple-700 transition-colors ${isLooping ? 'bg-green-600 text-white' : 'bg-purple-600'}`}
-                      title={isLooping ? "Disable Playlist Loop" : "Enable Playlist Loop"}
+                      onClick={() => setQueue(cycleRepeat)}
+                      className={`p-4 rounded-full hover:bg-purple-700 transition-colors ${queue.repeat !== 'off' ? 'bg-green-600 text-white' : 'bg-purple-600'}`}
+                      title={{ off: 'Repeat All', all: 'Repeat One', one: 'Disable Repeat' }[queue.repeat]}
                     >
-                      <Repeat size={24} />
+                      {queue.repeat === 'one' ? <Repeat1 size={24} /> : <Repeat size={24} />}
                     </button>
                   </div>
 
                   <p className="text-center mt-4 text-sm text-purple-300">
-                    Track {currentTrackIndex + 1} of {currentPlaylist.tracks.length}
+                    {radioMood ? (
+                      <>
+                        Radio keeps adding tracks for this mood ·{' '}
+                        <button onClick={() => setRadioMood(null)} className="underline hover:text-white">
+                          Stop radio
+                        </button>
+                      </>
+                    ) : (
+                      `Track ${queue.index + 1} of ${queue.items.length}`
+                    )}
                   </p>
-                </div>
 
-                {/* Playlist Queue */}
-                <div>
-                  <h4 className="font-semibold mb-3">Up Next</h4>
-                  <div className="space-y-2">
-                    {currentPlaylist.tracks.map((track, index) => (
-                      <div
-                        key={track.id || index}
-                        onClick={() => setCurrentTrackIndex(index)}
-                        className={`p-3 rounded-lg cursor-pointer transition-colors ${
-                          index === currentTrackIndex
-                            ? 'bg-purple-600'
-                            : 'bg-purple-900/30 hover:bg-purple-800/50'
-                        }`}
+                  {/* Transition Settings */}
+                  <div className="mt-6 pt-4 border-t border-purple-700/50 grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+                    <label className="flex flex-col gap-1">
+                      <span className="text-purple-300">
+                        Crossfade: {transitionSettings.crossfade > 0 ? `${transitionSettings.crossfade}s` : 'off (gapless)'}
+                      </span>
+                      <input
+                        type="range"
+                        min="0"
+                        max="12"
+                        step="1"
+                        value={transitionSettings.crossfade}
+                        onChange={(e) => setTransitionSettings({ ...transitionSettings, crossfade: Number(e.target.value) })}
+                        className="w-full h-1 bg-gray-700 rounded-lg appearance-none cursor-pointer range-sm"
+                      />
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      <span className="text-purple-300">Fade curve</span>
+                      <select
+                        value={transitionSettings.curve}
+                        onChange={(e) => setTransitionSettings({ ...transitionSettings, curve: e.target.value })}
+                        disabled={transitionSettings.crossfade === 0}
+                        className="p-1 rounded bg-purple-900/50 border border-purple-600 text-white disabled:opacity-50"
                       >
-                        <div className="flex justify-between items-center">
-                          <span className="truncate">{track.original_name}</span>
-                          <span className="text-sm text-purple-300">
-                            Weight: {track.weight?.toFixed(2)}
+                        {Object.entries(CROSSFADE_CURVES).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="flex items-center gap-2 sm:mt-5">
+                      <input
+                        type="checkbox"
+                        checked={transitionSettings.beatMatch}
+                        onChange={(e) => setTransitionSettings({ ...transitionSettings, beatMatch: e.target.checked })}
+                        disabled={transitionSettings.crossfade === 0}
+                      />
+                      <span className="text-purple-300">Beat-match using BPM</span>
+                    </label>
+                    <label className="flex items-center gap-2 sm:col-span-3">
+                      <input
+                        type="checkbox"
+                        checked={transitionSettings.normalize}
+                        onChange={(e) => setTransitionSettings({ ...transitionSettings, normalize: e.target.checked })}
+                      />
+                      <span className="text-purple-300">
+                        Normalize loudness
+                        {transitionSettings.normalize && normalizedTrackGain && (
+                          <span className="text-purple-400">
+                            {' '}· {formatGain(normalizedTrackGain.db)} {normalizedTrackGain.album ? 'album gain' : 'track gain'}
                           </span>
-                        </div>
-                      </div>
-                    ))}
+                        )}
+                      </span>
+                    </label>
                   </div>
                 </div>
+
+                {/* Playback Queue */}
+                <div>
+                  <h4 className="font-semibold mb-3">Queue</h4>
+                  <QueueList
+                    queue={queue}
+                    onJump={(index) => setQueue((q) => jumpTo(q, index))}
+                    onMove={(from, to) => setQueue((q) => moveItem(q, from, to))}
+                    onRemove={(index) => setQueue((q) => removeItem(q, index))}
+                  />
+                </div>
               </div>
             ) : (
               <div className="text-center py-12">
                 <Music className="mx-auto mb-4 text-purple-400" size={64} />
-                <p className="text-xl">No playlist generated yet</p>
-                <p className="text-purple-300 mt-2">Go to Generate tab to create one!</p>
+                <p className="text-xl">Nothing queued yet</p>
+                <p className="text-purple-300 mt-2">Go to Generate tab to create a playlist, or queue tracks from your library!</p>
               </div>
             )}
           </div>
@@ -645,62 +2759,153 @@ const App = () => {
 
             <div className="flex items-center mb-6">
               <Music className="mr-3 text-blue-400" size={28} />
-              <h2 className="text-2xl font-bold">Generated Playlists</h2>
+              <h2 className="text-2xl font-bold">Playlists</h2>
+            </div>
+
+            {can('playlists:write') && (
+            <div className="flex gap-2 mb-6">
+              <input
+                type="text"
+                value={newPlaylistName}
+                onChange={(e) => setNewPlaylistName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleCreatePlaylist()}
+                placeholder="New playlist name"
+                className="flex-grow p-3 rounded-lg bg-purple-900/50 border border-purple-500 focus:border-pink-400 focus:outline-none text-white placeholder-purple-300"
+              />
+              <button
+                onClick={handleCreatePlaylist}
+                className="px-4 py-2 bg-gradient-to-r from-pink-500 to-purple-600 rounded-lg font-bold hover:from-pink-600 hover:to-purple-700 transition-all flex items-center gap-2"
+              >
+                <Plus size={18} /> Create
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".m3u,.m3u8,.xspf,.jspf,.json"
+                onChange={handleImportPlaylist}
+                className="hidden"
+                id="playlist-import"
+              />
+              <label
+                htmlFor="playlist-import"
+                className="px-4 py-2 bg-purple-600 rounded-lg font-bold hover:bg-purple-700 transition-colors flex items-center gap-2 cursor-pointer"
+                title="Import an M3U8, XSPF or JSPF playlist"
+              >
+                <FileUp size={18} /> Import
+              </label>
             </div>
+            )}
+
             <div className="space-y-3 max-h-[60vh] overflow-y-auto">
               {playlists.length > 0 ? playlists.map(p => (
-                <div
-                  key={p.id}
-                  className="bg-purple-900/50 p-4 rounded-lg flex flex-col sm:flex-row justify-between items-start sm:items-center"
-                >
-                  <div>
-                    <p className="font-bold text-lg">Mood: "{p.mood_prompt}"</p>
-                    <p className="text-xs text-purple-300 mb-2">
-                      {new Date(p.created_at).toLocaleString()}
-                    </p>
-                    <ul className="list-disc list-inside text-sm pl-2">
-                      {p.playlist_tracks.slice(0, 3).map(pt => (
-                        <li key={pt.id} className="truncate">
-                          {pt.tracks.original_name}
-                        </li>
-                      ))}
-                      {p.playlist_tracks.length > 3 && (
-                        <li className="text-purple-400">
-                          ...and {p.playlist_tracks.length - 3} more
-                        </li>
+                <div key={p.id} className="bg-purple-900/50 p-4 rounded-lg">
+                  <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center">
+                    <div>
+                      <p className="font-bold text-lg">{getPlaylistTitle(p)}</p>
+                      {p.name && p.mood_prompt && (
+                        <p className="text-sm text-blue-200">Mood: "{p.mood_prompt}"</p>
                       )}
-                    </ul>
-                  </div>
-                  <div className="flex items-center gap-2 mt-3 sm:mt-0">
-                    <button
-                      onClick={() => handlePlayPlaylist(p)}
-                      className="px-4 py-2 bg-purple-600 rounded-lg text-sm font-bold hover:bg-purple-700 transition-colors flex items-center gap-2"
-                    >
-                      <Play size={16} /> Play Playlist
-                    </button>
-                    <button 
-                      onClick={() => handleDeletePlaylist(p.id, p.mood_prompt)}
-                      disabled={deletingId === p.id}
-                      className="p-2 text-red-400 hover:text-red-300 hover:bg-red-500/20 rounded-full transition-colors disabled:opacity-50"
-                      title="Delete Playlist"
-                    >
-                      {deletingId === p.id ? (
-                        <Loader2 className="w-5 h-5 animate-spin" />
-                      ) : (
-                        <Trash2 className="w-5 h-5" />
+                      <p className="text-xs text-purple-300 mb-2">
+                        {new Date(p.created_at).toLocaleString()}
+                      </p>
+                      <ul className="list-disc list-inside text-sm pl-2">
+                        {p.playlist_tracks.slice(0, 3).map(pt => (
+                          <li key={pt.id} className="truncate">
+                            {getTrackTitle(pt.tracks)}
+                          </li>
+                        ))}
+                        {p.playlist_tracks.length > 3 && (
+                          <li className="text-purple-400">
+                            ...and {p.playlist_tracks.length - 3} more
+                          </li>
+                        )}
+                      </ul>
+                    </div>
+                    <div className="flex items-center gap-2 mt-3 sm:mt-0">
+                      <button
+                        onClick={() => handlePlayPlaylist(p)}
+                        className="px-4 py-2 bg-purple-600 rounded-lg text-sm font-bold hover:bg-purple-700 transition-colors flex items-center gap-2"
+                      >
+                        <Play size={16} /> Play Playlist
+                      </button>
+                      <label className="relative p-2 text-blue-300 hover:text-blue-200 hover:bg-blue-500/20 rounded-full transition-colors cursor-pointer" title="Export Playlist">
+                        <Download className="w-5 h-5" />
+                        <select
+                          value=""
+                          onChange={(e) => e.target.value && handleExportPlaylist(p, e.target.value)}
+                          className="absolute inset-0 opacity-0 cursor-pointer"
+                        >
+                          <option value="">Export as...</option>
+                          {EXPORT_OPTIONS.filter(([value]) => value.endsWith(':bundle') || can('playlists:write')).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                      </label>
+                      {can('playlists:write') && (
+                        <>
+                          <button
+                            onClick={() => setSharingPlaylistId(sharingPlaylistId === p.id ? null : p.id)}
+                            className="p-2 text-blue-300 hover:text-blue-200 hover:bg-blue-500/20 rounded-full transition-colors"
+                            title="Share Playlist"
+                          >
+                            <Share2 className="w-5 h-5" />
+                          </button>
+                          <button
+                            onClick={() => setEditingPlaylistId(editingPlaylistId === p.id ? null : p.id)}
+                            className="p-2 text-blue-300 hover:text-blue-200 hover:bg-blue-500/20 rounded-full transition-colors"
+                            title="Edit Playlist"
+                          >
+                            <Pencil className="w-5 h-5" />
+                          </button>
+                          <button 
+                            onClick={() => handleDeletePlaylist(p.id, p.name || p.mood_prompt)}
+                            disabled={deletingId === p.id}
+                            className="p-2 text-red-400 hover:text-red-300 hover:bg-red-500/20 rounded-full transition-colors disabled:opacity-50"
+                            title="Delete Playlist"
+                          >
+                            {deletingId === p.id ? (
+                              <Loader2 className="w-5 h-5 animate-spin" />
+                            ) : (
+                              <Trash2 className="w-5 h-5" />
+                            )}
+                          </button>
+                        </>
                       )}
-                    </button>
+                    </div>
                   </div>
+                  {editingPlaylistId === p.id && can('playlists:write') && (
+                    <PlaylistEditor
+                      playlist={p}
+                      onEdit={(path, method, body) => handleEditPlaylist(p.id, path, method, body)}
+                      onSearchTracks={searchTracks}
+                      onClose={() => setEditingPlaylistId(null)}
+                    />
+                  )}
+                  {sharingPlaylistId === p.id && can('playlists:write') && (
+                    <SharePanel
+                      onRequest={(path, method, body) => handleShareRequest(p.id, path, method, body)}
+                      onCopy={copyToClipboard}
+                      onClose={() => setSharingPlaylistId(null)}
+                    />
+                  )}
                 </div>
               )) : (
                 <div className="text-center py-12">
                   <Sparkles className="mx-auto mb-4 text-purple-400" size={64} />
-                  <p className="text-xl">No playlists have been generated yet.</p>
+                  <p className="text-xl">No playlists yet.</p>
                   <p className="text-purple-300 mt-2">
-                    Go to the "Generate" tab to create your first AI playlist!
+                    Go to the "Generate" tab to create your first AI playlist{can('playlists:write') ? ', or create one by hand above' : ''}!
                   </p>
                 </div>
               )}
+              {playlistsCursor && (
+                <button
+                  onClick={fetchMorePlaylists}
+                  className="w-full py-2 bg-purple-900/30 rounded-lg text-sm hover:bg-purple-800/50 transition-colors"
+                >
+                  Load more playlists
+                </button>
+              )}
             </div>
           </div>
         )}
@@ -710,9 +2915,23 @@ const App = () => {
           <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 sm:p-8 shadow-2xl flex-grow">
             <div className="flex items-center mb-6">
               <TrendingUp className="mr-3 text-green-400" size={28} />
-              <h2 className="text-2xl font-bold">Top Tracks</h2>
+              <h2 className="text-2xl font-bold">Statistics</h2>
             </div>
 
+            <StatsFilters
+              key={workspaceId}
+              filters={statsFilters}
+              playlists={playlists}
+              onChange={(filters) => {
+                setPlayStats(null);
+                setStatsFilters(filters);
+              }}
+            />
+
+            <ListeningStats stats={playStats} onQueue={handleQueueTrack} />
+
+            <h3 className="text-xl font-semibold mb-4">Most Picked for Playlists</h3>
+
             <div className="space-y-3">
               {topTracks.map((track, index) => (
                 <div
@@ -722,18 +2941,22 @@ const App = () => {
                   <div className="flex items-center space-x-4">
                     <span className="text-2xl font-bold text-purple-400">#{index + 1}</span>
                     <div>
-                      <p className="font-medium">{track.original_name}</p>
+                      <p className="font-medium">{getTrackTitle(track)}</p>
+                      {getTrackArtist(track) && (
+                        <p className="text-sm text-blue-200">{getTrackArtist(track)}</p>
+                      )}
                       <p className="text-sm text-purple-300">
-                        Selected {track.selection_count} times
+                        Selected {track.selections} times
                       </p>
                     </div>
                   </div>
-                  <div className="text-right">
+                  <div className="flex items-center gap-2 text-right">
+                    <QueueButtons track={track} onQueue={handleQueueTrack} />
                     <div className="w-24 h-2 bg-purple-900 rounded-full overflow-hidden">
                       <div
                         className="h-full bg-gradient-to-r from-pink-500 to-purple-500"
                         style={{
-                          width: `${(track.selection_count / (topTracks?.[0]?.selection_count || 1)) * 100}%`
+                          width: `${(track.selections / (topTracks?.[0]?.selections || 1)) * 100}%`
                         }}
                       />
                     </div>
@@ -742,13 +2965,38 @@ const App = () => {
               ))}
               {topTracks.length === 0 && (
                 <p className="text-center text-purple-300 py-8">
-                  No statistics yet. Generate some playlists first!
+                  {statsFilters === DEFAULT_STATS_FILTERS
+                    ? 'No statistics yet. Generate some playlists first!'
+                    : 'No generated playlists match these filters.'}
                 </p>
               )}
             </div>
           </div>
         )}
 
+        {/* Team Section */}
+        {activeTab === 'team' && currentWorkspace && (
+          <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 sm:p-8 shadow-2xl flex-grow">
+            <div className="flex items-center mb-6">
+              <Users className="mr-3 text-pink-400" size={28} />
+              <h2 className="text-2xl font-bold">{currentWorkspace.name}</h2>
+              <span className="ml-3 text-sm text-purple-300">{ROLE_DESCRIPTIONS[currentWorkspace.role]}</span>
+            </div>
+
+            <WorkspacePanel
+              workspace={currentWorkspace}
+              members={members}
+              currentUserId={session.user.id}
+              onInvite={(email, role) => handleWorkspaceChange(`/${workspaceId}/members`, 'POST', { email, role }, `Invited ${email}.`)}
+              onChangeRole={(memberId, role) => handleWorkspaceChange(`/${workspaceId}/members/${memberId}`, 'PATCH', { role })}
+              onRemove={handleRemoveMember}
+              onRename={(name) => handleWorkspaceChange(`/${workspaceId}`, 'PATCH', { name })}
+              onDelete={handleDeleteWorkspace}
+              onCreate={handleCreateWorkspace}
+            />
+          </div>
+        )}
+
         {/* Footer */}
         <div className="text-center mt-auto pt-8 text-purple-300 text-sm">
           <p>Built by i-devaj</p>
@@ -0,0 +1,429 @@
+// Web Audio playback engine with gapless transitions and crossfades.
+//
+// Tracks are fetched and decoded into AudioBuffers, so the next track can be
+// scheduled on the AudioContext clock to start on the exact sample the
+// current one ends (or overlap it for a crossfade). Only the current and the
+// next track are kept in memory.
+//
+// A decoded minute of audio takes about 23 MB, so long tracks are streamed
+// through an <audio> element instead, from `getStreamUrl(track)` (a URL the
+// element can load without the app's credentials). They get normalization
+// but no gapless start or crossfade: when a streamed track is on either side
+// of a transition, the engine cuts to the next track once the current one ends.
+//
+// The app tells the engine what to play with load(track) and what follows
+// with setNext(track); the engine calls onAdvance(track) when it moves on to
+// the next track by itself and onEnded() when it runs out of tracks.
+// `fetchAudio(url)` defaults to fetch() and lets the app add credentials.
+// With the `normalize` setting on, every track plays at `getGain(track)`, a
+// linear gain (see loudness.js).
+
+export const CROSSFADE_CURVES = {
+  'equal-power': 'Equal power',
+  linear: 'Linear',
+};
+
+export const DEFAULT_TRANSITION_SETTINGS = {
+  crossfade: 0, // seconds; 0 = gapless
+  curve: 'equal-power',
+  beatMatch: true,
+  normalize: true,
+};
+
+// Never nudge the incoming track's tempo by more than this much
+const MAX_TEMPO_NUDGE = 0.06;
+// Time constant of a level change while a track plays (normalization toggled)
+const LEVEL_SMOOTHING = 0.1;
+const BEATS_PER_BAR = 4;
+const TICK_MS = 100;
+const CURVE_POINTS = 256;
+// Tracks longer than this are streamed rather than decoded whole; before
+// their duration is known, files larger than MAX_BUFFERED_BYTES are
+const MAX_BUFFERED_SECONDS = 12 * 60;
+const MAX_BUFFERED_BYTES = 30 * 1024 * 1024;
+
+const isStreamed = (track) => (track.duration
+  ? track.duration > MAX_BUFFERED_SECONDS
+  : (track.stream_size ?? track.file_size ?? 0) > MAX_BUFFERED_BYTES);
+
+const fadeCurve = (curve, direction) => {
+  const values = new Float32Array(CURVE_POINTS);
+  for (let i = 0; i < CURVE_POINTS; i++) {
+    const x = direction === 'in' ? i / (CURVE_POINTS - 1) : 1 - i / (CURVE_POINTS - 1);
+    values[i] = curve === 'linear' ? x : Math.sin((x * Math.PI) / 2);
+  }
+  return values;
+};
+
+// Playback rate that brings `inBpm` to `outBpm`, treating half- and
+// double-time as the same groove. 1 when the tempos are too far apart.
+const tempoRatio = (outBpm, inBpm) => {
+  if (!outBpm || !inBpm) return 1;
+  const ratio = [inBpm / 2, inBpm, inBpm * 2]
+    .map((bpm) => outBpm / bpm)
+    .reduce((best, r) => (Math.abs(r - 1) < Math.abs(best - 1) ? r : best));
+  return Math.abs(ratio - 1) <= MAX_TEMPO_NUDGE ? ratio : 1;
+};
+
+export const createAudioEngine = ({
+  getUrl,
+  getStreamUrl = async (track) => getUrl(track),
+  fetchAudio = (url) => fetch(url),
+  getGain = () => 1,
+  onAdvance,
+  onEnded,
+  onStateChange,
+  onError,
+}) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  const buffers = new Map(); // url -> Promise<AudioBuffer>
+
+  let settings = { ...DEFAULT_TRANSITION_SETTINGS };
+  let current = null; // voice playing now
+  let next = null; // voice scheduled to follow it
+  let nextTrack = null;
+  let loadToken = 0;
+  let destroyed = false;
+
+  const notifyState = () => onStateChange?.(context.state === 'running' && current != null && !current.ended);
+  context.onstatechange = notifyState;
+
+  const loadBuffer = (track) => {
+    const url = getUrl(track);
+    if (!buffers.has(url)) {
+      const promise = fetchAudio(url)
+        .then((response) => {
+          if (!response.ok) throw new Error(`Failed to load track (${response.status})`);
+          return response.arrayBuffer();
+        })
+        .then((data) => context.decodeAudioData(data));
+      promise.catch(() => buffers.delete(url));
+      buffers.set(url, promise);
+    }
+    return buffers.get(url);
+  };
+
+  // Drop decoded audio for everything but the current and next track
+  const pruneBuffers = () => {
+    const keep = new Set([current?.track, nextTrack].filter(Boolean).map(getUrl));
+    for (const url of buffers.keys()) {
+      if (!keep.has(url)) buffers.delete(url);
+    }
+  };
+
+  const levelFor = (track) => (settings.normalize ? getGain(track) : 1);
+
+  const createOutput = (track) => {
+    const level = context.createGain();
+    level.gain.value = levelFor(track);
+    level.connect(context.destination);
+    const gain = context.createGain();
+    gain.connect(level);
+    return { gain, level };
+  };
+
+  // A voice is one track routed through its own gain node for fades, then a
+  // level node for normalization. Its playback rate may glide linearly from
+  // `rampFrom` to 1 over the first `rampDuration` seconds (tempo matching
+  // during a crossfade).
+  const createVoice = (track, buffer, { startTime, offset = 0, rampFrom = 1, rampDuration = 0 }) => {
+    const { gain, level } = createOutput(track);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(gain);
+
+    const voice = { track, buffer, source, gain, level, startTime, offset, rampFrom, rampDuration, ended: false };
+
+    if (rampDuration > 0 && rampFrom !== 1) {
+      source.playbackRate.setValueAtTime(rampFrom, startTime);
+      source.playbackRate.linearRampToValueAtTime(1, startTime + rampDuration);
+    }
+
+    source.onended = () => voiceEnded(voice);
+    source.start(startTime, offset);
+    return voice;
+  };
+
+  // A streamed voice plays `url` through an <audio> element into the same
+  // nodes. It plays once play() is called on it and never overlaps another.
+  const createMediaVoice = (track, url, { offset = 0 }) => {
+    const { gain, level } = createOutput(track);
+    const media = new Audio();
+    media.crossOrigin = 'anonymous';
+    media.preload = 'auto';
+    media.src = url;
+    media.currentTime = offset;
+    const source = context.createMediaElementSource(media);
+    source.connect(gain);
+
+    const voice = { track, media, source, gain, level, streamed: true, ended: false };
+    media.onended = () => voiceEnded(voice);
+    media.onerror = () => {
+      if (voice === current) onError?.(new Error(`Failed to load track (${media.error?.message || 'media error'})`));
+    };
+    return voice;
+  };
+
+  // Start a streamed voice; its error handler reports failures to load it
+  const playMedia = (voice) => voice.media.play().catch((error) => {
+    if (!voice.media.error) throw error;
+  });
+
+  // Length of the track `voice` plays, in seconds
+  const durationOf = (voice) => {
+    if (!voice.streamed) return voice.buffer.duration;
+    return Number.isFinite(voice.media.duration) ? voice.media.duration : voice.track.duration || 0;
+  };
+
+  // Seconds of audio played by `voice` at context time `time`
+  const positionAt = (voice, time) => {
+    const elapsed = Math.max(0, time - voice.startTime);
+    const { offset, rampFrom, rampDuration } = voice;
+    if (rampDuration === 0) return offset + elapsed;
+    if (elapsed <= rampDuration) {
+      return offset + rampFrom * elapsed + ((1 - rampFrom) * elapsed * elapsed) / (2 * rampDuration);
+    }
+    return offset + (rampDuration * (rampFrom + 1)) / 2 + (elapsed - rampDuration);
+  };
+
+  // Context time at which `voice` reaches `position` seconds into its track
+  const timeAt = (voice, position) => {
+    const { startTime, offset, rampFrom, rampDuration } = voice;
+    const rampAdvance = (rampDuration * (rampFrom + 1)) / 2;
+    if (rampDuration === 0 || position - offset >= rampAdvance) {
+      return startTime + rampDuration + (position - offset - rampAdvance);
+    }
+    return startTime + (position - offset) / ((rampFrom + 1) / 2);
+  };
+
+  const stopVoice = (voice) => {
+    if (!voice) return;
+    voice.ended = true;
+    if (voice.streamed) {
+      voice.media.onended = null;
+      voice.media.onerror = null;
+      voice.media.pause();
+      voice.media.removeAttribute('src');
+      voice.media.load();
+    } else {
+      voice.source.onended = null;
+      try {
+        voice.source.stop();
+      } catch {
+        // Already stopped
+      }
+    }
+    voice.source.disconnect();
+    voice.gain.disconnect();
+    voice.level.disconnect();
+  };
+
+  // Undo a scheduled transition that has not started yet
+  const cancelNext = () => {
+    if (!next) return;
+    stopVoice(next);
+    next = null;
+    if (current && !current.ended) {
+      current.gain.gain.cancelScheduledValues(0);
+      current.gain.gain.setValueAtTime(1, context.currentTime);
+      // A later stop() replaces the one the transition scheduled
+      current.source.stop(timeAt(current, current.buffer.duration));
+    }
+  };
+
+  // Schedule `buffer` to follow the current voice
+  const scheduleNext = (track, buffer) => {
+    if (!current || current.ended) return;
+
+    const outBuffer = current.buffer;
+    const now = context.currentTime;
+    let fade = Math.min(settings.crossfade, outBuffer.duration / 2, buffer.duration / 2);
+    let fadeStart = outBuffer.duration - fade;
+    let rampFrom = 1;
+
+    // With tempo data, make the fade a whole number of bars that starts on a
+    // beat of the outgoing track, and glide the incoming track from the
+    // outgoing tempo to its own over the fade
+    const outBpm = current.track.bpm;
+    const inBpm = track.bpm;
+    if (settings.beatMatch && fade > 0 && outBpm && inBpm) {
+      const beat = 60 / outBpm;
+      const bar = beat * BEATS_PER_BAR;
+      const bars = Math.max(1, Math.round(fade / bar));
+      if (bars * bar <= outBuffer.duration / 2) fade = bars * bar;
+      fadeStart = Math.floor((outBuffer.duration - fade) / beat) * beat;
+      rampFrom = tempoRatio(outBpm, inBpm);
+    }
+
+    let startTime = timeAt(current, fadeStart);
+    // Preloading finished late: start the transition now with what time is left
+    if (startTime < now + 0.05) {
+      const end = timeAt(current, outBuffer.duration);
+      startTime = now + 0.05;
+      fade = Math.max(0, Math.min(fade, end - startTime));
+    }
+
+    next = createVoice(track, buffer, {
+      startTime,
+      rampFrom,
+      rampDuration: fade > 0 && rampFrom !== 1 ? fade : 0,
+    });
+
+    if (fade > 0) {
+      next.gain.gain.setValueCurveAtTime(fadeCurve(settings.curve, 'in'), startTime, fade);
+      current.gain.gain.setValueCurveAtTime(fadeCurve(settings.curve, 'out'), startTime, fade);
+    }
+    current.source.stop(startTime + fade);
+  };
+
+  // (Re)build the transition to the next track from the latest settings
+  const prepareNext = () => {
+    cancelNext();
+    const track = nextTrack;
+    if (!track || !current) return;
+    // Streamed tracks have no place on the context clock; voiceEnded() cuts
+    // to the next track instead
+    if (current.streamed || isStreamed(track)) return;
+
+    loadBuffer(track)
+      .then((buffer) => {
+        if (destroyed || track !== nextTrack || next) return;
+        scheduleNext(track, buffer);
+      })
+      .catch((error) => {
+        console.error('Error preloading next track:', error);
+      });
+  };
+
+  // Promote the next voice once its start time has passed
+  const tick = setInterval(() => {
+    if (next && context.currentTime >= next.startTime) {
+      const previous = current;
+      current = next;
+      next = null;
+      nextTrack = null;
+      // The outgoing voice stops itself at the end of the fade
+      if (previous) previous.source.onended = null;
+      pruneBuffers();
+      onAdvance?.(current.track);
+    }
+  }, TICK_MS);
+
+  // Start `track` from `offset` seconds, replacing whatever is playing
+  const load = async (track, { autoplay = false, offset = 0 } = {}) => {
+    const token = ++loadToken;
+    cancelNext();
+    stopVoice(current);
+    current = null;
+    notifyState();
+
+    try {
+      const streamed = isStreamed(track);
+      const audio = streamed ? await getStreamUrl(track) : await loadBuffer(track);
+      if (destroyed || token !== loadToken) return;
+
+      if (!autoplay && context.state === 'running') await context.suspend();
+      if (autoplay && context.state !== 'running') await context.resume();
+      if (destroyed || token !== loadToken) return;
+
+      current = streamed
+        ? createMediaVoice(track, audio, { offset })
+        : createVoice(track, audio, { startTime: context.currentTime, offset });
+      pruneBuffers();
+      notifyState();
+      prepareNext();
+      if (streamed && autoplay) await playMedia(current);
+    } catch (error) {
+      if (token === loadToken) onError?.(error);
+    }
+  };
+
+  // Move on to the next track without a scheduled transition
+  const advance = async () => {
+    const track = nextTrack;
+    nextTrack = null;
+    await load(track, { autoplay: true });
+    if (current?.track === track) onAdvance?.(track);
+  };
+
+  // `voice` played to its end. When the next track was left unscheduled
+  // because either side is streamed, start it now; otherwise playback is over.
+  const voiceEnded = (voice) => {
+    voice.ended = true;
+    if (voice !== current || next) return;
+    if (nextTrack && (voice.streamed || isStreamed(nextTrack))) {
+      advance();
+      return;
+    }
+    notifyState();
+    onEnded?.();
+  };
+
+  return {
+    load,
+
+    setNext(track) {
+      if (track === nextTrack) return;
+      nextTrack = track;
+      prepareNext();
+    },
+
+    async play() {
+      if (current?.ended) {
+        await load(current.track, { autoplay: true });
+        return;
+      }
+      await context.resume();
+      if (current?.streamed) await playMedia(current);
+    },
+
+    async pause() {
+      if (current?.streamed) current.media.pause();
+      await context.suspend();
+    },
+
+    seek(seconds) {
+      if (!current) return;
+      const offset = Math.max(0, Math.min(seconds, durationOf(current) - 0.05));
+      if (current.streamed) {
+        current.ended = false;
+        current.media.currentTime = offset;
+        if (context.state === 'running') playMedia(current).catch((error) => onError?.(error));
+        return;
+      }
+      cancelNext();
+      stopVoice(current);
+      current = createVoice(current.track, current.buffer, { startTime: context.currentTime, offset });
+      prepareNext();
+    },
+
+    setTransitionSettings(value) {
+      settings = { ...settings, ...value };
+      if (current && !current.ended) {
+        current.level.gain.setTargetAtTime(levelFor(current.track), context.currentTime, LEVEL_SMOOTHING);
+      }
+      prepareNext();
+    },
+
+    getProgress() {
+      if (!current) return { currentTime: 0, duration: 0 };
+      const duration = durationOf(current);
+      const position = current.streamed ? current.media.currentTime : positionAt(current, context.currentTime);
+      return { currentTime: Math.min(duration, position), duration };
+    },
+
+    get isPlaying() {
+      return context.state === 'running' && current != null && !current.ended;
+    },
+
+    destroy() {
+      destroyed = true;
+      clearInterval(tick);
+      stopVoice(next);
+      stopVoice(current);
+      buffers.clear();
+      context.close();
+    },
+  };
+};
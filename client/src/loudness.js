@@ -0,0 +1,37 @@
+// Loudness normalization. The server measures each track's integrated
+// loudness (LUFS) and true peak (dBTP), and the same over its album; this
+// turns them into a playback gain the way ReplayGain 2.0 players do.
+//
+// Track gain brings every track to TARGET_LOUDNESS. Album gain moves a whole
+// album by one amount, keeping the quiet intro quieter than the single; it is
+// used automatically when a track plays next to another from its album.
+
+export const TARGET_LOUDNESS = -18;
+
+// Gains never push the true peak above this, nor boost by more than MAX_BOOST
+const PEAK_CEILING = -1;
+const MAX_BOOST = 12;
+
+const sameAlbum = (a, b) => Boolean(a?.album) && a.album === b?.album && a.artist === b?.artist;
+
+// Whether the track at `index` of the play order `tracks` gets album gain
+export const usesAlbumGain = (tracks, index) =>
+  sameAlbum(tracks[index], tracks[index - 1]) || sameAlbum(tracks[index], tracks[index + 1]);
+
+// Gain in dB for `track`; null when it has not been measured
+export const normalizationDb = (track, { album = false } = {}) => {
+  const useAlbum = album && track?.album_loudness != null;
+  const loudness = useAlbum ? track.album_loudness : track?.integrated_loudness;
+  const peak = useAlbum ? track.album_peak : track?.true_peak;
+  if (loudness == null) return null;
+
+  let gain = Math.min(TARGET_LOUDNESS - loudness, MAX_BOOST);
+  if (peak != null) gain = Math.min(gain, PEAK_CEILING - peak);
+  return gain;
+};
+
+// Linear gain for a Web Audio GainNode
+export const normalizationGain = (track, options) => {
+  const gain = normalizationDb(track, options);
+  return gain == null ? 1 : 10 ** (gain / 20);
+};
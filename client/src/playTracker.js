@@ -0,0 +1,92 @@
+// Reports listening history to the server as play events.
+//
+// A listen begins when a track starts playing: a `start`, or a `replay` when
+// the same track plays again right after itself (repeat one, or "previous"
+// restarting it). It ends with a `complete` when it plays to the end, or a
+// `skip` when the listener moves on to another track. Ending events carry
+// how many seconds had played; a replay that restarts an unfinished listen
+// carries the position it restarted from. Events are batched and sent by
+// `send(events)`, which should resolve once they are delivered.
+
+const FLUSH_INTERVAL_MS = 15000;
+const MAX_BATCH = 50;
+
+export const createPlayTracker = ({ send }) => {
+  let pending = [];
+  let listen = null; // { trackId, playlistId } of the open listen
+  let lastTrackId = null;
+  let sending = null;
+
+  const push = (event, trackId, playlistId, position = null) => {
+    pending.push({
+      event,
+      track_id: trackId,
+      playlist_id: playlistId ?? null,
+      position: position == null ? null : Math.max(0, Math.round(position * 10) / 10),
+      at: new Date().toISOString(),
+    });
+    if (pending.length >= MAX_BATCH) flush();
+  };
+
+  // Send what is pending; failed batches are put back for the next try
+  const flush = ({ keepalive = false } = {}) => {
+    if (pending.length === 0 || sending) return sending;
+    const batch = pending;
+    pending = [];
+    sending = Promise.resolve(send(batch, { keepalive }))
+      .catch((error) => {
+        console.error('Error sending play events:', error);
+        pending = [...batch, ...pending].slice(-MAX_BATCH * 4);
+      })
+      .finally(() => {
+        sending = null;
+      });
+    return sending;
+  };
+
+  const interval = setInterval(flush, FLUSH_INTERVAL_MS);
+
+  return {
+    // A track starts playing; `position` is how far the previous track got
+    begin(track, { playlistId = null, position = 0 } = {}) {
+      if (listen) {
+        const again = listen.trackId === track.id;
+        push(again ? 'replay' : 'skip', listen.trackId, listen.playlistId, position);
+        if (!again) push('start', track.id, playlistId);
+      } else {
+        push(lastTrackId === track.id ? 'replay' : 'start', track.id, playlistId, lastTrackId === track.id ? 0 : null);
+      }
+      listen = { trackId: track.id, playlistId };
+      lastTrackId = track.id;
+    },
+
+    // The current track played to its end
+    complete(duration) {
+      if (!listen) return;
+      push('complete', listen.trackId, listen.playlistId, duration);
+      listen = null;
+    },
+
+    // The current track starts over from the beginning
+    restart(position) {
+      if (!listen) return;
+      push('replay', listen.trackId, listen.playlistId, position);
+    },
+
+    // Playback stopped for good (queue cleared, signed out); the listen
+    // counts as a skip at `position`
+    stop(position) {
+      if (!listen) return;
+      push('skip', listen.trackId, listen.playlistId, position);
+      listen = null;
+      lastTrackId = null;
+    },
+
+    flush,
+
+    destroy() {
+      clearInterval(interval);
+      flush({ keepalive: true });
+    },
+  };
+};
@@ -0,0 +1,111 @@
+// Player queue model. Every function is pure and returns a new queue:
+//   { items: [{ key, seq, track }], index, shuffle, repeat }
+// `key` identifies an entry even when the same track is queued twice, `seq`
+// remembers the unshuffled order, and `repeat` is 'off', 'all' or 'one'.
+
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
+export const EMPTY_QUEUE = { items: [], index: 0, shuffle: false, repeat: 'off' };
+
+let nextKey = 0;
+const makeItem = (track, seq) => ({ key: `q${++nextKey}`, seq, track });
+
+// Weighted shuffle (Efraimidis–Spirakis): higher-weight tracks tend to come
+// up earlier, but every track still gets played
+const weightedShuffle = (items) =>
+  items
+    .map((item) => ({ item, sortKey: Math.random() ** (1 / Math.max(0.05, item.track.weight ?? 0.5)) }))
+    .sort((a, b) => b.sortKey - a.sortKey)
+    .map(({ item }) => item);
+
+// Shuffle or restore everything after the current entry
+const arrangeUpcoming = (queue, shuffle) => {
+  const played = queue.items.slice(0, queue.index + 1);
+  const upcoming = queue.items.slice(queue.index + 1);
+  return {
+    ...queue,
+    shuffle,
+    items: [...played, ...(shuffle ? weightedShuffle(upcoming) : [...upcoming].sort((a, b) => a.seq - b.seq))],
+  };
+};
+
+export const currentItem = (queue) => queue.items[queue.index] || null;
+
+// Build a queue from a list of tracks with the given shuffle and repeat
+// preferences. A shuffled queue starts from `startIndex` when one is given
+// and shuffles everything else.
+export const createQueue = (tracks, { startIndex = null, shuffle = false, repeat = 'off' } = {}) => {
+  const items = tracks.map((track, i) => makeItem(track, i));
+  if (!shuffle) {
+    return { items, index: startIndex ?? 0, shuffle, repeat };
+  }
+  if (startIndex === null) {
+    return { items: weightedShuffle(items), index: 0, shuffle, repeat };
+  }
+  const [first] = items.splice(startIndex, 1);
+  return { items: [first, ...weightedShuffle(items)], index: 0, shuffle, repeat };
+};
+
+// Index to play after the current entry, or null at the end of the queue.
+// `auto` is true when the current track finished by itself, which is the only
+// time repeat-one applies.
+export const nextIndex = (queue, { auto = false } = {}) => {
+  if (queue.items.length === 0) return null;
+  if (auto && queue.repeat === 'one') return queue.index;
+  if (queue.index + 1 < queue.items.length) return queue.index + 1;
+  return queue.repeat === 'off' ? null : 0;
+};
+
+export const previousIndex = (queue) => {
+  if (queue.items.length === 0) return null;
+  if (queue.index > 0) return queue.index - 1;
+  return queue.repeat === 'off' ? null : queue.items.length - 1;
+};
+
+export const jumpTo = (queue, index) =>
+  index === null || index < 0 || index >= queue.items.length ? queue : { ...queue, index };
+
+export const setShuffle = (queue, shuffle) => arrangeUpcoming(queue, shuffle);
+
+export const cycleRepeat = (queue) => ({
+  ...queue,
+  repeat: REPEAT_MODES[(REPEAT_MODES.indexOf(queue.repeat) + 1) % REPEAT_MODES.length],
+});
+
+// Queue `track` right after the current entry. Its `seq` sits between the
+// current entry and the one that follows it, so it stays "next" when
+// shuffle is turned off.
+export const playNext = (queue, track) => {
+  const current = currentItem(queue);
+  if (!current) return { ...queue, items: [makeItem(track, 0)], index: 0 };
+
+  const following = queue.items.map((item) => item.seq).filter((seq) => seq > current.seq);
+  const seq = (current.seq + (following.length > 0 ? Math.min(...following) : current.seq + 1)) / 2;
+  const items = [...queue.items];
+  items.splice(queue.index + 1, 0, makeItem(track, seq));
+  return { ...queue, items };
+};
+
+export const addToQueue = (queue, track) => {
+  const seq = queue.items.reduce((max, item) => Math.max(max, item.seq), -1) + 1;
+  return { ...queue, items: [...queue.items, makeItem(track, seq)] };
+};
+
+// Move an entry; the current entry keeps playing wherever it ends up. The
+// new order becomes the unshuffled order too.
+export const moveItem = (queue, from, to) => {
+  const items = [...queue.items];
+  const [moved] = items.splice(from, 1);
+  items.splice(to, 0, moved);
+  return {
+    ...queue,
+    items: items.map((item, seq) => ({ ...item, seq })),
+    index: items.indexOf(currentItem(queue)),
+  };
+};
+
+export const removeItem = (queue, index) => {
+  if (index === queue.index) return queue;
+  const items = queue.items.filter((_, i) => i !== index);
+  return { ...queue, items, index: index < queue.index ? queue.index - 1 : queue.index };
+};
@@ -0,0 +1,106 @@
+// Resumable uploads (the tus protocol; see lib/uploads.js on the server).
+//
+// A file is created as an upload, sent in chunks and then finalized into a
+// track. When a chunk fails, the server is asked how much of it arrived and
+// sending carries on from there, a few times with growing pauses. A failed
+// upload reports its id (`error.uploadId`), so a retry resumes it instead of
+// starting over.
+
+export const UPLOAD_CHUNK_SIZE = 2 * 1024 * 1024;
+
+const MAX_ATTEMPTS = 4;
+const RETRY_DELAY_MS = 1000;
+
+const TUS_HEADERS = { 'Tus-Resumable': '1.0.0' };
+
+const toBase64 = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+
+// Upload-Metadata header: "key base64value,..." for the non-empty fields
+const encodeMetadata = (fields) => Object.entries(fields)
+  .filter(([, value]) => value)
+  .map(([key, value]) => `${key} ${toBase64(value)}`)
+  .join(',');
+
+const responseError = async (response, fallback) => {
+  const body = await response.json().catch(() => null);
+  return Object.assign(new Error(body?.error || fallback), { status: response.status });
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Upload `file` and resolve to the server's reply: { track }, or { duplicate }
+// when the library has the file already. `request(path, options)` sends an
+// authenticated API request; `uploadId` resumes an earlier attempt.
+// `onProgress({ uploadId, sent })` is called after every chunk.
+export const uploadFile = async ({ file, uploadId = null, onDuplicate = 'link', request, onProgress }) => {
+  const create = async () => {
+    const response = await request('/uploads', {
+      method: 'POST',
+      headers: {
+        ...TUS_HEADERS,
+        'Upload-Length': String(file.size),
+        'Upload-Metadata': encodeMetadata({ filename: file.name, filetype: file.type }),
+      },
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to start the upload');
+    return (await response.json()).id;
+  };
+
+  // Bytes of the upload the server has, or null when it no longer has it
+  const receivedBytes = async (id) => {
+    const response = await request(`/uploads/${id}`, { method: 'HEAD', headers: TUS_HEADERS });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error('Failed to check the upload');
+    return Number(response.headers.get('Upload-Offset'));
+  };
+
+  let id = uploadId;
+  let offset = id ? await receivedBytes(id).catch(() => null) : null;
+  if (offset === null) {
+    id = await create();
+    offset = 0;
+  }
+  onProgress?.({ uploadId: id, sent: offset });
+
+  let attempt = 0;
+  while (offset < file.size) {
+    try {
+      const response = await request(`/uploads/${id}`, {
+        method: 'PATCH',
+        headers: {
+          ...TUS_HEADERS,
+          'Content-Type': 'application/offset+octet-stream',
+          'Upload-Offset': String(offset),
+        },
+        body: file.slice(offset, offset + UPLOAD_CHUNK_SIZE),
+      });
+      if (!response.ok) {
+        const error = await responseError(response, 'Failed to send the file');
+        // Only a wrong offset (409) and server errors are worth another go
+        error.final = response.status < 500 && response.status !== 409;
+        throw error;
+      }
+      offset = Number(response.headers.get('Upload-Offset'));
+      attempt = 0;
+    } catch (error) {
+      attempt += 1;
+      if (error.final || attempt >= MAX_ATTEMPTS) throw Object.assign(error, { uploadId: id });
+      await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+
+      const received = await receivedBytes(id).catch(() => offset);
+      if (received === null) throw Object.assign(new Error('The upload expired; try again'), { uploadId: null });
+      offset = received;
+    }
+    onProgress?.({ uploadId: id, sent: offset });
+  }
+
+  const response = await request(`/uploads/${id}/finalize?on_duplicate=${onDuplicate}`, { method: 'POST' });
+  if (!response.ok) {
+    throw Object.assign(await responseError(response, 'Failed to add the track'), { uploadId: id });
+  }
+  return response.json();
+};
+
+// Abandon an upload on the server
+export const discardUpload = (uploadId, request) =>
+  request(`/uploads/${uploadId}`, { method: 'DELETE', headers: TUS_HEADERS });
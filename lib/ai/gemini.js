@@ -0,0 +1,26 @@
+// lib/ai/gemini.js
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Google Gemini via the official SDK
+export const createGeminiProvider = ({ apiKey, model = 'gemini-2.5-pro' }) => {
+  if (!apiKey) throw new Error('GEMINI_API_KEY is required for the gemini provider');
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+
+    async complete(prompt, { signal } = {}) {
+      const result = await genAI.getGenerativeModel({ model }).generateContent(prompt, { signal });
+      const response = await result.response;
+      return response.text();
+    },
+
+    async *stream(prompt, { signal } = {}) {
+      const result = await genAI.getGenerativeModel({ model }).generateContentStream(prompt, { signal });
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+    }
+  };
+};
@@ -0,0 +1,206 @@
+// lib/ai/heuristic.js
+// Deterministic, offline track selector. Scores every track against a target
+// profile derived from mood keywords, using the stored tags and audio
+// features, then orders the picks so tempo and energy flow smoothly.
+
+// Keyword groups and the sound they imply. `energy` and `brightness` are 0-1
+// targets, `bpm` a comfortable tempo range, `mode` the preferred key mode.
+const MOOD_PROFILES = [
+  {
+    label: 'energetic',
+    keywords: ['energetic', 'energy', 'workout', 'gym', 'run', 'running', 'party', 'upbeat', 'dance', 'hype', 'pump', 'intense', 'fast', 'club'],
+    energy: 0.85, brightness: 0.5, bpm: [120, 150], mode: 'major',
+    genres: ['dance', 'electronic', 'house', 'techno', 'trance', 'hip-hop', 'rap', 'pop', 'rock', 'drum & bass', 'eurodance', 'club']
+  },
+  {
+    label: 'calm',
+    keywords: ['calm', 'relax', 'relaxing', 'chill', 'meditation', 'meditate', 'sleep', 'ambient', 'peaceful', 'quiet', 'soft', 'slow', 'lazy', 'weekend'],
+    energy: 0.25, brightness: 0.2, bpm: [60, 100], mode: null,
+    genres: ['ambient', 'new age', 'classical', 'jazz', 'lo-fi', 'acoustic', 'meditative', 'easy listening', 'instrumental', 'chillout']
+  },
+  {
+    label: 'focused',
+    keywords: ['focus', 'study', 'work', 'concentrate', 'concentration', 'coding', 'reading', 'productive'],
+    energy: 0.4, brightness: 0.3, bpm: [80, 115], mode: null,
+    genres: ['lo-fi', 'ambient', 'classical', 'instrumental', 'electronic', 'jazz', 'soundtrack']
+  },
+  {
+    label: 'sad',
+    keywords: ['sad', 'melancholy', 'melancholic', 'rainy', 'rain', 'heartbreak', 'lonely', 'blue', 'cry', 'moody', 'dark', 'gloomy'],
+    energy: 0.3, brightness: 0.25, bpm: [60, 95], mode: 'minor',
+    genres: ['blues', 'ballad', 'soul', 'acoustic', 'indie', 'folk', 'gothic', 'darkwave']
+  },
+  {
+    label: 'happy',
+    keywords: ['happy', 'sunny', 'joy', 'joyful', 'cheerful', 'summer', 'bright', 'feel good', 'feel-good', 'fun'],
+    energy: 0.65, brightness: 0.45, bpm: [100, 130], mode: 'major',
+    genres: ['pop', 'funk', 'disco', 'reggae', 'ska', 'soul', 'latin']
+  },
+  {
+    label: 'romantic',
+    keywords: ['romantic', 'romance', 'love', 'date', 'evening', 'sensual', 'intimate', 'candle'],
+    energy: 0.35, brightness: 0.3, bpm: [65, 105], mode: null,
+    genres: ['r&b', 'soul', 'jazz', 'ballad', 'slow jam', 'acoustic', 'chanson']
+  },
+  {
+    label: 'aggressive',
+    keywords: ['angry', 'aggressive', 'rage', 'heavy', 'furious', 'metal'],
+    energy: 0.95, brightness: 0.55, bpm: [130, 180], mode: 'minor',
+    genres: ['metal', 'heavy metal', 'death metal', 'thrash metal', 'punk', 'hardcore', 'hard rock', 'industrial']
+  }
+];
+
+const NEUTRAL_PROFILE = { label: 'balanced', energy: 0.5, brightness: 0.35, bpm: [90, 125], mode: null, genres: [] };
+
+const MIN_TRACKS = 3;
+const MAX_TRACKS = 6;
+
+export const tokenize = (text) => (text || '').toLowerCase().match(/[a-z0-9&'-]+/g) || [];
+
+// Mood clusters that statistics group playlists by: one per profile, plus
+// "balanced" for moods that match none of them
+export const MOOD_CLUSTERS = [...MOOD_PROFILES.map((p) => p.label), NEUTRAL_PROFILE.label];
+
+// Blend every profile whose keywords appear in the mood into one target
+export const profileForMood = (mood) => {
+  const text = ` ${tokenize(mood).join(' ')} `;
+  const matched = MOOD_PROFILES.filter((profile) =>
+    profile.keywords.some((keyword) => text.includes(` ${keyword} `))
+  );
+  if (matched.length === 0) return NEUTRAL_PROFILE;
+
+  const average = (pick) => matched.reduce((sum, p) => sum + pick(p), 0) / matched.length;
+  const modes = [...new Set(matched.map((p) => p.mode).filter(Boolean))];
+
+  return {
+    label: matched.map((p) => p.label).join(' + '),
+    energy: average((p) => p.energy),
+    brightness: average((p) => p.brightness),
+    bpm: [average((p) => p.bpm[0]), average((p) => p.bpm[1])],
+    mode: modes.length === 1 ? modes[0] : null,
+    genres: [...new Set(matched.flatMap((p) => p.genres))]
+  };
+};
+
+// Clusters a mood belongs to ("rainy focus" is both sad and focused)
+export const moodClustersFor = (mood) => profileForMood(mood).label.split(' + ');
+
+// Distance from a value to a [low, high] range, 0 when inside
+const rangeDistance = (value, [low, high]) => (value < low ? low - value : value > high ? value - high : 0);
+
+const scoreTrack = (track, profile, moodWords) => {
+  const parts = [];
+  const reasons = [];
+
+  if (track.energy != null) {
+    const fit = 1 - Math.min(1, Math.abs(track.energy - profile.energy) / 0.6);
+    parts.push([fit, 3]);
+    if (fit > 0.7) reasons.push(`energy ${track.energy.toFixed(2)}`);
+  }
+
+  if (track.bpm) {
+    // Half- and double-time readings count as the same groove
+    const distance = Math.min(
+      rangeDistance(track.bpm, profile.bpm),
+      rangeDistance(track.bpm * 2, profile.bpm),
+      rangeDistance(track.bpm / 2, profile.bpm)
+    );
+    const fit = 1 - Math.min(1, distance / 30);
+    parts.push([fit, 2]);
+    if (fit > 0.8) reasons.push(`${Math.round(track.bpm)} BPM`);
+  }
+
+  if (track.brightness != null) {
+    parts.push([1 - Math.min(1, Math.abs(track.brightness - profile.brightness) / 0.5), 1]);
+  }
+
+  if (profile.mode && track.musical_key) {
+    const matches = track.musical_key.endsWith(profile.mode);
+    parts.push([matches ? 1 : 0.3, 1]);
+    if (matches) reasons.push(`${track.musical_key} key`);
+  }
+
+  if (track.genre) {
+    const genre = track.genre.toLowerCase();
+    const matches = profile.genres.some((g) => genre.includes(g));
+    parts.push([matches ? 1 : 0.35, 2]);
+    if (matches) reasons.push(`${track.genre} genre`);
+  }
+
+  // Mood words appearing in the title, artist, album or filename
+  const haystack = new Set(tokenize([track.title, track.artist, track.album, track.genre, track.original_name].join(' ')));
+  const hits = moodWords.filter((word) => word.length > 2 && haystack.has(word));
+  if (hits.length > 0) {
+    parts.push([1, 2 * hits.length]);
+    reasons.push(`name mentions "${hits.join('", "')}"`);
+  }
+
+  // Tracks we know nothing about sit in the middle of the pack
+  const totalWeight = parts.reduce((sum, [, w]) => sum + w, 0);
+  const score = totalWeight === 0 ? 0.5 : parts.reduce((sum, [fit, w]) => sum + fit * w, 0) / totalWeight;
+
+  return { score, reasons };
+};
+
+// Order picks DJ-style: start from the best match, then always move to the
+// remaining track closest in tempo and energy
+const orderForFlow = (picks) => {
+  if (picks.length === 0) return [];
+  const distance = (a, b) =>
+    (a.track.bpm && b.track.bpm ? Math.abs(a.track.bpm - b.track.bpm) / 40 : 0.5) +
+    (a.track.energy != null && b.track.energy != null ? Math.abs(a.track.energy - b.track.energy) : 0.5);
+
+  const remaining = [...picks];
+  const ordered = [remaining.shift()];
+  while (remaining.length > 0) {
+    const last = ordered[ordered.length - 1];
+    let bestIndex = 0;
+    for (let i = 1; i < remaining.length; i++) {
+      if (distance(last, remaining[i]) < distance(last, remaining[bestIndex])) bestIndex = i;
+    }
+    ordered.push(remaining.splice(bestIndex, 1)[0]);
+  }
+  return ordered;
+};
+
+// Score every track against a mood, best first. Returns
+//   { profile, scored: [{ track, score, reasons }] }
+export const scoreTracksForMood = (mood, tracks) => {
+  const profile = profileForMood(mood);
+  const moodWords = tokenize(mood);
+
+  const scored = tracks
+    .map((track) => ({ track, ...scoreTrack(track, profile, moodWords) }))
+    // Sort by score, then id, so the same library and mood always give the same result
+    .sort((a, b) => b.score - a.score || String(a.track.id).localeCompare(String(b.track.id)));
+
+  return { profile, scored };
+};
+
+// Describe why a track suits the mood profile
+export const describeFit = (profile, reasons) => (reasons.length > 0
+  ? `Fits the ${profile.label} mood: ${reasons.join(', ')}`
+  : `Closest available match for the ${profile.label} mood`);
+
+// Pick and order tracks for a mood. Returns the same shape the language
+// model providers are asked to produce: { tracks: [{ id, weight, reason }] }.
+export const selectTracksHeuristically = ({ mood, tracks, count }) => {
+  const { profile, scored } = scoreTracksForMood(mood, tracks);
+
+  const target = count ?? Math.min(MAX_TRACKS, Math.max(MIN_TRACKS, Math.round(tracks.length / 3)));
+  const picks = orderForFlow(scored.slice(0, Math.min(target, scored.length)));
+
+  return {
+    tracks: picks.map(({ track, score, reasons }) => ({
+      id: track.id,
+      weight: Number(score.toFixed(2)),
+      reason: describeFit(profile, reasons)
+    }))
+  };
+};
+
+export const createHeuristicProvider = () => ({
+  name: 'heuristic',
+  model: null,
+  selectTracks: selectTracksHeuristically
+});
@@ -0,0 +1,49 @@
+// lib/ai/index.js
+// Pluggable playlist AI. Text providers implement `complete(prompt)` and
+// return the model's raw reply; the built-in heuristic provider implements
+// `selectTracks({ mood, tracks })` and needs no model at all.
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createOllamaProvider } from './ollama.js';
+import { createHeuristicProvider } from './heuristic.js';
+import { createTrackSelector } from './selector.js';
+
+const providers = {
+  gemini: () => createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL || 'gemini-2.5-pro'
+  }),
+  openai: () => createOpenAIProvider({
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  }),
+  ollama: () => createOllamaProvider({
+    baseUrl: process.env.OLLAMA_URL || 'http://localhost:11434',
+    model: process.env.OLLAMA_MODEL || 'llama3.1'
+  }),
+  heuristic: () => createHeuristicProvider()
+};
+
+// AI_PROVIDER picks the provider; without it we use Gemini when a key is set
+// and the offline heuristic otherwise
+const providerName = process.env.AI_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'heuristic');
+
+if (!providers[providerName]) {
+  throw new Error(`Unknown AI_PROVIDER "${providerName}" (expected one of: ${Object.keys(providers).join(', ')})`);
+}
+
+export const aiProvider = providers[providerName]();
+const heuristic = providerName === 'heuristic' ? aiProvider : createHeuristicProvider();
+
+// When the model cannot be reached or keeps failing validation, fall back to
+// the heuristic unless AI_FALLBACK=none asks for the error to surface instead
+const fallbackEnabled = process.env.AI_FALLBACK !== 'none';
+
+console.log(`Using ${aiProvider.name} AI provider${aiProvider.model ? ` (${aiProvider.model})` : ''}`);
+
+// How many times a reply that fails validation is sent back for correction
+const maxRepairAttempts = Math.max(0, parseInt(process.env.AI_MAX_REPAIR_ATTEMPTS ?? '2', 10) || 0);
+
+// Ask the configured provider for a playlist; see lib/ai/selector.js
+export const selectTracksForMood = createTrackSelector({ provider: aiProvider, heuristic, fallbackEnabled, maxRepairAttempts });
@@ -0,0 +1,42 @@
+// lib/ai/ollama.js
+import { readLines } from './stream.js';
+
+// A local LLM server exposing the Ollama /api/generate endpoint
+export const createOllamaProvider = ({ baseUrl = 'http://localhost:11434', model = 'llama3.1' }) => {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/api/generate`;
+
+  const request = async (prompt, { stream, signal }) => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, prompt, stream, format: 'json' }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ollama responded with ${response.status}: ${await response.text()}`);
+    }
+    return response;
+  };
+
+  return {
+    name: 'ollama',
+    model,
+
+    async complete(prompt, { signal } = {}) {
+      const data = await (await request(prompt, { stream: false, signal })).json();
+      return data.response ?? '';
+    },
+
+    // Newline-delimited JSON objects, each carrying the next piece of `response`
+    async *stream(prompt, { signal } = {}) {
+      const response = await request(prompt, { stream: true, signal });
+      for await (const line of readLines(response.body)) {
+        if (!line.trim()) continue;
+        const data = JSON.parse(line);
+        if (data.response) yield data.response;
+        if (data.done) break;
+      }
+    }
+  };
+};
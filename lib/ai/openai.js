@@ -0,0 +1,52 @@
+// lib/ai/openai.js
+import { readLines } from './stream.js';
+
+// Any endpoint speaking the OpenAI Chat Completions API (OpenAI itself,
+// Azure-style proxies, LM Studio, vLLM, llama.cpp server, ...)
+export const createOpenAIProvider = ({ baseUrl = 'https://api.openai.com/v1', apiKey, model = 'gpt-4o-mini' }) => {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const request = async (prompt, { stream, signal }) => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.7,
+        stream
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`OpenAI-compatible endpoint responded with ${response.status}: ${await response.text()}`);
+    }
+    return response;
+  };
+
+  return {
+    name: 'openai',
+    model,
+
+    async complete(prompt, { signal } = {}) {
+      const data = await (await request(prompt, { stream: false, signal })).json();
+      return data.choices?.[0]?.message?.content ?? '';
+    },
+
+    // Server-sent events: `data: {json}` lines terminated by `data: [DONE]`
+    async *stream(prompt, { signal } = {}) {
+      const response = await request(prompt, { stream: true, signal });
+      for await (const line of readLines(response.body)) {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') break;
+        const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+  };
+};
@@ -0,0 +1,66 @@
+// lib/ai/prompt.js
+// Prompt construction shared by every text-generating provider.
+
+// Format seconds as m:ss for prompts and logs
+export const formatDuration = (seconds) => {
+  if (!seconds) return null;
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return `${minutes}:${rest.toString().padStart(2, '0')}`;
+};
+
+// Build a human-readable one-line description of a track from its tags,
+// falling back to the original filename when no title tag was found
+export const describeTrack = (track) => {
+  let label = `"${track.title || track.original_name}"`;
+  if (track.artist) label += ` by ${track.artist}`;
+
+  const details = [
+    track.album && `album: ${track.album}`,
+    track.year && `year: ${track.year}`,
+    track.genre && `genre: ${track.genre}`,
+    formatDuration(track.duration) && `length: ${formatDuration(track.duration)}`,
+    track.bpm && `tempo: ${Math.round(track.bpm)} BPM`,
+    track.musical_key && `key: ${track.musical_key}`,
+    track.energy != null && `energy: ${track.energy.toFixed(2)}`,
+    track.brightness != null && `brightness: ${track.brightness.toFixed(2)}`,
+    track.loudness != null && `loudness: ${track.loudness.toFixed(1)} dBFS`
+  ].filter(Boolean);
+
+  if (details.length > 0) label += ` [${details.join(', ')}]`;
+  return label;
+};
+
+export const buildPlaylistPrompt = (mood, tracks) => {
+  const trackList = tracks.map((t, idx) =>
+    `${idx + 1}. ${describeTrack(t)} (ID: ${t.id})`
+  ).join('\n');
+
+  return `You are a professional DJ creating a music playlist based on mood.
+
+Mood: "${mood}"
+
+Available tracks:
+${trackList}
+
+Instructions:
+1. Select 3-6 tracks that best match the mood
+2. Order them to create a cohesive listening experience
+3. Assign a relevance weight (0.0 to 1.0) to each track based on how well it fits the mood
+4. Respond ONLY with valid JSON in this exact format:
+
+{
+  "tracks": [
+    {"id": "track-uuid-here", "weight": 0.95, "reason": "brief reason"},
+    {"id": "track-uuid-here", "weight": 0.85, "reason": "brief reason"}
+  ]
+}
+
+Important: 
+- Use actual track IDs from the list above
+- Judge each track by its title, artist, album, genre and length, not just the filename
+- Use the audio features when present: tempo (BPM), musical key, energy (0-1, higher is more intense), brightness (0-1, share of high-frequency content) and loudness
+- Select 3-6 tracks minimum
+- Higher weight = better match for the mood
+- No markdown, no extra text, only JSON`;
+};
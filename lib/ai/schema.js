@@ -0,0 +1,133 @@
+// lib/ai/schema.js
+// The contract a playlist reply must satisfy, and a validator that separates
+// problems we can repair ourselves (duplicates, out-of-range weights, too many
+// picks) from ones the model has to fix (bad JSON, unknown ids, too few picks).
+
+export const MIN_PLAYLIST_TRACKS = 3;
+export const MAX_PLAYLIST_TRACKS = 6;
+const MAX_REASON_LENGTH = 200;
+
+// JSON Schema for the reply, also shown to the model in repair prompts
+export const PLAYLIST_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['tracks'],
+  properties: {
+    tracks: {
+      type: 'array',
+      minItems: MIN_PLAYLIST_TRACKS,
+      maxItems: MAX_PLAYLIST_TRACKS,
+      items: {
+        type: 'object',
+        required: ['id', 'weight'],
+        properties: {
+          id: { type: 'string', description: 'ID of a track from the provided list' },
+          weight: { type: 'number', minimum: 0, maximum: 1 },
+          reason: { type: 'string', maxLength: MAX_REASON_LENGTH }
+        }
+      }
+    }
+  }
+};
+
+// Accept bare JSON, JSON in markdown fences, or JSON surrounded by chatter
+const extractJson = (text) => {
+  const cleaned = String(text ?? '').replace(/```(?:json)?\n?/g, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start >= 0 && end > start) return JSON.parse(cleaned.slice(start, end + 1));
+    throw error;
+  }
+};
+
+// Validate a raw model reply against the library. Returns
+//   { tracks, rejected, errors }
+// where `tracks` holds the cleaned, deduplicated selection with clamped
+// weights, `rejected` lists each dropped suggestion with its reason, and
+// `errors` is non-empty when the reply should be sent back to the model.
+export const validatePlaylistResponse = (reply, trackIds) => {
+  const known = new Set(trackIds);
+  const minTracks = Math.min(MIN_PLAYLIST_TRACKS, known.size);
+  const result = { tracks: [], rejected: [], errors: [] };
+
+  let parsed = reply;
+  if (typeof reply === 'string') {
+    try {
+      parsed = extractJson(reply);
+    } catch (error) {
+      result.errors.push(`Response is not valid JSON (${error.message})`);
+      return result;
+    }
+  }
+
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.tracks)) {
+    result.errors.push('Response must be an object with a "tracks" array');
+    return result;
+  }
+
+  const seen = new Set();
+  parsed.tracks.forEach((item, index) => {
+    const label = `tracks[${index}]`;
+
+    if (!item || typeof item !== 'object') {
+      result.errors.push(`${label} must be an object with "id", "weight" and "reason"`);
+      return;
+    }
+
+    const id = typeof item.id === 'string' || typeof item.id === 'number' ? String(item.id).trim() : null;
+    if (!id) {
+      result.errors.push(`${label} is missing a track "id"`);
+      return;
+    }
+
+    if (!known.has(id)) {
+      result.rejected.push({ id, reason: 'Unknown track ID (not in the library)' });
+      result.errors.push(`${label}.id "${id}" is not one of the provided track IDs`);
+      return;
+    }
+
+    if (seen.has(id)) {
+      result.rejected.push({ id, reason: 'Duplicate of an earlier pick' });
+      return;
+    }
+
+    if (result.tracks.length >= MAX_PLAYLIST_TRACKS) {
+      result.rejected.push({ id, reason: `Exceeds the maximum of ${MAX_PLAYLIST_TRACKS} tracks` });
+      return;
+    }
+
+    let weight = typeof item.weight === 'string' ? parseFloat(item.weight) : item.weight;
+    if (typeof weight !== 'number' || Number.isNaN(weight)) {
+      weight = 0.5;
+    }
+
+    seen.add(id);
+    result.tracks.push({
+      id,
+      weight: Math.min(1, Math.max(0, weight)),
+      reason: typeof item.reason === 'string' ? item.reason.trim().slice(0, MAX_REASON_LENGTH) : ''
+    });
+  });
+
+  if (result.tracks.length < minTracks) {
+    result.errors.push(
+      `Only ${result.tracks.length} valid track(s) were selected; select between ${minTracks} and ${MAX_PLAYLIST_TRACKS} distinct tracks from the list`
+    );
+  }
+
+  return result;
+};
+
+// Follow-up prompt asking the model to correct its previous reply
+export const buildRepairPrompt = (originalPrompt, previousReply, errors) => `${originalPrompt}
+
+Your previous response was rejected for these reasons:
+${errors.map((e) => `- ${e}`).join('\n')}
+
+Previous response:
+${String(previousReply ?? '').slice(0, 4000)}
+
+Respond again with corrected JSON only. It must match this JSON Schema:
+${JSON.stringify(PLAYLIST_RESPONSE_SCHEMA, null, 2)}`;
@@ -0,0 +1,118 @@
+// lib/ai/selector.js
+// Playlist selection around a provider: validation, repair prompts and the
+// heuristic fallback.
+import { buildPlaylistPrompt } from './prompt.js';
+import { validatePlaylistResponse, buildRepairPrompt, MIN_PLAYLIST_TRACKS, MAX_PLAYLIST_TRACKS } from './schema.js';
+import { createItemScanner } from './stream.js';
+
+// A playlist selector that asks `provider` for picks. Every reply is validated
+// against the library; invalid replies are sent back with the specific
+// errors up to `maxRepairAttempts` times, after which (or when the provider
+// fails) `heuristic` takes over unless `fallbackEnabled` is false. The
+// selector takes { mood, tracks, onEvent, signal } and resolves to
+//   { tracks: [{ id, weight, reason }], rejected: [{ id, reason, attempt }], attempts, provider }
+// where `provider` names the provider that actually produced the selection.
+//
+// Pass `onEvent(type, data)` to follow progress while the model works:
+//   prompt   { provider, model, attempt }  a request went out to the model
+//   pick     { id, weight, reason }        a valid track was picked
+//   invalid  { attempt, errors }           the reply failed validation; discard the picks
+//                                          seen so far (picks from a repair, an earlier
+//                                          reply or the fallback follow)
+//   fallback { provider, reason }          switched to the heuristic selector; discard
+//                                          earlier picks
+// and `signal` to abort the model request.
+export const createTrackSelector = ({ provider, heuristic, fallbackEnabled = true, maxRepairAttempts = 2 }) => {
+  const runHeuristic = ({ mood, tracks }, trackIds, rejected = [], attempts = 0) => {
+    const result = validatePlaylistResponse(heuristic.selectTracks({ mood, tracks }), trackIds);
+    return { tracks: result.tracks, rejected, attempts, provider: heuristic.name };
+  };
+
+  return async ({ mood, tracks, onEvent, signal }) => {
+    const notify = onEvent || (() => {});
+    const trackIds = tracks.map((t) => String(t.id));
+
+    // Report each pick once, as soon as it is known to be usable
+    let emitted = new Set();
+    const emitPick = (item) => {
+      const [pick] = validatePlaylistResponse({ tracks: [item] }, trackIds).tracks;
+      if (!pick || emitted.has(pick.id) || emitted.size >= MAX_PLAYLIST_TRACKS) return;
+      emitted.add(pick.id);
+      notify('pick', pick);
+    };
+
+    const finish = (selection) => {
+      selection.tracks.forEach(emitPick);
+      return selection;
+    };
+
+    const fallback = (reason, rejected, attempts) => {
+      emitted = new Set();
+      notify('fallback', { provider: heuristic.name, reason });
+      return finish(runHeuristic({ mood, tracks }, trackIds, rejected, attempts));
+    };
+
+    if (provider.selectTracks) {
+      notify('prompt', { provider: provider.name, model: null, attempt: 1 });
+      return finish(runHeuristic({ mood, tracks }, trackIds, [], 1));
+    }
+
+    // Stream the reply when someone is listening, so picks surface early
+    const requestReply = async (prompt) => {
+      if (!provider.stream || !onEvent) {
+        return provider.complete(prompt, { signal });
+      }
+      let text = '';
+      const scan = createItemScanner(emitPick);
+      for await (const chunk of provider.stream(prompt, { signal })) {
+        text += chunk;
+        scan(chunk);
+      }
+      return text;
+    };
+
+    const prompt = buildPlaylistPrompt(mood, tracks);
+    const rejected = [];
+    let currentPrompt = prompt;
+    let best = null;
+    let attempt = 0;
+
+    try {
+      while (attempt <= maxRepairAttempts) {
+        attempt++;
+        notify('prompt', { provider: provider.name, model: provider.model, attempt });
+        const reply = await requestReply(currentPrompt);
+        const result = validatePlaylistResponse(reply, trackIds);
+        rejected.push(...result.rejected.map((r) => ({ ...r, attempt })));
+
+        if (result.errors.length === 0) {
+          return finish({ tracks: result.tracks, rejected, attempts: attempt, provider: provider.name });
+        }
+
+        console.warn(`${provider.name} reply failed validation (attempt ${attempt}):`, result.errors.join('; '));
+        if (!best || result.tracks.length > best.tracks.length) best = result;
+        currentPrompt = buildRepairPrompt(prompt, reply, result.errors);
+
+        emitted = new Set();
+        notify('invalid', { attempt, errors: result.errors });
+      }
+    } catch (error) {
+      // A cancelled request must not quietly turn into a heuristic playlist
+      if (signal?.aborted || !fallbackEnabled) throw error;
+      console.error(`${provider.name} provider failed, using heuristic selection:`, error.message);
+      return fallback(error.message, rejected, attempt);
+    }
+
+    // Out of retries: keep the best reply if it still has enough usable picks
+    if (best && best.tracks.length >= Math.min(MIN_PLAYLIST_TRACKS, trackIds.length)) {
+      return finish({ tracks: best.tracks, rejected, attempts: attempt, provider: provider.name });
+    }
+
+    const reason = `${provider.name} reply failed validation after ${attempt} attempt(s): ${best.errors.join('; ')}`;
+    if (!fallbackEnabled) {
+      throw new Error(reason);
+    }
+    console.error(`${provider.name} reply still invalid after ${attempt} attempt(s), using heuristic selection`);
+    return fallback(reason, rejected, attempt);
+  };
+};
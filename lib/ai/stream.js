@@ -0,0 +1,59 @@
+// lib/ai/stream.js
+// Helpers for consuming model output while it is still being generated.
+
+// Incrementally scans streamed JSON text and calls `onItem` with every object
+// nested one level inside the root object – i.e. each element of the
+// `"tracks": [...]` array – as soon as its closing brace arrives. Text before
+// the root object (markdown fences, chatter) is ignored.
+export const createItemScanner = (onItem) => {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let item = null;
+
+  return (chunk) => {
+    for (const char of chunk) {
+      if (item !== null) item += char;
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"' && depth > 0) {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+        if (depth === 2) item = '{';
+      } else if (char === '}') {
+        if (depth === 2 && item !== null) {
+          try {
+            onItem(JSON.parse(item));
+          } catch {
+            // Malformed fragment; the full-reply validation will report it
+          }
+          item = null;
+        }
+        depth = Math.max(0, depth - 1);
+      }
+    }
+  };
+};
+
+// Parse a fetch() response body of newline-delimited records, yielding each
+// complete line
+export async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for await (const chunk of body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffered.indexOf('\n')) >= 0) {
+      yield buffered.slice(0, newline).replace(/\r$/, '');
+      buffered = buffered.slice(newline + 1);
+    }
+  }
+  if (buffered) yield buffered;
+}
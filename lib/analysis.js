@@ -0,0 +1,478 @@
+// lib/analysis.js
+// Decodes uploaded audio and computes tempo, key, loudness, energy and
+// brightness so playlist generation has more to go on than the filename.
+import { MPEGDecoder } from 'mpg123-decoder';
+import { sniffAudioFormat } from './audioFormats.js';
+import { decodeWithFfmpeg } from './transcode.js';
+import { LoudnessMeter } from './loudness.js';
+import {
+  FINGERPRINT_BAND_EDGES, FINGERPRINT_WINDOW_HOPS, FINGERPRINT_STEP_HOPS, FINGERPRINT_SECONDS,
+  fingerprintFromBands
+} from './fingerprint.js';
+
+// Analysis runs on a downmixed, decimated signal: 11 kHz keeps everything we
+// need (pitch up to ~5 kHz, onsets) while making the FFT pass cheap.
+const TARGET_SAMPLE_RATE = 11025;
+const FFT_SIZE = 1024;
+const HOP_SIZE = 256;
+const MAX_SECONDS = parseInt(process.env.ANALYSIS_MAX_SECONDS, 10) || 300;
+
+// ffmpeg decodes the formats we cannot to stereo at this rate
+const FFMPEG_SAMPLE_RATE = 48000;
+
+const BRIGHTNESS_CUTOFF_HZ = 1500;
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+
+const PITCH_CLASSES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Krumhansl-Kessler key profiles
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const emptyFeatures = () => ({
+  bpm: null,
+  musical_key: null,
+  loudness: null,
+  energy: null,
+  brightness: null,
+  integrated_loudness: null,
+  true_peak: null
+});
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// ==================== DECODING ====================
+
+// Collects planar decoder output as a mono signal, averaging channels and
+// decimating by an integer factor on the way in. The untouched channels are
+// measured for loudness on the way past (see lib/loudness.js).
+class MonoSignal {
+  constructor(sampleRate, maxSeconds) {
+    this.meter = new LoudnessMeter(sampleRate);
+    this.factor = Math.max(1, Math.round(sampleRate / TARGET_SAMPLE_RATE));
+    this.sampleRate = sampleRate / this.factor;
+    this.maxLength = Math.ceil(this.sampleRate * maxSeconds);
+    this.data = new Float32Array(Math.min(this.maxLength, Math.ceil(this.sampleRate * 30)));
+    this.length = 0;
+    this.acc = 0;
+    this.accCount = 0;
+  }
+
+  get full() {
+    return this.length >= this.maxLength;
+  }
+
+  push(channelData, count) {
+    const channels = channelData.length;
+    let i = 0;
+    for (; i < count && !this.full; i++) {
+      let mix = 0;
+      for (let c = 0; c < channels; c++) mix += channelData[c][i];
+      this.acc += mix / channels;
+      if (++this.accCount === this.factor) {
+        this.append(this.acc / this.factor);
+        this.acc = 0;
+        this.accCount = 0;
+      }
+    }
+    this.meter.push(channelData, i);
+  }
+
+  append(sample) {
+    if (this.length === this.data.length) {
+      const grown = new Float32Array(Math.min(this.maxLength, this.data.length * 2));
+      grown.set(this.data);
+      this.data = grown;
+    }
+    this.data[this.length++] = sample;
+  }
+
+  get samples() {
+    return this.data.subarray(0, this.length);
+  }
+}
+
+const readWavFormat = (body) => {
+  let format = body.readUInt16LE(0);
+  // WAVE_FORMAT_EXTENSIBLE keeps the real format code in the sub-format GUID
+  if (format === 0xfffe && body.length >= 26) format = body.readUInt16LE(24);
+  return {
+    format,
+    channels: body.readUInt16LE(2),
+    sampleRate: body.readUInt32LE(4),
+    blockAlign: body.readUInt16LE(12),
+    bitsPerSample: body.readUInt16LE(14)
+  };
+};
+
+const pcmReader = ({ format, bitsPerSample }) => {
+  if (format === 3 && bitsPerSample === 32) return (buf, o) => buf.readFloatLE(o);
+  if (format === 3 && bitsPerSample === 64) return (buf, o) => buf.readDoubleLE(o);
+  if (format !== 1) return null;
+  switch (bitsPerSample) {
+    case 8: return (buf, o) => (buf[o] - 128) / 128;
+    case 16: return (buf, o) => buf.readInt16LE(o) / 32768;
+    case 24: return (buf, o) => buf.readIntLE(o, 3) / 8388608;
+    case 32: return (buf, o) => buf.readInt32LE(o) / 2147483648;
+    default: return null;
+  }
+};
+
+const decodeWav = (buffer, maxSeconds) => {
+  let fmt = null;
+  let pos = 12;
+
+  while (pos + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', pos, pos + 4);
+    const size = buffer.readUInt32LE(pos + 4);
+    const bodyStart = pos + 8;
+
+    if (id === 'fmt ') {
+      fmt = readWavFormat(buffer.subarray(bodyStart, bodyStart + size));
+    } else if (id === 'data' && fmt) {
+      const read = pcmReader(fmt);
+      if (!read) throw new Error(`Unsupported WAV encoding (format ${fmt.format}, ${fmt.bitsPerSample}-bit)`);
+
+      const dataEnd = size === 0 || size === 0xffffffff
+        ? buffer.length
+        : Math.min(buffer.length, bodyStart + size);
+      const bytesPerSample = fmt.bitsPerSample / 8;
+      const frames = Math.floor((dataEnd - bodyStart) / fmt.blockAlign);
+      const signal = new MonoSignal(fmt.sampleRate, maxSeconds);
+      const frame = Array.from({ length: fmt.channels }, () => new Float32Array(1));
+
+      for (let i = 0; i < frames && !signal.full; i++) {
+        const offset = bodyStart + i * fmt.blockAlign;
+        for (let c = 0; c < fmt.channels; c++) {
+          frame[c][0] = read(buffer, offset + c * bytesPerSample);
+        }
+        signal.push(frame, 1);
+      }
+      return signal;
+    }
+
+    pos += 8 + size + (size % 2);
+  }
+
+  throw new Error('WAV file has no audio data');
+};
+
+const MP3_CHUNK_SIZE = 256 * 1024;
+
+const decodeMp3 = async (buffer, maxSeconds) => {
+  const decoder = new MPEGDecoder();
+  await decoder.ready;
+
+  try {
+    let signal = null;
+    for (let pos = 0; pos < buffer.length && !(signal && signal.full); pos += MP3_CHUNK_SIZE) {
+      const chunk = new Uint8Array(buffer.buffer, buffer.byteOffset + pos, Math.min(MP3_CHUNK_SIZE, buffer.length - pos));
+      const { channelData, samplesDecoded, sampleRate } = decoder.decode(chunk);
+      if (samplesDecoded === 0) continue;
+      if (!signal) signal = new MonoSignal(sampleRate, maxSeconds);
+      signal.push(channelData, samplesDecoded);
+    }
+    if (!signal) throw new Error('MP3 file contains no decodable frames');
+    return signal;
+  } finally {
+    decoder.free();
+  }
+};
+
+const decodeWithFfmpegToMono = async (buffer, maxSeconds) => {
+  const signal = new MonoSignal(FFMPEG_SAMPLE_RATE, maxSeconds);
+  await decodeWithFfmpeg(buffer, {
+    sampleRate: FFMPEG_SAMPLE_RATE,
+    channels: 2,
+    maxSeconds,
+    onSamples: (channelData, count) => signal.push(channelData, count)
+  });
+  return signal;
+};
+
+// Decode an audio buffer to a mono signal at roughly 11 kHz, with the
+// loudness of the decoded stretch: { samples, sampleRate, loudness } where
+// loudness is { integrated_loudness (LUFS), true_peak (dBTP) }. MP3 and WAV
+// are decoded here; other formats go through ffmpeg.
+export const decodeToMono = async (buffer, filename = '', { maxSeconds = MAX_SECONDS } = {}) => {
+  const format = sniffAudioFormat(buffer);
+  let signal;
+  if (format === 'wav') signal = decodeWav(buffer, maxSeconds);
+  else if (format === 'mp3' || !format) signal = await decodeMp3(buffer, maxSeconds);
+  else signal = await decodeWithFfmpegToMono(buffer, maxSeconds);
+
+  const { integrated, truePeak } = signal.meter;
+  return {
+    samples: signal.samples,
+    sampleRate: signal.sampleRate,
+    loudness: {
+      integrated_loudness: integrated == null ? null : round(integrated, 2),
+      true_peak: truePeak == null ? null : round(truePeak, 2)
+    }
+  };
+};
+
+// ==================== SPECTRAL ANALYSIS ====================
+
+// Precomputed tables for an in-place radix-2 FFT of FFT_SIZE points
+const fftTables = (() => {
+  const bits = Math.log2(FFT_SIZE);
+  const reverse = new Uint32Array(FFT_SIZE);
+  for (let i = 0; i < FFT_SIZE; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) r = (r << 1) | ((i >> b) & 1);
+    reverse[i] = r;
+  }
+  const cos = new Float64Array(FFT_SIZE / 2);
+  const sin = new Float64Array(FFT_SIZE / 2);
+  for (let i = 0; i < FFT_SIZE / 2; i++) {
+    cos[i] = Math.cos((-2 * Math.PI * i) / FFT_SIZE);
+    sin[i] = Math.sin((-2 * Math.PI * i) / FFT_SIZE);
+  }
+  const window = new Float64Array(FFT_SIZE);
+  for (let i = 0; i < FFT_SIZE; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FFT_SIZE - 1));
+  }
+  return { reverse, cos, sin, window };
+})();
+
+const fft = (re, im) => {
+  const { reverse, cos, sin } = fftTables;
+  for (let i = 0; i < FFT_SIZE; i++) {
+    const j = reverse[i];
+    if (j > i) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= FFT_SIZE; size <<= 1) {
+    const half = size >> 1;
+    const step = FFT_SIZE / size;
+    for (let start = 0; start < FFT_SIZE; start += size) {
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * cos[k * step] - im[b] * sin[k * step];
+        const tIm = re[b] * sin[k * step] + im[b] * cos[k * step];
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+};
+
+// One pass over the signal collecting the onset envelope (spectral flux),
+// a chromagram, the share of spectral energy above the brightness cutoff and
+// the band energies the fingerprint is made from.
+const spectralPass = (samples, sampleRate) => {
+  const bins = FFT_SIZE / 2;
+  const binHz = sampleRate / FFT_SIZE;
+  const re = new Float64Array(FFT_SIZE);
+  const im = new Float64Array(FFT_SIZE);
+  const previous = new Float64Array(bins);
+  const chroma = new Float64Array(12);
+  const onsets = [];
+  let highEnergy = 0;
+  let totalEnergy = 0;
+
+  // Map each FFT bin to a pitch class once; bins outside 100 Hz-5 kHz are ignored
+  const pitchClassOfBin = new Int8Array(bins).fill(-1);
+  for (let k = 1; k < bins; k++) {
+    const freq = k * binHz;
+    if (freq < 100 || freq > 5000) continue;
+    const midi = Math.round(12 * Math.log2(freq / 440) + 69);
+    pitchClassOfBin[k] = ((midi % 12) + 12) % 12;
+  }
+
+  // Fingerprint band of each bin, and the band energies of the latest hops
+  const bandCount = FINGERPRINT_BAND_EDGES.length - 1;
+  const bandOfBin = new Int8Array(bins).fill(-1);
+  for (let k = 1; k < bins; k++) {
+    for (let band = 0; band < bandCount; band++) {
+      if (k * binHz >= FINGERPRINT_BAND_EDGES[band] && k * binHz < FINGERPRINT_BAND_EDGES[band + 1]) bandOfBin[k] = band;
+    }
+  }
+  const fingerprintEnd = FINGERPRINT_SECONDS * sampleRate;
+  const recentBands = [];
+  const bandFrames = [];
+
+  for (let start = 0, hop = 0; start + FFT_SIZE <= samples.length; start += HOP_SIZE, hop++) {
+    for (let i = 0; i < FFT_SIZE; i++) {
+      re[i] = samples[start + i] * fftTables.window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const fingerprinting = start + FFT_SIZE <= fingerprintEnd;
+    const bands = fingerprinting ? new Float64Array(bandCount) : null;
+
+    let flux = 0;
+    for (let k = 1; k < bins; k++) {
+      const power = re[k] * re[k] + im[k] * im[k];
+      const magnitude = Math.sqrt(power);
+      const logMagnitude = Math.log1p(magnitude);
+
+      flux += Math.max(0, logMagnitude - previous[k]);
+      previous[k] = logMagnitude;
+
+      totalEnergy += power;
+      if (k * binHz >= BRIGHTNESS_CUTOFF_HZ) highEnergy += power;
+      if (pitchClassOfBin[k] >= 0) chroma[pitchClassOfBin[k]] += magnitude;
+      if (bands && bandOfBin[k] >= 0) bands[bandOfBin[k]] += power;
+    }
+    onsets.push(flux);
+
+    if (bands) {
+      recentBands.push(bands);
+      if (recentBands.length > FINGERPRINT_WINDOW_HOPS) recentBands.shift();
+      if (recentBands.length === FINGERPRINT_WINDOW_HOPS && hop % FINGERPRINT_STEP_HOPS === 0) {
+        const frame = new Float64Array(bandCount);
+        for (const recent of recentBands) {
+          for (let band = 0; band < bandCount; band++) frame[band] += recent[band];
+        }
+        bandFrames.push(frame);
+      }
+    }
+  }
+
+  return {
+    onsets: Float64Array.from(onsets),
+    framesPerSecond: sampleRate / HOP_SIZE,
+    chroma,
+    brightness: totalEnergy > 0 ? highEnergy / totalEnergy : null,
+    bandFrames
+  };
+};
+
+// Remove the slowly varying part of the onset envelope so only peaks remain
+const normalizeOnsets = (onsets, framesPerSecond) => {
+  const radius = Math.max(1, Math.round(framesPerSecond / 4));
+  const out = new Float64Array(onsets.length);
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < onsets.length + radius; i++) {
+    if (i < onsets.length) { sum += onsets[i]; count++; }
+    if (i - 2 * radius - 1 >= 0) { sum -= onsets[i - 2 * radius - 1]; count--; }
+    const center = i - radius;
+    if (center >= 0) out[center] = Math.max(0, onsets[center] - sum / count);
+  }
+  return out;
+};
+
+// Tempo from the autocorrelation of the onset envelope, with a log-normal
+// prior around 120 BPM to resolve half/double-tempo ambiguity.
+const estimateTempo = (envelope, framesPerSecond) => {
+  const minLag = Math.floor((60 * framesPerSecond) / MAX_BPM);
+  const maxLag = Math.ceil((60 * framesPerSecond) / MIN_BPM);
+  if (envelope.length < maxLag * 4) return null;
+
+  const scores = new Float64Array(maxLag + 2);
+  let best = -1;
+  for (let lag = minLag; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < envelope.length; i++) sum += envelope[i] * envelope[i - lag];
+    const bpm = (60 * framesPerSecond) / lag;
+    const prior = Math.exp(-0.5 * (Math.log2(bpm / 120) / 0.9) ** 2);
+    scores[lag] = (sum / (envelope.length - lag)) * prior;
+    if (lag <= maxLag && (best < 0 || scores[lag] > scores[best])) best = lag;
+  }
+  if (best < 0 || scores[best] <= 0) return null;
+
+  // Parabolic interpolation around the peak for sub-frame precision
+  let lag = best;
+  if (best > minLag) {
+    const a = scores[best - 1];
+    const b = scores[best];
+    const c = scores[best + 1];
+    const denominator = a - 2 * b + c;
+    if (denominator !== 0) lag = best + (0.5 * (a - c)) / denominator;
+  }
+  return round((60 * framesPerSecond) / lag, 1);
+};
+
+const correlation = (x, y) => {
+  const meanX = x.reduce((s, v) => s + v, 0) / x.length;
+  const meanY = y.reduce((s, v) => s + v, 0) / y.length;
+  let num = 0;
+  let dx = 0;
+  let dy = 0;
+  for (let i = 0; i < x.length; i++) {
+    num += (x[i] - meanX) * (y[i] - meanY);
+    dx += (x[i] - meanX) ** 2;
+    dy += (y[i] - meanY) ** 2;
+  }
+  return dx && dy ? num / Math.sqrt(dx * dy) : 0;
+};
+
+// Krumhansl-Schmuckler key finding over the accumulated chromagram
+const estimateKey = (chroma) => {
+  if (chroma.every((v) => v === 0)) return null;
+  let best = { score: -Infinity, key: null };
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = Array.from({ length: 12 }, (_, i) => chroma[(i + tonic) % 12]);
+    for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+      const score = correlation(rotated, profile);
+      if (score > best.score) best = { score, key: `${PITCH_CLASSES[tonic]} ${mode}` };
+    }
+  }
+  return best.key;
+};
+
+// Onsets per second: peaks in the envelope above its own mean
+const onsetRate = (envelope, framesPerSecond) => {
+  if (envelope.length < 3) return 0;
+  const mean = envelope.reduce((s, v) => s + v, 0) / envelope.length;
+  let peaks = 0;
+  for (let i = 1; i < envelope.length - 1; i++) {
+    if (envelope[i] > mean && envelope[i] >= envelope[i - 1] && envelope[i] > envelope[i + 1]) peaks++;
+  }
+  return peaks / (envelope.length / framesPerSecond);
+};
+
+// ==================== PUBLIC API ====================
+
+// Compute features and the acoustic fingerprint (see lib/fingerprint.js)
+// from a decoded mono signal. The fingerprint is null when the audio is too
+// short or too uniform for one.
+export const analyzeSignal = (samples, sampleRate) => {
+  const features = emptyFeatures();
+  if (samples.length < FFT_SIZE) return { features, fingerprint: null };
+
+  let sumSquares = 0;
+  for (let i = 0; i < samples.length; i++) sumSquares += samples[i] * samples[i];
+  const rms = Math.sqrt(sumSquares / samples.length);
+  features.loudness = rms > 0 ? round(20 * Math.log10(rms), 2) : -100;
+
+  const { onsets, framesPerSecond, chroma, brightness, bandFrames } = spectralPass(samples, sampleRate);
+  const envelope = normalizeOnsets(onsets, framesPerSecond);
+
+  features.bpm = estimateTempo(envelope, framesPerSecond);
+  features.musical_key = estimateKey(chroma);
+  features.brightness = brightness == null ? null : round(brightness, 3);
+
+  // Energy blends perceived level (-30 dBFS → 0, -6 dBFS → 1) with how busy
+  // the track is (8+ onsets per second counts as maximally dense)
+  const levelScore = clamp01((features.loudness + 30) / 24);
+  const densityScore = clamp01(onsetRate(envelope, framesPerSecond) / 8);
+  features.energy = round(0.6 * levelScore + 0.4 * densityScore, 3);
+
+  return { features, fingerprint: fingerprintFromBands(bandFrames) };
+};
+
+// Decode and analyze an uploaded file into { features, fingerprint }. Never
+// throws: files that cannot be decoded come back with every feature set to
+// null and no fingerprint.
+export const analyzeAudio = async (buffer, filename = '') => {
+  try {
+    const { samples, sampleRate, loudness } = await decodeToMono(buffer, filename);
+    const { features, fingerprint } = analyzeSignal(samples, sampleRate);
+    return { features: { ...features, ...loudness }, fingerprint };
+  } catch (error) {
+    console.error(`Audio analysis failed for ${filename}:`, error.message);
+    return { features: emptyFeatures(), fingerprint: null };
+  }
+};
@@ -0,0 +1,64 @@
+// lib/audioFormats.js
+// The audio formats the library accepts, recognised by their magic bytes
+// rather than the file name or the type the client claims.
+
+export const AUDIO_FORMATS = {
+  mp3: { label: 'MP3', contentType: 'audio/mpeg', extensions: ['.mp3'] },
+  wav: { label: 'WAV', contentType: 'audio/wav', extensions: ['.wav'] },
+  flac: { label: 'FLAC', contentType: 'audio/flac', extensions: ['.flac'] },
+  m4a: { label: 'M4A (AAC/ALAC)', contentType: 'audio/mp4', extensions: ['.m4a', '.m4b', '.mp4'] },
+  aac: { label: 'AAC', contentType: 'audio/aac', extensions: ['.aac'] },
+  ogg: { label: 'Ogg Vorbis', contentType: 'audio/ogg', extensions: ['.ogg', '.oga'] },
+  opus: { label: 'Opus', contentType: 'audio/ogg; codecs=opus', extensions: ['.opus'] }
+};
+
+export const AUDIO_FORMAT_LABELS = Object.values(AUDIO_FORMATS).map(({ label }) => label);
+
+// Byte length of an ID3v2 tag at the start of the buffer (0 if none)
+const id3Length = (buf) => {
+  if (buf.length < 10 || buf.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = ((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) | ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f);
+  return 10 + size + ((buf[5] & 0x10) ? 10 : 0);
+};
+
+// An ADTS (raw AAC) frame header: 12 sync bits and layer 0
+const isAdts = (buf, pos) => buf[pos] === 0xff && (buf[pos + 1] & 0xf6) === 0xf0;
+
+// An MPEG audio frame header: 11 sync bits, a layer and a valid bitrate
+const isMpegFrame = (buf, pos) =>
+  buf[pos] === 0xff && (buf[pos + 1] & 0xe0) === 0xe0 &&
+  ((buf[pos + 1] >> 1) & 0x03) !== 0 && (buf[pos + 2] >> 4) !== 0x0f;
+
+// The codec of an Ogg stream, from the first packet on its first page
+const oggCodec = (buf) => {
+  const packet = 27 + buf[26];
+  if (buf.toString('latin1', packet, packet + 8) === 'OpusHead') return 'opus';
+  if (buf.toString('latin1', packet, packet + 7) === '\x01vorbis') return 'ogg';
+  if (buf.toString('latin1', packet, packet + 5) === '\x7fFLAC') return 'ogg';
+  return null;
+};
+
+// The AUDIO_FORMATS key of a file from its first bytes, or null
+export const sniffAudioFormat = (buffer) => {
+  if (buffer.length < 12) return null;
+
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE') return 'wav';
+  if (buffer.toString('latin1', 0, 4) === 'OggS' && buffer.length >= 28) return oggCodec(buffer);
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') return 'm4a';
+
+  // MP3, FLAC and raw AAC may all start with an ID3 tag
+  const start = id3Length(buffer);
+  if (buffer.toString('latin1', start, start + 4) === 'fLaC') return 'flac';
+  if (isAdts(buffer, start)) return 'aac';
+  if (isMpegFrame(buffer, start)) return 'mp3';
+
+  // Some taggers pad past the declared tag size; ID3 still almost always means MP3
+  return start > 0 ? 'mp3' : null;
+};
+
+// Content type for a file name, for tracks stored before formats were sniffed
+export const contentTypeForName = (filename) => {
+  const ext = String(filename).toLowerCase().match(/\.[a-z0-9]+$/)?.[0];
+  const format = Object.values(AUDIO_FORMATS).find(({ extensions }) => extensions.includes(ext));
+  return format ? format.contentType : 'application/octet-stream';
+};
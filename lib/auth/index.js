@@ -0,0 +1,63 @@
+// lib/auth/index.js
+// Pluggable authentication. Every driver implements:
+//   signIn({ email, password })   session: { access_token, refresh_token, expires_in, user }
+//   signUp({ email, password })   same; access_token is null while the email awaits confirmation
+//   refresh(refreshToken)         a fresh session, or null when the driver has no refresh tokens
+//   verify(token)                 { id, email } for a valid bearer token, else null
+// Failed sign-ins throw errors carrying an HTTP `status`.
+import { createSupabaseAuth } from './supabase.js';
+import { createLocalAuth } from './local.js';
+import { isSupabaseConfigured } from '../supabase.js';
+
+const drivers = {
+  supabase: () => createSupabaseAuth({
+    jwtSecret: process.env.SUPABASE_JWT_SECRET
+  }),
+  local: () => createLocalAuth({
+    secret: process.env.AUTH_JWT_SECRET
+  })
+};
+
+// AUTH_DRIVER picks the driver and defaults to Supabase Auth. The local
+// driver signs anyone in by email alone, so it only runs when asked for by
+// name; a server without Supabase never falls back to it.
+const driverName = process.env.AUTH_DRIVER || 'supabase';
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown AUTH_DRIVER "${driverName}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+}
+if (driverName === 'supabase' && !isSupabaseConfigured()) {
+  throw new Error('Supabase Auth needs SUPABASE_URL and SUPABASE_SERVICE_KEY; set AUTH_DRIVER=local for development sign-ins');
+}
+
+export const auth = drivers[driverName]();
+
+console.log(`Using ${auth.name} auth driver`);
+
+const bearerToken = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+};
+
+// Express middleware: answers 401 unless the request carries a valid bearer
+// token, and sets req.user = { id, email } for the routes after it
+export const requireAuth = async (req, res, next) => {
+  const token = bearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+
+  try {
+    const user = await auth.verify(token);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,40 @@
+// lib/auth/jwt.js
+// Minimal HS256 JSON Web Tokens, enough for locally issued tokens and for
+// Supabase projects that sign with a shared JWT secret.
+import crypto from 'crypto';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decode = (part) => {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest();
+
+export const signToken = (claims, secret, { expiresIn }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ iat: now, exp: now + expiresIn, ...claims })}`;
+  return `${data}.${sign(data, secret).toString('base64url')}`;
+};
+
+// Claims of a valid, unexpired token, or null
+export const verifyToken = (token, secret) => {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  if (decode(header)?.alg !== 'HS256') return null;
+
+  const expected = sign(`${header}.${payload}`, secret);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  const claims = decode(payload);
+  const now = Math.floor(Date.now() / 1000);
+  if (!claims || (claims.exp != null && claims.exp <= now) || (claims.nbf != null && claims.nbf > now)) return null;
+  return claims;
+};
@@ -0,0 +1,55 @@
+// lib/auth/local.js
+// Development sign-in without an auth server: any email address gets an
+// HS256 token signed with AUTH_JWT_SECRET. There are no passwords, so the
+// driver only runs when AUTH_DRIVER=local names it and refuses to start in
+// production.
+import crypto from 'crypto';
+import { v5 as uuidv5 } from 'uuid';
+import { signToken, verifyToken } from './jwt.js';
+
+// Fixed namespace, so an email address always maps to the same user id
+const USER_NAMESPACE = '3b0f5c8e-2a41-4d7e-9c36-8f1e6a2d4b90';
+const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+export const createLocalAuth = ({ secret }) => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_DRIVER=local is for development only; use supabase in production');
+  }
+  if (!secret) {
+    console.warn('AUTH_JWT_SECRET is not set – local sign-ins will not survive a restart');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  const issueSession = (email) => {
+    const user = { id: uuidv5(email, USER_NAMESPACE), email };
+    return {
+      access_token: signToken({ sub: user.id, email }, secret, { expiresIn: TOKEN_TTL_SECONDS }),
+      refresh_token: null,
+      expires_in: TOKEN_TTL_SECONDS,
+      user
+    };
+  };
+
+  return {
+    name: 'local',
+    passwordRequired: false,
+
+    async signIn({ email }) {
+      return issueSession(email);
+    },
+
+    async signUp({ email }) {
+      return issueSession(email);
+    },
+
+    // Local tokens are long-lived; signing in again replaces them
+    async refresh() {
+      return null;
+    },
+
+    async verify(token) {
+      const claims = verifyToken(token, secret);
+      return claims?.sub ? { id: claims.sub, email: claims.email || null } : null;
+    }
+  };
+};
@@ -0,0 +1,70 @@
+// lib/auth/supabase.js
+// Supabase Auth. Sign-in calls go through a throwaway client; tokens are
+// verified locally when SUPABASE_JWT_SECRET is set and by asking Supabase
+// otherwise (projects that sign with asymmetric keys have no shared secret).
+import { getSupabase, createAuthClient } from '../supabase.js';
+import { verifyToken } from './jwt.js';
+
+// How long a token Supabase vouched for is trusted without asking again
+const VERIFIED_TTL_MS = 60 * 1000;
+const MAX_VERIFIED = 1000;
+
+const authError = (error) => Object.assign(new Error(error.message), {
+  // Supabase answers bad credentials with 400
+  status: error.status === 400 ? 401 : error.status || 500
+});
+
+const toSession = (session, user) => ({
+  access_token: session?.access_token || null,
+  refresh_token: session?.refresh_token || null,
+  expires_in: session?.expires_in || null,
+  user: { id: user.id, email: user.email }
+});
+
+export const createSupabaseAuth = ({ jwtSecret }) => {
+  const verified = new Map(); // token -> { user, expires }
+
+  const verifyRemotely = async (token) => {
+    const cached = verified.get(token);
+    if (cached && cached.expires > Date.now()) return cached.user;
+
+    const { data, error } = await getSupabase().auth.getUser(token);
+    if (error || !data.user) return null;
+
+    const user = { id: data.user.id, email: data.user.email };
+    if (verified.size >= MAX_VERIFIED) verified.clear();
+    verified.set(token, { user, expires: Date.now() + VERIFIED_TTL_MS });
+    return user;
+  };
+
+  return {
+    name: 'supabase',
+    passwordRequired: true,
+
+    async signIn({ email, password }) {
+      const { data, error } = await createAuthClient().auth.signInWithPassword({ email, password });
+      if (error) throw authError(error);
+      return toSession(data.session, data.user);
+    },
+
+    // Without a session in the reply the project requires email confirmation
+    async signUp({ email, password }) {
+      const { data, error } = await createAuthClient().auth.signUp({ email, password });
+      if (error) throw authError(error);
+      return toSession(data.session, data.user);
+    },
+
+    async refresh(refreshToken) {
+      const { data, error } = await createAuthClient().auth.refreshSession({ refresh_token: refreshToken });
+      if (error) throw authError(error);
+      return toSession(data.session, data.user);
+    },
+
+    async verify(token) {
+      if (!jwtSecret) return verifyRemotely(token);
+      // The anon and service keys are JWTs too; only user tokens have a subject
+      const claims = verifyToken(token, jwtSecret);
+      return claims?.sub && claims.aud === 'authenticated' ? { id: claims.sub, email: claims.email || null } : null;
+    }
+  };
+};
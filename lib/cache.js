@@ -0,0 +1,42 @@
+// lib/cache.js
+// Simple cache helper that no-ops if Redis is not configured
+import { redis } from './redis.js';
+
+export const cache = {
+  async get(key) {
+    if (!redis) return null;
+    return redis.get(key);
+  },
+  async setJSON(key, ttlSeconds, value) {
+    if (!redis) return;
+    await redis.setex(key, ttlSeconds, JSON.stringify(value));
+  },
+  async del(key) {
+    if (!redis) return;
+    await redis.del(key);
+  },
+  // Cache `value` and file its key under each tag, so invalidate(tag) can
+  // drop every entry computed from the same data
+  async setTaggedJSON(key, ttlSeconds, value, tags) {
+    if (!redis) return;
+    const multi = redis.multi().setex(key, ttlSeconds, JSON.stringify(value));
+    for (const tag of tags) {
+      multi.sadd(`tag:${tag}`, key).expire(`tag:${tag}`, ttlSeconds);
+    }
+    await multi.exec();
+  },
+  async invalidate(...tags) {
+    if (!redis) return;
+    const tagKeys = tags.map(tag => `tag:${tag}`);
+    const keys = await redis.sunion(...tagKeys);
+    await redis.del(...keys, ...tagKeys);
+  }
+};
+
+// Cached stats are tagged with the workspace and the data they come from:
+// "selections" (generated playlists and selection counts) or "plays" (play
+// events). Both also show track and playlist details.
+export const statsTag = (workspaceId, source) => `stats:${workspaceId}:${source}`;
+
+export const invalidateStats = (workspaceId, sources = ['selections', 'plays']) =>
+  cache.invalidate(...sources.map(source => statsTag(workspaceId, source)));
@@ -0,0 +1,66 @@
+// lib/db/index.js
+// Pluggable data access. Both drivers expose the same repositories:
+//   tracks:     list(workspaceId), get(id, workspaceId), create(fields), update(id, fields),
+//               remove(id), top(workspaceId, limit), search(workspaceId, options),
+//               findByHash(workspaceId, contentHash), inAlbum(workspaceId, album, artist),
+//               unprocessed()
+//   playlists:  list(workspaceId), get(id, workspaceId), create(fields), update(id, fields), remove(id),
+//               search(workspaceId, options),
+//               createWithTracks({ workspace_id, owner_id, mood_prompt, tracks: [{ track_id, position, weight }] }),
+//               importWithTracks({ workspace_id, owner_id, name, mood_prompt, tracks: [{ track_id, position, weight }] }),
+//               addTrack(fields), updateTrack(entryId, fields), removeTrack(entryId),
+//               reorderTracks(playlistId, entryIds)
+//   workspaces: listForUser(userId), get(id), createWithOwner({ name, user_id, email }),
+//               update(id, fields), remove(id), adoptOwnedRows(workspaceId, ownerId),
+//               members(workspaceId), membership(workspaceId, userId), addMember(fields),
+//               updateMember(memberId, fields), removeMember(memberId), claimInvites(userId, email)
+//   shares:     list(playlistId), getByTokenHash(tokenHash), create(fields), update(id, fields)
+//   plays:      record(events), trackTotals(workspaceId, { since, playlistIds }),
+//               listeningOverTime(workspaceId, { since, playlistIds, bucket })
+//   duplicates: fingerprints(workspaceId), saveFingerprint({ track_id, workspace_id, fingerprint }),
+//               list(workspaceId), link({ workspace_id, track_id, duplicate_of, similarity }),
+//               dismiss(workspaceId, trackIds), merge(keepId, trackIds)
+// Playlists are returned with nested `playlist_tracks[].tracks` rows, and
+// get() and update() resolve to null when nothing matches.
+// createWithTracks() is atomic: it stores the playlist, its entries and the
+// incremented selection counts together or not at all. importWithTracks()
+// stores an imported playlist and its entries the same way, without touching
+// selection counts. Play totals count events at or after `since` (all when
+// null) from the playlists in `playlistIds` (any when null), per track
+// ({ track_id, starts, replays, skips, completes, listened }) and per UTC
+// hour or day ({ period, seconds }, `bucket` "hour" or "day").
+//
+// search() takes the options of parseTrackQuery()/parsePlaylistQuery() in
+// lib/library.js and resolves to one page, { items, total, next }: `total` is
+// the number of matches (null after the first page) and `next` the
+// { value, id } to continue after, null on the last page.
+//
+// duplicates.fingerprints() resolves to [{ track_id, duration, fingerprint }]
+// for lib/fingerprint.js. merge() is atomic: the merged tracks' playlist
+// entries, play events and selection counts move to the kept track and the
+// merged tracks are deleted (their files are left to the caller).
+//
+// Track and playlist reads only see rows of the given workspace. Writes by id
+// do not check the workspace, so callers look the row up with get() first.
+import { createSupabaseRepository } from './supabase.js';
+import { createSqliteRepository } from './sqlite.js';
+import { isSupabaseConfigured } from '../supabase.js';
+
+const drivers = {
+  supabase: () => createSupabaseRepository(),
+  sqlite: () => createSqliteRepository({
+    filename: process.env.SQLITE_PATH || 'data/music-dj.sqlite'
+  })
+};
+
+// DB_DRIVER picks the driver; without it we use Supabase when it is
+// configured and the embedded SQLite database otherwise
+const driverName = process.env.DB_DRIVER || (isSupabaseConfigured() ? 'supabase' : 'sqlite');
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown DB_DRIVER "${driverName}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+}
+
+export const db = drivers[driverName]();
+
+console.log(`Using ${db.name} database driver`);
@@ -0,0 +1,43 @@
+-- 001_initial_schema.sql
+-- Mirrors the Supabase schema in readme-docs.md for the embedded SQLite driver.
+
+CREATE TABLE tracks (
+  id TEXT PRIMARY KEY,
+  filename TEXT NOT NULL,
+  original_name TEXT NOT NULL,
+  storage_path TEXT NOT NULL,
+  duration REAL,
+  file_size INTEGER,
+  title TEXT,
+  artist TEXT,
+  album TEXT,
+  year INTEGER,
+  genre TEXT,
+  track_number INTEGER,
+  bpm REAL,
+  musical_key TEXT,
+  loudness REAL,
+  energy REAL,
+  brightness REAL,
+  upload_date TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  selection_count INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE playlists (
+  id TEXT PRIMARY KEY,
+  mood_prompt TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE playlist_tracks (
+  id TEXT PRIMARY KEY,
+  playlist_id TEXT REFERENCES playlists(id) ON DELETE CASCADE,
+  track_id TEXT REFERENCES tracks(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  weight REAL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_tracks_selection_count ON tracks(selection_count DESC);
+CREATE INDEX idx_playlist_tracks_playlist ON playlist_tracks(playlist_id);
+CREATE INDEX idx_tracks_upload_date ON tracks(upload_date DESC);
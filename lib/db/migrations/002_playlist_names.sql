@@ -0,0 +1,5 @@
+-- 002_playlist_names.sql
+-- Playlists can be named and edited by hand; mood_prompt stays the prompt a
+-- generated playlist was built from.
+
+ALTER TABLE playlists ADD COLUMN name TEXT;
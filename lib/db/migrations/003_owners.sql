@@ -0,0 +1,9 @@
+-- 003_owners.sql
+-- Tracks and playlists belong to the user who created them. Rows from before
+-- sign-in existed have no owner and stay hidden until one is assigned.
+
+ALTER TABLE tracks ADD COLUMN owner_id TEXT;
+ALTER TABLE playlists ADD COLUMN owner_id TEXT;
+
+CREATE INDEX idx_tracks_owner ON tracks(owner_id);
+CREATE INDEX idx_playlists_owner ON playlists(owner_id);
@@ -0,0 +1,28 @@
+-- 004_workspaces.sql
+-- Shared libraries. Tracks and playlists belong to a workspace; owner_id
+-- stays as the user who added them. Members are listed by email, so people
+-- can be invited before they have signed in (user_id is filled in then).
+
+CREATE TABLE workspaces (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE workspace_members (
+  id TEXT PRIMARY KEY,
+  workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id TEXT,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'curator', 'listener')),
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (workspace_id, email)
+);
+
+ALTER TABLE tracks ADD COLUMN workspace_id TEXT REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE playlists ADD COLUMN workspace_id TEXT REFERENCES workspaces(id) ON DELETE CASCADE;
+
+CREATE INDEX idx_workspace_members_user ON workspace_members(user_id);
+CREATE INDEX idx_workspace_members_email ON workspace_members(email);
+CREATE INDEX idx_tracks_workspace ON tracks(workspace_id);
+CREATE INDEX idx_playlists_workspace ON playlists(workspace_id);
@@ -0,0 +1,16 @@
+-- 005_playlist_shares.sql
+-- Read-only share links for playlists. Only a hash of each token is kept;
+-- a share stops working once it is revoked or expires.
+
+CREATE TABLE playlist_shares (
+  id TEXT PRIMARY KEY,
+  playlist_id TEXT NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_by TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  expires_at TEXT,
+  revoked_at TEXT
+);
+
+CREATE INDEX idx_playlist_shares_playlist ON playlist_shares(playlist_id);
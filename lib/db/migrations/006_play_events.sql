@@ -0,0 +1,20 @@
+-- 006_play_events.sql
+-- What people actually listen to. Every listen begins with a `start` (or a
+-- `replay` of the track that just played) and usually ends with a `skip` or
+-- `complete`; `position` is how many seconds had played when the event
+-- happened.
+
+CREATE TABLE play_events (
+  id TEXT PRIMARY KEY,
+  workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  track_id TEXT NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  playlist_id TEXT REFERENCES playlists(id) ON DELETE SET NULL,
+  user_id TEXT,
+  event TEXT NOT NULL CHECK (event IN ('start', 'skip', 'complete', 'replay')),
+  position REAL,
+  played_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_play_events_workspace_time ON play_events(workspace_id, played_at);
+CREATE INDEX idx_play_events_track ON play_events(track_id);
+CREATE INDEX idx_play_events_playlist ON play_events(playlist_id);
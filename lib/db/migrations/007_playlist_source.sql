@@ -0,0 +1,11 @@
+-- 007_playlist_source.sql
+-- Where a playlist came from: "generated" by the AI, made by hand
+-- ("manual") or imported from a file ("import"). Windowed selection stats
+-- only count generated playlists. Older rows are classified by whether they
+-- have a name, which only hand-made and imported playlists had.
+
+ALTER TABLE playlists ADD COLUMN source TEXT CHECK (source IN ('generated', 'manual', 'import'));
+
+UPDATE playlists SET source = CASE WHEN name IS NULL THEN 'generated' ELSE 'manual' END;
+
+CREATE INDEX idx_playlists_workspace_created ON playlists(workspace_id, created_at);
@@ -0,0 +1,54 @@
+-- 008_library_search.sql
+-- Full-text indexes for library search: track names and tags, playlist
+-- names and moods. Triggers keep them in step with the tables, including
+-- rows removed by cascading deletes. Diacritics are ignored, so "cafe"
+-- finds "Café".
+
+CREATE VIRTUAL TABLE tracks_search USING fts5(
+  track_id UNINDEXED, title, artist, album, genre, original_name,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+INSERT INTO tracks_search (track_id, title, artist, album, genre, original_name)
+  SELECT id, title, artist, album, genre, original_name FROM tracks;
+
+CREATE TRIGGER tracks_search_insert AFTER INSERT ON tracks BEGIN
+  INSERT INTO tracks_search (track_id, title, artist, album, genre, original_name)
+    VALUES (new.id, new.title, new.artist, new.album, new.genre, new.original_name);
+END;
+
+CREATE TRIGGER tracks_search_update AFTER UPDATE OF title, artist, album, genre, original_name ON tracks BEGIN
+  DELETE FROM tracks_search WHERE track_id = old.id;
+  INSERT INTO tracks_search (track_id, title, artist, album, genre, original_name)
+    VALUES (new.id, new.title, new.artist, new.album, new.genre, new.original_name);
+END;
+
+CREATE TRIGGER tracks_search_delete AFTER DELETE ON tracks BEGIN
+  DELETE FROM tracks_search WHERE track_id = old.id;
+END;
+
+CREATE VIRTUAL TABLE playlists_search USING fts5(
+  playlist_id UNINDEXED, name, mood_prompt,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+INSERT INTO playlists_search (playlist_id, name, mood_prompt)
+  SELECT id, name, mood_prompt FROM playlists;
+
+CREATE TRIGGER playlists_search_insert AFTER INSERT ON playlists BEGIN
+  INSERT INTO playlists_search (playlist_id, name, mood_prompt) VALUES (new.id, new.name, new.mood_prompt);
+END;
+
+CREATE TRIGGER playlists_search_update AFTER UPDATE OF name, mood_prompt ON playlists BEGIN
+  DELETE FROM playlists_search WHERE playlist_id = old.id;
+  INSERT INTO playlists_search (playlist_id, name, mood_prompt) VALUES (new.id, new.name, new.mood_prompt);
+END;
+
+CREATE TRIGGER playlists_search_delete AFTER DELETE ON playlists BEGIN
+  DELETE FROM playlists_search WHERE playlist_id = old.id;
+END;
+
+-- Filters and sort orders of the library list
+CREATE INDEX idx_tracks_workspace_upload ON tracks(workspace_id, upload_date);
+CREATE INDEX idx_tracks_workspace_title ON tracks(workspace_id, lower(COALESCE(title, original_name)));
+CREATE INDEX idx_tracks_workspace_bpm ON tracks(workspace_id, bpm);
@@ -0,0 +1,32 @@
+-- 009_duplicates.sql
+-- Duplicate detection. content_hash (SHA-256 of the file) finds byte-identical
+-- uploads; acoustic fingerprints find the same recording encoded differently.
+-- Fingerprints live in their own table so track lists stay small. Tracks
+-- flagged as sounding like an earlier track are linked in track_duplicates
+-- until they are merged or dismissed.
+
+ALTER TABLE tracks ADD COLUMN content_hash TEXT;
+
+CREATE INDEX idx_tracks_workspace_hash ON tracks(workspace_id, content_hash);
+
+CREATE TABLE track_fingerprints (
+  id TEXT PRIMARY KEY,
+  track_id TEXT NOT NULL UNIQUE REFERENCES tracks(id) ON DELETE CASCADE,
+  workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  fingerprint TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_track_fingerprints_workspace ON track_fingerprints(workspace_id);
+
+CREATE TABLE track_duplicates (
+  id TEXT PRIMARY KEY,
+  workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  track_id TEXT NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  duplicate_of TEXT NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  similarity REAL NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (track_id, duplicate_of)
+);
+
+CREATE INDEX idx_track_duplicates_workspace ON track_duplicates(workspace_id);
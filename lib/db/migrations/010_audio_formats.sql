@@ -0,0 +1,10 @@
+-- 010_audio_formats.sql
+-- Formats beyond MP3 and WAV. `format` is what the uploaded file's bytes
+-- turned out to be (a key of AUDIO_FORMATS in lib/audioFormats.js). The
+-- original is always kept; tracks may also have a streaming rendition
+-- (stream_path, its format and size in bytes), which playback prefers.
+
+ALTER TABLE tracks ADD COLUMN format TEXT;
+ALTER TABLE tracks ADD COLUMN stream_path TEXT;
+ALTER TABLE tracks ADD COLUMN stream_format TEXT;
+ALTER TABLE tracks ADD COLUMN stream_size INTEGER;
@@ -0,0 +1,12 @@
+-- 011_loudness.sql
+-- Loudness normalization. Each track's integrated loudness (LUFS) and true
+-- peak (dBTP) are measured on upload (lib/loudness.js); album_loudness and
+-- album_peak are the same for all tracks sharing its album and artist tags,
+-- and are recomputed whenever one of those tracks comes or goes.
+
+ALTER TABLE tracks ADD COLUMN integrated_loudness REAL;
+ALTER TABLE tracks ADD COLUMN true_peak REAL;
+ALTER TABLE tracks ADD COLUMN album_loudness REAL;
+ALTER TABLE tracks ADD COLUMN album_peak REAL;
+
+CREATE INDEX idx_tracks_workspace_album ON tracks(workspace_id, album, artist);
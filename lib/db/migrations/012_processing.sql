@@ -0,0 +1,10 @@
+-- 012_processing.sql
+-- Uploads are stored straight away and processed in a background job (tags,
+-- analysis, duplicate check, streaming rendition; see lib/processing.js).
+-- processing_status is "pending" until the job runs, then "processing" and
+-- "ready", or "failed" with processing_error once every attempt failed.
+-- Tracks from before were processed on upload, so they start out ready.
+
+ALTER TABLE tracks ADD COLUMN processing_status TEXT NOT NULL DEFAULT 'ready';
+ALTER TABLE tracks ADD COLUMN processing_error TEXT;
+ALTER TABLE tracks ADD COLUMN processing_job_id TEXT;
@@ -0,0 +1,541 @@
+// lib/db/sqlite.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { v4 as uuidv4 } from 'uuid';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// Apply every migrations/*.sql file that has not run yet, in filename order
+const migrate = (db) => {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  )`);
+
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').pluck().all());
+  const pending = fs.readdirSync(MIGRATIONS_DIR)
+    .filter((file) => file.endsWith('.sql') && !applied.has(file))
+    .sort();
+
+  for (const file of pending) {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    db.transaction(() => {
+      db.exec(sql);
+      db.prepare('INSERT INTO schema_migrations (version) VALUES (?)').run(file);
+    })();
+    console.log(`Applied SQLite migration ${file}`);
+  }
+};
+
+// Repository backed by an embedded SQLite database file
+export const createSqliteRepository = ({ filename }) => {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  // Column whitelist per table, so only known columns reach the SQL text
+  const columnCache = new Map();
+  const columnsOf = (table) => {
+    if (!columnCache.has(table)) {
+      columnCache.set(table, new Set(db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name)));
+    }
+    return columnCache.get(table);
+  };
+
+  const pickColumns = (table, fields) => {
+    const columns = columnsOf(table);
+    return Object.fromEntries(Object.entries(fields).filter(([key, value]) => {
+      if (!columns.has(key)) throw new Error(`Unknown column "${key}" on ${table}`);
+      return value !== undefined;
+    }));
+  };
+
+  const insertRow = (table, fields) => {
+    const row = pickColumns(table, { id: uuidv4(), ...fields });
+    const keys = Object.keys(row);
+    db.prepare(`INSERT INTO ${table} (${keys.join(', ')}) VALUES (${keys.map((k) => `@${k}`).join(', ')})`).run(row);
+    return db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(row.id);
+  };
+
+  const updateRow = (table, id, fields) => {
+    const row = pickColumns(table, fields);
+    const keys = Object.keys(row);
+    if (keys.length > 0) {
+      db.prepare(`UPDATE ${table} SET ${keys.map((k) => `${k} = @${k}`).join(', ')} WHERE id = @__id`)
+        .run({ ...row, __id: id });
+    }
+    return db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id) || null;
+  };
+
+  // Attach playlist_tracks (each with its nested `tracks` row) to playlists,
+  // matching the shape of Supabase's `playlist_tracks(*, tracks(*))` select
+  const withTracks = (playlists) => {
+    if (playlists.length === 0) return playlists;
+
+    const ids = playlists.map((p) => p.id);
+    const placeholders = ids.map(() => '?').join(', ');
+    const entries = db.prepare(
+      `SELECT * FROM playlist_tracks WHERE playlist_id IN (${placeholders}) ORDER BY position`
+    ).all(...ids);
+
+    const trackIds = [...new Set(entries.map((pt) => pt.track_id))];
+    const tracksById = new Map(trackIds.length === 0 ? [] : db.prepare(
+      `SELECT * FROM tracks WHERE id IN (${trackIds.map(() => '?').join(', ')})`
+    ).all(...trackIds).map((t) => [t.id, t]));
+
+    const byPlaylist = new Map(ids.map((id) => [id, []]));
+    for (const entry of entries) {
+      byPlaylist.get(entry.playlist_id).push({ ...entry, tracks: tracksById.get(entry.track_id) || null });
+    }
+
+    return playlists.map((p) => ({ ...p, playlist_tracks: byPlaylist.get(p.id) }));
+  };
+
+  // Insert a playlist with its entries and count each track's selection, all
+  // or nothing
+  const createPlaylistWithTracks = db.transaction(({ workspace_id, owner_id, mood_prompt, tracks: entries }) => {
+    const playlist = insertRow('playlists', { workspace_id, owner_id, mood_prompt, source: 'generated' });
+    const bumpSelectionCount = db.prepare(
+      'UPDATE tracks SET selection_count = COALESCE(selection_count, 0) + 1 WHERE id = ?'
+    );
+    for (const entry of entries) {
+      insertRow('playlist_tracks', { ...entry, playlist_id: playlist.id });
+      bumpSelectionCount.run(entry.track_id);
+    }
+    return playlist.id;
+  });
+
+  // An imported playlist and its entries. Imports are not selections, so
+  // selection counts stay as they are.
+  const importPlaylistWithTracks = db.transaction(({ workspace_id, owner_id, name, mood_prompt, tracks: entries }) => {
+    const playlist = insertRow('playlists', { workspace_id, owner_id, name, mood_prompt, source: 'import' });
+    for (const entry of entries) {
+      insertRow('playlist_tracks', { ...entry, playlist_id: playlist.id });
+    }
+    return playlist.id;
+  });
+
+  // Renumber a playlist's entries 1..n in the given order
+  const reorderPlaylistTracks = db.transaction((playlistId, entryIds) => {
+    const setPosition = db.prepare('UPDATE playlist_tracks SET position = ? WHERE id = ? AND playlist_id = ?');
+    entryIds.forEach((id, index) => setPosition.run(index + 1, id, playlistId));
+  });
+
+  // A workspace and its first member, the owner
+  const createWorkspaceWithOwner = db.transaction(({ name, user_id, email }) => {
+    const workspace = insertRow('workspaces', { name });
+    insertRow('workspace_members', { workspace_id: workspace.id, user_id, email, role: 'owner' });
+    return workspace;
+  });
+
+  // Fold duplicate tracks into `keepId`: their playlist entries and play
+  // events move to it, their selection counts are added to its count, and
+  // they are deleted. A playlist keeps one entry where the merge would give
+  // it several, and its positions are renumbered.
+  const mergeDuplicateTracks = db.transaction((keepId, trackIds) => {
+    const ids = [keepId, ...trackIds];
+    const placeholders = trackIds.map(() => '?').join(', ');
+    const affected = db.prepare(
+      `SELECT DISTINCT playlist_id FROM playlist_tracks WHERE track_id IN (${placeholders})`
+    ).pluck().all(...trackIds);
+
+    // Keep the first entry of the merged tracks per playlist, unless it has the kept track already
+    db.prepare(`
+      DELETE FROM playlist_tracks
+      WHERE track_id IN (${placeholders})
+        AND EXISTS (
+          SELECT 1 FROM playlist_tracks other
+          WHERE other.playlist_id = playlist_tracks.playlist_id
+            AND other.id != playlist_tracks.id
+            AND (other.track_id = ? OR (other.track_id IN (${placeholders}) AND other.position < playlist_tracks.position))
+        )
+    `).run(...trackIds, keepId, ...trackIds);
+    db.prepare(`UPDATE playlist_tracks SET track_id = ? WHERE track_id IN (${placeholders})`).run(keepId, ...trackIds);
+    db.prepare(`UPDATE play_events SET track_id = ? WHERE track_id IN (${placeholders})`).run(keepId, ...trackIds);
+    db.prepare(`
+      UPDATE tracks SET selection_count = (
+        SELECT SUM(COALESCE(selection_count, 0)) FROM tracks WHERE id IN (${ids.map(() => '?').join(', ')})
+      ) WHERE id = ?
+    `).run(...ids, keepId);
+    db.prepare(`DELETE FROM tracks WHERE id IN (${placeholders})`).run(...trackIds);
+
+    const entries = db.prepare('SELECT id FROM playlist_tracks WHERE playlist_id = ? ORDER BY position').pluck();
+    for (const playlistId of affected) reorderPlaylistTracks(playlistId, entries.all(playlistId));
+  });
+
+  // Move a user's tracks and playlists from before workspaces existed into one
+  const adoptOwnedRows = db.transaction((workspaceId, ownerId) => {
+    db.prepare('UPDATE tracks SET workspace_id = ? WHERE owner_id = ? AND workspace_id IS NULL').run(workspaceId, ownerId);
+    db.prepare('UPDATE playlists SET workspace_id = ? WHERE owner_id = ? AND workspace_id IS NULL').run(workspaceId, ownerId);
+  });
+
+  // Sort expressions of the library list, by sort key
+  const TRACK_ORDER = {
+    uploaded: 'upload_date',
+    title: 'lower(COALESCE(title, original_name))',
+    artist: 'lower(artist)',
+    duration: 'duration',
+    bpm: 'bpm',
+    selections: 'selection_count'
+  };
+  const PLAYLIST_ORDER = {
+    created: 'created_at',
+    name: 'lower(COALESCE(name, mood_prompt))'
+  };
+
+  // FTS5 query where every word must start a word of the row
+  const matchQuery = (words) => words.map((word) => `"${word}"*`).join(' ');
+
+  const likeContains = (text) => `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+
+  // One page of `table` rows matching `clauses`, ordered by `expr` (NULLs
+  // last) and then id, starting after the row `after` ({ value, id }). Counts
+  // the matches on the first page only.
+  const searchPage = (table, { clauses, params, expr, ascending, after, limit }) => {
+    const compare = ascending ? '>' : '<';
+    const direction = ascending ? 'ASC' : 'DESC';
+    const pageClauses = [...clauses];
+    const pageParams = [...params];
+    if (after?.value === null) {
+      pageClauses.push(`(${expr} IS NULL AND id ${compare} ?)`);
+      pageParams.push(after.id);
+    } else if (after) {
+      pageClauses.push(`(${expr} ${compare} ? OR (${expr} = ? AND id ${compare} ?) OR ${expr} IS NULL)`);
+      pageParams.push(after.value, after.value, after.id);
+    }
+
+    const rows = db.prepare(`
+      SELECT *, ${expr} AS sort_value FROM ${table}
+      WHERE ${pageClauses.join(' AND ')}
+      ORDER BY sort_value IS NULL, sort_value ${direction}, id ${direction}
+      LIMIT ?
+    `).all(...pageParams, limit + 1);
+    const total = after ? null : db.prepare(`SELECT COUNT(*) FROM ${table} WHERE ${clauses.join(' AND ')}`)
+      .pluck().get(...params);
+
+    const last = rows.length > limit ? rows[limit - 1] : null;
+    return {
+      items: rows.slice(0, limit).map(({ sort_value: _, ...row }) => row),
+      total,
+      next: last && { value: last.sort_value, id: last.id }
+    };
+  };
+
+  const tracks = {
+    async list(workspaceId) {
+      return db.prepare('SELECT * FROM tracks WHERE workspace_id = ? ORDER BY upload_date DESC').all(workspaceId);
+    },
+
+    async get(id, workspaceId) {
+      return db.prepare('SELECT * FROM tracks WHERE id = ? AND workspace_id = ?').get(id, workspaceId) || null;
+    },
+
+    async create(fields) {
+      return insertRow('tracks', fields);
+    },
+
+    async update(id, fields) {
+      return updateRow('tracks', id, fields);
+    },
+
+    async remove(id) {
+      db.prepare('DELETE FROM tracks WHERE id = ?').run(id);
+    },
+
+    async top(workspaceId, limit) {
+      return db.prepare(
+        'SELECT * FROM tracks WHERE workspace_id = ? AND selection_count > 0 ORDER BY selection_count DESC LIMIT ?'
+      ).all(workspaceId, limit);
+    },
+
+    // Tracks with this content hash, oldest first
+    async findByHash(workspaceId, contentHash) {
+      return db.prepare(
+        'SELECT * FROM tracks WHERE workspace_id = ? AND content_hash = ? ORDER BY upload_date'
+      ).all(workspaceId, contentHash);
+    },
+
+    // Tracks tagged with this album and artist (a null artist matches untagged ones)
+    async inAlbum(workspaceId, album, artist) {
+      return db.prepare(
+        'SELECT * FROM tracks WHERE workspace_id = ? AND album = ? AND artist IS ? ORDER BY upload_date'
+      ).all(workspaceId, album, artist);
+    },
+
+    // Tracks of every workspace still waiting for or in processing
+    async unprocessed() {
+      return db.prepare(
+        "SELECT * FROM tracks WHERE processing_status IN ('pending', 'processing') ORDER BY upload_date"
+      ).all();
+    },
+
+    async search(workspaceId, { words, filters, sort, ascending, after, limit }) {
+      const clauses = ['workspace_id = ?'];
+      const params = [workspaceId];
+      const where = (clause, ...values) => {
+        clauses.push(clause);
+        params.push(...values);
+      };
+
+      if (words.length > 0) {
+        where('id IN (SELECT track_id FROM tracks_search WHERE tracks_search MATCH ?)', matchQuery(words));
+      }
+      if (filters.durationMin !== null) where('duration >= ?', filters.durationMin);
+      if (filters.durationMax !== null) where('duration <= ?', filters.durationMax);
+      if (filters.bpmMin !== null) where('bpm >= ?', filters.bpmMin);
+      if (filters.bpmMax !== null) where('bpm <= ?', filters.bpmMax);
+      if (filters.key) where('musical_key = ? COLLATE NOCASE', filters.key);
+      if (filters.genre) where("genre LIKE ? ESCAPE '\\'", likeContains(filters.genre));
+      if (filters.uploadedAfter) where('upload_date >= ?', filters.uploadedAfter);
+      if (filters.uploadedBefore) where('upload_date < ?', filters.uploadedBefore);
+      if (filters.neverSelected) where('COALESCE(selection_count, 0) = 0');
+
+      return searchPage('tracks', { clauses, params, expr: TRACK_ORDER[sort], ascending, after, limit });
+    }
+  };
+
+  const playlists = {
+    async list(workspaceId) {
+      return withTracks(db.prepare('SELECT * FROM playlists WHERE workspace_id = ? ORDER BY created_at DESC').all(workspaceId));
+    },
+
+    async search(workspaceId, { words, filters, sort, ascending, after, limit }) {
+      const clauses = ['workspace_id = ?'];
+      const params = [workspaceId];
+      if (words.length > 0) {
+        clauses.push('id IN (SELECT playlist_id FROM playlists_search WHERE playlists_search MATCH ?)');
+        params.push(matchQuery(words));
+      }
+      if (filters.source) {
+        clauses.push('source = ?');
+        params.push(filters.source);
+      }
+
+      const page = searchPage('playlists', { clauses, params, expr: PLAYLIST_ORDER[sort], ascending, after, limit });
+      return { ...page, items: withTracks(page.items) };
+    },
+
+    async get(id, workspaceId) {
+      const playlist = db.prepare('SELECT * FROM playlists WHERE id = ? AND workspace_id = ?').get(id, workspaceId);
+      return playlist ? withTracks([playlist])[0] : null;
+    },
+
+    async create(fields) {
+      return insertRow('playlists', fields);
+    },
+
+    async createWithTracks(fields) {
+      return playlists.get(createPlaylistWithTracks(fields), fields.workspace_id);
+    },
+
+    async importWithTracks(fields) {
+      return playlists.get(importPlaylistWithTracks(fields), fields.workspace_id);
+    },
+
+    async remove(id) {
+      db.prepare('DELETE FROM playlists WHERE id = ?').run(id);
+    },
+
+    async update(id, fields) {
+      return updateRow('playlists', id, fields);
+    },
+
+    async addTrack(fields) {
+      return insertRow('playlist_tracks', fields);
+    },
+
+    async updateTrack(entryId, fields) {
+      return updateRow('playlist_tracks', entryId, fields);
+    },
+
+    async removeTrack(entryId) {
+      db.prepare('DELETE FROM playlist_tracks WHERE id = ?').run(entryId);
+    },
+
+    async reorderTracks(playlistId, entryIds) {
+      reorderPlaylistTracks(playlistId, entryIds);
+    }
+  };
+
+  const workspaces = {
+    // Workspaces the user has joined, each with the user's `role`
+    async listForUser(userId) {
+      return db.prepare(
+        `SELECT w.*, m.role FROM workspaces w
+         JOIN workspace_members m ON m.workspace_id = w.id
+         WHERE m.user_id = ? ORDER BY w.created_at`
+      ).all(userId);
+    },
+
+    async get(id) {
+      return db.prepare('SELECT * FROM workspaces WHERE id = ?').get(id) || null;
+    },
+
+    async createWithOwner(fields) {
+      return createWorkspaceWithOwner(fields);
+    },
+
+    async update(id, fields) {
+      return updateRow('workspaces', id, fields);
+    },
+
+    async remove(id) {
+      db.prepare('DELETE FROM workspaces WHERE id = ?').run(id);
+    },
+
+    async adoptOwnedRows(workspaceId, ownerId) {
+      adoptOwnedRows(workspaceId, ownerId);
+    },
+
+    async members(workspaceId) {
+      return db.prepare('SELECT * FROM workspace_members WHERE workspace_id = ? ORDER BY created_at').all(workspaceId);
+    },
+
+    async membership(workspaceId, userId) {
+      return db.prepare('SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?').get(workspaceId, userId) || null;
+    },
+
+    async addMember(fields) {
+      return insertRow('workspace_members', fields);
+    },
+
+    async updateMember(memberId, fields) {
+      return updateRow('workspace_members', memberId, fields);
+    },
+
+    async removeMember(memberId) {
+      db.prepare('DELETE FROM workspace_members WHERE id = ?').run(memberId);
+    },
+
+    // Link invitations sent to `email` to the account that now has it
+    async claimInvites(userId, email) {
+      db.prepare('UPDATE workspace_members SET user_id = ? WHERE email = ? AND user_id IS NULL').run(userId, email);
+    }
+  };
+
+  const shares = {
+    async list(playlistId) {
+      return db.prepare('SELECT * FROM playlist_shares WHERE playlist_id = ? ORDER BY created_at DESC').all(playlistId);
+    },
+
+    async getByTokenHash(tokenHash) {
+      return db.prepare('SELECT * FROM playlist_shares WHERE token_hash = ?').get(tokenHash) || null;
+    },
+
+    async create(fields) {
+      return insertRow('playlist_shares', fields);
+    },
+
+    async update(id, fields) {
+      return updateRow('playlist_shares', id, fields);
+    }
+  };
+
+  const duplicates = {
+    async fingerprints(workspaceId) {
+      return db.prepare(`
+        SELECT f.track_id, t.duration, f.fingerprint
+        FROM track_fingerprints f JOIN tracks t ON t.id = f.track_id
+        WHERE f.workspace_id = ?
+      `).all(workspaceId);
+    },
+
+    async saveFingerprint({ track_id, workspace_id, fingerprint }) {
+      db.prepare(`
+        INSERT INTO track_fingerprints (id, track_id, workspace_id, fingerprint) VALUES (?, ?, ?, ?)
+        ON CONFLICT (track_id) DO UPDATE SET fingerprint = excluded.fingerprint
+      `).run(uuidv4(), track_id, workspace_id, fingerprint);
+    },
+
+    async list(workspaceId) {
+      return db.prepare('SELECT * FROM track_duplicates WHERE workspace_id = ? ORDER BY created_at').all(workspaceId);
+    },
+
+    // Flag `track_id` as a duplicate of `duplicate_of`; flagging a pair again does nothing
+    async link({ workspace_id, track_id, duplicate_of, similarity }) {
+      db.prepare(`
+        INSERT INTO track_duplicates (id, workspace_id, track_id, duplicate_of, similarity) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (track_id, duplicate_of) DO NOTHING
+      `).run(uuidv4(), workspace_id, track_id, duplicate_of, similarity);
+    },
+
+    // Drop the flags between these tracks
+    async dismiss(workspaceId, trackIds) {
+      const placeholders = trackIds.map(() => '?').join(', ');
+      db.prepare(`
+        DELETE FROM track_duplicates
+        WHERE workspace_id = ? AND track_id IN (${placeholders}) AND duplicate_of IN (${placeholders})
+      `).run(workspaceId, ...trackIds, ...trackIds);
+    },
+
+    async merge(keepId, trackIds) {
+      mergeDuplicateTracks(keepId, trackIds);
+    }
+  };
+
+  const insertPlayEvents = db.transaction((events) => {
+    for (const event of events) insertRow('play_events', event);
+  });
+
+  // Seconds listened: every listen ends in a skip, a completion or a replay
+  // that restarts it, each carrying how far it got
+  const LISTENED = "COALESCE(SUM(CASE WHEN event != 'start' THEN position END), 0)";
+
+  // WHERE clause for play events of a workspace, optionally only those at or
+  // after `since` and from the playlists in `playlistIds`
+  const playEventFilter = (workspaceId, { since = null, playlistIds = null }) => {
+    const clauses = ['workspace_id = ?'];
+    const params = [workspaceId];
+    if (since) {
+      clauses.push('played_at >= ?');
+      params.push(since);
+    }
+    if (playlistIds) {
+      clauses.push(`playlist_id IN (${playlistIds.map(() => '?').join(', ') || 'NULL'})`);
+      params.push(...playlistIds);
+    }
+    return { where: clauses.join(' AND '), params };
+  };
+
+  const plays = {
+    async record(events) {
+      insertPlayEvents(events);
+    },
+
+    async trackTotals(workspaceId, options = {}) {
+      const { where, params } = playEventFilter(workspaceId, options);
+      return db.prepare(`
+        SELECT track_id,
+          SUM(event = 'start') AS starts,
+          SUM(event = 'replay') AS replays,
+          SUM(event = 'skip') AS skips,
+          SUM(event = 'complete') AS completes,
+          ${LISTENED} AS listened
+        FROM play_events
+        WHERE ${where}
+        GROUP BY track_id
+      `).all(...params);
+    },
+
+    // Periods are UTC hours (YYYY-MM-DDTHH) or dates (YYYY-MM-DD)
+    async listeningOverTime(workspaceId, { bucket = 'day', ...options } = {}) {
+      const { where, params } = playEventFilter(workspaceId, options);
+      return db.prepare(`
+        SELECT substr(played_at, 1, ${bucket === 'hour' ? 13 : 10}) AS period, ${LISTENED} AS seconds
+        FROM play_events
+        WHERE ${where}
+        GROUP BY period
+        ORDER BY period
+      `).all(...params);
+    }
+  };
+
+  return { name: 'sqlite', tracks, playlists, workspaces, shares, plays, duplicates };
+};
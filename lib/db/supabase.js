@@ -0,0 +1,498 @@
+// lib/db/supabase.js
+import { getSupabase } from '../supabase.js';
+
+const PLAYLIST_WITH_TRACKS = `
+  *,
+  playlist_tracks (
+    *,
+    tracks (*)
+  )
+`;
+
+// Repository backed by the Supabase Postgres database
+export const createSupabaseRepository = () => {
+  const db = () => getSupabase();
+
+  // Supabase returns { data, error }; repositories return data or throw
+  const unwrap = ({ data, error }) => {
+    if (error) throw error;
+    return data;
+  };
+
+  // Sort columns of the library list by sort key. The search views
+  // (track_search, playlist_search in readme-docs.md) add the lowercased sort
+  // columns and the `search` text vector to the table columns.
+  const TRACK_ORDER = {
+    uploaded: 'upload_date',
+    title: 'sort_title',
+    artist: 'sort_artist',
+    duration: 'duration',
+    bpm: 'bpm',
+    selections: 'selection_count'
+  };
+  const PLAYLIST_ORDER = {
+    created: 'created_at',
+    name: 'sort_name'
+  };
+
+  const SEARCH_COLUMNS = new Set(['search', 'sort_title', 'sort_artist', 'sort_name']);
+  const withoutSearchColumns = (row) =>
+    Object.fromEntries(Object.entries(row).filter(([key]) => !SEARCH_COLUMNS.has(key)));
+
+  // to_tsquery() text where every word must start a word of the row
+  const tsQuery = (words) => words.map((word) => `${word}:*`).join(' & ');
+
+  const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+  // A value inside a PostgREST or() filter
+  const filterValue = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+  // One page of `query` ordered by `column` (NULLs last) and then id,
+  // starting after the row `after` ({ value, id })
+  const searchPage = async (query, { column, ascending, after, limit }) => {
+    const compare = ascending ? 'gt' : 'lt';
+    let page = query;
+    if (after?.value === null) {
+      page = page.is(column, null)[compare]('id', after.id);
+    } else if (after) {
+      const value = filterValue(after.value);
+      page = page.or(`${column}.${compare}.${value},and(${column}.eq.${value},id.${compare}.${filterValue(after.id)}),${column}.is.null`);
+    }
+
+    const { data, count, error } = await page
+      .order(column, { ascending, nullsFirst: false })
+      .order('id', { ascending })
+      .limit(limit + 1);
+    if (error) throw error;
+
+    const last = data.length > limit ? data[limit - 1] : null;
+    return {
+      items: data.slice(0, limit).map(withoutSearchColumns),
+      total: after ? null : count,
+      next: last && { value: last[column], id: last.id }
+    };
+  };
+
+  const tracks = {
+    async list(workspaceId) {
+      return unwrap(await db()
+        .from('tracks')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .order('upload_date', { ascending: false }));
+    },
+
+    async get(id, workspaceId) {
+      return unwrap(await db()
+        .from('tracks')
+        .select('*')
+        .eq('id', id)
+        .eq('workspace_id', workspaceId)
+        .maybeSingle());
+    },
+
+    async create(fields) {
+      return unwrap(await db()
+        .from('tracks')
+        .insert(fields)
+        .select()
+        .single());
+    },
+
+    async update(id, fields) {
+      return unwrap(await db()
+        .from('tracks')
+        .update(fields)
+        .eq('id', id)
+        .select()
+        .maybeSingle());
+    },
+
+    async remove(id) {
+      unwrap(await db().from('tracks').delete().eq('id', id));
+    },
+
+    async findByHash(workspaceId, contentHash) {
+      return unwrap(await db()
+        .from('tracks')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .eq('content_hash', contentHash)
+        .order('upload_date', { ascending: true }));
+    },
+
+    async inAlbum(workspaceId, album, artist) {
+      const query = db()
+        .from('tracks')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .eq('album', album);
+      return unwrap(await (artist == null ? query.is('artist', null) : query.eq('artist', artist))
+        .order('upload_date', { ascending: true }));
+    },
+
+    async unprocessed() {
+      return unwrap(await db()
+        .from('tracks')
+        .select('*')
+        .in('processing_status', ['pending', 'processing'])
+        .order('upload_date', { ascending: true }));
+    },
+
+    async top(workspaceId, limit) {
+      return unwrap(await db()
+        .from('tracks')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .gt('selection_count', 0)
+        .order('selection_count', { ascending: false })
+        .limit(limit));
+    },
+
+    async search(workspaceId, { words, filters, sort, ascending, after, limit }) {
+      let query = db()
+        .from('track_search')
+        .select('*', after ? undefined : { count: 'exact' })
+        .eq('workspace_id', workspaceId);
+
+      if (words.length > 0) query = query.textSearch('search', tsQuery(words), { config: 'simple' });
+      if (filters.durationMin !== null) query = query.gte('duration', filters.durationMin);
+      if (filters.durationMax !== null) query = query.lte('duration', filters.durationMax);
+      if (filters.bpmMin !== null) query = query.gte('bpm', filters.bpmMin);
+      if (filters.bpmMax !== null) query = query.lte('bpm', filters.bpmMax);
+      if (filters.key) query = query.ilike('musical_key', escapeLike(filters.key));
+      if (filters.genre) query = query.ilike('genre', `%${escapeLike(filters.genre)}%`);
+      if (filters.uploadedAfter) query = query.gte('upload_date', filters.uploadedAfter);
+      if (filters.uploadedBefore) query = query.lt('upload_date', filters.uploadedBefore);
+      if (filters.neverSelected) query = query.eq('selection_count', 0);
+
+      return searchPage(query, { column: TRACK_ORDER[sort], ascending, after, limit });
+    }
+  };
+
+  const playlists = {
+    async list(workspaceId) {
+      return unwrap(await db()
+        .from('playlists')
+        .select(PLAYLIST_WITH_TRACKS)
+        .eq('workspace_id', workspaceId)
+        .order('created_at', { ascending: false }));
+    },
+
+    async search(workspaceId, { words, filters, sort, ascending, after, limit }) {
+      let query = db()
+        .from('playlist_search')
+        .select(PLAYLIST_WITH_TRACKS, after ? undefined : { count: 'exact' })
+        .eq('workspace_id', workspaceId);
+
+      if (words.length > 0) query = query.textSearch('search', tsQuery(words), { config: 'simple' });
+      if (filters.source) query = query.eq('source', filters.source);
+
+      return searchPage(query, { column: PLAYLIST_ORDER[sort], ascending, after, limit });
+    },
+
+    async get(id, workspaceId) {
+      return unwrap(await db()
+        .from('playlists')
+        .select(PLAYLIST_WITH_TRACKS)
+        .eq('id', id)
+        .eq('workspace_id', workspaceId)
+        .maybeSingle());
+    },
+
+    async create(fields) {
+      return unwrap(await db()
+        .from('playlists')
+        .insert(fields)
+        .select()
+        .single());
+    },
+
+    // The create_playlist_with_tracks database function inserts the playlist
+    // and its entries and bumps selection counts in one transaction
+    async createWithTracks({ workspace_id, owner_id, mood_prompt, tracks: entries }) {
+      const id = unwrap(await db().rpc('create_playlist_with_tracks', {
+        p_workspace_id: workspace_id,
+        p_owner_id: owner_id,
+        p_mood_prompt: mood_prompt,
+        p_tracks: entries
+      }));
+      return playlists.get(id, workspace_id);
+    },
+
+    // The import_playlist_with_tracks database function inserts the playlist
+    // and its entries in one transaction
+    async importWithTracks({ workspace_id, owner_id, name, mood_prompt, tracks: entries }) {
+      const id = unwrap(await db().rpc('import_playlist_with_tracks', {
+        p_workspace_id: workspace_id,
+        p_owner_id: owner_id,
+        p_name: name,
+        p_mood_prompt: mood_prompt,
+        p_tracks: entries
+      }));
+      return playlists.get(id, workspace_id);
+    },
+
+    async remove(id) {
+      unwrap(await db().from('playlists').delete().eq('id', id));
+    },
+
+    async update(id, fields) {
+      return unwrap(await db()
+        .from('playlists')
+        .update(fields)
+        .eq('id', id)
+        .select()
+        .maybeSingle());
+    },
+
+    async addTrack(fields) {
+      return unwrap(await db()
+        .from('playlist_tracks')
+        .insert(fields)
+        .select()
+        .single());
+    },
+
+    async updateTrack(entryId, fields) {
+      return unwrap(await db()
+        .from('playlist_tracks')
+        .update(fields)
+        .eq('id', entryId)
+        .select()
+        .maybeSingle());
+    },
+
+    async removeTrack(entryId) {
+      unwrap(await db().from('playlist_tracks').delete().eq('id', entryId));
+    },
+
+    // Renumber entries 1..n in the given order with a single upsert, so
+    // readers never see a half-applied ordering
+    async reorderTracks(playlistId, entryIds) {
+      const entries = unwrap(await db()
+        .from('playlist_tracks')
+        .select('*')
+        .eq('playlist_id', playlistId));
+      const byId = new Map(entries.map((entry) => [entry.id, entry]));
+
+      unwrap(await db()
+        .from('playlist_tracks')
+        .upsert(entryIds.map((id, index) => ({ ...byId.get(id), position: index + 1 }))));
+    }
+  };
+
+  const workspaces = {
+    // Workspaces the user has joined, each with the user's `role`
+    async listForUser(userId) {
+      const memberships = unwrap(await db()
+        .from('workspace_members')
+        .select('role, workspaces (*)')
+        .eq('user_id', userId));
+      return memberships
+        .map(({ role, workspaces: workspace }) => ({ ...workspace, role }))
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    },
+
+    async get(id) {
+      return unwrap(await db()
+        .from('workspaces')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle());
+    },
+
+    // Insert the workspace, then its owner; undo the first if the second fails
+    async createWithOwner({ name, user_id, email }) {
+      const workspace = unwrap(await db()
+        .from('workspaces')
+        .insert({ name })
+        .select()
+        .single());
+      try {
+        unwrap(await db()
+          .from('workspace_members')
+          .insert({ workspace_id: workspace.id, user_id, email, role: 'owner' }));
+      } catch (error) {
+        await db().from('workspaces').delete().eq('id', workspace.id);
+        throw error;
+      }
+      return workspace;
+    },
+
+    async update(id, fields) {
+      return unwrap(await db()
+        .from('workspaces')
+        .update(fields)
+        .eq('id', id)
+        .select()
+        .maybeSingle());
+    },
+
+    async remove(id) {
+      unwrap(await db().from('workspaces').delete().eq('id', id));
+    },
+
+    // Move a user's tracks and playlists from before workspaces existed into one
+    async adoptOwnedRows(workspaceId, ownerId) {
+      for (const table of ['tracks', 'playlists']) {
+        unwrap(await db()
+          .from(table)
+          .update({ workspace_id: workspaceId })
+          .eq('owner_id', ownerId)
+          .is('workspace_id', null));
+      }
+    },
+
+    async members(workspaceId) {
+      return unwrap(await db()
+        .from('workspace_members')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .order('created_at', { ascending: true }));
+    },
+
+    async membership(workspaceId, userId) {
+      return unwrap(await db()
+        .from('workspace_members')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .maybeSingle());
+    },
+
+    async addMember(fields) {
+      return unwrap(await db()
+        .from('workspace_members')
+        .insert(fields)
+        .select()
+        .single());
+    },
+
+    async updateMember(memberId, fields) {
+      return unwrap(await db()
+        .from('workspace_members')
+        .update(fields)
+        .eq('id', memberId)
+        .select()
+        .maybeSingle());
+    },
+
+    async removeMember(memberId) {
+      unwrap(await db().from('workspace_members').delete().eq('id', memberId));
+    },
+
+    // Link invitations sent to `email` to the account that now has it
+    async claimInvites(userId, email) {
+      unwrap(await db()
+        .from('workspace_members')
+        .update({ user_id: userId })
+        .eq('email', email)
+        .is('user_id', null));
+    }
+  };
+
+  const shares = {
+    async list(playlistId) {
+      return unwrap(await db()
+        .from('playlist_shares')
+        .select('*')
+        .eq('playlist_id', playlistId)
+        .order('created_at', { ascending: false }));
+    },
+
+    async getByTokenHash(tokenHash) {
+      return unwrap(await db()
+        .from('playlist_shares')
+        .select('*')
+        .eq('token_hash', tokenHash)
+        .maybeSingle());
+    },
+
+    async create(fields) {
+      return unwrap(await db()
+        .from('playlist_shares')
+        .insert(fields)
+        .select()
+        .single());
+    },
+
+    async update(id, fields) {
+      return unwrap(await db()
+        .from('playlist_shares')
+        .update(fields)
+        .eq('id', id)
+        .select()
+        .maybeSingle());
+    }
+  };
+
+  const duplicates = {
+    async fingerprints(workspaceId) {
+      const rows = unwrap(await db()
+        .from('track_fingerprints')
+        .select('track_id, fingerprint, tracks (duration)')
+        .eq('workspace_id', workspaceId));
+      return rows.map(({ tracks: track, ...row }) => ({ ...row, duration: track?.duration ?? null }));
+    },
+
+    async saveFingerprint(fields) {
+      unwrap(await db().from('track_fingerprints').upsert(fields, { onConflict: 'track_id' }));
+    },
+
+    async list(workspaceId) {
+      return unwrap(await db()
+        .from('track_duplicates')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .order('created_at', { ascending: true }));
+    },
+
+    async link(fields) {
+      unwrap(await db()
+        .from('track_duplicates')
+        .upsert(fields, { onConflict: 'track_id,duplicate_of', ignoreDuplicates: true }));
+    },
+
+    async dismiss(workspaceId, trackIds) {
+      unwrap(await db()
+        .from('track_duplicates')
+        .delete()
+        .eq('workspace_id', workspaceId)
+        .in('track_id', trackIds)
+        .in('duplicate_of', trackIds));
+    },
+
+    // One transaction in the merge_tracks function (readme-docs.md)
+    async merge(keepId, trackIds) {
+      unwrap(await db().rpc('merge_tracks', { p_keep_id: keepId, p_track_ids: trackIds }));
+    }
+  };
+
+  // Totals are grouped in the database by the play_track_totals and
+  // play_listening_over_time functions
+  const plays = {
+    async record(events) {
+      unwrap(await db().from('play_events').insert(events));
+    },
+
+    async trackTotals(workspaceId, { since = null, playlistIds = null } = {}) {
+      return unwrap(await db().rpc('play_track_totals', {
+        p_workspace_id: workspaceId,
+        p_since: since,
+        p_playlist_ids: playlistIds
+      }));
+    },
+
+    async listeningOverTime(workspaceId, { since = null, playlistIds = null, bucket = 'day' } = {}) {
+      return unwrap(await db().rpc('play_listening_over_time', {
+        p_workspace_id: workspaceId,
+        p_since: since,
+        p_playlist_ids: playlistIds,
+        p_bucket: bucket
+      }));
+    }
+  };
+
+  return { name: 'supabase', tracks, playlists, workspaces, shares, plays, duplicates };
+};
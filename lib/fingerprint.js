@@ -0,0 +1,107 @@
+// lib/fingerprint.js
+// Duplicate detection: a content hash for byte-identical files and a small
+// acoustic fingerprint for the same recording encoded differently (another
+// bitrate, MP3 instead of WAV, a different level or a little leading silence).
+//
+// The fingerprint follows Haitsma and Kalker's approach: the spectrum between
+// 300 Hz and 3 kHz is split into 33 bands, and every ~46 ms a 32-bit word
+// records, for each pair of neighbouring bands, whether their energy
+// difference grew or shrank since the previous word. Lossy encoding changes
+// absolute energies but rarely the sign of those changes, so two encodings
+// of one recording agree on most bits while different recordings agree on
+// about half.
+import crypto from 'crypto';
+
+export const FINGERPRINT_BAND_EDGES = Array.from({ length: 34 }, (_, i) => 300 * 10 ** (i / 33));
+
+// Every word covers 16 analysis hops (~370 ms) and a new one starts every 2,
+// so two encodings that start a little apart are never more than ~23 ms out
+// of step
+export const FINGERPRINT_WINDOW_HOPS = 16;
+export const FINGERPRINT_STEP_HOPS = 2;
+
+// Only the start of a track is fingerprinted (~8 KB per track)
+export const FINGERPRINT_SECONDS = 90;
+
+// Share of matching bits from which two fingerprints count as the same
+// recording. Re-encodings score 0.85 and up, different recordings around 0.5.
+export const NEAR_DUPLICATE_SIMILARITY = 0.75;
+
+// Words to compare at least (~9 s), and how far (~3 s) one fingerprint may be
+// shifted against the other to line them up
+const MIN_OVERLAP = 192;
+const MAX_OFFSET = 64;
+
+export const contentHash = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Number of set bits in a 32-bit word
+const popcount = (value) => {
+  let x = value - ((value >>> 1) & 0x55555555);
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return Math.imul((x + (x >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+};
+
+// Fingerprint words from per-word band energies (one array of 33 energies
+// per word). Null for audio too short or too uniform (silence, a steady tone)
+// to tell apart from other audio.
+export const fingerprintFromBands = (frames) => {
+  if (frames.length <= MIN_OVERLAP) return null;
+
+  const words = new Uint32Array(frames.length - 1);
+  let setBits = 0;
+  for (let n = 1; n < frames.length; n++) {
+    let word = 0;
+    for (let m = 0; m < 32; m++) {
+      const change = (frames[n][m] - frames[n][m + 1]) - (frames[n - 1][m] - frames[n - 1][m + 1]);
+      if (change > 0) word |= 1 << m;
+    }
+    words[n - 1] = word >>> 0;
+    setBits += popcount(word);
+  }
+
+  const density = setBits / (words.length * 32);
+  return density > 0.1 && density < 0.9 ? words : null;
+};
+
+export const encodeFingerprint = (words) => {
+  const bytes = Buffer.alloc(words.length * 4);
+  words.forEach((word, i) => bytes.writeUInt32LE(word, i * 4));
+  return bytes.toString('base64');
+};
+
+export const decodeFingerprint = (text) => {
+  const bytes = Buffer.from(text, 'base64');
+  const words = new Uint32Array(Math.floor(bytes.length / 4));
+  for (let i = 0; i < words.length; i++) words[i] = bytes.readUInt32LE(i * 4);
+  return words;
+};
+
+// Share of matching bits (0-1) at the best alignment of two fingerprints
+export const fingerprintSimilarity = (a, b) => {
+  let best = 0;
+  for (let offset = -MAX_OFFSET; offset <= MAX_OFFSET; offset++) {
+    const start = Math.max(0, -offset);
+    const end = Math.min(a.length, b.length - offset);
+    if (end - start < MIN_OVERLAP) continue;
+
+    let differing = 0;
+    for (let i = start; i < end; i++) differing += popcount(a[i] ^ b[i + offset]);
+    best = Math.max(best, 1 - differing / ((end - start) * 32));
+  }
+  return Number(best.toFixed(3));
+};
+
+// Durations of two encodings of one recording differ by a few frames of
+// encoder padding at most; skip comparisons that cannot match
+const similarDurations = (a, b) => a == null || b == null || Math.abs(a - b) <= Math.max(5, 0.05 * Math.max(a, b));
+
+// Candidates ({ track_id, duration, fingerprint } with encoded fingerprints)
+// that sound like `fingerprint`, best match first: [{ track_id, similarity }]
+export const findNearDuplicates = ({ fingerprint, duration }, candidates) => candidates
+  .filter((candidate) => similarDurations(duration, candidate.duration))
+  .map((candidate) => ({
+    track_id: candidate.track_id,
+    similarity: fingerprintSimilarity(fingerprint, decodeFingerprint(candidate.fingerprint))
+  }))
+  .filter(({ similarity }) => similarity >= NEAR_DUPLICATE_SIMILARITY)
+  .sort((a, b) => b.similarity - a.similarity);
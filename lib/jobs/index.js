@@ -0,0 +1,47 @@
+// lib/jobs/index.js
+// Background jobs, for work too slow to do inside a request (see
+// lib/processing.js). Both stores implement the same interface for
+// lib/jobs/queue.js:
+//   save(job, { ttl })          write a job; finished jobs expire after `ttl` ms
+//   get(id)                     the job, or null
+//   list(workspaceId, { status, limit })  a workspace's jobs, newest first
+//   push(id, runAt)             queue a saved job to run at `runAt` (epoch ms)
+//   claim(leaseMs)              the id of the next due job, now leased to the
+//                               caller, or null
+//   extend(id, leaseMs)         renew a lease while the job runs
+//   release(id)                 give up a lease once the job is saved
+// Jobs are { id, type, data, workspace_id, status, attempts, max_attempts,
+// error, result, run_at, created_at, updated_at, finished_at }.
+import { createJobQueue } from './queue.js';
+import { createMemoryJobStore } from './memory.js';
+import { createRedisJobStore } from './redis.js';
+import { redis } from '../redis.js';
+
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const drivers = {
+  redis: () => {
+    if (!redis) throw new Error('JOB_DRIVER "redis" needs REDIS_URL');
+    return createRedisJobStore({ client: redis, retentionMs: RETENTION_MS });
+  },
+  memory: () => createMemoryJobStore()
+};
+
+// JOB_DRIVER picks the driver; without it jobs go through Redis when it is
+// configured and stay in this process otherwise
+const driverName = process.env.JOB_DRIVER || (redis ? 'redis' : 'memory');
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown JOB_DRIVER "${driverName}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+}
+
+export const jobs = createJobQueue(drivers[driverName](), {
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3,
+  backoffMs: parseInt(process.env.JOB_BACKOFF_MS, 10) || 5000,
+  retentionMs: RETENTION_MS
+});
+
+// Jobs each process works on at once
+export const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+
+console.log(`Using ${jobs.name} job queue`);
@@ -0,0 +1,76 @@
+// lib/jobs/memory.js
+// Job store that keeps everything in this process: jobs are lost on restart
+// and only this process can work them. For development and single-server
+// deployments without Redis.
+
+export const createMemoryJobStore = () => {
+  const jobs = new Map(); // id -> { json, expiresAt }
+  const queued = new Map(); // id -> time it may run
+  const active = new Map(); // id -> lease expiry
+
+  const live = (id) => {
+    const entry = jobs.get(id);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) jobs.delete(id);
+    return jobs.get(id) ?? null;
+  };
+
+  return {
+    name: 'memory',
+
+    // Jobs are copied in and out, as the Redis store does through JSON
+    async save(job, { ttl = null } = {}) {
+      jobs.set(job.id, { json: JSON.stringify(job), expiresAt: ttl ? Date.now() + ttl : null });
+    },
+
+    async get(id) {
+      const entry = live(id);
+      return entry ? JSON.parse(entry.json) : null;
+    },
+
+    async list(workspaceId, { status, limit }) {
+      return [...jobs.keys()]
+        .map(live)
+        .filter(Boolean)
+        .map(({ json }) => JSON.parse(json))
+        .filter(job => job.workspace_id === workspaceId && (!status || job.status === status))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit);
+    },
+
+    async push(id, runAt) {
+      queued.set(id, runAt);
+    },
+
+    async claim(leaseMs) {
+      const now = Date.now();
+
+      // Leases only lapse here if a handler hangs; let it run again
+      for (const [id, expiry] of active) {
+        if (expiry <= now) {
+          active.delete(id);
+          queued.set(id, now);
+        }
+      }
+
+      let next = null;
+      for (const [id, runAt] of queued) {
+        if (runAt <= now && (!next || runAt < queued.get(next))) next = id;
+      }
+      if (!next) return null;
+
+      queued.delete(next);
+      active.set(next, now + leaseMs);
+      return next;
+    },
+
+    async extend(id, leaseMs) {
+      if (active.has(id)) active.set(id, Date.now() + leaseMs);
+    },
+
+    async release(id) {
+      active.delete(id);
+    },
+
+    async close() {}
+  };
+};
@@ -0,0 +1,154 @@
+// lib/jobs/queue.js
+// Job lifecycle on top of a store (lib/jobs/memory.js or redis.js): a job is
+// "queued" until a worker claims it, "active" while its handler runs, then
+// "completed" with the handler's result or, once every attempt has failed,
+// "failed" with the last error. A failed attempt goes back to "queued" to
+// run again after a backoff that doubles each time.
+import { v4 as uuidv4 } from 'uuid';
+
+export const JOB_STATUSES = ['queued', 'active', 'completed', 'failed'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const createJobQueue = (store, {
+  maxAttempts = 3,
+  backoffMs = 5000,
+  leaseMs = 60 * 1000, // A claimed job whose worker stops renewing this is claimed again
+  pollMs = 1000,
+  retentionMs = 7 * 24 * 60 * 60 * 1000 // Finished jobs are kept this long
+} = {}) => {
+  // Workers idling in this process, woken early by enqueue()
+  const idle = new Set();
+  const wake = () => {
+    for (const resolve of idle) resolve();
+    idle.clear();
+  };
+  const nap = () => new Promise((resolve) => {
+    idle.add(resolve);
+    setTimeout(() => {
+      idle.delete(resolve);
+      resolve();
+    }, pollMs);
+  });
+
+  const now = () => new Date().toISOString();
+
+  const schedule = async (job) => {
+    await store.save(job);
+    await store.push(job.id, Date.parse(job.run_at));
+    wake();
+    return job;
+  };
+
+  // Claim the next due job and run it. Resolves to false when none was due.
+  const runNext = async (handlers) => {
+    const id = await store.claim(leaseMs);
+    if (!id) return false;
+
+    const job = await store.get(id);
+    if (!job) {
+      await store.release(id); // Expired or removed meanwhile
+      return true;
+    }
+
+    Object.assign(job, { status: 'active', attempts: job.attempts + 1, updated_at: now() });
+    await store.save(job);
+
+    const heartbeat = setInterval(() => {
+      store.extend(id, leaseMs).catch(error => console.error(`Could not renew job ${id}:`, error.message));
+    }, leaseMs / 3);
+
+    try {
+      const handler = handlers[job.type];
+      if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+      const result = await handler(job);
+      Object.assign(job, { status: 'completed', result: result ?? null, error: null, finished_at: now() });
+    } catch (error) {
+      console.error(`Job ${job.id} (${job.type}) failed, attempt ${job.attempts} of ${job.max_attempts}:`, error.message);
+      job.error = error.message;
+      if (job.attempts < job.max_attempts) {
+        job.status = 'queued';
+        job.run_at = new Date(Date.now() + backoffMs * 2 ** (job.attempts - 1)).toISOString();
+      } else {
+        Object.assign(job, { status: 'failed', finished_at: now() });
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    job.updated_at = now();
+    if (job.status === 'queued') {
+      await store.save(job);
+      await store.push(job.id, Date.parse(job.run_at));
+    } else {
+      await store.save(job, { ttl: retentionMs });
+    }
+    await store.release(id);
+    return true;
+  };
+
+  return {
+    name: store.name,
+
+    // Queue a job; `data` is handed to the handler for `type` as job.data
+    async enqueue(type, data, { workspaceId = null, attempts = maxAttempts } = {}) {
+      const createdAt = now();
+      return schedule({
+        id: uuidv4(),
+        type,
+        data,
+        workspace_id: workspaceId,
+        status: 'queued',
+        attempts: 0,
+        max_attempts: attempts,
+        error: null,
+        result: null,
+        run_at: createdAt,
+        created_at: createdAt,
+        updated_at: createdAt,
+        finished_at: null
+      });
+    },
+
+    get: (id) => store.get(id),
+
+    // The workspace's jobs, newest first
+    list: (workspaceId, { status = null, limit = 50 } = {}) => store.list(workspaceId, { status, limit }),
+
+    // Run a failed job again, with all its attempts. Resolves to the job, or
+    // null unless it had failed.
+    async retry(id) {
+      const job = await store.get(id);
+      if (job?.status !== 'failed') return null;
+      const at = now();
+      return schedule({ ...job, status: 'queued', attempts: 0, error: null, run_at: at, updated_at: at, finished_at: null });
+    },
+
+    // Work through jobs with `handlers` ({ [type]: async (job) => result }),
+    // up to `concurrency` at once. Returns an async stop() that lets the jobs
+    // in hand finish.
+    work(handlers, { concurrency = 1 } = {}) {
+      let running = true;
+      const workers = Array.from({ length: concurrency }, async () => {
+        while (running) {
+          let worked = false;
+          try {
+            worked = await runNext(handlers);
+          } catch (error) {
+            console.error('Job queue error:', error);
+            await sleep(pollMs);
+          }
+          if (!worked && running) await nap();
+        }
+      });
+
+      return async () => {
+        running = false;
+        wake();
+        await Promise.all(workers);
+      };
+    },
+
+    close: () => store.close()
+  };
+};
@@ -0,0 +1,95 @@
+// lib/jobs/redis.js
+// Job store in Redis, shared by the API server and any number of workers
+// (worker.js). Keys, all under `prefix`:
+//   job:<id>          the job as JSON; finished jobs expire
+//   queued            sorted set of job ids by the time they may run
+//   active            sorted set of claimed job ids by lease expiry
+//   workspace:<id>    sorted set of a workspace's job ids by creation time
+// A worker that dies mid-job stops renewing its lease, and the job is
+// claimed again once the lease runs out.
+
+// Requeue lapsed leases, then move the first due job from queued to active.
+// KEYS: queued, active; ARGV: now, lease expiry
+const CLAIM_SCRIPT = `
+local lapsed = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', ARGV[1], 'LIMIT', 0, 100)
+for _, id in ipairs(lapsed) do
+  redis.call('ZREM', KEYS[2], id)
+  redis.call('ZADD', KEYS[1], ARGV[1], id)
+end
+local id = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, 1)[1]
+if not id then return false end
+redis.call('ZREM', KEYS[1], id)
+redis.call('ZADD', KEYS[2], ARGV[2], id)
+return id
+`;
+
+// A workspace's job list is read this far back before filtering by status
+const LIST_WINDOW = 500;
+
+export const createRedisJobStore = ({ client, prefix = 'jobs:', retentionMs }) => {
+  const keys = {
+    job: (id) => `${prefix}job:${id}`,
+    queued: `${prefix}queued`,
+    active: `${prefix}active`,
+    workspace: (id) => `${prefix}workspace:${id}`
+  };
+
+  client.defineCommand('claimJob', { numberOfKeys: 2, lua: CLAIM_SCRIPT });
+
+  return {
+    name: 'redis',
+
+    async save(job, { ttl = null } = {}) {
+      const multi = client.multi();
+      if (ttl) multi.set(keys.job(job.id), JSON.stringify(job), 'PX', ttl);
+      else multi.set(keys.job(job.id), JSON.stringify(job));
+      if (job.workspace_id) {
+        // Index entries outlive their jobs by at most the retention period
+        multi.zadd(keys.workspace(job.workspace_id), Date.parse(job.created_at), job.id)
+          .zremrangebyscore(keys.workspace(job.workspace_id), '-inf', Date.now() - 2 * retentionMs);
+      }
+      await multi.exec();
+    },
+
+    async get(id) {
+      const json = await client.get(keys.job(id));
+      return json ? JSON.parse(json) : null;
+    },
+
+    async list(workspaceId, { status, limit }) {
+      const ids = await client.zrevrange(keys.workspace(workspaceId), 0, LIST_WINDOW - 1);
+      if (ids.length === 0) return [];
+
+      const found = await client.mget(ids.map(keys.job));
+      const expired = ids.filter((id, i) => !found[i]);
+      if (expired.length > 0) await client.zrem(keys.workspace(workspaceId), ...expired);
+
+      return found
+        .filter(Boolean)
+        .map(json => JSON.parse(json))
+        .filter(job => !status || job.status === status)
+        .slice(0, limit);
+    },
+
+    async push(id, runAt) {
+      await client.zadd(keys.queued, runAt, id);
+    },
+
+    async claim(leaseMs) {
+      const now = Date.now();
+      return client.claimJob(keys.queued, keys.active, now, now + leaseMs);
+    },
+
+    async extend(id, leaseMs) {
+      await client.zadd(keys.active, 'XX', Date.now() + leaseMs, id);
+    },
+
+    async release(id) {
+      await client.zrem(keys.active, id);
+    },
+
+    async close() {
+      await client.quit();
+    }
+  };
+};
@@ -0,0 +1,139 @@
+// lib/library.js
+// Query options for browsing the library: full-text search, filters, sort
+// order and cursor-based pagination of tracks and playlists.
+//
+// Pages are sorted by one column and then by id, so every row has a unique
+// place in the order. A cursor names the last row of a page (its sort value
+// and id, together with the sort it belongs to); the next page starts right
+// after it, so rows added or removed in between do not shift later pages.
+// Rows without a sort value (tracks without an artist, BPM or duration) come
+// last in either direction.
+
+// Sort keys; each database driver maps them to its own columns
+export const TRACK_SORTS = ['uploaded', 'title', 'artist', 'duration', 'bpm', 'selections'];
+export const PLAYLIST_SORTS = ['created', 'name'];
+
+export const PLAYLIST_SOURCES = ['generated', 'manual', 'import'];
+
+export const MAX_PAGE_SIZE = 200;
+
+// Words to search for: letters and digits, lowercased. Each one matches
+// words that start with it, and a row must match all of them.
+export const searchWords = (text) =>
+  [...new Set(String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])].slice(0, 10);
+
+const encodeCursor = (sort, { value, id }) =>
+  Buffer.from(JSON.stringify([sort, value, id])).toString('base64url');
+
+// Resolves to { value, id }, or null when the cursor is malformed or was made
+// for another sort order
+const decodeCursor = (cursor, sort) => {
+  try {
+    const [cursorSort, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (cursorSort !== sort || typeof id !== 'string') return null;
+    if (value !== null && typeof value !== 'string' && typeof value !== 'number') return null;
+    return { value, id };
+  } catch {
+    return null;
+  }
+};
+
+const parseNumber = (query, name, errors) => {
+  const raw = query[name];
+  if (raw === undefined || raw === '') return null;
+  const number = Number(raw);
+  if (!Number.isFinite(number) || number < 0) {
+    errors.push(`${name} must be a number of at least 0`);
+    return null;
+  }
+  return number;
+};
+
+const parseDate = (query, name, errors) => {
+  const raw = query[name];
+  if (raw === undefined || raw === '') return null;
+  const date = new Date(raw);
+  if (typeof raw !== 'string' || Number.isNaN(date.getTime())) {
+    errors.push(`${name} must be a date (YYYY-MM-DD) or ISO timestamp`);
+    return null;
+  }
+  return date.toISOString();
+};
+
+const parseText = (query, name) => (typeof query[name] === 'string' && query[name].trim()) || null;
+
+// Search, sort, order, cursor and limit, shared by tracks and playlists
+const parsePageQuery = (query, { sorts, defaultSort, defaultOrder, defaultLimit }, errors) => {
+  const { q, sort = defaultSort, order = defaultOrder, cursor, limit } = query;
+
+  if (!sorts.includes(sort)) errors.push(`sort must be one of: ${sorts.join(', ')}`);
+  if (order !== 'asc' && order !== 'desc') errors.push('order must be asc or desc');
+
+  const parsedLimit = limit === undefined ? defaultLimit : Number(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_PAGE_SIZE) {
+    errors.push(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  const sortKey = `${sort}:${order}`;
+  let after = null;
+  if (cursor !== undefined && cursor !== '') {
+    after = typeof cursor === 'string' ? decodeCursor(cursor, sortKey) : null;
+    if (!after) errors.push('cursor is invalid or belongs to another sort order');
+  }
+
+  return {
+    words: searchWords(typeof q === 'string' ? q : ''),
+    sort,
+    ascending: order === 'asc',
+    sortKey,
+    after,
+    limit: parsedLimit
+  };
+};
+
+// Validate the query string of GET /api/tracks. Resolves to { options } or
+// { error }.
+export const parseTrackQuery = (query) => {
+  const errors = [];
+  const page = parsePageQuery(query, {
+    sorts: TRACK_SORTS, defaultSort: 'uploaded', defaultOrder: 'desc', defaultLimit: 50
+  }, errors);
+
+  const filters = {
+    durationMin: parseNumber(query, 'duration_min', errors),
+    durationMax: parseNumber(query, 'duration_max', errors),
+    bpmMin: parseNumber(query, 'bpm_min', errors),
+    bpmMax: parseNumber(query, 'bpm_max', errors),
+    key: parseText(query, 'key'),
+    genre: parseText(query, 'genre'),
+    uploadedAfter: parseDate(query, 'uploaded_after', errors),
+    uploadedBefore: parseDate(query, 'uploaded_before', errors),
+    neverSelected: query.never_selected === 'true'
+  };
+
+  return errors.length > 0 ? { error: errors[0] } : { options: { ...page, filters } };
+};
+
+// Validate the query string of GET /api/playlists
+export const parsePlaylistQuery = (query) => {
+  const errors = [];
+  const page = parsePageQuery(query, {
+    sorts: PLAYLIST_SORTS, defaultSort: 'created', defaultOrder: 'desc', defaultLimit: 20
+  }, errors);
+
+  const source = parseText(query, 'source');
+  if (source && !PLAYLIST_SOURCES.includes(source)) {
+    errors.push(`source must be one of: ${PLAYLIST_SOURCES.join(', ')}`);
+  }
+
+  return errors.length > 0 ? { error: errors[0] } : { options: { ...page, filters: { source } } };
+};
+
+// The API reply for a page from a repository's search(): its rows, the
+// cursor of the next page (null on the last one) and how many rows match in
+// all (counted on the first page only, null on later ones)
+export const pageResponse = (key, { items, total, next }, { sortKey }) => ({
+  [key]: items,
+  next_cursor: next ? encodeCursor(sortKey, next) : null,
+  total
+});
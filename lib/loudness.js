@@ -0,0 +1,183 @@
+// lib/loudness.js
+// Loudness measurement after ITU-R BS.1770 / EBU R128: integrated loudness
+// (LUFS) from K-weighted, gated 400 ms blocks, and the true peak (dBTP) from
+// a 4x oversampled signal. The player turns these into ReplayGain-style
+// gains, so tracks mastered at very different levels play at one volume.
+
+// Absolute gate (-70 LUFS) and relative gate (10 LU below the ungated level)
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Gating blocks are 400 ms long and start every 100 ms
+const STEP_SECONDS = 0.1;
+const STEPS_PER_BLOCK = 4;
+
+// Surround channels count more; LFE not at all (L, R, C, LFE, Ls, Rs)
+const SURROUND_WEIGHTS = [1, 1, 1, 0, 1.41, 1.41];
+
+// True peak: every sample interval is interpolated at 1/4, 2/4 and 3/4 from
+// the 12 samples around it
+const OVERSAMPLING = 4;
+const PHASE_TAPS = 12;
+const MIDDLE = PHASE_TAPS / 2 - 1;
+
+const toLufs = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+const fromLufs = (lufs) => 10 ** ((lufs + 0.691) / 10);
+
+// The two K-weighting biquads (a high shelf for the head, then a high-pass)
+// for any sample rate, as in libebur128
+const kWeighting = (sampleRate) => {
+  const shelf = (() => {
+    const K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+    const Q = 0.7071752369554196;
+    const Vh = 10 ** (3.999843853973347 / 20);
+    const Vb = Vh ** 0.4996667741545416;
+    const a0 = 1 + K / Q + K * K;
+    return {
+      b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+      a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+    };
+  })();
+  const highPass = (() => {
+    const K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+    const Q = 0.5003270373238773;
+    const a0 = 1 + K / Q + K * K;
+    return { b: [1, -2, 1], a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0] };
+  })();
+  return [shelf, highPass];
+};
+
+// Hann-windowed sinc taps for each point between the middle two samples
+const oversamplingPhases = Array.from({ length: OVERSAMPLING - 1 }, (_, p) => {
+  const fraction = (p + 1) / OVERSAMPLING;
+  return Float64Array.from({ length: PHASE_TAPS }, (_, k) => {
+    const x = k - MIDDLE - fraction;
+    const sinc = Math.sin(Math.PI * x) / (Math.PI * x);
+    return sinc * (0.5 + 0.5 * Math.cos((Math.PI * x) / (PHASE_TAPS / 2)));
+  });
+});
+
+// Collects planar channel data ([Float32Array per channel]) at its original
+// rate and measures it. Works in one pass, so it can sit beside a decoder.
+export class LoudnessMeter {
+  constructor(sampleRate) {
+    this.filters = kWeighting(sampleRate);
+    this.stepLength = Math.max(1, Math.round(sampleRate * STEP_SECONDS));
+    this.channels = null;
+    this.stepEnergy = 0;
+    this.stepCount = 0;
+    this.steps = []; // Weighted energy of the latest 100 ms steps
+    this.blocks = []; // Mean square of every 400 ms block
+    this.peak = 0;
+  }
+
+  setUp(count) {
+    this.channels = Array.from({ length: count }, (_, c) => ({
+      weight: count > 2 ? SURROUND_WEIGHTS[c] ?? 1 : 1,
+      state: new Float64Array(4), // Two transposed direct form II biquads
+      history: new Float64Array(2 * PHASE_TAPS), // Every sample twice, see trackPeak()
+      position: 0
+    }));
+  }
+
+  push(channelData, count) {
+    if (!this.channels) this.setUp(channelData.length);
+    const [shelf, highPass] = this.filters;
+
+    for (let i = 0; i < count; i++) {
+      let energy = 0;
+      for (let c = 0; c < this.channels.length; c++) {
+        const channel = this.channels[c];
+        const x = channelData[c][i];
+        const s = channel.state;
+
+        const y1 = shelf.b[0] * x + s[0];
+        s[0] = shelf.b[1] * x - shelf.a[0] * y1 + s[1];
+        s[1] = shelf.b[2] * x - shelf.a[1] * y1;
+        const y2 = y1 + s[2];
+        s[2] = -2 * y1 - highPass.a[0] * y2 + s[3];
+        s[3] = y1 - highPass.a[1] * y2;
+        energy += channel.weight * y2 * y2;
+
+        this.trackPeak(channel, x);
+      }
+
+      this.stepEnergy += energy;
+      if (++this.stepCount === this.stepLength) this.endStep();
+    }
+  }
+
+  // `history` is a ring of the latest samples, written twice so the window
+  // starting at `position` (the oldest) never wraps
+  trackPeak(channel, x) {
+    const { history } = channel;
+    history[channel.position] = x;
+    history[channel.position + PHASE_TAPS] = x;
+    channel.position = (channel.position + 1) % PHASE_TAPS;
+    if (Math.abs(x) > this.peak) this.peak = Math.abs(x);
+
+    // Overs between samples stay within a few dB of the samples either side,
+    // so quiet stretches skip the interpolation
+    const start = channel.position;
+    const threshold = this.peak / 2;
+    if (Math.abs(history[start + MIDDLE]) < threshold && Math.abs(history[start + MIDDLE + 1]) < threshold) return;
+
+    for (let p = 0; p < oversamplingPhases.length; p++) {
+      const taps = oversamplingPhases[p];
+      let sum = 0;
+      for (let k = 0; k < PHASE_TAPS; k++) sum += taps[k] * history[start + k];
+      if (sum > this.peak) this.peak = sum;
+      else if (-sum > this.peak) this.peak = -sum;
+    }
+  }
+
+  endStep() {
+    this.steps.push(this.stepEnergy);
+    if (this.steps.length > STEPS_PER_BLOCK) this.steps.shift();
+    if (this.steps.length === STEPS_PER_BLOCK) {
+      const total = this.steps.reduce((sum, energy) => sum + energy, 0);
+      this.blocks.push(total / (STEPS_PER_BLOCK * this.stepLength));
+    }
+    this.stepEnergy = 0;
+    this.stepCount = 0;
+  }
+
+  // Integrated loudness in LUFS; null for silence or less than 400 ms
+  get integrated() {
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const audible = this.blocks.filter((meanSquare) => meanSquare > fromLufs(ABSOLUTE_GATE));
+    if (audible.length === 0) return null;
+
+    const threshold = fromLufs(toLufs(mean(audible)) + RELATIVE_GATE);
+    const gated = audible.filter((meanSquare) => meanSquare > threshold);
+    return toLufs(mean(gated));
+  }
+
+  // True peak in dBTP; null for silence
+  get truePeak() {
+    return this.peak > 0 ? 20 * Math.log10(this.peak) : null;
+  }
+}
+
+// Album loudness from its tracks ({ duration, integrated_loudness,
+// true_peak }): their energy averaged by duration, and the highest peak.
+// Close to measuring the album as one file without keeping every block.
+export const albumLoudness = (tracks) => {
+  const measured = tracks.filter((track) => track.integrated_loudness != null);
+  if (measured.length === 0) return { album_loudness: null, album_peak: null };
+
+  let energy = 0;
+  let seconds = 0;
+  for (const track of measured) {
+    const duration = track.duration > 0 ? track.duration : 1;
+    energy += duration * fromLufs(track.integrated_loudness);
+    seconds += duration;
+  }
+
+  const peaks = measured.map((track) => track.true_peak).filter((peak) => peak != null);
+  return {
+    album_loudness: Number(toLufs(energy / seconds).toFixed(2)),
+    album_peak: peaks.length > 0 ? Math.max(...peaks) : null
+  };
+};
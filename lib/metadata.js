@@ -0,0 +1,691 @@
+// lib/metadata.js
+// Reads tags and exact duration from uploaded audio buffers without any
+// native dependencies. Supports ID3v1/ID3v2 for MP3 and raw AAC, RIFF/LIST
+// INFO for WAV, Vorbis comments for FLAC, Ogg Vorbis and Opus, and iTunes
+// atoms for M4A.
+import path from 'path';
+import { sniffAudioFormat } from './audioFormats.js';
+
+// ID3v1 genre table (0-79 standard, 80-147 Winamp extensions)
+const ID3V1_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+  'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+  'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+  'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+  'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta',
+  'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret',
+  'New Wave', 'Psychedelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal',
+  'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+  'Folk', 'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebob', 'Latin',
+  'Revival', 'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock',
+  'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus',
+  'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music',
+  'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+  'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul',
+  'Freestyle', 'Duet', 'Punk Rock', 'Drum Solo', 'A capella', 'Euro-House', 'Dance Hall',
+  'Goa', 'Drum & Bass', 'Club-House', 'Hardcore', 'Terror', 'Indie', 'BritPop',
+  'Negerpunk', 'Polsk Punk', 'Beat', 'Christian Gangsta Rap', 'Heavy Metal',
+  'Black Metal', 'Crossover', 'Contemporary Christian', 'Christian Rock', 'Merengue',
+  'Salsa', 'Thrash Metal', 'Anime', 'JPop', 'Synthpop'
+];
+
+// ID3v2 frame ids (v2.3/v2.4 and their v2.2 three-letter equivalents)
+const ID3V2_FIELDS = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TALB: 'album', TAL: 'album',
+  TYER: 'year', TYE: 'year', TDRC: 'year', TORY: 'year', TDOR: 'year',
+  TCON: 'genre', TCO: 'genre',
+  TRCK: 'track_number', TRK: 'track_number'
+};
+
+// RIFF LIST/INFO sub-chunk ids
+const RIFF_INFO_FIELDS = {
+  INAM: 'title',
+  IART: 'artist',
+  IPRD: 'album',
+  ICRD: 'year',
+  IGNR: 'genre',
+  ITRK: 'track_number',
+  IPRT: 'track_number'
+};
+
+// Vorbis comment field names (FLAC, Ogg Vorbis, Opus), upper-cased
+const VORBIS_FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+  DATE: 'year',
+  YEAR: 'year',
+  GENRE: 'genre',
+  TRACKNUMBER: 'track_number'
+};
+
+// iTunes-style MP4 metadata items holding text (trkn and gnre are binary)
+const MP4_FIELDS = {
+  '\xa9nam': 'title',
+  '\xa9ART': 'artist',
+  '\xa9alb': 'album',
+  '\xa9day': 'year',
+  '\xa9gen': 'genre'
+};
+
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const emptyMetadata = () => ({
+  title: null,
+  artist: null,
+  album: null,
+  year: null,
+  genre: null,
+  track_number: null,
+  duration: null
+});
+
+// ==================== HELPERS ====================
+
+const clean = (value) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.replace(/\0+$/g, '').trim();
+  return trimmed === '' ? null : trimmed;
+};
+
+const syncsafe = (buf, offset) =>
+  ((buf[offset] & 0x7f) << 21) |
+  ((buf[offset + 1] & 0x7f) << 14) |
+  ((buf[offset + 2] & 0x7f) << 7) |
+  (buf[offset + 3] & 0x7f);
+
+// Reverse ID3 unsynchronisation (every 0xFF 0x00 pair becomes 0xFF)
+const removeUnsync = (buf) => {
+  const out = Buffer.alloc(buf.length);
+  let j = 0;
+  for (let i = 0; i < buf.length; i++) {
+    out[j++] = buf[i];
+    if (buf[i] === 0xff && buf[i + 1] === 0x00) i++;
+  }
+  return out.subarray(0, j);
+};
+
+const decodeUtf16 = (buf) => {
+  if (buf.length >= 2 && buf[0] === 0xfe && buf[1] === 0xff) {
+    return decodeUtf16BE(buf.subarray(2));
+  }
+  if (buf.length >= 2 && buf[0] === 0xff && buf[1] === 0xfe) {
+    return buf.subarray(2).toString('utf16le');
+  }
+  return buf.toString('utf16le');
+};
+
+const decodeUtf16BE = (buf) => {
+  const swapped = Buffer.from(buf.subarray(0, buf.length - (buf.length % 2)));
+  swapped.swap16();
+  return swapped.toString('utf16le');
+};
+
+// Decode an ID3v2 text frame body; v2.4 allows several null-separated values,
+// in which case only the first is kept.
+const decodeTextFrame = (body) => {
+  if (body.length < 2) return null;
+  const encoding = body[0];
+  const data = body.subarray(1);
+  let text;
+  switch (encoding) {
+    case 1: text = decodeUtf16(data); break;
+    case 2: text = decodeUtf16BE(data); break;
+    case 3: text = data.toString('utf8'); break;
+    default: text = data.toString('latin1');
+  }
+  return clean(text.split('\0')[0]);
+};
+
+const parseYear = (value) => {
+  const match = /\d{4}/.exec(value || '');
+  return match ? parseInt(match[0], 10) : null;
+};
+
+const parseTrackNumber = (value) => {
+  const n = parseInt(String(value || '').split('/')[0], 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+// Resolve ID3 genre references like "(17)", "17" or "(17)Rock"
+const parseGenre = (value) => {
+  if (!value) return null;
+  const refined = value.replace(/^\(\d+\)/, '').trim();
+  if (refined && !/^\d+$/.test(refined)) return refined;
+  const match = /^\(?(\d+)\)?$/.exec(value.trim()) || /^\((\d+)\)/.exec(value);
+  if (match) return ID3V1_GENRES[parseInt(match[1], 10)] || null;
+  if (value === '(RX)' || value === 'RX') return 'Remix';
+  if (value === '(CR)' || value === 'CR') return 'Cover';
+  return clean(value);
+};
+
+const normalizeFields = (raw) => ({
+  title: clean(raw.title),
+  artist: clean(raw.artist),
+  album: clean(raw.album),
+  year: parseYear(raw.year),
+  genre: parseGenre(clean(raw.genre)),
+  track_number: parseTrackNumber(raw.track_number)
+});
+
+// Only fill fields that are still empty, so the richer tag wins
+const mergeFields = (target, source) => {
+  for (const [key, value] of Object.entries(source)) {
+    if (target[key] == null && value != null) target[key] = value;
+  }
+  return target;
+};
+
+// ==================== ID3 ====================
+
+// Returns the total byte length of an ID3v2 tag at `offset` (0 if none)
+const id3v2Length = (buf, offset = 0) => {
+  if (buf.length < offset + 10 || buf.toString('latin1', offset, offset + 3) !== 'ID3') return 0;
+  const hasFooter = (buf[offset + 5] & 0x10) !== 0;
+  return 10 + syncsafe(buf, offset + 6) + (hasFooter ? 10 : 0);
+};
+
+const parseId3v2 = (buf, offset = 0) => {
+  const tagLength = id3v2Length(buf, offset);
+  if (!tagLength) return {};
+
+  const major = buf[offset + 3];
+  const flags = buf[offset + 5];
+  let tag = buf.subarray(offset + 10, Math.min(buf.length, offset + tagLength));
+
+  // v2.3 and earlier apply unsynchronisation to the whole tag
+  if (major < 4 && (flags & 0x80)) tag = removeUnsync(tag);
+
+  let pos = 0;
+  if (flags & 0x40 && major >= 3) {
+    // Skip the extended header
+    pos = major === 4 ? syncsafe(tag, 0) : tag.readUInt32BE(0) + 4;
+  }
+
+  const idLength = major === 2 ? 3 : 4;
+  const headerLength = major === 2 ? 6 : 10;
+  const fields = {};
+
+  while (pos + headerLength <= tag.length) {
+    const id = tag.toString('latin1', pos, pos + idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Reached padding
+
+    let size;
+    if (major === 2) size = tag.readUIntBE(pos + 3, 3);
+    else if (major === 4) size = syncsafe(tag, pos + 4);
+    else size = tag.readUInt32BE(pos + 4);
+
+    const formatFlags = major === 2 ? 0 : tag[pos + 9];
+    let body = tag.subarray(pos + headerLength, pos + headerLength + size);
+    pos += headerLength + size;
+
+    const field = ID3V2_FIELDS[id];
+    if (!field || fields[field]) continue;
+
+    if (major === 4) {
+      if (formatFlags & 0x0c) continue; // Compressed or encrypted
+      if (formatFlags & 0x01) body = body.subarray(4); // Data length indicator
+      if (formatFlags & 0x02) body = removeUnsync(body);
+    } else if (major === 3) {
+      if (formatFlags & 0xc0) continue; // Compressed or encrypted
+      if (formatFlags & 0x20) body = body.subarray(1); // Grouping identity
+    }
+
+    const value = decodeTextFrame(body);
+    if (value) fields[field] = value;
+  }
+
+  return normalizeFields(fields);
+};
+
+const parseId3v1 = (buf) => {
+  if (buf.length < 128) return {};
+  const tag = buf.subarray(buf.length - 128);
+  if (tag.toString('latin1', 0, 3) !== 'TAG') return {};
+
+  const text = (start, length) => clean(tag.toString('latin1', start, start + length).split('\0')[0]);
+  // ID3v1.1 stores the track number in the last comment byte
+  const trackNumber = tag[125] === 0 && tag[126] !== 0 ? tag[126] : null;
+
+  return normalizeFields({
+    title: text(3, 30),
+    artist: text(33, 30),
+    album: text(63, 30),
+    year: text(93, 4),
+    genre: tag[127] < ID3V1_GENRES.length ? ID3V1_GENRES[tag[127]] : null,
+    track_number: trackNumber
+  });
+};
+
+// ==================== MPEG AUDIO ====================
+
+const MPEG_BITRATES = {
+  V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  V2L2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+// Decode a 4-byte MPEG audio frame header, or return null if invalid
+const parseFrameHeader = (buf, offset) => {
+  if (offset + 4 > buf.length) return null;
+  if (buf[offset] !== 0xff || (buf[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buf[offset + 1] >> 3) & 0x03;
+  const layerBits = (buf[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buf[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buf[offset + 2] >> 2) & 0x03;
+  const padding = (buf[offset + 2] >> 1) & 0x01;
+  const channelMode = (buf[offset + 3] >> 6) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  const table = version === 1 ? `V1L${layer}` : layer === 1 ? 'V2L1' : 'V2L2';
+  const bitrate = MPEG_BITRATES[table][bitrateIndex] * 1000;
+  const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+
+  let samplesPerFrame;
+  let frameLength;
+  if (layer === 1) {
+    samplesPerFrame = 384;
+    frameLength = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+  } else {
+    samplesPerFrame = layer === 3 && version !== 1 ? 576 : 1152;
+    frameLength = Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding;
+  }
+
+  return { version, layer, bitrate, sampleRate, samplesPerFrame, frameLength, mono: channelMode === 3 };
+};
+
+// Find the first frame, requiring the following frame to line up as well so
+// that stray 0xFF bytes inside cover art are not mistaken for audio.
+const findFirstFrame = (buf, start) => {
+  const limit = Math.min(buf.length - 4, start + 256 * 1024);
+  for (let i = start; i < limit; i++) {
+    const header = parseFrameHeader(buf, i);
+    if (!header) continue;
+    const next = i + header.frameLength;
+    if (next + 4 > buf.length || parseFrameHeader(buf, next)) {
+      return { offset: i, header };
+    }
+  }
+  return null;
+};
+
+// Xing/Info (LAME) and VBRI headers carry the total frame count, and LAME
+// additionally records encoder delay and padding for sample-exact duration.
+const readVbrHeader = (buf, offset, header) => {
+  const sideInfo = header.version === 1 ? (header.mono ? 17 : 32) : (header.mono ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+  const marker = buf.toString('latin1', xing, xing + 4);
+
+  if (marker === 'Xing' || marker === 'Info') {
+    const flags = buf.readUInt32BE(xing + 4);
+    if (!(flags & 0x01)) return null;
+    const frames = buf.readUInt32BE(xing + 8);
+    let lame = xing + 12; // Marker, flags and frame count
+    if (flags & 0x02) lame += 4;
+    if (flags & 0x04) lame += 100;
+    if (flags & 0x08) lame += 4;
+
+    let delay = 0;
+    let paddingSamples = 0;
+    if (lame + 24 <= buf.length && /^(LAME|Lavf|Lavc)/.test(buf.toString('latin1', lame, lame + 4))) {
+      const raw = buf.readUIntBE(lame + 21, 3);
+      delay = raw >> 12;
+      paddingSamples = raw & 0xfff;
+    }
+    return { frames, delay, padding: paddingSamples };
+  }
+
+  const vbri = offset + 4 + 32;
+  if (buf.toString('latin1', vbri, vbri + 4) === 'VBRI') {
+    return { frames: buf.readUInt32BE(vbri + 14), delay: 0, padding: 0 };
+  }
+
+  return null;
+};
+
+const mp3Duration = (buf) => {
+  let start = 0;
+  // Some encoders write more than one ID3v2 tag back to back
+  while (id3v2Length(buf, start)) start += id3v2Length(buf, start);
+
+  const first = findFirstFrame(buf, start);
+  if (!first) return null;
+
+  const { header } = first;
+  const vbr = readVbrHeader(buf, first.offset, header);
+  if (vbr && vbr.frames > 0) {
+    const samples = vbr.frames * header.samplesPerFrame - vbr.delay - vbr.padding;
+    return Math.max(0, samples) / header.sampleRate;
+  }
+
+  // No VBR header: walk every frame and add up the samples
+  let samples = 0;
+  let pos = first.offset;
+  while (pos < buf.length) {
+    const frame = parseFrameHeader(buf, pos);
+    if (!frame) break;
+    samples += frame.samplesPerFrame;
+    pos += frame.frameLength;
+  }
+  return samples / header.sampleRate;
+};
+
+// ==================== RIFF / WAV ====================
+
+const parseRiffInfo = (list) => {
+  const fields = {};
+  let pos = 4; // Skip the "INFO" list type
+  while (pos + 8 <= list.length) {
+    const id = list.toString('latin1', pos, pos + 4);
+    const size = list.readUInt32LE(pos + 4);
+    const field = RIFF_INFO_FIELDS[id];
+    if (field && !fields[field]) {
+      fields[field] = list.subarray(pos + 8, pos + 8 + size).toString('utf8');
+    }
+    pos += 8 + size + (size % 2);
+  }
+  return normalizeFields(fields);
+};
+
+const parseWav = (buf) => {
+  const result = emptyMetadata();
+  if (buf.length < 12 || buf.toString('latin1', 0, 4) !== 'RIFF' || buf.toString('latin1', 8, 12) !== 'WAVE') {
+    return result;
+  }
+
+  let fmt = null;
+  let dataSize = null;
+  let factSamples = null;
+  let pos = 12;
+
+  while (pos + 8 <= buf.length) {
+    const id = buf.toString('latin1', pos, pos + 4);
+    const size = buf.readUInt32LE(pos + 4);
+    const body = buf.subarray(pos + 8, Math.min(buf.length, pos + 8 + size));
+
+    if (id === 'fmt ' && body.length >= 16) {
+      fmt = {
+        format: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        byteRate: body.readUInt32LE(8),
+        blockAlign: body.readUInt16LE(12)
+      };
+    } else if (id === 'data') {
+      // Streams written before the final size is known often leave 0 or 0xFFFFFFFF
+      dataSize = size === 0 || size === 0xffffffff ? buf.length - pos - 8 : Math.min(size, buf.length - pos - 8);
+    } else if (id === 'fact' && body.length >= 4) {
+      factSamples = body.readUInt32LE(0);
+    } else if (id === 'LIST' && body.toString('latin1', 0, 4) === 'INFO') {
+      mergeFields(result, parseRiffInfo(body));
+    } else if (id === 'id3 ' || id === 'ID3 ') {
+      mergeFields(result, parseId3v2(body));
+    }
+
+    pos += 8 + size + (size % 2);
+  }
+
+  if (fmt && fmt.sampleRate > 0) {
+    const isPcm = fmt.format === 1 || fmt.format === 3 || fmt.format === 0xfffe;
+    if (!isPcm && factSamples != null) {
+      result.duration = factSamples / fmt.sampleRate;
+    } else if (dataSize != null && fmt.byteRate > 0) {
+      result.duration = dataSize / fmt.byteRate;
+    }
+  }
+
+  return result;
+};
+
+// ==================== VORBIS COMMENTS / FLAC / OGG ====================
+
+const parseVorbisComment = (buf) => {
+  const fields = {};
+  let pos = 4 + buf.readUInt32LE(0); // Skip the vendor string
+  const count = buf.readUInt32LE(pos);
+  pos += 4;
+
+  for (let i = 0; i < count && pos + 4 <= buf.length; i++) {
+    const length = buf.readUInt32LE(pos);
+    const entry = buf.toString('utf8', pos + 4, Math.min(buf.length, pos + 4 + length));
+    pos += 4 + length;
+
+    const separator = entry.indexOf('=');
+    const field = VORBIS_FIELDS[entry.slice(0, separator).toUpperCase()];
+    if (separator > 0 && field && !fields[field]) fields[field] = entry.slice(separator + 1);
+  }
+
+  return normalizeFields(fields);
+};
+
+const parseFlac = (buf) => {
+  const result = emptyMetadata();
+  let pos = id3v2Length(buf); // Some encoders put an ID3 tag in front
+  if (buf.toString('latin1', pos, pos + 4) !== 'fLaC') return result;
+  pos += 4;
+
+  let last = false;
+  while (!last && pos + 4 <= buf.length) {
+    last = (buf[pos] & 0x80) !== 0;
+    const type = buf[pos] & 0x7f;
+    const size = buf.readUIntBE(pos + 1, 3);
+    const body = buf.subarray(pos + 4, Math.min(buf.length, pos + 4 + size));
+
+    if (type === 0 && body.length >= 18) {
+      // STREAMINFO: 20-bit sample rate and 36-bit sample count
+      const sampleRate = (body[10] << 12) | (body[11] << 4) | (body[12] >> 4);
+      const totalSamples = (body[13] & 0x0f) * 2 ** 32 + body.readUInt32BE(14);
+      if (sampleRate > 0 && totalSamples > 0) result.duration = totalSamples / sampleRate;
+    } else if (type === 4) {
+      mergeFields(result, parseVorbisComment(body));
+    }
+
+    pos += 4 + size;
+  }
+
+  return mergeFields(result, parseId3v2(buf));
+};
+
+// The first `count` packets of the file's first logical stream
+const oggPackets = (buf, count) => {
+  const packets = [];
+  let pending = [];
+  let serial = null;
+  let pos = 0;
+
+  while (packets.length < count && pos + 27 <= buf.length && buf.toString('latin1', pos, pos + 4) === 'OggS') {
+    const segments = buf[pos + 26];
+    const pageSerial = buf.readUInt32LE(pos + 14);
+    serial ??= pageSerial;
+
+    let dataPos = pos + 27 + segments;
+    for (let i = 0; i < segments; i++) {
+      const length = buf[pos + 27 + i];
+      if (pageSerial === serial) {
+        pending.push(buf.subarray(dataPos, dataPos + length));
+        // A segment shorter than 255 bytes ends the packet
+        if (length < 255) {
+          packets.push(Buffer.concat(pending));
+          pending = [];
+        }
+      }
+      dataPos += length;
+    }
+    pos = dataPos;
+  }
+
+  return { packets, serial };
+};
+
+// Granule position (samples so far) of the stream's last page
+const lastGranule = (buf, serial) => {
+  for (let pos = buf.lastIndexOf('OggS'); pos >= 0; pos = pos > 0 ? buf.lastIndexOf('OggS', pos - 1) : -1) {
+    if (pos + 27 > buf.length || buf.readUInt32LE(pos + 14) !== serial) continue;
+    const granule = Number(buf.readBigInt64LE(pos + 6));
+    if (granule >= 0) return granule;
+  }
+  return null;
+};
+
+const parseOgg = (buf) => {
+  const result = emptyMetadata();
+  const { packets: [head, tags], serial } = oggPackets(buf, 2);
+  if (!head || !tags) return result;
+
+  let sampleRate;
+  let preSkip = 0;
+  let comment = null;
+  if (head.toString('latin1', 0, 7) === '\x01vorbis') {
+    sampleRate = head.readUInt32LE(12);
+    if (tags.toString('latin1', 0, 7) === '\x03vorbis') comment = tags.subarray(7);
+  } else if (head.toString('latin1', 0, 8) === 'OpusHead') {
+    // Opus granule positions always count 48 kHz samples, including the pre-skip
+    sampleRate = 48000;
+    preSkip = head.readUInt16LE(10);
+    if (tags.toString('latin1', 0, 8) === 'OpusTags') comment = tags.subarray(8);
+  } else {
+    return result;
+  }
+
+  if (comment) mergeFields(result, parseVorbisComment(comment));
+
+  const granule = lastGranule(buf, serial);
+  if (granule > 0 && sampleRate > 0) result.duration = Math.max(0, granule - preSkip) / sampleRate;
+
+  return result;
+};
+
+// ==================== MP4 / AAC ====================
+
+// The boxes directly inside an MP4 box body: [{ type, body }]
+const mp4Boxes = (buf) => {
+  const boxes = [];
+  let pos = 0;
+
+  while (pos + 8 <= buf.length) {
+    let size = buf.readUInt32BE(pos);
+    let header = 8;
+    if (size === 1 && pos + 16 <= buf.length) {
+      size = Number(buf.readBigUInt64BE(pos + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = buf.length - pos; // Runs to the end of the file
+    }
+    if (size < header) break;
+
+    boxes.push({ type: buf.toString('latin1', pos + 4, pos + 8), body: buf.subarray(pos + header, Math.min(buf.length, pos + size)) });
+    pos += size;
+  }
+
+  return boxes;
+};
+
+const mp4Child = (body, type) => (body ? mp4Boxes(body).find((box) => box.type === type)?.body : undefined);
+
+const parseMp4 = (buf) => {
+  const result = emptyMetadata();
+  const moov = mp4Child(buf, 'moov');
+  if (!moov) return result;
+
+  const mvhd = mp4Child(moov, 'mvhd');
+  if (mvhd && mvhd.length >= 20) {
+    const longForm = mvhd[0] === 1;
+    const timescale = mvhd.readUInt32BE(longForm ? 20 : 12);
+    const duration = longForm ? Number(mvhd.readBigUInt64BE(24)) : mvhd.readUInt32BE(16);
+    if (timescale > 0) result.duration = duration / timescale;
+  }
+
+  // moov/udta/meta (a full box: 4 bytes of version and flags) /ilst
+  const meta = mp4Child(mp4Child(moov, 'udta'), 'meta');
+  const ilst = meta && mp4Child(meta.subarray(4), 'ilst');
+  if (!ilst) return result;
+
+  const fields = {};
+  for (const item of mp4Boxes(ilst)) {
+    const data = mp4Child(item.body, 'data');
+    if (!data || data.length < 8) continue;
+    const value = data.subarray(8); // After the type indicator and locale
+
+    if (MP4_FIELDS[item.type]) {
+      fields[MP4_FIELDS[item.type]] ??= value.toString('utf8');
+    } else if (item.type === 'trkn' && value.length >= 4) {
+      fields.track_number ??= value.readUInt16BE(2);
+    } else if (item.type === 'gnre' && value.length >= 2) {
+      fields.genre ??= ID3V1_GENRES[value.readUInt16BE(0) - 1];
+    }
+  }
+
+  return mergeFields(result, normalizeFields(fields));
+};
+
+// Raw AAC in ADTS frames of 1024 samples each
+const parseAdts = (buf) => {
+  const result = mergeFields(emptyMetadata(), parseId3v2(buf));
+  let pos = id3v2Length(buf);
+  let frames = 0;
+  let sampleRate = null;
+
+  while (pos + 7 <= buf.length && buf[pos] === 0xff && (buf[pos + 1] & 0xf6) === 0xf0) {
+    sampleRate ??= ADTS_SAMPLE_RATES[(buf[pos + 2] >> 2) & 0x0f];
+    const length = ((buf[pos + 3] & 0x03) << 11) | (buf[pos + 4] << 3) | (buf[pos + 5] >> 5);
+    if (length < 7) break;
+    frames += 1 + (buf[pos + 6] & 0x03);
+    pos += length;
+  }
+
+  if (frames > 0 && sampleRate) result.duration = (frames * 1024) / sampleRate;
+  return result;
+};
+
+// ==================== PUBLIC API ====================
+
+const parseMp3 = (buf) => {
+  const result = emptyMetadata();
+  mergeFields(result, parseId3v2(buf));
+  mergeFields(result, parseId3v1(buf));
+  result.duration = mp3Duration(buf);
+  return result;
+};
+
+// Extract tags and duration from an uploaded file. Never throws: unreadable
+// or unknown files simply come back with every field set to null.
+export const extractMetadata = (buffer, filename = '') => {
+  try {
+    switch (sniffAudioFormat(buffer)) {
+      case 'wav': return parseWav(buffer);
+      case 'flac': return parseFlac(buffer);
+      case 'ogg':
+      case 'opus': return parseOgg(buffer);
+      case 'm4a': return parseMp4(buffer);
+      case 'aac': return parseAdts(buffer);
+    }
+    if (buffer.toString('latin1', 0, 4) === 'RIFF') return parseWav(buffer);
+
+    const ext = path.extname(filename).toLowerCase();
+    if (ext === '.mp3' || buffer.toString('latin1', 0, 3) === 'ID3' || findFirstFrame(buffer, 0)) {
+      return parseMp3(buffer);
+    }
+  } catch (error) {
+    console.error(`Metadata extraction failed for ${filename}:`, error.message);
+  }
+  return emptyMetadata();
+};
@@ -0,0 +1,302 @@
+// lib/playlistFormats.js
+// Reads and writes standard playlist files: M3U8, XSPF (XML) and JSPF (the
+// JSON form of XSPF). Writers take a plain description of the playlist;
+// readers return the same shape, so matching entries to library tracks does
+// not depend on the format they came from.
+//
+//   { title, annotation, entries: [{ location, title, artist, album, track_number, duration }] }
+//
+// `duration` is in seconds. Unknown fields are null.
+import path from 'path';
+
+export const PLAYLIST_FORMATS = {
+  m3u8: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8' },
+  xspf: { contentType: 'application/xspf+xml; charset=utf-8', extension: 'xspf' },
+  jspf: { contentType: 'application/jspf+json; charset=utf-8', extension: 'jspf' }
+};
+
+const XSPF_NS = 'http://xspf.org/ns/0/';
+
+const emptyEntry = () => ({
+  location: null,
+  title: null,
+  artist: null,
+  album: null,
+  track_number: null,
+  duration: null
+});
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value != null && value !== '' && Number.isFinite(number) ? number : null;
+};
+
+// ==================== WRITERS ====================
+
+// Keep line breaks out of single-line M3U fields
+const m3uText = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+const writeM3u8 = ({ title, entries }) => {
+  const lines = ['#EXTM3U'];
+  if (title) lines.push(`#PLAYLIST:${m3uText(title)}`);
+
+  for (const entry of entries) {
+    const label = [entry.artist, entry.title].filter(Boolean).join(' - ');
+    const seconds = entry.duration != null ? Math.round(entry.duration) : -1;
+    lines.push(`#EXTINF:${seconds},${m3uText(label)}`);
+    if (entry.album) lines.push(`#EXTALB:${m3uText(entry.album)}`);
+    lines.push(entry.location);
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const xmlElement = (indent, name, value) =>
+  value == null || value === '' ? [] : [`${indent}<${name}>${escapeXml(value)}</${name}>`];
+
+const writeXspf = ({ title, annotation, entries }) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  `<playlist version="1" xmlns="${XSPF_NS}">`,
+  ...xmlElement('  ', 'title', title),
+  ...xmlElement('  ', 'annotation', annotation),
+  '  <trackList>',
+  ...entries.flatMap((entry) => [
+    '    <track>',
+    ...xmlElement('      ', 'location', entry.location),
+    ...xmlElement('      ', 'title', entry.title),
+    ...xmlElement('      ', 'creator', entry.artist),
+    ...xmlElement('      ', 'album', entry.album),
+    ...xmlElement('      ', 'trackNum', entry.track_number),
+    ...xmlElement('      ', 'duration', entry.duration != null ? Math.round(entry.duration * 1000) : null),
+    '    </track>'
+  ]),
+  '  </trackList>',
+  '</playlist>',
+  ''
+].join('\n');
+
+// JSPF leaves out fields instead of setting them to null
+const compact = (object) =>
+  Object.fromEntries(Object.entries(object).filter(([, value]) => value != null && value !== ''));
+
+const writeJspf = ({ title, annotation, entries }) => `${JSON.stringify({
+  playlist: compact({
+    title,
+    annotation,
+    track: entries.map((entry) => compact({
+      location: entry.location ? [entry.location] : null,
+      title: entry.title,
+      creator: entry.artist,
+      album: entry.album,
+      trackNum: entry.track_number,
+      duration: entry.duration != null ? Math.round(entry.duration * 1000) : null
+    }))
+  })
+}, null, 2)}\n`;
+
+const WRITERS = { m3u8: writeM3u8, xspf: writeXspf, jspf: writeJspf };
+
+export const writePlaylist = (format, playlist) => WRITERS[format](playlist);
+
+// ==================== READERS ====================
+
+const readM3u = (text) => {
+  const playlist = { title: null, annotation: null, entries: [] };
+  let pending = emptyEntry();
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    if (line.startsWith('#')) {
+      const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+      if (extinf) {
+        const seconds = toNumber(extinf[1]);
+        pending.duration = seconds != null && seconds >= 0 ? seconds : null;
+        // "Artist - Title" by convention; a lone label is taken as the title
+        const label = extinf[2].trim();
+        const split = label.indexOf(' - ');
+        if (split > 0) {
+          pending.artist = label.slice(0, split).trim();
+          pending.title = label.slice(split + 3).trim() || null;
+        } else {
+          pending.title = label || null;
+        }
+      } else if (/^#PLAYLIST:/i.test(line)) {
+        playlist.title = line.slice('#PLAYLIST:'.length).trim() || null;
+      } else if (/^#EXTALB:/i.test(line)) {
+        pending.album = line.slice('#EXTALB:'.length).trim() || null;
+      } else if (/^#EXTART:/i.test(line)) {
+        pending.artist = line.slice('#EXTART:'.length).trim() || null;
+      }
+      continue;
+    }
+
+    playlist.entries.push({ ...pending, location: line });
+    pending = emptyEntry();
+  }
+
+  return playlist;
+};
+
+const decodeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+  .trim();
+
+// First <name> child in `xml`, ignoring namespace prefixes
+const xmlChild = (xml, name) => {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'i'));
+  return match ? decodeXml(match[1]) || null : null;
+};
+
+const readXspf = (text) => {
+  const tracks = [...text.matchAll(/<(?:\w+:)?track(?:\s[^>]*)?>([\s\S]*?)<\/(?:\w+:)?track>/gi)].map((m) => m[1]);
+  // Playlist-level fields come before the track list
+  const head = text.split(/<(?:\w+:)?trackList/i)[0];
+
+  return {
+    title: xmlChild(head, 'title'),
+    annotation: xmlChild(head, 'annotation'),
+    entries: tracks.map((xml) => {
+      const duration = toNumber(xmlChild(xml, 'duration'));
+      return {
+        location: xmlChild(xml, 'location'),
+        title: xmlChild(xml, 'title'),
+        artist: xmlChild(xml, 'creator'),
+        album: xmlChild(xml, 'album'),
+        track_number: toNumber(xmlChild(xml, 'trackNum')),
+        duration: duration != null ? duration / 1000 : null
+      };
+    })
+  };
+};
+
+const stringOrNull = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+const readJspf = (text) => {
+  const { playlist = {} } = JSON.parse(text);
+  const tracks = Array.isArray(playlist.track) ? playlist.track : [];
+
+  return {
+    title: stringOrNull(playlist.title),
+    annotation: stringOrNull(playlist.annotation),
+    entries: tracks.map((track) => {
+      const location = Array.isArray(track.location) ? track.location[0] : track.location;
+      const duration = toNumber(track.duration);
+      return {
+        location: stringOrNull(location),
+        title: stringOrNull(track.title),
+        artist: stringOrNull(track.creator),
+        album: stringOrNull(track.album),
+        track_number: toNumber(track.trackNum),
+        duration: duration != null ? duration / 1000 : null
+      };
+    })
+  };
+};
+
+const READERS = { m3u8: readM3u, xspf: readXspf, jspf: readJspf };
+
+// Work out the format from the file extension, falling back to the content
+export const detectPlaylistFormat = (text, filename = '') => {
+  const ext = path.extname(filename).toLowerCase().slice(1);
+  if (ext === 'm3u' || ext === 'm3u8') return 'm3u8';
+  if (ext === 'xspf') return 'xspf';
+  if (ext === 'jspf' || ext === 'json') return 'jspf';
+
+  const start = text.trimStart();
+  if (start.startsWith('{')) return 'jspf';
+  if (start.startsWith('<')) return 'xspf';
+  return 'm3u8';
+};
+
+// Parse a playlist file. Throws with a readable message when it is malformed.
+export const readPlaylist = (text, format) => {
+  const content = text.replace(/^\uFEFF/, '');
+  try {
+    return READERS[format](content);
+  } catch (error) {
+    throw new Error(`Could not read ${format.toUpperCase()} playlist: ${error.message}`);
+  }
+};
+
+// ==================== MATCHING ====================
+
+// Lowercase, without accents, punctuation or extra spaces
+const normalize = (value) => String(value ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// File name without directory, query string or extension, normalised. Drops
+// the "07 - " prefix that bundle exports add.
+const fileStem = (location) => {
+  let name = String(location ?? '').split(/[?#]/)[0].split(/[\\/]/).pop();
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // Keep the raw name if it isn't valid percent-encoding
+  }
+  return normalize(name.replace(/\.[^.]+$/, ''));
+};
+
+const STREAM_URL = /\/api\/tracks\/stream\/([^/?#]+)/;
+
+// Match playlist entries to library tracks, trying in order: a stream URL of
+// this app, the file name, artist and title tags, then (for entries without
+// an artist) the title alone when only one track has it. Returns [{ entry, track, matched_by }] with
+// `track` null for entries that matched nothing.
+export const matchEntries = (entries, tracks) => {
+  const byId = new Map(tracks.map((track) => [String(track.id), track]));
+  const byStem = new Map();
+  const byTags = new Map();
+  const byTitle = new Map();
+
+  const index = (map, key, track) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(track);
+  };
+
+  for (const track of tracks) {
+    index(byStem, fileStem(track.original_name), track);
+    index(byStem, fileStem(track.filename), track);
+    // Untagged tracks go by their file name, as they do in exports
+    const title = track.title || fileStem(track.original_name);
+    index(byTags, normalize(`${track.artist ?? ''} ${title}`), track);
+    index(byTitle, normalize(title), track);
+    // Files are often named "Artist - Title"
+    if (track.artist && track.title) index(byStem, normalize(`${track.artist} ${track.title}`), track);
+  }
+
+  const unique = (list) => (list && new Set(list).size === 1 ? list[0] : null);
+
+  return entries.map((entry) => {
+    const id = entry.location?.match(STREAM_URL)?.[1];
+    const candidates = [
+      ['id', id && byId.get(decodeURIComponent(id))],
+      ['filename', entry.location && (unique(byStem.get(fileStem(entry.location)))
+        ?? unique(byStem.get(fileStem(entry.location).replace(/^\d+ /, ''))))],
+      ['tags', entry.title && unique(byTags.get(normalize(`${entry.artist ?? ''} ${entry.title}`)))],
+      ['title', entry.title && !entry.artist && unique(byTitle.get(normalize(entry.title)))]
+    ];
+    const [matchedBy, track] = candidates.find(([, candidate]) => candidate) ?? [null, null];
+    return { entry, track, matched_by: matchedBy };
+  });
+};
@@ -0,0 +1,144 @@
+// lib/processing.js
+// What happens to a track after its file is stored: tags, audio analysis and
+// loudness, the duplicate check and the streaming rendition. Uploads queue a
+// "process-track" job for it (lib/jobs) rather than making the request wait,
+// and the API server or worker.js runs it.
+import path from 'path';
+import { extractMetadata } from './metadata.js';
+import { analyzeAudio } from './analysis.js';
+import { storage as fileStorage } from './storage/index.js';
+import { db } from './db/index.js';
+import { contentHash, encodeFingerprint, findNearDuplicates } from './fingerprint.js';
+import { AUDIO_FORMATS, sniffAudioFormat } from './audioFormats.js';
+import { createStreamRendition } from './transcode.js';
+import { albumLoudness } from './loudness.js';
+import { invalidateStats } from './cache.js';
+
+export const PROCESS_TRACK = 'process-track';
+
+// Transcode a file into the streaming format and store it beside the
+// original. Resolves to the track columns describing the rendition, which are
+// all null when there is none: a track without one streams its original.
+const storeStreamRendition = async (buffer, uniqueName) => {
+  const none = { stream_path: null, stream_format: null, stream_size: null };
+  try {
+    const rendition = await createStreamRendition(buffer);
+    if (!rendition) return none;
+
+    const streamPath = `streams/${path.parse(uniqueName).name}${rendition.extension}`;
+    await fileStorage.upload(streamPath, rendition.buffer, { contentType: AUDIO_FORMATS[rendition.format].contentType });
+    return { stream_path: streamPath, stream_format: rendition.format, stream_size: rendition.buffer.length };
+  } catch (error) {
+    console.error('Transcoding error:', error.message);
+    return none;
+  }
+};
+
+// Flag the tracks a processed track duplicates: those with the same content
+// hash (similarity 1) and those whose fingerprint sounds alike. Its
+// fingerprint is saved for the tracks that come after it. Resolves to
+// [{ track_id, similarity }].
+const flagDuplicates = async (track, fingerprint) => {
+  const matches = new Map();
+  for (const other of await db.tracks.findByHash(track.workspace_id, track.content_hash)) {
+    if (other.id !== track.id) matches.set(other.id, 1);
+  }
+
+  if (fingerprint) {
+    const others = (await db.duplicates.fingerprints(track.workspace_id))
+      .filter(candidate => candidate.track_id !== track.id);
+    for (const { track_id, similarity } of findNearDuplicates({ fingerprint, duration: track.duration }, others)) {
+      if (!matches.has(track_id)) matches.set(track_id, similarity);
+    }
+
+    await db.duplicates.saveFingerprint({
+      track_id: track.id,
+      workspace_id: track.workspace_id,
+      fingerprint: encodeFingerprint(fingerprint)
+    });
+  }
+
+  for (const [duplicate_of, similarity] of matches) {
+    await db.duplicates.link({ workspace_id: track.workspace_id, track_id: track.id, duplicate_of, similarity });
+  }
+  return [...matches].map(([track_id, similarity]) => ({ track_id, similarity }));
+};
+
+// Recompute album_loudness and album_peak for the tracks sharing `track`'s
+// album and artist tags, after one of them was added, analyzed or removed.
+// Resolves to the new values (both null for a track without an album tag).
+export const refreshAlbumLoudness = async ({ workspace_id, album, artist }) => {
+  if (!album) return { album_loudness: null, album_peak: null };
+
+  const tracks = await db.tracks.inAlbum(workspace_id, album, artist ?? null);
+  const values = albumLoudness(tracks);
+  for (const track of tracks) {
+    if (track.album_loudness !== values.album_loudness || track.album_peak !== values.album_peak) {
+      await db.tracks.update(track.id, values);
+    }
+  }
+  return values;
+};
+
+// Job handler: process the track `job.data.track_id`. Every step can run
+// again, so a failed attempt is simply retried. Resolves to { track } with
+// the tracks it sounds like (`near_duplicates`), or { track: null } when it
+// was deleted before its turn.
+const processTrack = async (job) => {
+  const track = await db.tracks.get(job.data.track_id, job.workspace_id);
+  if (!track) return { track: null };
+
+  try {
+    await db.tracks.update(track.id, { processing_status: 'processing' });
+
+    const buffer = await fileStorage.download(track.storage_path);
+    const metadata = extractMetadata(buffer, track.original_name);
+
+    // Decode the audio and compute tempo, key, loudness, energy and
+    // brightness, and its fingerprint
+    const { features, fingerprint } = await analyzeAudio(buffer, track.original_name);
+    const stream = track.stream_path ? {} : await storeStreamRendition(buffer, track.filename);
+
+    // Tracks from before duplicate detection and format sniffing get their
+    // hash and format here
+    const updated = await db.tracks.update(track.id, {
+      duration: metadata.duration,
+      title: metadata.title,
+      artist: metadata.artist,
+      album: metadata.album,
+      year: metadata.year,
+      genre: metadata.genre,
+      track_number: metadata.track_number,
+      ...features,
+      ...stream,
+      content_hash: contentHash(buffer),
+      format: sniffAudioFormat(buffer)
+    });
+    if (!updated) {
+      // Deleted while we worked; nothing refers to the new rendition
+      if (stream.stream_path) await fileStorage.remove([stream.stream_path]);
+      return { track: null };
+    }
+
+    const near_duplicates = await flagDuplicates(updated, fingerprint);
+    Object.assign(updated, await refreshAlbumLoudness(updated));
+    // The album it was on before its tags were read again
+    if (track.album !== updated.album || track.artist !== updated.artist) {
+      await refreshAlbumLoudness(track);
+    }
+    await invalidateStats(track.workspace_id);
+
+    const done = await db.tracks.update(track.id, { processing_status: 'ready', processing_error: null });
+    return { track: { ...done, near_duplicates } };
+  } catch (error) {
+    const willRetry = job.attempts < job.max_attempts;
+    await db.tracks.update(track.id, { processing_status: willRetry ? 'pending' : 'failed', processing_error: error.message })
+      .catch(updateError => console.error('Could not record processing error:', updateError));
+    throw error;
+  }
+};
+
+// Handlers for the job types, for jobs.work()
+export const jobHandlers = {
+  [PROCESS_TRACK]: processTrack
+};
@@ -0,0 +1,117 @@
+// lib/radio.js
+// Endless mood radio. Each call picks the next few tracks for a mood from the
+// whole library, mixing how well a track fits the mood with the weights it
+// was given in earlier playlists for similar moods, while keeping recently
+// played tracks and artists out of rotation for a while.
+import { scoreTracksForMood, describeFit, profileForMood, tokenize } from './ai/heuristic.js';
+
+// How many of the most recent tracks may not come back yet (capped at half
+// the library so small libraries still have something to play)
+const NO_REPEAT_TRACKS = Math.max(0, parseInt(process.env.RADIO_NO_REPEAT ?? '20', 10) || 0);
+
+// How many of the most recent tracks may not share an artist with a new pick
+const ARTIST_GAP = Math.max(0, parseInt(process.env.RADIO_ARTIST_GAP ?? '2', 10) || 0);
+
+// Share of the score that comes from stored playlist weights, when a track has any
+const STORED_WEIGHT_SHARE = 0.4;
+
+export const MAX_RADIO_BATCH = 10;
+
+// Words and matched mood profiles, so "rainy day blues" and "sad rain"
+// count as related moods
+const moodTerms = (mood) => {
+  const profile = profileForMood(mood);
+  const labels = profile.label === 'balanced' ? [] : profile.label.split(' + ');
+  return new Set([...tokenize(mood).filter((word) => word.length > 2), ...labels.map((l) => `#${l}`)]);
+};
+
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const term of a) if (b.has(term)) shared++;
+  return shared / (a.size + b.size - shared);
+};
+
+// Average weight each track received in playlists for moods similar to
+// `mood`, weighted by how similar those moods are
+const storedWeightsFor = (mood, playlists) => {
+  const terms = moodTerms(mood);
+  const totals = new Map();
+
+  for (const playlist of playlists) {
+    const sim = similarity(terms, moodTerms(playlist.mood_prompt || playlist.name || ''));
+    if (sim === 0) continue;
+    for (const entry of playlist.playlist_tracks || []) {
+      if (entry.weight == null) continue;
+      const id = String(entry.track_id);
+      const total = totals.get(id) || { sum: 0, sim: 0 };
+      total.sum += sim * entry.weight;
+      total.sim += sim;
+      totals.set(id, total);
+    }
+  }
+
+  return new Map([...totals].map(([id, { sum, sim }]) => [id, sum / sim]));
+};
+
+// Draw one candidate with probability proportional to its squared score,
+// which favours strong matches without always playing the same few
+const drawWeighted = (candidates, random) => {
+  const total = candidates.reduce((sum, c) => sum + c.score ** 2, 0);
+  if (total === 0) return candidates[Math.floor(random() * candidates.length)];
+  let roll = random() * total;
+  for (const candidate of candidates) {
+    roll -= candidate.score ** 2;
+    if (roll <= 0) return candidate;
+  }
+  return candidates[candidates.length - 1];
+};
+
+// Pick the next `count` tracks for `mood`. `history` lists recently played
+// track ids, oldest first. Returns [{ track, weight, reason }].
+export const pickRadioTracks = ({ mood, tracks, playlists, history = [], count = 3, random = Math.random }) => {
+  if (tracks.length === 0) return [];
+
+  const { profile, scored } = scoreTracksForMood(mood, tracks);
+  const storedWeights = storedWeightsFor(mood, playlists);
+  const byId = new Map(tracks.map((track) => [String(track.id), track]));
+
+  let pool = scored.map(({ track, score, reasons }) => {
+    const stored = storedWeights.get(String(track.id));
+    return {
+      track,
+      score: stored == null ? score : (1 - STORED_WEIGHT_SHARE) * score + STORED_WEIGHT_SHARE * stored,
+      reason: describeFit(profile, stored == null ? reasons : [...reasons, `weighted ${stored.toFixed(2)} in similar playlists`])
+    };
+  });
+
+  const recent = history.map(String);
+  const picks = [];
+
+  while (picks.length < count && pool.length > 0) {
+    const played = [...recent, ...picks.map((p) => String(p.track.id))];
+    const window = Math.min(NO_REPEAT_TRACKS, Math.floor(tracks.length / 2));
+    const blockedTracks = new Set(window > 0 ? played.slice(-window) : []);
+    const blockedArtists = new Set(
+      (ARTIST_GAP > 0 ? played.slice(-ARTIST_GAP) : [])
+        .map((id) => byId.get(id)?.artist?.toLowerCase())
+        .filter(Boolean)
+    );
+
+    // Relax the artist rule, then the repeat window, rather than go silent
+    const fresh = pool.filter((c) => !blockedTracks.has(String(c.track.id)));
+    const candidates = [
+      fresh.filter((c) => !blockedArtists.has(c.track.artist?.toLowerCase())),
+      fresh,
+      pool.filter((c) => String(c.track.id) !== played[played.length - 1])
+    ].find((list) => list.length > 0);
+    if (!candidates) break;
+
+    const pick = drawWeighted(candidates, random);
+    picks.push(pick);
+    // A track never appears twice in the same batch
+    pool = pool.filter((c) => c !== pick);
+  }
+
+  return picks.map(({ track, score, reason }) => ({ track, weight: Number(score.toFixed(2)), reason }));
+};
@@ -0,0 +1,72 @@
+// lib/range.js
+// Helpers for HTTP Range requests (RFC 9110 §14) and conditional GETs.
+import crypto from 'crypto';
+
+// Parse a "Range: bytes=..." header against a resource of `size` bytes.
+// Returns null when the header is absent or should be ignored (not bytes,
+// malformed, or multiple ranges – we then answer with the full body),
+// { unsatisfiable: true } when no byte of the range exists, or { start, end }
+// with an inclusive end.
+export const parseRange = (header, size) => {
+  if (!header || !header.startsWith('bytes=')) return null;
+
+  const spec = header.slice('bytes='.length).trim();
+  if (spec.includes(',')) return null;
+
+  const match = /^(\d*)-(\d*)$/.exec(spec);
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return { unsatisfiable: true };
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    if (match[2] !== '' && parseInt(match[2], 10) < start) return null;
+    if (start >= size) return { unsatisfiable: true };
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  return { start, end };
+};
+
+// Strong validator for an immutable stored object
+export const makeETag = (...parts) =>
+  `"${crypto.createHash('sha1').update(parts.join(':')).digest('hex').slice(0, 27)}"`;
+
+const etagList = (header) => header.split(',').map((tag) => tag.trim().replace(/^W\//, ''));
+
+// True when the client's cached copy is still valid and a 304 can be sent.
+// If-None-Match takes precedence over If-Modified-Since.
+export const isNotModified = (req, { etag, lastModified }) => {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.trim() === '*' || etagList(ifNoneMatch).includes(etag);
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+  }
+
+  return false;
+};
+
+// If-Range: only honour the Range header when the validator still matches
+export const isRangeFresh = (req, { etag, lastModified }) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return ifRange === etag;
+  }
+
+  const date = Date.parse(ifRange);
+  return !Number.isNaN(date) && lastModified != null &&
+    Math.floor(lastModified.getTime() / 1000) === Math.floor(date / 1000);
+};
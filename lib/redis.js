@@ -0,0 +1,18 @@
+// lib/redis.js
+// The optional Redis connection (REDIS_URL), shared by the cache
+// (lib/cache.js) and the job queue (lib/jobs). Null without REDIS_URL.
+import Redis from 'ioredis';
+
+export const redis = process.env.REDIS_URL ? new Redis(process.env.REDIS_URL) : null;
+
+if (redis) {
+  redis.on('connect', () => {
+    console.log('Connected to Redis');
+  });
+
+  redis.on('error', (err) => {
+    console.error('Redis error:', err);
+  });
+} else {
+  console.log('No REDIS_URL set – running without Redis cache');
+}
@@ -0,0 +1,37 @@
+// lib/shares.js
+// Share links for playlists. A link carries a random token; the database
+// keeps only its SHA-256 hash, so a leaked database does not leak working
+// links. Anyone holding an active token may read the playlist and stream
+// its tracks, nothing more.
+import crypto from 'crypto';
+import { db } from './db/index.js';
+
+// Longest expiry a share link may be given, in days (about ten years)
+export const MAX_SHARE_DAYS = 3650;
+
+export const hashShareToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const createShareToken = () => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashShareToken(token) };
+};
+
+export const isShareActive = (share, now = new Date()) =>
+  Boolean(share) && !share.revoked_at && (!share.expires_at || new Date(share.expires_at) > now);
+
+// The share as returned by the API, without its token hash
+export const publicShare = ({ token_hash, ...share }) => ({ ...share, active: isShareActive(share) });
+
+// The playlist an active share token grants access to, or null
+export const findSharedPlaylist = async (token) => {
+  const share = await db.shares.getByTokenHash(hashShareToken(token));
+  return isShareActive(share) ? db.playlists.get(share.playlist_id, share.workspace_id) : null;
+};
+
+// Track `trackId` of the playlist an active share token grants access to, or
+// null when the token is not active or the track is not in that playlist
+export const findSharedTrack = async (token, trackId) => {
+  const playlist = await findSharedPlaylist(token);
+  const entry = playlist?.playlist_tracks.find((pt) => String(pt.track_id) === String(trackId));
+  return entry?.tracks || null;
+};
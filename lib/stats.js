@@ -0,0 +1,198 @@
+// lib/stats.js
+// Statistics over a time window, optionally narrowed to the playlists of a
+// mood keyword, a mood cluster or a single playlist.
+//
+// Selections count how often the AI picked a track: entries of generated
+// playlists created in the window. Plays come from the player's play events.
+// A listen begins with `start`, or `replay` when the same track plays again
+// straight away, and ends with `skip` or `complete` (or the `replay` that
+// restarts it). Each ending carries how many seconds had played, which adds
+// up to listening time.
+import { tokenize, moodClustersFor, MOOD_CLUSTERS } from './ai/heuristic.js';
+
+export const PLAY_EVENTS = ['start', 'skip', 'complete', 'replay'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Listening time is charted per hour over the last day, per day otherwise
+export const STATS_WINDOWS = {
+  '24h': { bucket: 'hour', count: 24 },
+  '7d': { bucket: 'day', count: 7 },
+  '30d': { bucket: 'day', count: 30 },
+  all: { bucket: 'day', count: null }
+};
+
+export const DEFAULT_STATS_WINDOW = '30d';
+export const MAX_STATS_LIMIT = 50;
+
+// The all-time chart shows at most this many days
+const MAX_CHART_DAYS = 366;
+
+const bucketStart = (date, bucket) => {
+  const start = new Date(date);
+  start.setUTCMinutes(0, 0, 0);
+  if (bucket === 'day') start.setUTCHours(0);
+  return start;
+};
+
+// First instant of the window: the top of the hour 23 hours ago for 24h,
+// midnight UTC six or 29 days ago for 7d and 30d, null for all time
+export const statsWindowStart = (window, now = new Date()) => {
+  const { bucket, count } = STATS_WINDOWS[window];
+  if (count === null) return null;
+  return new Date(bucketStart(now, bucket).getTime() - (count - 1) * (bucket === 'hour' ? HOUR_MS : DAY_MS));
+};
+
+// Validate a stats query string (window, mood, cluster, playlist_id, limit).
+// Resolves to { filters } or { error }.
+export const parseStatsQuery = (query, { defaultLimit = 10 } = {}) => {
+  const { window = DEFAULT_STATS_WINDOW, mood, cluster, playlist_id: playlistId, limit } = query;
+
+  if (!Object.hasOwn(STATS_WINDOWS, window)) {
+    return { error: `window must be one of: ${Object.keys(STATS_WINDOWS).join(', ')}` };
+  }
+  if (cluster !== undefined && cluster !== '' && !MOOD_CLUSTERS.includes(cluster)) {
+    return { error: `cluster must be one of: ${MOOD_CLUSTERS.join(', ')}` };
+  }
+
+  const keyword = tokenize(typeof mood === 'string' ? mood : '').join(' ');
+  if (mood !== undefined && mood !== '' && !keyword) {
+    return { error: 'mood must contain at least one word' };
+  }
+
+  const parsedLimit = limit === undefined ? defaultLimit : Number(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_STATS_LIMIT) {
+    return { error: `limit must be a whole number from 1 to ${MAX_STATS_LIMIT}` };
+  }
+
+  return {
+    filters: {
+      window,
+      mood: keyword || null,
+      cluster: cluster || null,
+      playlistId: typeof playlistId === 'string' && playlistId ? playlistId : null,
+      limit: parsedLimit
+    }
+  };
+};
+
+// One cache key per distinct combination of filters
+export const statsCacheKey = (kind, workspaceId, { window, mood, cluster, playlistId, limit }) =>
+  ['stats', workspaceId, kind, window, mood ?? '', cluster ?? '', playlistId ?? '', limit]
+    .map((part) => encodeURIComponent(part))
+    .join(':');
+
+export const hasPlaylistFilter = ({ mood, cluster, playlistId }) => Boolean(mood || cluster || playlistId);
+
+// Every word of the keyword starts a word of the mood, so "rain" finds
+// "rainy day blues"
+const moodHasKeyword = (moodPrompt, keyword) => {
+  const words = tokenize(moodPrompt);
+  return keyword.split(' ').every((part) => words.some((word) => word.startsWith(part)));
+};
+
+export const playlistMatches = (playlist, { mood, cluster, playlistId }) =>
+  (!playlistId || String(playlist.id) === playlistId) &&
+  (!mood || moodHasKeyword(playlist.mood_prompt, mood)) &&
+  (!cluster || moodClustersFor(playlist.mood_prompt).includes(cluster));
+
+// Tracks most often picked for generated playlists created at or after
+// `since` (null for all time) that match the filters, each with its count
+// as `selections`
+export const countSelections = ({ playlists, tracks, since, filters }) => {
+  const byId = new Map(tracks.map((track) => [String(track.id), track]));
+  const counts = new Map();
+
+  for (const playlist of playlists) {
+    if (playlist.source !== 'generated') continue;
+    if (since && new Date(playlist.created_at) < since) continue;
+    if (!playlistMatches(playlist, filters)) continue;
+    for (const entry of playlist.playlist_tracks || []) {
+      const id = String(entry.track_id);
+      counts.set(id, (counts.get(id) || 0) + 1);
+    }
+  }
+
+  return [...counts]
+    .filter(([id]) => byId.has(id))
+    .map(([id, selections]) => ({ ...byId.get(id), selections }))
+    .sort((a, b) => b.selections - a.selections)
+    .slice(0, filters.limit);
+};
+
+const ratio = (part, whole) => (whole > 0 ? Number((part / whole).toFixed(3)) : null);
+
+// Listening time per hour or day from the window start (or the first period
+// with plays, for all time) up to now, with empty periods filled in
+const listeningSeries = ({ periods, since, window, now }) => {
+  const { bucket } = STATS_WINDOWS[window];
+  const step = bucket === 'hour' ? HOUR_MS : DAY_MS;
+  const keyLength = bucket === 'hour' ? 13 : 10;
+  const seconds = new Map(periods.map((row) => [row.period, Math.round(Number(row.seconds))]));
+
+  let start = since;
+  if (!start) {
+    if (periods.length === 0) return [];
+    start = new Date(Math.max(
+      Date.parse(`${periods[0].period}T00:00:00Z`),
+      bucketStart(now, bucket).getTime() - (MAX_CHART_DAYS - 1) * step
+    ));
+  }
+
+  const series = [];
+  for (let time = start.getTime(); time <= now.getTime(); time += step) {
+    const iso = new Date(time).toISOString();
+    series.push({ start: iso, seconds: seconds.get(iso.slice(0, keyLength)) || 0 });
+  }
+  return series;
+};
+
+// Build the Stats tab numbers from the repository's per-track and per-period
+// play totals. Tracks that have since been deleted are left out of the
+// rankings.
+export const summarizePlays = ({ totals, periods, tracks, since, filters, now = new Date() }) => {
+  const byId = new Map(tracks.map((track) => [String(track.id), track]));
+
+  const rows = totals
+    .filter((row) => byId.has(String(row.track_id)))
+    .map((row) => {
+      const plays = Number(row.starts) + Number(row.replays);
+      const skips = Number(row.skips);
+      const completes = Number(row.completes);
+      return {
+        track: byId.get(String(row.track_id)),
+        plays,
+        skips,
+        completes,
+        skip_rate: ratio(skips, plays),
+        completion_rate: ratio(completes, plays),
+        listened_seconds: Math.round(Number(row.listened))
+      };
+    });
+
+  const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+  const plays = sum('plays');
+  const completes = sum('completes');
+
+  return {
+    window: filters.window,
+    bucket: STATS_WINDOWS[filters.window].bucket,
+    totals: {
+      plays,
+      skips: sum('skips'),
+      completes,
+      completion_rate: ratio(completes, plays),
+      listened_seconds: sum('listened_seconds')
+    },
+    most_played: rows
+      .filter((row) => row.plays > 0)
+      .sort((a, b) => b.plays - a.plays || b.listened_seconds - a.listened_seconds)
+      .slice(0, filters.limit),
+    most_skipped: rows
+      .filter((row) => row.skips > 0)
+      .sort((a, b) => b.skips - a.skips || b.skip_rate - a.skip_rate)
+      .slice(0, filters.limit),
+    listening: listeningSeries({ periods, since, window: filters.window, now })
+  };
+};
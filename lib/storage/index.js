@@ -0,0 +1,31 @@
+// lib/storage/index.js
+// Pluggable file storage. Every driver implements the same interface:
+//   upload(key, buffer, { contentType })      store a file
+//   download(key)                             read a whole file into a Buffer
+//   stat(key)                                 { size, lastModified }
+//   createReadStream(key, { start, end, signal })  readable stream, `end` inclusive
+//   remove(keys)                              delete files, missing keys are ignored
+import { createSupabaseStorage } from './supabase.js';
+import { createLocalStorage } from './local.js';
+import { isSupabaseConfigured } from '../supabase.js';
+
+const drivers = {
+  supabase: () => createSupabaseStorage({
+    bucket: process.env.SUPABASE_STORAGE_BUCKET || 'music-files'
+  }),
+  local: () => createLocalStorage({
+    root: process.env.LOCAL_STORAGE_DIR || 'uploads'
+  })
+};
+
+// STORAGE_DRIVER picks the driver; without it we use Supabase when it is
+// configured and fall back to the local disk otherwise
+const driverName = process.env.STORAGE_DRIVER || (isSupabaseConfigured() ? 'supabase' : 'local');
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+}
+
+export const storage = drivers[driverName]();
+
+console.log(`Using ${storage.name} storage driver`);
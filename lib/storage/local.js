@@ -0,0 +1,50 @@
+// lib/storage/local.js
+import fs from 'fs';
+import path from 'path';
+
+// Storage driver that keeps files on the local disk under `root`
+export const createLocalStorage = ({ root }) => {
+  const baseDir = path.resolve(root);
+
+  // Map a storage key to a path, refusing anything that escapes the root
+  const resolve = (key) => {
+    const target = path.resolve(baseDir, key);
+    if (target !== baseDir && !target.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  };
+
+  return {
+    name: 'local',
+
+    async upload(key, buffer) {
+      const target = resolve(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, buffer);
+    },
+
+    async download(key) {
+      return fs.promises.readFile(resolve(key));
+    },
+
+    async stat(key) {
+      const stats = await fs.promises.stat(resolve(key));
+      return { size: stats.size, lastModified: stats.mtime };
+    },
+
+    // `end` is inclusive, matching fs.createReadStream
+    async createReadStream(key, { start = 0, end, signal } = {}) {
+      const target = resolve(key);
+      // Surface a missing file as a rejected promise rather than a stream error
+      await fs.promises.access(target, fs.constants.R_OK);
+      return fs.createReadStream(target, { start, end, signal });
+    },
+
+    async remove(keys) {
+      await Promise.all(keys.map((key) =>
+        fs.promises.rm(resolve(key), { force: true })
+      ));
+    }
+  };
+};
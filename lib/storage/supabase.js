@@ -0,0 +1,53 @@
+// lib/storage/supabase.js
+import { Readable } from 'stream';
+import { getSupabase } from '../supabase.js';
+
+// Storage driver backed by a Supabase Storage bucket
+export const createSupabaseStorage = ({ bucket = 'music-files' } = {}) => {
+  const files = () => getSupabase().storage.from(bucket);
+
+  // Reads go through a short-lived signed URL so they can be ranged and streamed
+  const signedUrl = async (key) => {
+    const { data, error } = await files().createSignedUrl(key, 60);
+    if (error) throw error;
+    return data.signedUrl;
+  };
+
+  return {
+    name: 'supabase',
+
+    async upload(key, buffer, { contentType } = {}) {
+      const { error } = await files().upload(key, buffer, { contentType });
+      if (error) throw error;
+    },
+
+    async download(key) {
+      const { data, error } = await files().download(key);
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async stat(key) {
+      const response = await fetch(await signedUrl(key), { method: 'HEAD' });
+      if (!response.ok) throw new Error(`Storage responded with ${response.status}`);
+      const lastModified = response.headers.get('last-modified');
+      return {
+        size: parseInt(response.headers.get('content-length'), 10) || 0,
+        lastModified: lastModified ? new Date(lastModified) : null
+      };
+    },
+
+    // `end` is inclusive, matching fs.createReadStream
+    async createReadStream(key, { start = 0, end, signal } = {}) {
+      const range = end == null ? `bytes=${start}-` : `bytes=${start}-${end}`;
+      const response = await fetch(await signedUrl(key), { headers: { Range: range }, signal });
+      if (!response.ok) throw new Error(`Storage responded with ${response.status}`);
+      return Readable.fromWeb(response.body);
+    },
+
+    async remove(keys) {
+      const { error } = await files().remove(keys);
+      if (error) throw error;
+    }
+  };
+};
@@ -0,0 +1,22 @@
+// lib/streamTickets.js
+// Stream tickets: signed URLs for the stream route, for players that cannot
+// send an Authorization header (the client's <audio> element for tracks too
+// long to decode in memory). A ticket names one track of one workspace and
+// expires after a few hours.
+import crypto from 'crypto';
+import { signToken, verifyToken } from './auth/jwt.js';
+
+export const STREAM_TICKET_SECONDS = 6 * 60 * 60;
+
+// Without STREAM_TICKET_SECRET tickets only work on the server that issued
+// them, until it restarts
+const secret = process.env.STREAM_TICKET_SECRET || crypto.randomBytes(32).toString('hex');
+
+export const createStreamTicket = ({ trackId, workspaceId }) =>
+  signToken({ typ: 'stream', sub: String(trackId), workspace_id: workspaceId }, secret, { expiresIn: STREAM_TICKET_SECONDS });
+
+// The workspace id a valid ticket for `trackId` grants, or null
+export const verifyStreamTicket = (ticket, trackId) => {
+  const claims = verifyToken(ticket, secret);
+  return claims?.typ === 'stream' && claims.sub === String(trackId) ? claims.workspace_id : null;
+};
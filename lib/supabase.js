@@ -0,0 +1,31 @@
+// lib/supabase.js
+import { createClient } from '@supabase/supabase-js';
+
+let client = null;
+
+export const isSupabaseConfigured = () =>
+  Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY);
+
+// Shared service-role client, created on first use so the app can boot
+// without Supabase when only local drivers are configured
+export const getSupabase = () => {
+  if (!client) {
+    if (!isSupabaseConfigured()) {
+      throw new Error('SUPABASE_URL and SUPABASE_SERVICE_KEY must be set to use Supabase');
+    }
+    client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  }
+  return client;
+};
+
+// A throwaway client for sign-in calls. Signing in stores the user's session
+// on the client it was called on, which must never be the shared
+// service-role client.
+export const createAuthClient = () => {
+  if (!isSupabaseConfigured()) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_KEY must be set to use Supabase');
+  }
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+};
@@ -0,0 +1,132 @@
+// lib/transcode.js
+// Decoding and transcoding through ffmpeg. MP3 and WAV are decoded in-process
+// (see lib/analysis.js); FLAC, AAC/M4A, Ogg Vorbis and Opus need ffmpeg, and
+// so do the streaming renditions: a copy of every upload in one format and
+// bitrate, so playback behaves the same whatever the original was. Originals
+// are always kept.
+//
+// Without ffmpeg on the PATH (or at FFMPEG_PATH) uploads in those formats are
+// still stored and tagged, but not analyzed, and tracks stream their originals.
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Formats a streaming rendition can be made in; "none" turns renditions off.
+// `format` is the AUDIO_FORMATS key of the result (lib/audioFormats.js).
+const renditions = {
+  aac: {
+    args: ['-c:a', 'aac', '-ar', '44100', '-movflags', '+faststart'],
+    format: 'm4a',
+    extension: '.m4a'
+  },
+  opus: {
+    args: ['-c:a', 'libopus', '-ar', '48000'],
+    format: 'opus',
+    extension: '.opus'
+  },
+  none: null
+};
+
+export const STREAM_FORMAT = process.env.STREAM_FORMAT || 'aac';
+
+if (!(STREAM_FORMAT in renditions)) {
+  throw new Error(`Unknown STREAM_FORMAT "${STREAM_FORMAT}" (expected one of: ${Object.keys(renditions).join(', ')})`);
+}
+
+// Streaming bitrate in kbps
+export const STREAM_BITRATE = parseInt(process.env.STREAM_BITRATE, 10) || 160;
+
+// Run ffmpeg and resolve to whatever it wrote to stdout, or hand stdout to
+// `onOutput(chunk)` as it comes instead
+const runFfmpeg = (args, { onOutput } = {}) => new Promise((resolve, reject) => {
+  const child = spawn(FFMPEG_PATH, ['-hide_banner', '-nostdin', '-loglevel', 'error', ...args], {
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const output = [];
+  let errors = '';
+
+  child.stdout.on('data', (chunk) => (onOutput ? onOutput(chunk) : output.push(chunk)));
+  child.stderr.on('data', (chunk) => { errors += chunk; });
+  child.on('error', reject); // ENOENT when ffmpeg is not installed
+  child.on('close', (code) => {
+    if (code === 0) return resolve(Buffer.concat(output));
+    const reason = errors.trim().split('\n').pop() || `exit code ${code}`;
+    reject(new Error(`ffmpeg failed: ${reason}`));
+  });
+});
+
+// MP4 needs a seekable input and output, so ffmpeg works on files in a
+// scratch directory rather than on pipes
+const withScratchFile = async (buffer, fn) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'music-dj-ffmpeg-'));
+  try {
+    const input = path.join(dir, 'input');
+    await fs.promises.writeFile(input, buffer);
+    return await fn(input, dir);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+};
+
+let availability = null;
+
+// Whether ffmpeg can be run (checked once)
+export const ffmpegAvailable = () => {
+  availability ??= runFfmpeg(['-version']).then(() => true, () => false);
+  return availability;
+};
+
+// Decode any format ffmpeg reads to float samples at `sampleRate` with
+// `channels` channels, handed to `onSamples(channelData, count)` in chunks of
+// planar data like mpg123-decoder's. Resolves to the number of frames.
+export const decodeWithFfmpeg = async (buffer, { sampleRate, channels, maxSeconds, onSamples }) => {
+  if (!(await ffmpegAvailable())) throw new Error('Decoding this format needs ffmpeg, which is not installed');
+
+  const frameBytes = 4 * channels;
+  let pending = Buffer.alloc(0);
+  let frames = 0;
+
+  // Split interleaved f32le output into channels, keeping any partial frame
+  // for the next chunk
+  const onOutput = (chunk) => {
+    const data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    const count = Math.floor(data.length / frameBytes);
+    const channelData = Array.from({ length: channels }, () => new Float32Array(count));
+    for (let i = 0; i < count; i++) {
+      for (let c = 0; c < channels; c++) channelData[c][i] = data.readFloatLE(i * frameBytes + c * 4);
+    }
+    pending = data.subarray(count * frameBytes);
+    frames += count;
+    if (count > 0) onSamples(channelData, count);
+  };
+
+  await withScratchFile(buffer, (input) => runFfmpeg([
+    '-i', input, '-vn', '-t', String(maxSeconds), '-ac', String(channels), '-ar', String(sampleRate),
+    '-f', 'f32le', 'pipe:1'
+  ], { onOutput }));
+  if (frames === 0) throw new Error('File contains no decodable audio');
+  return frames;
+};
+
+// Transcode a file into the streaming format: { buffer, format, extension },
+// or null when renditions are off or ffmpeg is missing
+export const createStreamRendition = async (buffer) => {
+  const rendition = renditions[STREAM_FORMAT];
+  if (!rendition || !(await ffmpegAvailable())) return null;
+
+  return withScratchFile(buffer, async (input, dir) => {
+    const output = path.join(dir, `stream${rendition.extension}`);
+    await runFfmpeg([
+      '-i', input, '-vn', '-map_metadata', '-1', '-ac', '2',
+      ...rendition.args, '-b:a', `${STREAM_BITRATE}k`, output
+    ]);
+    return {
+      buffer: await fs.promises.readFile(output),
+      format: rendition.format,
+      extension: rendition.extension
+    };
+  });
+};
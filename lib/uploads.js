@@ -0,0 +1,146 @@
+// lib/uploads.js
+// Resumable uploads following the tus 1.0 core protocol: an upload is created
+// with its final size, its bytes are appended in chunks at the current
+// offset, and a client whose connection dropped asks for the offset and
+// carries on from there. Bytes go straight to a temporary directory, never
+// to memory: each upload is `<id>.part` with its details in `<id>.json`, so
+// uploads also survive a server restart.
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+
+export const TUS_VERSION = '1.0.0';
+
+// Unfinished uploads untouched for this long are deleted
+export const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const uploadError = (status, message) => Object.assign(new Error(message), { status });
+
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}(?:==)?|[A-Za-z0-9+/]{3}=?)?$/;
+
+// Parse an Upload-Metadata header ("key base64value,key2 base64value2"; a
+// key may also stand alone). Returns null when the header is malformed: a
+// pair with more than one space, a value that is not base64 or a key given
+// twice.
+export const parseUploadMetadata = (header) => {
+  const metadata = {};
+  for (const pair of String(header || '').split(',')) {
+    if (pair.trim() === '') continue;
+    const [key, value = '', ...rest] = pair.trim().split(' ');
+    if (rest.length > 0 || !BASE64_PATTERN.test(value) || Object.hasOwn(metadata, key)) return null;
+    metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+  }
+  return metadata;
+};
+
+// Passes bytes through until more than `limit` arrive, then fails with a 413
+const byteLimit = (limit) => {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > limit) return callback(uploadError(413, 'Chunk goes past the end of the upload'));
+      callback(null, chunk);
+    }
+  });
+};
+
+export const createUploadStore = ({ directory, ttl = UPLOAD_TTL_MS }) => {
+  const baseDir = path.resolve(directory);
+  const busy = new Set(); // Uploads a chunk is being written to
+
+  const filesOf = (id) => ({
+    data: path.join(baseDir, `${id}.part`),
+    info: path.join(baseDir, `${id}.json`)
+  });
+
+  // The upload's details with its current offset, or null
+  const get = async (id) => {
+    if (!UUID_PATTERN.test(id)) return null;
+    const files = filesOf(id);
+    try {
+      const [info, stats] = await Promise.all([
+        fs.promises.readFile(files.info, 'utf8'),
+        fs.promises.stat(files.data)
+      ]);
+      return { ...JSON.parse(info), offset: stats.size, updated_at: stats.mtime.toISOString() };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const remove = async (id) => {
+    if (!UUID_PATTERN.test(id)) return;
+    const files = filesOf(id);
+    await Promise.all([
+      fs.promises.rm(files.data, { force: true }),
+      fs.promises.rm(files.info, { force: true })
+    ]);
+  };
+
+  return {
+    get,
+    remove,
+
+    // Start an upload of `size` bytes; `fields` are kept with it
+    async create(fields) {
+      await fs.promises.mkdir(baseDir, { recursive: true });
+      const upload = { ...fields, id: uuidv4(), created_at: new Date().toISOString() };
+      const files = filesOf(upload.id);
+      await fs.promises.writeFile(files.data, '');
+      await fs.promises.writeFile(files.info, JSON.stringify(upload));
+      return { ...upload, offset: 0 };
+    },
+
+    // Append the bytes of `stream`, which must start at `offset`. Resolves to
+    // the new offset. The offset is the size of the file on disk, so bytes
+    // written before a dropped connection count and the client resumes from
+    // wherever the server got to.
+    async append(id, offset, stream) {
+      if (busy.has(id)) throw uploadError(409, 'Another chunk is still being written');
+      busy.add(id);
+      try {
+        const upload = await get(id);
+        if (!upload) throw uploadError(404, 'Upload not found');
+        if (offset !== upload.offset) throw uploadError(409, `Upload-Offset must be ${upload.offset}`);
+
+        await pipeline(
+          stream,
+          byteLimit(upload.size - upload.offset),
+          fs.createWriteStream(filesOf(id).data, { flags: 'a' })
+        );
+        return (await get(id)).offset;
+      } finally {
+        busy.delete(id);
+      }
+    },
+
+    // The finished file; only called once every byte has arrived
+    async read(id) {
+      return fs.promises.readFile(filesOf(id).data);
+    },
+
+    // Delete uploads nobody has added to for `ttl` ms
+    async removeExpired() {
+      let names;
+      try {
+        names = await fs.promises.readdir(baseDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      const cutoff = Date.now() - ttl;
+      for (const name of names.filter((entry) => entry.endsWith('.json'))) {
+        const id = path.basename(name, '.json');
+        const upload = await get(id);
+        if (!upload || (!busy.has(id) && new Date(upload.updated_at).getTime() < cutoff)) await remove(id);
+      }
+    }
+  };
+};
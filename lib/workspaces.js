@@ -0,0 +1,67 @@
+// lib/workspaces.js
+// Roles and permissions inside a shared workspace. Owners manage members and
+// the workspace itself, curators look after the library and its playlists,
+// and listeners can generate playlists and play music but change nothing
+// else.
+import { db } from './db/index.js';
+
+export const ROLES = ['owner', 'curator', 'listener'];
+
+const LISTENER = ['tracks:read', 'playlists:read', 'playlists:generate', 'stats:read'];
+const CURATOR = [...LISTENER, 'tracks:write', 'playlists:write'];
+const OWNER = [...CURATOR, 'members:manage', 'workspace:manage'];
+
+const PERMISSIONS = { owner: OWNER, curator: CURATOR, listener: LISTENER };
+
+export const permissionsFor = (role) => (Object.hasOwn(PERMISSIONS, role) ? PERMISSIONS[role] : []);
+
+export const can = (role, permission) => permissionsFor(role).includes(permission);
+
+// Workspaces `user` belongs to, each with the user's role. Accepts
+// invitations sent to the user's email first, and gives a first-time user a
+// personal workspace holding anything they uploaded before workspaces
+// existed.
+export const workspacesFor = async (user) => {
+  const email = user.email?.toLowerCase();
+  if (email) await db.workspaces.claimInvites(user.id, email);
+
+  const workspaces = await db.workspaces.listForUser(user.id);
+  if (workspaces.length > 0) return workspaces;
+
+  const workspace = await db.workspaces.createWithOwner({ name: 'My Library', user_id: user.id, email: email || user.id });
+  await db.workspaces.adoptOwnedRows(workspace.id, user.id);
+  return db.workspaces.listForUser(user.id);
+};
+
+// Express middleware: resolves the workspace a request acts on and the
+// caller's role in it, as req.workspace = { id, role }. The workspace comes
+// from the :workspaceId route parameter, else the X-Workspace-Id header,
+// else the caller's first workspace.
+export const requireWorkspace = async (req, res, next) => {
+  try {
+    const id = req.params.workspaceId || req.get('X-Workspace-Id');
+
+    if (id) {
+      const membership = await db.workspaces.membership(id, req.user.id);
+      if (!membership) {
+        return res.status(404).json({ error: 'Workspace not found' });
+      }
+      req.workspace = { id, role: membership.role };
+    } else {
+      const [first] = await workspacesFor(req.user);
+      req.workspace = { id: first.id, role: first.role };
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Express middleware: 403 unless the caller's role grants `permission`
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!can(req.workspace.role, permission)) {
+    return res.status(403).json({ error: `Your role (${req.workspace.role}) cannot do this` });
+  }
+  next();
+};
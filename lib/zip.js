@@ -0,0 +1,121 @@
+// lib/zip.js
+// Minimal streaming ZIP writer. Entries are stored without compression
+// (audio files are compressed already) and use data descriptors, so each
+// file is streamed through once, without knowing its size or checksum up
+// front and without holding it in memory. There is no ZIP64 support: every
+// entry and the whole archive must stay under 4 GB.
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+const updateCrc32 = (crc, chunk) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < chunk.length; i++) c = CRC_TABLE[(c ^ chunk[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// Bit 3: sizes and CRC follow the data; bit 11: names are UTF-8
+const FLAGS = 0x0808;
+const VERSION = 20;
+const LIMIT = 0xffffffff;
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const localHeader = (name, { time, date }) => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(FLAGS, 6);
+  header.writeUInt16LE(0, 8); // Stored
+  header.writeUInt16LE(time, 10);
+  header.writeUInt16LE(date, 12);
+  // CRC and sizes (14-25) stay zero; they are in the data descriptor
+  header.writeUInt16LE(name.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, name]);
+};
+
+const dataDescriptor = ({ crc, size }) => {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  descriptor.writeUInt32LE(size, 8);
+  descriptor.writeUInt32LE(size, 12);
+  return descriptor;
+};
+
+const centralHeader = ({ name, dos, crc, size, offset }) => {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(VERSION, 6);
+  header.writeUInt16LE(FLAGS, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(dos.time, 12);
+  header.writeUInt16LE(dos.date, 14);
+  header.writeUInt32LE(crc, 16);
+  header.writeUInt32LE(size, 20);
+  header.writeUInt32LE(size, 24);
+  header.writeUInt16LE(name.length, 28);
+  // Extra field, comment, disk number, attributes (30-41) stay zero
+  header.writeUInt32LE(offset, 42);
+  return Buffer.concat([header, name]);
+};
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const record = Buffer.alloc(22);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(count, 8);
+  record.writeUInt16LE(count, 10);
+  record.writeUInt32LE(size, 12);
+  record.writeUInt32LE(offset, 16);
+  return record;
+};
+
+// Yield the bytes of a ZIP archive. `files` is an (async) iterable of
+// { name, date?, open }, where `open()` resolves to the file's contents as a
+// Buffer, string or (async) iterable of Buffers. Use the result as the source
+// of stream.pipeline().
+export async function* zipStream(files) {
+  const entries = [];
+  let offset = 0;
+
+  for await (const { name, date = new Date(), open } of files) {
+    const nameBytes = Buffer.from(name.replace(/\\/g, '/'), 'utf8');
+    const dos = dosDateTime(date);
+    const entry = { name: nameBytes, dos, crc: 0, size: 0, offset };
+
+    const header = localHeader(nameBytes, dos);
+    offset += header.length;
+    yield header;
+
+    const contents = await open();
+    for await (const chunk of typeof contents === 'string' || Buffer.isBuffer(contents) ? [contents] : contents) {
+      const bytes = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      entry.crc = updateCrc32(entry.crc, bytes);
+      entry.size += bytes.length;
+      yield bytes;
+    }
+    if (entry.size > LIMIT) throw new Error(`${name} is too large for a ZIP archive`);
+
+    const descriptor = dataDescriptor(entry);
+    offset += entry.size + descriptor.length;
+    yield descriptor;
+
+    entries.push(entry);
+  }
+
+  if (offset > LIMIT || entries.length > 0xffff) {
+    throw new Error('Archive is too large');
+  }
+
+  const central = Buffer.concat(entries.map(centralHeader));
+  yield central;
+  yield endOfCentralDirectory(entries.length, central.length, offset);
+}
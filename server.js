@@ -2,90 +2,170 @@
 import express from 'express';
 import multer from 'multer';
 import cors from 'cors';
-import { createClient } from '@supabase/supabase-js';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import Redis from 'ioredis';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
 import 'dotenv/config';
+import { parseRange, makeETag, isNotModified, isRangeFresh } from './lib/range.js';
+import { storage as fileStorage } from './lib/storage/index.js';
+import { db } from './lib/db/index.js';
+import { auth, requireAuth } from './lib/auth/index.js';
+import { ROLES, can, permissionsFor, workspacesFor, requireWorkspace, requirePermission } from './lib/workspaces.js';
+import { createShareToken, findSharedPlaylist, findSharedTrack, publicShare, MAX_SHARE_DAYS } from './lib/shares.js';
+import { createStreamTicket, verifyStreamTicket, STREAM_TICKET_SECONDS } from './lib/streamTickets.js';
+import { selectTracksForMood } from './lib/ai/index.js';
+import { pickRadioTracks, MAX_RADIO_BATCH } from './lib/radio.js';
+import { PLAYLIST_FORMATS, writePlaylist, readPlaylist, detectPlaylistFormat, matchEntries } from './lib/playlistFormats.js';
+import { zipStream } from './lib/zip.js';
+import { parseTrackQuery, parsePlaylistQuery, pageResponse } from './lib/library.js';
+import { contentHash } from './lib/fingerprint.js';
+import { createUploadStore, parseUploadMetadata, TUS_VERSION } from './lib/uploads.js';
+import { AUDIO_FORMATS, AUDIO_FORMAT_LABELS, sniffAudioFormat, contentTypeForName } from './lib/audioFormats.js';
+import { ffmpegAvailable, STREAM_FORMAT, STREAM_BITRATE } from './lib/transcode.js';
+import { cache, statsTag, invalidateStats } from './lib/cache.js';
+import { jobs, JOB_CONCURRENCY } from './lib/jobs/index.js';
+import { JOB_STATUSES } from './lib/jobs/queue.js';
+import { PROCESS_TRACK, jobHandlers, refreshAlbumLoudness } from './lib/processing.js';
+import {
+  PLAY_EVENTS, STATS_WINDOWS, parseStatsQuery, statsCacheKey, statsWindowStart,
+  hasPlaylistFilter, playlistMatches, countSelections, summarizePlays
+} from './lib/stats.js';
 
 // Initialize Express
 const app = express();
 const PORT = process.env.PORT || 3003;
 
-// Middleware
-app.use(cors());
+// Middleware. Browsers on another origin may read the resumable upload headers.
+app.use(cors({ exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Tus-Resumable'] }));
 app.use(express.json());
 
-// Initialize Supabase
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+const MAX_AUDIO_SIZE = 50 * 1024 * 1024; // 50MB limit
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const UNSUPPORTED_FORMAT = `Unsupported audio format (supported: ${AUDIO_FORMAT_LABELS.join(', ')})`;
 
-// Initialize Redis for caching (optional)
-let redis = null;
+// Configure Multer for in-memory file storage. The type the client declares
+// is not trusted: storeAudioFile sniffs the format from the file's bytes.
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_AUDIO_SIZE }
+});
 
-if (process.env.REDIS_URL) {
-  redis = new Redis(process.env.REDIS_URL);
+// Resumable uploads write their chunks here rather than to memory (see
+// routes 36-40); abandoned ones are swept every hour
+const uploads = createUploadStore({
+  directory: process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'music-dj-uploads')
+});
+setInterval(() => {
+  uploads.removeExpired().catch(error => console.error('Error removing expired uploads:', error));
+}, 60 * 60 * 1000).unref();
 
-  redis.on('connect', () => {
-    console.log('Connected to Redis');
-  });
+// Playlist files for import (M3U8, XSPF, JSPF)
+const playlistUpload = multer({
+  storage,
+  limits: { fileSize: 1024 * 1024 } // 1MB limit
+});
 
-  redis.on('error', (err) => {
-    console.error('Redis error:', err);
-  });
-} else {
-  console.log('No REDIS_URL set – running without Redis cache');
-}
-
-// Simple cache helper that no-ops if Redis is not configured
-const cache = {
-  async get(key) {
-    if (!redis) return null;
-    return redis.get(key);
-  },
-  async setJSON(key, ttlSeconds, value) {
-    if (!redis) return;
-    await redis.setex(key, ttlSeconds, JSON.stringify(value));
-  },
-  async del(key) {
-    if (!redis) return;
-    await redis.del(key);
-  }
-};
+// Content type of a stored file from its sniffed format, falling back to the
+// file name for tracks stored before formats were recorded
+const contentTypeOf = (format, filename) => AUDIO_FORMATS[format]?.contentType ?? contentTypeForName(filename);
 
-// Configure Multer for in-memory file storage.
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage,
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'audio/mpeg', // .mp3
-      'audio/wav',  // .wav
-      'audio/x-wav' // another common wav type
-    ];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only MP3 and WAV files are allowed'));
+// Every stored file of a track: the original and its streaming rendition
+const trackFiles = (track) => [track.storage_path, track.stream_path].filter(Boolean);
+
+// What an upload does with a file identical to a track in the workspace
+const DUPLICATE_ACTIONS = ['link', 'reject', 'keep'];
+
+// Where share links and exported playlists point; PUBLIC_URL wins over the
+// request's own host, which is wrong behind most proxies
+const publicBaseUrl = (req) => (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+const isValidEmail = (email) => typeof email === 'string' && /^[^\s@]+@[^\s@]+$/.test(email.trim());
+
+// Route handler that streams the track `findTrack(req)` resolves to (null
+// for a 404), with Range requests, ETag/Last-Modified and 304s. Tracks with
+// a streaming rendition play that unless `?original=true` asks for the
+// uploaded file.
+const streamTrack = (findTrack) => async (req, res) => {
+  try {
+    const track = await findTrack(req);
+
+    if (!track) {
+      return res.status(404).send('Track not found');
+    }
+
+    const source = track.stream_path && req.query.original !== 'true'
+      ? { path: track.stream_path, size: track.stream_size, format: track.stream_format }
+      : { path: track.storage_path, size: track.file_size, format: track.format };
+
+    let size = source.size;
+    if (size == null) {
+      ({ size } = await fileStorage.stat(source.path));
+    }
+
+    const etag = makeETag(source.path, size);
+    const lastModified = track.upload_date ? new Date(track.upload_date) : null;
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+    // Stored files never change (every upload gets a unique path), but they
+    // are only for their owner's eyes
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+
+    if (isNotModified(req, { etag, lastModified })) {
+      return res.status(304).end();
+    }
+
+    const range = isRangeFresh(req, { etag, lastModified })
+      ? parseRange(req.headers.range, size)
+      : null;
+
+    if (range?.unsatisfiable) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : size - 1;
+    const sendBody = req.method !== 'HEAD' && size > 0;
+
+    // Stop pulling from storage as soon as the player goes away (e.g. on seek)
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    // Stream straight from storage instead of buffering the whole file in memory
+    const upstream = sendBody
+      ? await fileStorage.createReadStream(source.path, { start, end, signal: controller.signal })
+      : null;
+
+    res.status(range ? 206 : 200);
+    res.setHeader('Content-Type', contentTypeOf(source.format, track.original_name));
+    res.setHeader('Content-Disposition', 'inline');
+    res.setHeader('Content-Length', Math.max(0, end - start + 1));
+    if (range) res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+
+    if (!sendBody) {
+      return res.end();
     }
-  },
-  limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
-});
 
-// Helper to determine content type from filename
-const getContentTypeByExtension = (filename) => {
-  const ext = path.extname(filename).toLowerCase();
-  if (ext === '.mp3') return 'audio/mpeg';
-  if (ext === '.wav') return 'audio/wav';
-  return 'application/octet-stream'; // Fallback
+    await pipeline(upstream, res);
+
+  } catch (error) {
+    if (error.name === 'AbortError' || error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    console.error('Streaming error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.removeHeader('ETag');
+      res.removeHeader('Last-Modified');
+      res.setHeader('Cache-Control', 'no-store');
+      res.status(500).send('Could not stream track');
+    }
+  }
 };
 
 // ==================== ROUTES ====================
@@ -95,53 +175,426 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'Music Mood DJ API is running' });
 });
 
-// 1. Upload music files
-app.post('/api/tracks/upload', upload.array('music', 10), async (req, res) => {
+// ==================== AUTH ====================
+// Sign-in routes answer with a session { access_token, refresh_token,
+// expires_in, user }. Every other /api route needs the access token as
+// `Authorization: Bearer <token>`.
+
+// Which sign-in form the client should show
+app.get('/api/auth/config', (req, res) => {
+  res.json({ driver: auth.name, password_required: auth.passwordRequired });
+});
+
+const signInRoute = (action) => async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'A valid email address is required' });
+  }
+  if (auth.passwordRequired && (typeof password !== 'string' || password === '')) {
+    return res.status(400).json({ error: 'Password is required' });
+  }
+
   try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
+    const session = await auth[action]({ email: email.trim().toLowerCase(), password });
+
+    // Sign-up succeeded but the address has to be confirmed first
+    if (!session.access_token) {
+      return res.status(202).json({ message: 'Check your email to confirm your account, then sign in.' });
     }
 
-    const uploadedTracks = [];
+    res.json(session);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Error during ${action}:`, error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
 
-    for (const file of req.files) {
-      const uniqueName = `${uuidv4()}-${file.originalname}`;
-      const storagePath = `music/${uniqueName}`;
+app.post('/api/auth/sign-in', signInRoute('signIn'));
+app.post('/api/auth/sign-up', signInRoute('signUp'));
+
+// Trade a refresh token for a new session
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refresh_token } = req.body;
+
+  if (typeof refresh_token !== 'string' || refresh_token === '') {
+    return res.status(400).json({ error: 'refresh_token is required' });
+  }
+
+  try {
+    const session = await auth.refresh(refresh_token);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Sessions cannot be refreshed; sign in again' });
+    }
+
+    res.json(session);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// ==================== SHARE LINKS ====================
+// A share token (?share=<token>) opens GET /api/playlists/:id and the stream
+// route for that playlist's tracks without signing in. Requests without one
+// carry on to the signed-in routes further down.
+
+const hasShareToken = (req, res, next) => (typeof req.query.share === 'string' ? next() : next('route'));
+
+app.get('/api/playlists/:id', hasShareToken, async (req, res) => {
+  try {
+    const playlist = await findSharedPlaylist(req.query.share);
+
+    if (!playlist || playlist.id !== req.params.id) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    res.json(playlist);
+  } catch (error) {
+    console.error('Error fetching shared playlist:', error);
+    res.status(500).json({ error: 'Failed to fetch playlist' });
+  }
+});
+
+app.get('/api/tracks/stream/:id', hasShareToken, streamTrack(req => findSharedTrack(req.query.share, req.params.id)));
+
+// A stream ticket (?ticket=<ticket>, from route 44) opens the stream route
+// for one track, for players that cannot send an Authorization header
+const hasStreamTicket = (req, res, next) => (typeof req.query.ticket === 'string' ? next() : next('route'));
+
+app.get('/api/tracks/stream/:id', hasStreamTicket, streamTrack((req) => {
+  const workspaceId = verifyStreamTicket(req.query.ticket, req.params.id);
+  return workspaceId ? db.tracks.get(req.params.id, workspaceId) : null;
+}));
+
+// Everything below requires a signed-in user
+app.use('/api', requireAuth);
+
+// The signed-in user
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.user);
+});
+
+// ==================== WORKSPACES ====================
+// Tracks and playlists live in shared workspaces. Every route after this
+// section acts on the workspace named by the X-Workspace-Id header (the
+// caller's first workspace when it is missing) and checks the caller's role
+// there; see lib/workspaces.js for what each role may do.
+
+const withPermissions = (workspace) => ({ ...workspace, permissions: permissionsFor(workspace.role) });
+
+// 18. Workspaces the caller belongs to, with their role and permissions
+app.get('/api/workspaces', async (req, res) => {
+  try {
+    const workspaces = await workspacesFor(req.user);
 
-      const contentType = getContentTypeByExtension(file.originalname);
+    res.json(workspaces.map(withPermissions));
+  } catch (error) {
+    console.error('Error fetching workspaces:', error);
+    res.status(500).json({ error: 'Failed to fetch workspaces' });
+  }
+});
+
+// 19. Create a workspace; the caller becomes its owner
+app.post('/api/workspaces', async (req, res) => {
+  const { name } = req.body;
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return res.status(400).json({ error: 'Workspace name is required' });
+  }
+
+  try {
+    const workspace = await db.workspaces.createWithOwner({
+      name: name.trim(),
+      user_id: req.user.id,
+      email: req.user.email?.toLowerCase() || req.user.id
+    });
+
+    res.status(201).json(withPermissions({ ...workspace, role: 'owner' }));
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    res.status(500).json({ error: 'Failed to create workspace' });
+  }
+});
+
+// 20. Rename a workspace
+app.patch('/api/workspaces/:workspaceId', requireWorkspace, requirePermission('workspace:manage'), async (req, res) => {
+  const { name } = req.body;
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return res.status(400).json({ error: 'Workspace name is required' });
+  }
 
-      const { data: storageData, error: storageError } = await supabase.storage
-        .from('music-files').upload(storagePath, file.buffer, { contentType });
+  try {
+    const workspace = await db.workspaces.update(req.workspace.id, { name: name.trim() });
+
+    res.json(withPermissions({ ...workspace, role: req.workspace.role }));
+  } catch (error) {
+    console.error('Error renaming workspace:', error);
+    res.status(500).json({ error: 'Failed to rename workspace' });
+  }
+});
+
+// 21. Delete a workspace with its tracks, their files and its playlists
+app.delete('/api/workspaces/:workspaceId', requireWorkspace, requirePermission('workspace:manage'), async (req, res) => {
+  try {
+    const tracks = await db.tracks.list(req.workspace.id);
 
-      if (storageError) {
-        console.error('Storage error:', storageError);
-        continue;
+    if (tracks.length > 0) {
+      try {
+        await fileStorage.remove(tracks.flatMap(trackFiles));
+      } catch (storageError) {
+        console.error('Storage deletion error (might be benign):', storageError.message);
       }
+    }
+
+    // Tracks, playlists and memberships go with it (ON DELETE CASCADE)
+    await db.workspaces.remove(req.workspace.id);
+    await invalidateStats(req.workspace.id);
+
+    res.status(200).json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting workspace:', error);
+    res.status(500).json({ error: 'Failed to delete workspace' });
+  }
+});
+
+// 22. List the members of a workspace, including pending invitations
+// (user_id is null until the invitee signs in)
+app.get('/api/workspaces/:workspaceId/members', requireWorkspace, async (req, res) => {
+  try {
+    res.json(await db.workspaces.members(req.workspace.id));
+  } catch (error) {
+    console.error('Error fetching members:', error);
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+// 23. Invite someone by email with a role
+app.post('/api/workspaces/:workspaceId/members', requireWorkspace, requirePermission('members:manage'), async (req, res) => {
+  const { email, role } = req.body;
+
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'A valid email address is required' });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  try {
+    const normalizedEmail = email.trim().toLowerCase();
+    const members = await db.workspaces.members(req.workspace.id);
+
+    if (members.some(member => member.email === normalizedEmail)) {
+      return res.status(409).json({ error: 'That person is already a member' });
+    }
+
+    const member = await db.workspaces.addMember({
+      workspace_id: req.workspace.id,
+      email: normalizedEmail,
+      role
+    });
+
+    res.status(201).json(member);
+  } catch (error) {
+    console.error('Error inviting member:', error);
+    res.status(500).json({ error: 'Failed to invite member' });
+  }
+});
+
+// Would taking `member`'s owner role away leave the workspace without one?
+const isLastOwner = (members, member) =>
+  member.role === 'owner' && members.filter(m => m.role === 'owner').length === 1;
+
+// 24. Change a member's role
+app.patch('/api/workspaces/:workspaceId/members/:memberId', requireWorkspace, requirePermission('members:manage'), async (req, res) => {
+  const { memberId } = req.params;
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  try {
+    const members = await db.workspaces.members(req.workspace.id);
+    const member = members.find(m => m.id === memberId);
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (role !== 'owner' && isLastOwner(members, member)) {
+      return res.status(400).json({ error: 'A workspace needs at least one owner' });
+    }
+
+    res.json(await db.workspaces.updateMember(memberId, { role }));
+  } catch (error) {
+    console.error('Error updating member:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// 25. Remove a member; anyone may remove themselves (leave the workspace)
+app.delete('/api/workspaces/:workspaceId/members/:memberId', requireWorkspace, async (req, res) => {
+  const { memberId } = req.params;
+
+  try {
+    const members = await db.workspaces.members(req.workspace.id);
+    const member = members.find(m => m.id === memberId);
 
-      // Insert track metadata into database
-      const { data: track, error: dbError } = await supabase
-        .from('tracks')
-        .insert({
-          filename: uniqueName,
-          original_name: file.originalname,
-          storage_path: storagePath,
-          file_size: file.size,
-          selection_count: 0
-        })
-        .select()
-        .single();
-
-      if (dbError) {
-        console.error('Database error:', dbError);
-        continue;
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.user_id !== req.user.id && !can(req.workspace.role, 'members:manage')) {
+      return res.status(403).json({ error: `Your role (${req.workspace.role}) cannot do this` });
+    }
+    if (isLastOwner(members, member)) {
+      return res.status(400).json({ error: 'A workspace needs at least one owner' });
+    }
+
+    await db.workspaces.removeMember(memberId);
+
+    res.status(200).json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+app.use('/api', requireWorkspace);
+
+// Queue the processing of a stored track (lib/processing.js). The track must
+// already be "pending"; it is marked failed when the job cannot be queued.
+// Resolves to the track with its processing_job_id, and the job.
+const queueProcessing = async (track) => {
+  try {
+    const job = await jobs.enqueue(PROCESS_TRACK, { track_id: track.id }, { workspaceId: track.workspace_id });
+    return { track: await db.tracks.update(track.id, { processing_job_id: job.id }), job };
+  } catch (queueError) {
+    console.error('Job queue error:', queueError);
+    const failed = await db.tracks.update(track.id, {
+      processing_status: 'failed',
+      processing_error: 'Processing could not be queued'
+    });
+    return { track: failed, job: null };
+  }
+};
+
+// Characters that are not allowed in file names on common systems
+const safeFileName = (name, fallback) =>
+  String(name ?? '').replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').trim().slice(0, 120) || fallback;
+
+// Store one uploaded audio file ({ buffer, originalname, size }) as a track
+// of the request's workspace. Files whose bytes are not in a supported format
+// resolve to { rejected }. A file identical to a track already there is not
+// stored again unless `onDuplicate` is "keep"; it resolves to { duplicate }
+// instead, with the existing track. Stored tracks resolve to { track } and
+// are "pending": tags, analysis and the duplicate check follow in a job.
+// Resolves to null when the file could not be stored.
+const storeAudioFile = async (req, file, { onDuplicate }) => {
+  const format = sniffAudioFormat(file.buffer);
+  if (!format) {
+    return { rejected: { original_name: file.originalname, error: UNSUPPORTED_FORMAT } };
+  }
+
+  const hash = contentHash(file.buffer);
+  const [existing] = await db.tracks.findByHash(req.workspace.id, hash);
+  if (existing && onDuplicate !== 'keep') {
+    return {
+      duplicate: {
+        original_name: file.originalname,
+        action: onDuplicate === 'link' ? 'linked' : 'rejected',
+        track: existing
       }
+    };
+  }
+
+  // The name is the client's to choose; without its directory part and with
+  // separators replaced it cannot move the file out of music/
+  const originalName = path.basename(String(file.originalname).replace(/\\/g, '/'));
+  const uniqueName = `${uuidv4()}-${safeFileName(originalName, 'track')}`;
+  const storagePath = `music/${uniqueName}`;
+
+  try {
+    await fileStorage.upload(storagePath, file.buffer, { contentType: AUDIO_FORMATS[format].contentType });
+  } catch (storageError) {
+    console.error('Storage error:', storageError);
+    return null;
+  }
+
+  // Insert track metadata into database
+  let track;
+  try {
+    track = await db.tracks.create({
+      filename: uniqueName,
+      original_name: originalName,
+      storage_path: storagePath,
+      file_size: file.size,
+      format,
+      content_hash: hash,
+      selection_count: 0,
+      processing_status: 'pending',
+      workspace_id: req.workspace.id,
+      owner_id: req.user.id
+    });
+  } catch (dbError) {
+    console.error('Database error:', dbError);
+    return null;
+  }
+
+  return { track: (await queueProcessing(track)).track };
+};
+
+const parseOnDuplicate = (req) => {
+  const onDuplicate = req.query.on_duplicate || 'link';
+  return DUPLICATE_ACTIONS.includes(onDuplicate) ? onDuplicate : null;
+};
+
+// 1. Upload music files (MP3, WAV, FLAC, AAC/M4A, Ogg Vorbis or Opus, told
+// apart by their bytes; others are listed in `rejected`, with a 415 when no
+// file was supported). A file identical to a track in the workspace is not
+// stored again: with `on_duplicate=link` (the default) the existing track
+// stands in for it, with `reject` it is refused and with `keep` it is stored
+// and flagged. Stored tracks come back "pending" and are processed in the
+// background (routes 41-43), which also flags tracks that sound like an
+// existing one; see routes 33-35. Large files and big batches should use the
+// resumable uploads of routes 36-40 instead.
+app.post('/api/tracks/upload', requirePermission('tracks:write'), upload.array('music', 10), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const onDuplicate = parseOnDuplicate(req);
+    if (!onDuplicate) {
+      return res.status(400).json({ error: `on_duplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` });
+    }
+
+    const uploadedTracks = [];
+    const duplicates = [];
+    const rejected = [];
+    for (const file of req.files) {
+      const stored = await storeAudioFile(req, file, { onDuplicate });
+      if (stored?.track) uploadedTracks.push(stored.track);
+      if (stored?.duplicate) duplicates.push(stored.duplicate);
+      if (stored?.rejected) rejected.push(stored.rejected);
+    }
 
-      uploadedTracks.push(track);
+    if (rejected.length === req.files.length) {
+      return res.status(415).json({ error: UNSUPPORTED_FORMAT, rejected });
     }
 
     res.json({
       message: 'Files uploaded successfully',
-      tracks: uploadedTracks
+      tracks: uploadedTracks,
+      duplicates,
+      rejected
     });
   } catch (error) {
     console.error('Upload error:', error);
@@ -149,150 +602,79 @@ app.post('/api/tracks/upload', upload.array('music', 10), async (req, res) => {
   }
 });
 
-// 2. Get all tracks
-app.get('/api/tracks', async (req, res) => {
+// 2. Get a page of tracks: search (`q`), filters, sort and `cursor` (see
+// parseTrackQuery in lib/library.js)
+app.get('/api/tracks', requirePermission('tracks:read'), async (req, res) => {
   try {
-    const { data: tracks, error } = await supabase
-      .from('tracks')
-      .select('*')
-      .order('upload_date', { ascending: false });
+    const { options, error } = parseTrackQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    if (error) throw error;
+    const page = await db.tracks.search(req.workspace.id, options);
 
-    res.json(tracks);
+    res.json(pageResponse('tracks', page, options));
   } catch (error) {
     console.error('Error fetching tracks:', error);
     res.status(500).json({ error: 'Failed to fetch tracks' });
   }
 });
 
-// 3. Generate mood-based playlist using Gemini
-app.post('/api/playlists/generate', async (req, res) => {
+// Persist an AI selection as a playlist and return it in the API shape. The
+// playlist, its tracks and the selection counts are written in one
+// transaction, so a failure leaves nothing half-built behind.
+const savePlaylist = async ({ workspaceId, ownerId, mood, selection }) => {
+  const playlist = await db.playlists.createWithTracks({
+    workspace_id: workspaceId,
+    owner_id: ownerId,
+    mood_prompt: mood,
+    tracks: selection.tracks.map((selectedTrack, i) => ({
+      track_id: selectedTrack.id,
+      position: i + 1,
+      weight: selectedTrack.weight
+    }))
+  });
+
+  // Invalidate cache
+  await invalidateStats(workspaceId, ['selections']);
+
+  const reasons = new Map(selection.tracks.map(t => [t.id, t.reason]));
+  return {
+    id: playlist.id,
+    mood_prompt: playlist.mood_prompt,
+    created_at: playlist.created_at,
+    provider: selection.provider,
+    attempts: selection.attempts,
+    tracks: [...playlist.playlist_tracks].sort((a, b) => a.position - b.position).map(pt => ({
+      ...pt.tracks,
+      weight: pt.weight,
+      reason: reasons.get(String(pt.track_id)),
+      position: pt.position
+    })),
+    rejected: selection.rejected
+  };
+};
+
+// 3. Generate mood-based playlist using the configured AI provider
+app.post('/api/playlists/generate', requirePermission('playlists:generate'), async (req, res) => {
   try {
     const { mood } = req.body;
 
-    if (!mood || mood.trim() === '') {
+    if (typeof mood !== 'string' || mood.trim() === '') {
       return res.status(400).json({ error: 'Mood prompt is required' });
     }
 
     // Fetch all available tracks
-    const { data: tracks, error: tracksError } = await supabase
-      .from('tracks')
-      .select('*');
-
-    if (tracksError) throw tracksError;
+    const tracks = await db.tracks.list(req.workspace.id);
 
     if (tracks.length === 0) {
       return res.status(400).json({ error: 'No tracks available. Please upload some music first.' });
     }
 
-    // Prepare track list for Gemini
-    const trackList = tracks.map((t, idx) => 
-      `${idx + 1}. "${t.original_name}" (ID: ${t.id})`
-    ).join('\n');
-
-    // Call Gemini API
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
-    
-    const prompt = `You are a professional DJ creating a music playlist based on mood.
-
-Mood: "${mood}"
-
-Available tracks:
-${trackList}
-
-Instructions:
-1. Select 3-6 tracks that best match the mood
-2. Order them to create a cohesive listening experience
-3. Assign a relevance weight (0.0 to 1.0) to each track based on how well it fits the mood
-4. Respond ONLY with valid JSON in this exact format:
-
-{
-  "tracks": [
-    {"id": "track-uuid-here", "weight": 0.95, "reason": "brief reason"},
-    {"id": "track-uuid-here", "weight": 0.85, "reason": "brief reason"}
-  ]
-}
-
-Important: 
-- Use actual track IDs from the list above
-- Select 3-6 tracks minimum
-- Higher weight = better match for the mood
-- No markdown, no extra text, only JSON`;
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let text = response.text();
-
-    // Clean up response (remove markdown code blocks if present)
-    text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-    const geminiResponse = JSON.parse(text);
-
-    // Validate response
-    if (!geminiResponse.tracks || !Array.isArray(geminiResponse.tracks)) {
-      throw new Error('Invalid response format from Gemini');
-    }
-
-    // Create playlist in database
-    const { data: playlist, error: playlistError } = await supabase
-      .from('playlists')
-      .insert({
-        mood_prompt: mood
-      })
-      .select()
-      .single();
-
-    if (playlistError) throw playlistError;
-
-    // Insert playlist tracks and update selection counts
-    const playlistTracks = [];
-    for (let i = 0; i < geminiResponse.tracks.length; i++) {
-      const selectedTrack = geminiResponse.tracks[i];
-      const track = tracks.find(t => t.id === selectedTrack.id);
-
-      if (!track) continue;
-
-      // Insert into playlist_tracks
-      const { data: playlistTrack, error: ptError } = await supabase
-        .from('playlist_tracks')
-        .insert({
-          playlist_id: playlist.id,
-          track_id: track.id,
-          position: i + 1,
-          weight: selectedTrack.weight || 0.5
-        })
-        .select()
-        .single();
-
-      if (ptError) {
-        console.error('Error inserting playlist track:', ptError);
-        continue;
-      }
-
-      // Increment selection count
-      await supabase
-        .from('tracks')
-        .update({ selection_count: track.selection_count + 1 })
-        .eq('id', track.id);
-
-      playlistTracks.push({
-        ...track,
-        weight: selectedTrack.weight,
-        reason: selectedTrack.reason,
-        position: i + 1
-      });
-    }
-
-    // Invalidate cache
-    await cache.del('top-tracks');
+    // Ask the configured AI provider (or the offline heuristic) for a selection
+    const selection = await selectTracksForMood({ mood, tracks });
 
-    res.json({
-      id: playlist.id,
-      mood_prompt: mood,
-      created_at: playlist.created_at,
-      tracks: playlistTracks
-    });
+    res.json(await savePlaylist({ workspaceId: req.workspace.id, ownerId: req.user.id, mood, selection }));
 
   } catch (error) {
     console.error('Error generating playlist:', error);
@@ -303,13 +685,97 @@ Important:
   }
 });
 
-// 4. Get top tracks with caching
-app.get('/api/stats/top-tracks', async (req, res) => {
+// 3b. Generate a playlist, streaming progress as Server-Sent Events:
+//   prompt   the request went out to the model
+//   track    a track was picked (with its reason), in playlist order
+//   invalid  the model reply failed validation; discard tracks received so far
+//   fallback switched to the offline heuristic; discard tracks received so far
+//   saved    the playlist rows were written
+//   done     the finished playlist (same shape as POST /api/playlists/generate)
+//   error    generation failed
+// Closing the connection cancels generation; nothing is saved in that case.
+app.post('/api/playlists/generate/stream', requirePermission('playlists:generate'), async (req, res) => {
+  const { mood } = req.body;
+
+  if (typeof mood !== 'string' || mood.trim() === '') {
+    return res.status(400).json({ error: 'Mood prompt is required' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+  });
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
   try {
-    const limit = parseInt(req.query.limit) || 10;
+    const tracks = await db.tracks.list(req.workspace.id);
+
+    if (tracks.length === 0) {
+      send('error', { error: 'No tracks available. Please upload some music first.' });
+      return res.end();
+    }
+
+    let position = 0;
+    const selection = await selectTracksForMood({
+      mood,
+      tracks,
+      signal: controller.signal,
+      onEvent: (type, data) => {
+        if (type === 'pick') {
+          const track = tracks.find(t => String(t.id) === data.id);
+          send('track', { ...track, weight: data.weight, reason: data.reason, position: ++position });
+        } else {
+          if (type === 'invalid' || type === 'fallback') position = 0;
+          send(type, data);
+        }
+      }
+    });
+
+    // The listener went away while the model was working: save nothing
+    if (controller.signal.aborted) return;
+
+    const playlist = await savePlaylist({ workspaceId: req.workspace.id, ownerId: req.user.id, mood, selection });
+    send('saved', { id: playlist.id, track_count: playlist.tracks.length });
+    send('done', playlist);
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Error generating playlist:', error);
+    send('error', { error: 'Failed to generate playlist', details: error.message });
+    res.end();
+  }
+});
 
+// Ids of the workspace's playlists that match the mood and playlist filters,
+// or null when there are no such filters
+const matchingPlaylistIds = async (workspaceId, filters) => {
+  if (!hasPlaylistFilter(filters)) return null;
+  const playlists = await db.playlists.list(workspaceId);
+  return playlists.filter(p => playlistMatches(p, filters)).map(p => p.id);
+};
+
+// 4. Get top tracks with caching. Without filters this ranks by the all-time
+// selection_count; with a time window or mood/playlist filters it counts the
+// entries of matching generated playlists. Either way each track carries its
+// count as `selections`.
+app.get('/api/stats/top-tracks', requirePermission('stats:read'), async (req, res) => {
+  const { filters, error } = parseStatsQuery({ window: 'all', ...req.query });
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
     // Check cache first
-    const cacheKey = 'top-tracks';
+    const cacheKey = statsCacheKey('top-tracks', req.workspace.id, filters);
     const cached = await cache.get(cacheKey);
 
     if (cached) {
@@ -317,18 +783,20 @@ app.get('/api/stats/top-tracks', async (req, res) => {
       return res.json(JSON.parse(cached));
     }
 
-    // Query database with aggregation
-    const { data: topTracks, error } = await supabase
-      .from('tracks')
-      .select('*')
-      .gt('selection_count', 0)
-      .order('selection_count', { ascending: false })
-      .limit(limit);
-
-    if (error) throw error;
+    let topTracks;
+    if (filters.window === 'all' && !hasPlaylistFilter(filters)) {
+      const tracks = await db.tracks.top(req.workspace.id, filters.limit);
+      topTracks = tracks.map(track => ({ ...track, selections: track.selection_count }));
+    } else {
+      const [playlists, tracks] = await Promise.all([
+        db.playlists.list(req.workspace.id),
+        db.tracks.list(req.workspace.id)
+      ]);
+      topTracks = countSelections({ playlists, tracks, since: statsWindowStart(filters.window), filters });
+    }
 
-    // Cache for 5 minutes (300 seconds)
-    await cache.setJSON(cacheKey, 300, topTracks);
+    // Cache for 5 minutes (300 seconds), or until the selections change
+    await cache.setTaggedJSON(cacheKey, 300, topTracks, [statsTag(req.workspace.id, 'selections')]);
 
     res.json(topTracks);
   } catch (error) {
@@ -337,23 +805,17 @@ app.get('/api/stats/top-tracks', async (req, res) => {
   }
 });
 
-// 5. Get all playlists
-app.get('/api/playlists', async (req, res) => {
+// 5. Get a page of playlists: search (`q`), `source`, sort and `cursor`
+app.get('/api/playlists', requirePermission('playlists:read'), async (req, res) => {
   try {
-    const { data: playlists, error } = await supabase
-      .from('playlists')
-      .select(`
-        *,
-        playlist_tracks (
-          *,
-          tracks (*)
-        )
-      `)
-      .order('created_at', { ascending: false });
+    const { options, error } = parsePlaylistQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    if (error) throw error;
+    const page = await db.playlists.search(req.workspace.id, options);
 
-    res.json(playlists);
+    res.json(pageResponse('playlists', page, options));
   } catch (error) {
     console.error('Error fetching playlists:', error);
     res.status(500).json({ error: 'Failed to fetch playlists' });
@@ -361,23 +823,15 @@ app.get('/api/playlists', async (req, res) => {
 });
 
 // 6. Get single playlist by ID
-app.get('/api/playlists/:id', async (req, res) => {
+app.get('/api/playlists/:id', requirePermission('playlists:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data: playlist, error } = await supabase
-      .from('playlists')
-      .select(`
-        *,
-        playlist_tracks (
-          *,
-          tracks (*)
-        )
-      `)
-      .eq('id', id)
-      .single();
+    const playlist = await db.playlists.get(id, req.workspace.id);
 
-    if (error) throw error;
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
 
     res.json(playlist);
   } catch (error) {
@@ -387,36 +841,30 @@ app.get('/api/playlists/:id', async (req, res) => {
 });
 
 // 7. Delete a track
-app.delete('/api/tracks/:id', async (req, res) => {
+app.delete('/api/tracks/:id', requirePermission('tracks:write'), async (req, res) => {
   const { id } = req.params;
 
   try {
     // First, get the track from the database to find its storage path
-    const { data: track, error: fetchError } = await supabase
-      .from('tracks')
-      .select('storage_path')
-      .eq('id', id)
-      .single();
+    const track = await db.tracks.get(id, req.workspace.id);
 
-    if (fetchError || !track) {
+    if (!track) {
       return res.status(404).json({ error: 'Track not found' });
     }
 
-    // Delete the file from Supabase Storage
-    const { error: storageError } = await supabase.storage
-      .from('music-files')
-      .remove([track.storage_path]);
-
-    if (storageError) {
+    // Delete the file from storage
+    try {
+      await fileStorage.remove(trackFiles(track));
+    } catch (storageError) {
       console.error('Storage deletion error (might be benign):', storageError.message);
     }
 
     // Delete the track record from the database
-    const { error: dbError } = await supabase.from('tracks').delete().eq('id', id);
-    if (dbError) throw dbError;
+    await db.tracks.remove(id);
+    await refreshAlbumLoudness(track);
 
-    // Invalidate the top-tracks cache since a track has been removed
-    await cache.del('top-tracks');
+    // Invalidate the stats caches since a track has been removed
+    await invalidateStats(req.workspace.id);
 
     res.status(200).json({ message: 'Track deleted successfully' });
   } catch (error) {
@@ -426,52 +874,1073 @@ app.delete('/api/tracks/:id', async (req, res) => {
 });
 
 // 8. Stream a track
-app.get('/api/tracks/stream/:id', async (req, res) => {
-  const { id } = req.params;
-  try {
-    const { data: track, error: fetchError } = await supabase
-      .from('tracks')
-      .select('storage_path, original_name')
-      .eq('id', id)
-      .single();
+app.get('/api/tracks/stream/:id', requirePermission('tracks:read'),
+  streamTrack((req) => db.tracks.get(req.params.id, req.workspace.id)));
 
-    if (fetchError || !track) {
-      return res.status(404).send('Track not found');
-    }
+// 9. Delete a playlist
+app.delete('/api/playlists/:id', requirePermission('playlists:write'), async (req, res) => {
+  const { id } = req.params;
 
-    const { data, error: downloadError } = await supabase.storage
-      .from('music-files')
-      .download(track.storage_path);
+  try {
+    const playlist = await db.playlists.get(id, req.workspace.id);
 
-    if (downloadError) {
-      throw downloadError;
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    const contentType = getContentTypeByExtension(track.original_name);
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', 'inline');
-
-    const buffer = Buffer.from(await data.arrayBuffer());
-    res.send(buffer);
+    await db.playlists.remove(id);
+    await invalidateStats(req.workspace.id);
 
+    res.status(200).json({ message: 'Playlist deleted successfully' });
   } catch (error) {
-    console.error('Streaming error:', error);
-    res.status(500).send('Could not stream track');
-  }
+    console.error('Error deleting playlist:', error);
+    res.status(500).json({ error: 'Failed to delete playlist' });
+  }
 });
 
-// 9. Delete a playlist
-app.delete('/api/playlists/:id', async (req, res) => {
+// 10. Process an existing track again: tags, analysis, duplicate check and
+// streaming rendition (e.g. uploaded before analysis existed, or its
+// processing failed). Queued like an upload's; replies 202 with the pending
+// track and its job (routes 41-43).
+app.post('/api/tracks/:id/analyze', requirePermission('tracks:write'), async (req, res) => {
   const { id } = req.params;
 
   try {
-    const { error: dbError } = await supabase.from('playlists').delete().eq('id', id);
-    if (dbError) throw dbError;
+    const track = await db.tracks.get(id, req.workspace.id);
 
-    res.status(200).json({ message: 'Playlist deleted successfully' });
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    const pending = await db.tracks.update(id, { processing_status: 'pending', processing_error: null });
+    const queued = await queueProcessing(pending);
+    if (!queued.job) {
+      return res.status(503).json({ error: 'Processing could not be queued', track: queued.track });
+    }
+
+    res.status(202).json(queued);
   } catch (error) {
-    console.error('Error deleting playlist:', error);
-    res.status(500).json({ error: 'Failed to delete playlist' });
+    console.error('Error analyzing track:', error);
+    res.status(500).json({ error: 'Failed to analyze track' });
+  }
+});
+
+// ==================== PLAYLIST EDITOR ====================
+// Every editing route answers with the updated playlist in the same shape as
+// GET /api/playlists/:id. Positions are kept contiguous (1..n). Manual edits
+// do not change selection counts, which record what the AI picked.
+
+const isValidWeight = (weight) => typeof weight === 'number' && weight >= 0 && weight <= 1;
+
+const sortedEntries = (playlist) => [...playlist.playlist_tracks].sort((a, b) => a.position - b.position);
+
+// 11. Create an empty playlist
+app.post('/api/playlists', requirePermission('playlists:write'), async (req, res) => {
+  const { name, mood_prompt } = req.body;
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return res.status(400).json({ error: 'Playlist name is required' });
+  }
+
+  try {
+    const playlist = await db.playlists.create({
+      workspace_id: req.workspace.id,
+      owner_id: req.user.id,
+      name: name.trim(),
+      mood_prompt: typeof mood_prompt === 'string' ? mood_prompt.trim() : '',
+      source: 'manual'
+    });
+
+    res.status(201).json(await db.playlists.get(playlist.id, req.workspace.id));
+  } catch (error) {
+    console.error('Error creating playlist:', error);
+    res.status(500).json({ error: 'Failed to create playlist' });
+  }
+});
+
+// 12. Rename a playlist or edit its mood prompt
+app.patch('/api/playlists/:id', requirePermission('playlists:write'), async (req, res) => {
+  const { id } = req.params;
+  const { name, mood_prompt } = req.body;
+  const fields = {};
+
+  if (name !== undefined) {
+    if (name !== null && typeof name !== 'string') {
+      return res.status(400).json({ error: 'name must be a string or null' });
+    }
+    fields.name = name?.trim() || null;
+  }
+  if (mood_prompt !== undefined) {
+    if (typeof mood_prompt !== 'string') {
+      return res.status(400).json({ error: 'mood_prompt must be a string' });
+    }
+    fields.mood_prompt = mood_prompt.trim();
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update (expected name or mood_prompt)' });
+  }
+
+  try {
+    if (!await db.playlists.get(id, req.workspace.id)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    await db.playlists.update(id, fields);
+    if (fields.mood_prompt !== undefined) {
+      // Mood filters group playlists by their prompt
+      await invalidateStats(req.workspace.id);
+    }
+
+    res.json(await db.playlists.get(id, req.workspace.id));
+  } catch (error) {
+    console.error('Error updating playlist:', error);
+    res.status(500).json({ error: 'Failed to update playlist' });
+  }
+});
+
+// 13. Add a track to a playlist, at the end or at `position`
+app.post('/api/playlists/:id/tracks', requirePermission('playlists:write'), async (req, res) => {
+  const { id } = req.params;
+  const { track_id, position, weight = 1 } = req.body;
+
+  if (typeof track_id !== 'string' || track_id.trim() === '') {
+    return res.status(400).json({ error: 'track_id must be a track ID string' });
+  }
+  if (!isValidWeight(weight)) {
+    return res.status(400).json({ error: 'weight must be a number between 0 and 1' });
+  }
+  if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+    return res.status(400).json({ error: 'position must be a positive integer' });
+  }
+
+  try {
+    const [playlist, track] = await Promise.all([
+      db.playlists.get(id, req.workspace.id),
+      db.tracks.get(track_id, req.workspace.id)
+    ]);
+
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    const entries = sortedEntries(playlist);
+    const entry = await db.playlists.addTrack({
+      playlist_id: id,
+      track_id: track.id,
+      position: entries.length + 1,
+      weight
+    });
+
+    // Slot it in where requested and shift the rest down
+    if (position !== undefined && position <= entries.length) {
+      const order = entries.map(e => e.id);
+      order.splice(position - 1, 0, entry.id);
+      await db.playlists.reorderTracks(id, order);
+    }
+    if (playlist.source === 'generated') {
+      await invalidateStats(req.workspace.id, ['selections']);
+    }
+
+    res.status(201).json(await db.playlists.get(id, req.workspace.id));
+  } catch (error) {
+    console.error('Error adding track to playlist:', error);
+    res.status(500).json({ error: 'Failed to add track to playlist' });
+  }
+});
+
+// 14. Reorder a playlist; `entry_ids` must list every playlist_tracks id once
+app.put('/api/playlists/:id/tracks/order', requirePermission('playlists:write'), async (req, res) => {
+  const { id } = req.params;
+  const { entry_ids } = req.body;
+
+  if (!Array.isArray(entry_ids)) {
+    return res.status(400).json({ error: 'entry_ids must be an array' });
+  }
+
+  try {
+    const playlist = await db.playlists.get(id, req.workspace.id);
+
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const current = new Set(playlist.playlist_tracks.map(pt => pt.id));
+    const requested = new Set(entry_ids);
+    if (requested.size !== entry_ids.length || requested.size !== current.size ||
+        !entry_ids.every(entryId => current.has(entryId))) {
+      return res.status(400).json({ error: 'entry_ids must contain each track entry of the playlist exactly once' });
+    }
+
+    await db.playlists.reorderTracks(id, entry_ids);
+
+    res.json(await db.playlists.get(id, req.workspace.id));
+  } catch (error) {
+    console.error('Error reordering playlist:', error);
+    res.status(500).json({ error: 'Failed to reorder playlist' });
+  }
+});
+
+// 15. Change the weight of a track entry
+app.patch('/api/playlists/:id/tracks/:entryId', requirePermission('playlists:write'), async (req, res) => {
+  const { id, entryId } = req.params;
+  const { weight } = req.body;
+
+  if (!isValidWeight(weight)) {
+    return res.status(400).json({ error: 'weight must be a number between 0 and 1' });
+  }
+
+  try {
+    const playlist = await db.playlists.get(id, req.workspace.id);
+
+    if (!playlist || !playlist.playlist_tracks.some(pt => pt.id === entryId)) {
+      return res.status(404).json({ error: 'Playlist track not found' });
+    }
+
+    await db.playlists.updateTrack(entryId, { weight });
+
+    res.json(await db.playlists.get(id, req.workspace.id));
+  } catch (error) {
+    console.error('Error updating playlist track:', error);
+    res.status(500).json({ error: 'Failed to update playlist track' });
+  }
+});
+
+// 16. Remove a track entry and close the gap it leaves
+app.delete('/api/playlists/:id/tracks/:entryId', requirePermission('playlists:write'), async (req, res) => {
+  const { id, entryId } = req.params;
+
+  try {
+    const playlist = await db.playlists.get(id, req.workspace.id);
+
+    if (!playlist || !playlist.playlist_tracks.some(pt => pt.id === entryId)) {
+      return res.status(404).json({ error: 'Playlist track not found' });
+    }
+
+    await db.playlists.removeTrack(entryId);
+    await db.playlists.reorderTracks(id, sortedEntries(playlist).filter(pt => pt.id !== entryId).map(pt => pt.id));
+    if (playlist.source === 'generated') {
+      await invalidateStats(req.workspace.id, ['selections']);
+    }
+
+    res.json(await db.playlists.get(id, req.workspace.id));
+  } catch (error) {
+    console.error('Error removing playlist track:', error);
+    res.status(500).json({ error: 'Failed to remove playlist track' });
+  }
+});
+
+// 17. Radio: the next tracks for an endless mood station
+app.post('/api/radio/next', requirePermission('tracks:read'), async (req, res) => {
+  const { mood, history = [], count = 3 } = req.body;
+
+  if (typeof mood !== 'string' || mood.trim() === '') {
+    return res.status(400).json({ error: 'Mood prompt is required' });
+  }
+  if (!Array.isArray(history) || !history.every(id => typeof id === 'string')) {
+    return res.status(400).json({ error: 'history must be an array of track IDs' });
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_RADIO_BATCH) {
+    return res.status(400).json({ error: `count must be an integer between 1 and ${MAX_RADIO_BATCH}` });
+  }
+
+  try {
+    const [tracks, playlists] = await Promise.all([db.tracks.list(req.workspace.id), db.playlists.list(req.workspace.id)]);
+
+    if (tracks.length === 0) {
+      return res.status(400).json({ error: 'No tracks available. Please upload some music first.' });
+    }
+
+    const picks = pickRadioTracks({ mood, tracks, playlists, history: history.slice(-200), count });
+
+    res.json({
+      mood,
+      tracks: picks.map(({ track, weight, reason }) => ({ ...track, weight, reason }))
+    });
+  } catch (error) {
+    console.error('Error picking radio tracks:', error);
+    res.status(500).json({ error: 'Failed to pick radio tracks' });
+  }
+});
+
+// ==================== SHARE LINK MANAGEMENT ====================
+
+// 26. Share links of a playlist; tokens are only shown once, when created
+app.get('/api/playlists/:id/shares', requirePermission('playlists:write'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!await db.playlists.get(id, req.workspace.id)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const shares = await db.shares.list(id);
+
+    res.json(shares.map(publicShare));
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({ error: 'Failed to fetch share links' });
+  }
+});
+
+// Create a share link to a playlist of the request's workspace, expiring
+// after `expiresInDays` (never when null). Resolves to { share, token }.
+const createShare = async (req, playlistId, expiresInDays = null) => {
+  const { token, hash } = createShareToken();
+  const share = await db.shares.create({
+    playlist_id: playlistId,
+    workspace_id: req.workspace.id,
+    token_hash: hash,
+    created_by: req.user.id,
+    expires_at: expiresInDays === null
+      ? null
+      : new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+  });
+  return { share, token };
+};
+
+// 27. Create a share link, optionally expiring after `expires_in_days`
+app.post('/api/playlists/:id/shares', requirePermission('playlists:write'), async (req, res) => {
+  const { id } = req.params;
+  const { expires_in_days = null } = req.body;
+
+  if (expires_in_days !== null &&
+      (typeof expires_in_days !== 'number' || !(expires_in_days > 0) || expires_in_days > MAX_SHARE_DAYS)) {
+    return res.status(400).json({ error: `expires_in_days must be a positive number of at most ${MAX_SHARE_DAYS}` });
+  }
+
+  try {
+    if (!await db.playlists.get(id, req.workspace.id)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const { share, token } = await createShare(req, id, expires_in_days);
+
+    res.status(201).json({
+      ...publicShare(share),
+      token,
+      url: `${publicBaseUrl(req)}/embed.html?playlist=${encodeURIComponent(id)}&share=${token}`
+    });
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+// 28. Revoke a share link; it stops working immediately
+app.delete('/api/playlists/:id/shares/:shareId', requirePermission('playlists:write'), async (req, res) => {
+  const { id, shareId } = req.params;
+
+  try {
+    if (!await db.playlists.get(id, req.workspace.id)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const share = (await db.shares.list(id)).find(s => s.id === shareId);
+
+    if (!share) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    const revoked = share.revoked_at ? share : await db.shares.update(shareId, { revoked_at: new Date().toISOString() });
+
+    res.json(publicShare(revoked));
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+// ==================== EXPORT AND IMPORT ====================
+// Playlists leave the app as standard playlist files whose entries point at
+// the stream route, or as a ZIP bundle holding the audio files and a
+// playlist file that refers to them by relative path. Imports go the other
+// way and match each entry to a track already in the workspace.
+
+// The playlist as lib/playlistFormats.js describes it, with every entry
+// located by `locate(track)`
+const describePlaylist = (playlist, locate) => ({
+  title: playlist.name || playlist.mood_prompt || 'Playlist',
+  annotation: playlist.mood_prompt || null,
+  entries: sortedEntries(playlist)
+    .filter(entry => entry.tracks)
+    .map(({ tracks: track }) => ({
+      location: locate(track),
+      title: track.title || path.parse(track.original_name).name,
+      artist: track.artist,
+      album: track.album,
+      track_number: track.track_number,
+      duration: track.duration
+    }))
+});
+
+// 29. Export a playlist as a ZIP (`bundle=true`) of its audio files plus an
+// M3U8, XSPF or JSPF file that refers to them by relative path. Playlist
+// files on their own point at stream URLs and so share the playlist; they
+// come from route 45.
+app.get('/api/playlists/:id/export', requirePermission('playlists:read'), async (req, res) => {
+  const { id } = req.params;
+  const { format = 'm3u8', bundle } = req.query;
+
+  if (!Object.hasOwn(PLAYLIST_FORMATS, format)) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(PLAYLIST_FORMATS).join(', ')}` });
+  }
+  if (bundle !== 'true') {
+    return res.status(400).json({ error: 'Only ZIP bundles (bundle=true) are downloaded here; POST to this URL for a playlist file' });
+  }
+
+  try {
+    const playlist = await db.playlists.get(id, req.workspace.id);
+
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const { extension } = PLAYLIST_FORMATS[format];
+    const baseName = safeFileName(playlist.name || playlist.mood_prompt, 'playlist');
+
+    // Each track goes in once, named after its first position, even if the
+    // playlist repeats it
+    const audioPaths = new Map();
+    const audioFiles = [];
+    sortedEntries(playlist).forEach(({ tracks: track }, index) => {
+      if (!track || audioPaths.has(track.id)) return;
+      const name = `audio/${String(index + 1).padStart(2, '0')} - ${safeFileName(track.original_name, 'track')}`;
+      audioPaths.set(track.id, name);
+      audioFiles.push({
+        name,
+        date: track.upload_date ? new Date(track.upload_date) : undefined,
+        open: () => fileStorage.createReadStream(track.storage_path)
+      });
+    });
+
+    // XSPF and JSPF locations are URIs; M3U takes plain paths
+    const relative = name => (format === 'm3u8' ? name : name.split('/').map(encodeURIComponent).join('/'));
+    const playlistFile = {
+      name: `${baseName}.${extension}`,
+      open: async () => writePlaylist(format, describePlaylist(playlist, track => relative(audioPaths.get(track.id))))
+    };
+
+    res.attachment(`${baseName}.zip`);
+    res.type('application/zip');
+    await pipeline(zipStream([playlistFile, ...audioFiles]), res);
+  } catch (error) {
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    console.error('Error exporting playlist:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: 'Failed to export playlist' });
+    }
+  }
+});
+
+// How long the share link behind an exported playlist file lasts unless the
+// request asks otherwise
+const EXPORT_SHARE_DAYS = 30;
+
+// 45. Export a playlist as an M3U8, XSPF or JSPF file: { format,
+// expires_in_days? }. Outside players cannot sign in, so the file's stream
+// URLs carry the token of a share link created for it, which expires after
+// `expires_in_days` (EXPORT_SHARE_DAYS by default) and is listed and
+// revocable with the other share links (routes 26 and 28).
+app.post('/api/playlists/:id/export', requirePermission('playlists:write'), async (req, res) => {
+  const { id } = req.params;
+  const { format = 'm3u8', expires_in_days = EXPORT_SHARE_DAYS } = req.body;
+
+  if (!Object.hasOwn(PLAYLIST_FORMATS, format)) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(PLAYLIST_FORMATS).join(', ')}` });
+  }
+  if (typeof expires_in_days !== 'number' || !(expires_in_days > 0) || expires_in_days > MAX_SHARE_DAYS) {
+    return res.status(400).json({ error: `expires_in_days must be a positive number of at most ${MAX_SHARE_DAYS}` });
+  }
+
+  try {
+    const playlist = await db.playlists.get(id, req.workspace.id);
+
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const { contentType, extension } = PLAYLIST_FORMATS[format];
+    const { token } = await createShare(req, playlist.id, expires_in_days);
+    const baseUrl = publicBaseUrl(req);
+    const file = writePlaylist(format, describePlaylist(playlist, track =>
+      `${baseUrl}/api/tracks/stream/${encodeURIComponent(track.id)}?share=${token}`));
+
+    res.attachment(`${safeFileName(playlist.name || playlist.mood_prompt, 'playlist')}.${extension}`);
+    res.type(contentType);
+    res.send(file);
+  } catch (error) {
+    console.error('Error exporting playlist:', error);
+    res.status(500).json({ error: 'Failed to export playlist' });
+  }
+});
+
+// 30. Import a playlist file (multipart field `playlist`, optional `name`
+// and `format`). Entries that match no track are left out and reported.
+app.post('/api/playlists/import', requirePermission('playlists:write'), playlistUpload.single('playlist'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No playlist file uploaded' });
+  }
+
+  const text = req.file.buffer.toString('utf8');
+  const format = Object.hasOwn(PLAYLIST_FORMATS, req.body.format ?? '')
+    ? req.body.format
+    : detectPlaylistFormat(text, req.file.originalname);
+
+  let parsed;
+  try {
+    parsed = readPlaylist(text, format);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (parsed.entries.length === 0) {
+    return res.status(400).json({ error: 'The playlist file has no entries' });
+  }
+
+  const { name } = req.body;
+  if (name !== undefined && typeof name !== 'string') {
+    return res.status(400).json({ error: 'name must be a string' });
+  }
+
+  try {
+    const tracks = await db.tracks.list(req.workspace.id);
+    const matches = matchEntries(parsed.entries, tracks).map(({ entry, track, matched_by }, index) => ({
+      position: index + 1,
+      location: entry.location,
+      title: entry.title,
+      artist: entry.artist,
+      track_id: track?.id ?? null,
+      matched_by
+    }));
+    const matched = matches.filter(m => m.track_id);
+
+    if (matched.length === 0) {
+      return res.status(422).json({ error: 'None of the entries match a track in this library', matches });
+    }
+
+    const playlist = await db.playlists.importWithTracks({
+      workspace_id: req.workspace.id,
+      owner_id: req.user.id,
+      name: name?.trim() || parsed.title || path.parse(req.file.originalname).name,
+      mood_prompt: parsed.annotation || '',
+      tracks: matched.map(({ track_id }, index) => ({ track_id, position: index + 1, weight: 1 }))
+    });
+
+    res.status(201).json({ playlist, matches });
+  } catch (error) {
+    console.error('Error importing playlist:', error);
+    res.status(500).json({ error: 'Failed to import playlist' });
+  }
+});
+
+// ==================== PLAY HISTORY ====================
+// The player reports what people actually listen to, as opposed to
+// selection_count, which only says how often a track was picked.
+
+const MAX_PLAY_EVENTS = 100;
+
+// Players batch events for a while; older or future timestamps are replaced
+// with the time they arrive
+const MAX_PLAY_EVENT_AGE_MS = 24 * 60 * 60 * 1000;
+
+const playedAt = (at, now) => {
+  const time = typeof at === 'string' ? Date.parse(at) : NaN;
+  return time <= now && time >= now - MAX_PLAY_EVENT_AGE_MS ? new Date(time) : new Date(now);
+};
+
+// 31. Record play events: { events: [{ event, track_id, playlist_id?, position?, at? }] }
+app.post('/api/plays', requirePermission('tracks:read'), async (req, res) => {
+  const { events } = req.body;
+
+  if (!Array.isArray(events) || events.length === 0 || events.length > MAX_PLAY_EVENTS) {
+    return res.status(400).json({ error: `events must be an array of 1 to ${MAX_PLAY_EVENTS} events` });
+  }
+  const invalid = events.findIndex(e =>
+    !e || !PLAY_EVENTS.includes(e.event) || !e.track_id ||
+    (e.position != null && !(typeof e.position === 'number' && e.position >= 0)));
+  if (invalid !== -1) {
+    return res.status(400).json({
+      error: `Event ${invalid + 1} needs an event (${PLAY_EVENTS.join(', ')}), a track_id and a position in seconds, if any`
+    });
+  }
+
+  try {
+    // Ids of the referenced rows that exist in this workspace
+    const existing = async (key, repository) => {
+      const ids = [...new Set(events.map(e => e[key]).filter(Boolean).map(String))];
+      const rows = await Promise.all(ids.map(id => repository.get(id, req.workspace.id)));
+      return new Set(rows.filter(Boolean).map(row => String(row.id)));
+    };
+    const [trackIds, playlistIds] = await Promise.all([
+      existing('track_id', db.tracks),
+      existing('playlist_id', db.playlists)
+    ]);
+
+    // Events for tracks deleted since they played are dropped, not refused
+    const now = Date.now();
+    const rows = events
+      .filter(e => trackIds.has(String(e.track_id)))
+      .map(e => ({
+        workspace_id: req.workspace.id,
+        track_id: e.track_id,
+        playlist_id: playlistIds.has(String(e.playlist_id)) ? e.playlist_id : null,
+        user_id: req.user.id,
+        event: e.event,
+        position: e.position ?? null,
+        played_at: playedAt(e.at, now).toISOString()
+      }));
+
+    if (rows.length > 0) {
+      await db.plays.record(rows);
+      await invalidateStats(req.workspace.id, ['plays']);
+    }
+
+    res.status(201).json({ recorded: rows.length });
+  } catch (error) {
+    console.error('Error recording play events:', error);
+    res.status(500).json({ error: 'Failed to record play events' });
+  }
+});
+
+// 32. Most played and most skipped tracks, completion rate and listening
+// time per hour or day, filtered like the top tracks
+app.get('/api/stats/plays', requirePermission('stats:read'), async (req, res) => {
+  const { filters, error } = parseStatsQuery(req.query);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const cacheKey = statsCacheKey('plays', req.workspace.id, filters);
+    const cached = await cache.get(cacheKey);
+
+    if (cached) {
+      return res.json(JSON.parse(cached));
+    }
+
+    const since = statsWindowStart(filters.window);
+    const [tracks, playlistIds] = await Promise.all([
+      db.tracks.list(req.workspace.id),
+      matchingPlaylistIds(req.workspace.id, filters)
+    ]);
+    const options = { since: since?.toISOString() ?? null, playlistIds };
+    const [totals, periods] = await Promise.all([
+      db.plays.trackTotals(req.workspace.id, options),
+      db.plays.listeningOverTime(req.workspace.id, { ...options, bucket: STATS_WINDOWS[filters.window].bucket })
+    ]);
+    const stats = summarizePlays({ totals, periods, tracks, since, filters });
+
+    await cache.setTaggedJSON(cacheKey, 300, stats, [statsTag(req.workspace.id, 'plays')]);
+
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching play stats:', error);
+    res.status(500).json({ error: 'Failed to fetch play stats' });
+  }
+});
+
+// ==================== DUPLICATES ====================
+// Flagged pairs (track_duplicates) are joined into groups: tracks flagged
+// with each other directly or through another track of the group.
+
+const MAX_MERGE_TRACKS = 50;
+
+const isIdList = (ids) =>
+  Array.isArray(ids) && ids.length > 0 && ids.length <= MAX_MERGE_TRACKS &&
+  ids.every(id => typeof id === 'string') && new Set(ids).size === ids.length;
+
+// 33. Groups of duplicate tracks, oldest track first, with the flagged pairs
+// and their similarity (1 for identical files)
+app.get('/api/tracks/duplicates', requirePermission('tracks:read'), async (req, res) => {
+  try {
+    const [links, tracks] = await Promise.all([
+      db.duplicates.list(req.workspace.id),
+      db.tracks.list(req.workspace.id)
+    ]);
+
+    // Union-find over the flagged pairs
+    const parent = new Map();
+    const root = (id) => {
+      while (parent.has(id) && parent.get(id) !== id) id = parent.get(id);
+      return id;
+    };
+    for (const link of links) {
+      parent.set(root(link.track_id), root(link.duplicate_of));
+    }
+
+    const tracksById = new Map(tracks.map(track => [track.id, track]));
+    const groups = new Map();
+    for (const link of links) {
+      const group = groups.get(root(link.track_id)) || { track_ids: new Set(), links: [] };
+      group.track_ids.add(link.track_id).add(link.duplicate_of);
+      group.links.push({
+        track_id: link.track_id,
+        duplicate_of: link.duplicate_of,
+        similarity: link.similarity,
+        created_at: link.created_at
+      });
+      groups.set(root(link.track_id), group);
+    }
+
+    res.json({
+      groups: [...groups.values()].map(group => ({
+        tracks: [...group.track_ids]
+          .map(id => tracksById.get(id))
+          .filter(Boolean)
+          .sort((a, b) => new Date(a.upload_date) - new Date(b.upload_date)),
+        links: group.links
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching duplicates:', error);
+    res.status(500).json({ error: 'Failed to fetch duplicates' });
+  }
+});
+
+// 34. Merge duplicates into one track: { keep_id, track_ids }. Playlist
+// entries, play events and selection counts of `track_ids` move to `keep_id`,
+// then those tracks and their files are deleted.
+app.post('/api/tracks/duplicates/merge', requirePermission('tracks:write'), async (req, res) => {
+  const { keep_id, track_ids } = req.body;
+
+  if (typeof keep_id !== 'string' || !isIdList(track_ids) || track_ids.includes(keep_id)) {
+    return res.status(400).json({
+      error: `keep_id and track_ids (1 to ${MAX_MERGE_TRACKS} other track ids) are required`
+    });
+  }
+
+  try {
+    const found = await Promise.all([keep_id, ...track_ids].map(id => db.tracks.get(id, req.workspace.id)));
+    if (found.some(track => !track)) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    await db.duplicates.merge(keep_id, track_ids);
+
+    // Once per album the merged tracks were on
+    const albums = new Map(found.map(track => [JSON.stringify([track.album, track.artist]), track]));
+    for (const track of albums.values()) {
+      await refreshAlbumLoudness(track);
+    }
+
+    try {
+      await fileStorage.remove(found.slice(1).flatMap(trackFiles));
+    } catch (storageError) {
+      console.error('Storage deletion error (might be benign):', storageError.message);
+    }
+
+    await invalidateStats(req.workspace.id);
+
+    res.json({ track: await db.tracks.get(keep_id, req.workspace.id), merged: track_ids.length });
+  } catch (error) {
+    console.error('Error merging duplicates:', error);
+    res.status(500).json({ error: 'Failed to merge duplicates' });
+  }
+});
+
+// 35. Dismiss duplicates: { track_ids }; the flags between these tracks are
+// removed and the tracks stay as they are
+app.post('/api/tracks/duplicates/dismiss', requirePermission('tracks:write'), async (req, res) => {
+  const { track_ids } = req.body;
+
+  if (!isIdList(track_ids) || track_ids.length < 2) {
+    return res.status(400).json({ error: `track_ids must list 2 to ${MAX_MERGE_TRACKS} track ids` });
+  }
+
+  try {
+    await db.duplicates.dismiss(req.workspace.id, track_ids);
+    res.json({ message: 'Duplicates dismissed' });
+  } catch (error) {
+    console.error('Error dismissing duplicates:', error);
+    res.status(500).json({ error: 'Failed to dismiss duplicates' });
+  }
+});
+
+// ==================== RESUMABLE UPLOADS ====================
+// The tus 1.0 core protocol with its creation and termination extensions
+// (lib/uploads.js): create an upload, PATCH its bytes in chunks, HEAD for the
+// offset to resume from after a dropped connection, then finalize it into a
+// track. An upload belongs to the member and workspace that created it.
+
+const finalizingUploads = new Set();
+
+// The caller's upload, or null
+const findUpload = async (req) => {
+  const found = await uploads.get(req.params.id);
+  return found && found.workspace_id === req.workspace.id && found.owner_id === req.user.id ? found : null;
+};
+
+const setUploadHeaders = (res, { offset, size }) => res.set({
+  'Tus-Resumable': TUS_VERSION,
+  'Upload-Offset': String(offset),
+  'Upload-Length': String(size),
+  'Cache-Control': 'no-store'
+});
+
+app.use('/api/uploads', (req, res, next) => {
+  const version = req.get('Tus-Resumable');
+  if (version && version !== TUS_VERSION) {
+    return res.status(412).set('Tus-Version', TUS_VERSION).json({ error: `Tus-Resumable ${version} is not supported` });
+  }
+  next();
+});
+
+// 36. Start an upload: `Upload-Length` is the file size in bytes and
+// `Upload-Metadata` carries its `filename` and `filetype`, base64-encoded.
+// The format is checked from the file's bytes when it is finalized.
+app.post('/api/uploads', requirePermission('tracks:write'), async (req, res) => {
+  const size = Number(req.get('Upload-Length'));
+  const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+
+  if (!Number.isInteger(size) || size < 1) {
+    return res.status(400).json({ error: 'Upload-Length must be the file size in bytes' });
+  }
+  if (size > MAX_AUDIO_SIZE) {
+    return res.status(413).json({ error: `Files may be at most ${MAX_AUDIO_SIZE} bytes` });
+  }
+  if (!metadata) {
+    return res.status(400).json({ error: 'Upload-Metadata must be comma-separated keys, each with a base64-encoded value' });
+  }
+
+  const { filename, filetype } = metadata;
+  if (!filename) {
+    return res.status(400).json({ error: 'Upload-Metadata must include the filename' });
+  }
+
+  try {
+    const created = await uploads.create({
+      workspace_id: req.workspace.id,
+      owner_id: req.user.id,
+      filename: path.basename(filename.replace(/\\/g, '/')),
+      filetype: filetype || null,
+      size
+    });
+
+    setUploadHeaders(res, created)
+      .location(`${publicBaseUrl(req)}/api/uploads/${created.id}`)
+      .status(201)
+      .json({ id: created.id, offset: created.offset, size: created.size });
+  } catch (error) {
+    console.error('Error starting upload:', error);
+    res.status(500).json({ error: 'Failed to start upload' });
+  }
+});
+
+// 37. How many bytes of an upload have arrived (`Upload-Offset`)
+app.head('/api/uploads/:id', requirePermission('tracks:write'), async (req, res) => {
+  try {
+    const found = await findUpload(req);
+    if (!found) {
+      return res.status(404).end();
+    }
+    setUploadHeaders(res, found).status(200).end();
+  } catch (error) {
+    console.error('Error fetching upload:', error);
+    res.status(500).end();
+  }
+});
+
+// 38. Send the next chunk (`Content-Type: application/offset+octet-stream`),
+// starting at `Upload-Offset`, which must match the bytes received so far
+app.patch('/api/uploads/:id', requirePermission('tracks:write'), async (req, res) => {
+  const offset = Number(req.get('Upload-Offset'));
+
+  if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Upload-Offset must be a byte offset' });
+  }
+
+  try {
+    const found = await findUpload(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    if (offset + Number(req.get('Content-Length') || 0) > found.size) {
+      return res.status(413).json({ error: 'Chunk goes past the end of the upload' });
+    }
+
+    const received = await uploads.append(found.id, offset, req);
+    setUploadHeaders(res, { ...found, offset: received }).status(204).end();
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    // The client went away mid-chunk; what arrived is kept for it to resume
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE' || error.code === 'ECONNRESET') return;
+    console.error('Error receiving upload chunk:', error);
+    res.status(500).json({ error: 'Failed to receive upload chunk' });
+  }
+});
+
+// 39. Turn a complete upload into a track, like route 1 does (including
+// `on_duplicate`). Replies with { track } or, for a file already in the
+// library, { duplicate }; the upload is then gone. So is an upload in an
+// unsupported format, with a 415.
+app.post('/api/uploads/:id/finalize', requirePermission('tracks:write'), async (req, res) => {
+  const onDuplicate = parseOnDuplicate(req);
+  if (!onDuplicate) {
+    return res.status(400).json({ error: `on_duplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` });
+  }
+
+  try {
+    const found = await findUpload(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    if (found.offset < found.size) {
+      return res.status(409).json({ error: `Upload is incomplete (${found.offset} of ${found.size} bytes)` });
+    }
+    if (finalizingUploads.has(found.id)) {
+      return res.status(409).json({ error: 'Upload is already being finalized' });
+    }
+
+    finalizingUploads.add(found.id);
+    try {
+      const buffer = await uploads.read(found.id);
+      const stored = await storeAudioFile(req, { buffer, originalname: found.filename, size: found.size }, { onDuplicate });
+
+      // Keep the bytes so finalizing can be retried
+      if (!stored) {
+        return res.status(500).json({ error: 'Failed to store upload' });
+      }
+
+      await uploads.remove(found.id);
+      if (stored.rejected) {
+        return res.status(415).json({ error: stored.rejected.error });
+      }
+      res.json(stored);
+    } finally {
+      finalizingUploads.delete(found.id);
+    }
+  } catch (error) {
+    console.error('Error finalizing upload:', error);
+    res.status(500).json({ error: 'Failed to finalize upload' });
+  }
+});
+
+// 40. Abandon an upload and delete what arrived of it
+app.delete('/api/uploads/:id', requirePermission('tracks:write'), async (req, res) => {
+  try {
+    const found = await findUpload(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    await uploads.remove(found.id);
+    res.set('Tus-Resumable', TUS_VERSION).status(204).end();
+  } catch (error) {
+    console.error('Error deleting upload:', error);
+    res.status(500).json({ error: 'Failed to delete upload' });
+  }
+});
+
+// ==================== BACKGROUND JOBS ====================
+// Slow work runs in jobs (lib/jobs): processing uploaded tracks for now. A
+// job is queued, active, completed (with its `result`) or failed (with its
+// last `error`); failed attempts are retried with backoff until
+// `max_attempts`. Finished jobs are kept for a week.
+
+const MAX_JOB_IDS = 100;
+
+// The job if it belongs to the request's workspace, or null
+const findJob = async (req) => {
+  const job = await jobs.get(req.params.id);
+  return job?.workspace_id === req.workspace.id ? job : null;
+};
+
+// 41. The workspace's jobs, newest first: `ids` (comma-separated, up to 100)
+// for those jobs, otherwise the latest `limit` (up to 100), optionally of one
+// `status`
+app.get('/api/jobs', requirePermission('tracks:read'), async (req, res) => {
+  const ids = typeof req.query.ids === 'string' ? req.query.ids.split(',').filter(Boolean) : null;
+  const status = req.query.status || null;
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+  if (ids && ids.length > MAX_JOB_IDS) {
+    return res.status(400).json({ error: `ids may list up to ${MAX_JOB_IDS} jobs` });
+  }
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_JOB_IDS) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_JOB_IDS}` });
+  }
+
+  try {
+    if (ids) {
+      const found = await Promise.all(ids.map(id => jobs.get(id)));
+      return res.json({ jobs: found.filter(job => job?.workspace_id === req.workspace.id) });
+    }
+
+    res.json({ jobs: await jobs.list(req.workspace.id, { status, limit }) });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// 42. One job
+app.get('/api/jobs/:id', requirePermission('tracks:read'), async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// 43. Run a failed job again, with all its attempts
+app.post('/api/jobs/:id/retry', requirePermission('tracks:write'), async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'failed') {
+      return res.status(409).json({ error: 'Only failed jobs can be retried' });
+    }
+
+    const track = job.type === PROCESS_TRACK ? await db.tracks.get(job.data.track_id, req.workspace.id) : null;
+    if (track) {
+      await db.tracks.update(track.id, { processing_status: 'pending', processing_error: null });
+    }
+
+    res.status(202).json(await jobs.retry(job.id));
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+// 44. A stream URL that works without the Authorization header, for an
+// <audio> element; it expires after `expires_in` seconds
+app.post('/api/tracks/:id/stream-url', requirePermission('tracks:read'), async (req, res) => {
+  try {
+    const track = await db.tracks.get(req.params.id, req.workspace.id);
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    const ticket = createStreamTicket({ trackId: track.id, workspaceId: req.workspace.id });
+    res.json({
+      url: `${publicBaseUrl(req)}/api/tracks/stream/${encodeURIComponent(track.id)}?ticket=${ticket}`,
+      expires_in: STREAM_TICKET_SECONDS
+    });
+  } catch (error) {
+    console.error('Error creating stream URL:', error);
+    res.status(500).json({ error: 'Failed to create stream URL' });
   }
 });
 
@@ -498,6 +1967,30 @@ app.get('*', (req, res) => {
 // Start server (for Railway)
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // In-process jobs can only be worked here; with Redis, JOBS_IN_SERVER=false
+  // leaves them to worker.js
+  if (jobs.name === 'memory' || process.env.JOBS_IN_SERVER !== 'false') {
+    jobs.work(jobHandlers, { concurrency: JOB_CONCURRENCY });
+    console.log(`Working on up to ${JOB_CONCURRENCY} background job(s) at once`);
+  }
+
+  // In-process jobs did not survive the restart; queue their tracks again
+  if (jobs.name === 'memory') {
+    db.tracks.unprocessed()
+      .then(tracks => Promise.all(tracks.map(async (track) =>
+        queueProcessing(await db.tracks.update(track.id, { processing_status: 'pending' })))))
+      .then(queued => queued.length > 0 && console.log(`Queued ${queued.length} unprocessed track(s) again`))
+      .catch(error => console.error('Error queueing unprocessed tracks:', error));
+  }
+
+  ffmpegAvailable().then((available) => {
+    if (!available) {
+      console.log('ffmpeg not found: FLAC, AAC, Ogg and Opus uploads are stored but not analyzed, and tracks stream their originals');
+    } else if (STREAM_FORMAT !== 'none') {
+      console.log(`Streaming renditions: ${STREAM_FORMAT} at ${STREAM_BITRATE} kbps`);
+    }
+  });
 });
 
 // Export app if you ever need it for testing
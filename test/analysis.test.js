@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSignal, analyzeAudio, decodeToMono } from '../lib/analysis.js';
+
+const SAMPLE_RATE = 11025;
+
+// `seconds` of the sum of `value(t)` for each voice
+const signal = (seconds, ...voices) =>
+  Float32Array.from({ length: Math.round(seconds * SAMPLE_RATE) }, (_, i) =>
+    voices.reduce((sum, value) => sum + value(i / SAMPLE_RATE), 0));
+
+const tone = (frequency, amplitude = 0.2) => (t) => amplitude * Math.sin(2 * Math.PI * frequency * t);
+
+// A short decaying thump on every beat
+const beats = (bpm, amplitude = 0.6) => (t) => {
+  const sinceBeat = t % (60 / bpm);
+  return amplitude * Math.exp(-sinceBeat * 40) * Math.sin(2 * Math.PI * 80 * sinceBeat);
+};
+
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+const MINOR_SCALE = [0, 2, 3, 5, 7, 8, 10];
+
+// Every note of the scale from MIDI note `tonic` at once, the tonic triad
+// louder than the rest
+const scale = (tonic, steps) => steps.map((step, degree) =>
+  tone(440 * 2 ** ((tonic + step - 69) / 12), [0, 2, 4].includes(degree) ? 0.15 : 0.05));
+
+// 16-bit PCM WAV of interleaved `channels`
+const wav = (channels, sampleRate) => {
+  const frames = channels[0].length;
+  const data = Buffer.alloc(frames * channels.length * 2);
+  for (let i = 0; i < frames; i++) {
+    channels.forEach((channel, c) => data.writeInt16LE(Math.round(channel[i] * 32767), (i * channels.length + c) * 2));
+  }
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels.length, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels.length * 2, 28);
+  header.writeUInt16LE(channels.length * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+};
+
+test('the tempo of a steady beat is found', () => {
+  for (const bpm of [90, 120, 150]) {
+    const { features } = analyzeSignal(signal(20, beats(bpm)), SAMPLE_RATE);
+    assert.ok(Math.abs(features.bpm - bpm) <= 2, `${bpm} BPM measured as ${features.bpm}`);
+  }
+});
+
+test('the key and mode of a scale are found', () => {
+  const keyOf = (tonic, steps) => analyzeSignal(signal(5, ...scale(tonic, steps)), SAMPLE_RATE).features.musical_key;
+
+  assert.equal(keyOf(60, MAJOR_SCALE), 'C major');
+  assert.equal(keyOf(60, MINOR_SCALE), 'C minor');
+  assert.equal(keyOf(62, MINOR_SCALE), 'D minor');
+  assert.equal(keyOf(67, MAJOR_SCALE), 'G major');
+  assert.equal(keyOf(57, MINOR_SCALE), 'A minor');
+});
+
+test('brightness is the share of energy above 1.5 kHz', () => {
+  const dark = analyzeSignal(signal(3, tone(200)), SAMPLE_RATE).features.brightness;
+  const bright = analyzeSignal(signal(3, tone(3000)), SAMPLE_RATE).features.brightness;
+  const even = analyzeSignal(signal(3, tone(200), tone(3000)), SAMPLE_RATE).features.brightness;
+
+  assert.ok(dark < 0.01, `dark: ${dark}`);
+  assert.ok(bright > 0.99, `bright: ${bright}`);
+  assert.ok(Math.abs(even - 0.5) < 0.05, `even: ${even}`);
+});
+
+test('loud, busy audio has more energy than quiet, sparse audio', () => {
+  const quiet = analyzeSignal(signal(10, tone(440, 0.02)), SAMPLE_RATE).features;
+  const busy = analyzeSignal(signal(10, beats(180, 0.9), tone(440, 0.3)), SAMPLE_RATE).features;
+
+  assert.ok(quiet.loudness < -35, `quiet loudness: ${quiet.loudness}`);
+  assert.equal(quiet.energy, 0);
+  assert.ok(busy.energy > 0.5, `busy energy: ${busy.energy}`);
+  for (const { energy } of [quiet, busy]) assert.ok(energy >= 0 && energy <= 1);
+});
+
+test('silence has no tempo or key', () => {
+  const { features } = analyzeSignal(new Float32Array(5 * SAMPLE_RATE), SAMPLE_RATE);
+
+  assert.equal(features.loudness, -100);
+  assert.equal(features.bpm, null);
+  assert.equal(features.musical_key, null);
+});
+
+test('a signal shorter than one analysis frame has no features', () => {
+  const { features, fingerprint } = analyzeSignal(new Float32Array(100).fill(0.5), SAMPLE_RATE);
+
+  assert.ok(Object.values(features).every((value) => value === null));
+  assert.equal(fingerprint, null);
+});
+
+test('a stereo WAV is downmixed and decimated to about 11 kHz', async () => {
+  const left = Float32Array.from({ length: 2 * 44100 }, (_, i) => 0.5 * Math.sin((2 * Math.PI * 440 * i) / 44100));
+  const stereo = wav([left, left.map((value) => -value)], 44100);
+  const mono = wav([left], 44100);
+
+  const cancelled = await decodeToMono(stereo, 'a.wav');
+  assert.equal(cancelled.sampleRate, 11025);
+  assert.ok(Math.abs(cancelled.samples.length - left.length / 4) <= 1);
+  assert.ok(cancelled.samples.every((value) => Math.abs(value) < 1e-3));
+
+  const decoded = await decodeToMono(mono, 'a.wav', { maxSeconds: 0.5 });
+  assert.equal(decoded.samples.length, Math.ceil(0.5 * 11025));
+  assert.ok(Math.max(...decoded.samples) > 0.45);
+});
+
+test('analyzeAudio gives every feature as null for a file it cannot decode', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  // 7-bit float samples
+  const broken = wav([new Float32Array(10)], 44100);
+  broken.writeUInt16LE(3, 20);
+  broken.writeUInt16LE(7, 34);
+
+  const { features, fingerprint } = await analyzeAudio(broken, 'broken.wav');
+
+  assert.ok(Object.values(features).every((value) => value === null));
+  assert.equal(fingerprint, null);
+});
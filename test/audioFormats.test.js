@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sniffAudioFormat, contentTypeForName } from '../lib/audioFormats.js';
+
+const bytes = (...parts) => {
+  const buffer = Buffer.concat(parts.map((part) => (typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part))));
+  return Buffer.concat([buffer, Buffer.alloc(64)]);
+};
+
+// The first page of an Ogg stream whose first packet starts with `packet`
+const oggPage = (packet) => {
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0, 'latin1');
+  header[26] = 1; // One segment
+  return bytes(header, [packet.length], packet);
+};
+
+const ID3_TAG = ['ID3', [3, 0, 0, 0, 0, 0, 4], 'abcd'];
+
+test('sniffAudioFormat recognises every accepted format by its magic bytes', () => {
+  assert.equal(sniffAudioFormat(bytes('RIFF', [0, 0, 0, 0], 'WAVE')), 'wav');
+  assert.equal(sniffAudioFormat(bytes('fLaC')), 'flac');
+  assert.equal(sniffAudioFormat(bytes([0, 0, 0, 0x20], 'ftypM4A ')), 'm4a');
+  assert.equal(sniffAudioFormat(bytes([0xff, 0xf1, 0x50, 0x80])), 'aac');
+  assert.equal(sniffAudioFormat(bytes([0xff, 0xfb, 0x90, 0x00])), 'mp3');
+  assert.equal(sniffAudioFormat(oggPage('\x01vorbis')), 'ogg');
+  assert.equal(sniffAudioFormat(oggPage('OpusHead')), 'opus');
+  assert.equal(sniffAudioFormat(oggPage('\x7fFLAC')), 'ogg');
+});
+
+test('sniffAudioFormat looks past a leading ID3 tag', () => {
+  assert.equal(sniffAudioFormat(bytes(...ID3_TAG, 'fLaC')), 'flac');
+  assert.equal(sniffAudioFormat(bytes(...ID3_TAG, [0xff, 0xf1, 0x50, 0x80])), 'aac');
+  assert.equal(sniffAudioFormat(bytes(...ID3_TAG, [0xff, 0xfb, 0x90, 0x00])), 'mp3');
+  // A tag followed by padding still almost always means MP3
+  assert.equal(sniffAudioFormat(bytes(...ID3_TAG)), 'mp3');
+});
+
+test('sniffAudioFormat rejects other files whatever their name', () => {
+  assert.equal(sniffAudioFormat(bytes('%PDF-1.7')), null);
+  assert.equal(sniffAudioFormat(bytes('RIFF', [0, 0, 0, 0], 'AVI ')), null);
+  assert.equal(sniffAudioFormat(oggPage('\x80theora')), null);
+  assert.equal(sniffAudioFormat(bytes([0xff, 0xfb, 0xf0, 0x00])), null); // Invalid bitrate
+  assert.equal(sniffAudioFormat(Buffer.from('short')), null);
+});
+
+test('contentTypeForName goes by the extension', () => {
+  assert.equal(contentTypeForName('Song.MP3'), 'audio/mpeg');
+  assert.equal(contentTypeForName('book.m4b'), 'audio/mp4');
+  assert.equal(contentTypeForName('voice.opus'), 'audio/ogg; codecs=opus');
+  assert.equal(contentTypeForName('notes.txt'), 'application/octet-stream');
+  assert.equal(contentTypeForName('no-extension'), 'application/octet-stream');
+});
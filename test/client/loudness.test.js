@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizationDb, normalizationGain, usesAlbumGain, TARGET_LOUDNESS } from '../../client/src/loudness.js';
+
+test('track gain brings a track to the target loudness', () => {
+  assert.equal(normalizationDb({ integrated_loudness: -10, true_peak: -5 }), TARGET_LOUDNESS + 10);
+});
+
+test('gain never pushes the true peak over -1 dBTP or boosts by more than 12 dB', () => {
+  assert.equal(normalizationDb({ integrated_loudness: -24, true_peak: -3 }), 2);
+  assert.equal(normalizationDb({ integrated_loudness: -40, true_peak: null }), 12);
+});
+
+test('album gain applies when asked for and measured', () => {
+  const track = { integrated_loudness: -10, true_peak: -2, album_loudness: -14, album_peak: -1 };
+  assert.equal(normalizationDb(track, { album: true }), -4);
+  assert.equal(normalizationDb({ ...track, album_loudness: null }, { album: true }), -8);
+});
+
+test('unmeasured tracks play at unity gain', () => {
+  assert.equal(normalizationDb({}), null);
+  assert.equal(normalizationGain({}), 1);
+  assert.ok(Math.abs(normalizationGain({ integrated_loudness: -12 }) - 0.5012) < 1e-4);
+});
+
+test('album gain is used next to a track of the same album and artist', () => {
+  const tracks = [
+    { album: 'A', artist: 'X' },
+    { album: 'A', artist: 'X' },
+    { album: 'A', artist: 'Y' },
+    { album: null, artist: 'Y' }
+  ];
+  assert.deepEqual(tracks.map((_, i) => usesAlbumGain(tracks, i)), [true, true, false, false]);
+});
@@ -0,0 +1,163 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlayTracker } from '../../client/src/playTracker.js';
+
+beforeEach(() => mock.timers.enable({ apis: ['setInterval'] }));
+afterEach(() => mock.timers.reset());
+
+// A tracker whose sent batches are collected; `failures` batches are refused
+// before sending starts to succeed
+const tracked = ({ failures = 0 } = {}) => {
+  const batches = [];
+  const send = async (batch, options) => {
+    if (failures > 0) {
+      failures -= 1;
+      throw new Error('offline');
+    }
+    batches.push({ batch, options });
+  };
+  const tracker = createPlayTracker({ send });
+  const sent = () => batches.flatMap(({ batch }) => batch.map(({ event, track_id, position }) => [event, track_id, position]));
+  return { tracker, batches, sent };
+};
+
+const a = { id: 'a' };
+const b = { id: 'b' };
+
+test('moving on to another track skips the current one', async () => {
+  const { tracker, sent } = tracked();
+
+  tracker.begin(a, { playlistId: 'p1' });
+  tracker.begin(b, { playlistId: 'p1', position: 42.345 });
+  await tracker.flush();
+
+  assert.deepEqual(sent(), [
+    ['start', 'a', null],
+    ['skip', 'a', 42.3],
+    ['start', 'b', null],
+  ]);
+});
+
+test('a track played to the end completes, and playing it again is a replay', async () => {
+  const { tracker, sent } = tracked();
+
+  tracker.begin(a);
+  tracker.complete(180.04);
+  tracker.begin(a);
+  tracker.complete(180);
+  tracker.begin(b);
+  await tracker.flush();
+
+  assert.deepEqual(sent(), [
+    ['start', 'a', null],
+    ['complete', 'a', 180],
+    ['replay', 'a', 0],
+    ['complete', 'a', 180],
+    ['start', 'b', null],
+  ]);
+});
+
+test('restarting an unfinished track is a replay from where it was', async () => {
+  const { tracker, sent } = tracked();
+
+  tracker.begin(a);
+  tracker.restart(12);
+  tracker.begin(a, { position: 30 });
+  await tracker.flush();
+
+  assert.deepEqual(sent(), [
+    ['start', 'a', null],
+    ['replay', 'a', 12],
+    ['replay', 'a', 30],
+  ]);
+});
+
+test('stopping playback skips the current track and ends the listen', async () => {
+  const { tracker, sent } = tracked();
+
+  tracker.begin(a);
+  tracker.stop(-3);
+  tracker.stop(5);
+  tracker.complete(10);
+  tracker.begin(a);
+  await tracker.flush();
+
+  // Negative positions are clamped, and after a stop the same track starts afresh
+  assert.deepEqual(sent(), [
+    ['start', 'a', null],
+    ['skip', 'a', 0],
+    ['start', 'a', null],
+  ]);
+});
+
+test('events carry the playlist they were played from', async () => {
+  const { tracker, batches } = tracked();
+
+  tracker.begin(a, { playlistId: 'p1' });
+  tracker.begin(b);
+  await tracker.flush();
+
+  assert.deepEqual(batches[0].batch.map((event) => event.playlist_id), ['p1', 'p1', null]);
+  assert.ok(batches[0].batch.every((event) => !Number.isNaN(Date.parse(event.at))));
+});
+
+test('events are sent every 15 seconds, or as soon as 50 are pending', async () => {
+  const { tracker, batches } = tracked();
+
+  tracker.begin(a);
+  mock.timers.tick(14999);
+  assert.equal(batches.length, 0);
+  mock.timers.tick(1);
+  assert.equal(batches.length, 1);
+  await tracker.flush();
+
+  for (let i = 0; i < 25; i++) {
+    tracker.begin(a);
+    tracker.complete(1);
+  }
+  assert.equal(batches.length, 2);
+  assert.equal(batches[1].batch.length, 50);
+});
+
+test('a batch that fails to send is put back for the next try', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { tracker, sent } = tracked({ failures: 1 });
+
+  tracker.begin(a);
+  await tracker.flush();
+  tracker.begin(b);
+  await tracker.flush();
+
+  assert.deepEqual(sent(), [
+    ['start', 'a', null],
+    ['skip', 'a', 0],
+    ['start', 'b', null],
+  ]);
+});
+
+test('only one batch is in flight at a time', async () => {
+  const { tracker, batches } = tracked();
+
+  tracker.begin(a);
+  const first = tracker.flush();
+  tracker.begin(b);
+  assert.equal(tracker.flush(), first);
+  await first;
+
+  assert.equal(batches.length, 1);
+  await tracker.flush();
+  assert.equal(batches.length, 2);
+});
+
+test('destroy sends what is left with keepalive and stops the timer', async () => {
+  const { tracker, batches } = tracked();
+
+  tracker.begin(a);
+  tracker.destroy();
+  assert.deepEqual(batches.map(({ options }) => options), [{ keepalive: true }]);
+  await tracker.flush();
+
+  tracker.begin(b);
+  mock.timers.tick(60000);
+  assert.equal(batches.length, 1);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  EMPTY_QUEUE, createQueue, currentItem, nextIndex, previousIndex, jumpTo,
+  setShuffle, cycleRepeat, playNext, addToQueue, moveItem, removeItem,
+} from '../../client/src/queue.js';
+
+const tracks = (...ids) => ids.map((id) => ({ id, weight: 0.5 }));
+const ids = (queue) => queue.items.map((item) => item.track.id);
+
+test('createQueue keeps the order and starts at startIndex', () => {
+  const queue = createQueue(tracks('a', 'b', 'c'), { startIndex: 1 });
+  assert.deepEqual(ids(queue), ['a', 'b', 'c']);
+  assert.equal(currentItem(queue).track.id, 'b');
+});
+
+test('a shuffled queue starts with the chosen track and keeps every track', () => {
+  const queue = createQueue(tracks('a', 'b', 'c', 'd', 'e'), { startIndex: 3, shuffle: true });
+  assert.equal(queue.index, 0);
+  assert.equal(currentItem(queue).track.id, 'd');
+  assert.deepEqual([...ids(queue)].sort(), ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('every entry gets its own key, even for the same track twice', () => {
+  const track = { id: 'a' };
+  const queue = createQueue([track, track]);
+  assert.notEqual(queue.items[0].key, queue.items[1].key);
+});
+
+test('nextIndex stops at the end unless repeating all', () => {
+  const queue = createQueue(tracks('a', 'b'), { startIndex: 1 });
+  assert.equal(nextIndex(queue), null);
+  assert.equal(nextIndex({ ...queue, repeat: 'all' }), 0);
+  assert.equal(nextIndex({ ...queue, index: 0 }), 1);
+  assert.equal(nextIndex(EMPTY_QUEUE), null);
+});
+
+test('repeat-one only holds the track when it ends by itself', () => {
+  const queue = createQueue(tracks('a', 'b'), { repeat: 'one' });
+  assert.equal(nextIndex(queue, { auto: true }), 0);
+  assert.equal(nextIndex(queue), 1);
+});
+
+test('previousIndex stops at the start unless repeating', () => {
+  const queue = createQueue(tracks('a', 'b', 'c'));
+  assert.equal(previousIndex(queue), null);
+  assert.equal(previousIndex({ ...queue, repeat: 'all' }), 2);
+  assert.equal(previousIndex({ ...queue, index: 2 }), 1);
+});
+
+test('jumpTo ignores indexes outside the queue', () => {
+  const queue = createQueue(tracks('a', 'b'));
+  assert.equal(jumpTo(queue, 1).index, 1);
+  assert.equal(jumpTo(queue, 5), queue);
+  assert.equal(jumpTo(queue, null), queue);
+});
+
+test('cycleRepeat goes off, all, one and back', () => {
+  let queue = createQueue(tracks('a'));
+  const modes = [];
+  for (let i = 0; i < 3; i++) {
+    queue = cycleRepeat(queue);
+    modes.push(queue.repeat);
+  }
+  assert.deepEqual(modes, ['all', 'one', 'off']);
+});
+
+test('setShuffle leaves played entries alone and restores the order when turned off', () => {
+  const queue = createQueue(tracks('a', 'b', 'c', 'd', 'e', 'f'), { startIndex: 2 });
+
+  const shuffled = setShuffle(queue, true);
+  assert.deepEqual(ids(shuffled).slice(0, 3), ['a', 'b', 'c']);
+  assert.deepEqual([...ids(shuffled).slice(3)].sort(), ['d', 'e', 'f']);
+
+  assert.deepEqual(ids(setShuffle(shuffled, false)), ['a', 'b', 'c', 'd', 'e', 'f']);
+});
+
+test('playNext queues a track right after the current one, even after unshuffling', () => {
+  const queue = createQueue(tracks('a', 'b', 'c'));
+
+  const queued = playNext(queue, { id: 'x' });
+  assert.deepEqual(ids(queued), ['a', 'x', 'b', 'c']);
+
+  const reshuffled = setShuffle(setShuffle(queued, true), false);
+  assert.deepEqual(ids(reshuffled), ['a', 'x', 'b', 'c']);
+});
+
+test('playNext on an empty queue makes the track current', () => {
+  const queue = playNext(EMPTY_QUEUE, { id: 'x' });
+  assert.equal(currentItem(queue).track.id, 'x');
+});
+
+test('addToQueue appends at the end of the unshuffled order', () => {
+  const queue = addToQueue(createQueue(tracks('a', 'b')), { id: 'x' });
+  assert.deepEqual(ids(queue), ['a', 'b', 'x']);
+  assert.deepEqual(ids(setShuffle(setShuffle(queue, true), false)), ['a', 'b', 'x']);
+});
+
+test('moveItem keeps the current entry current wherever it goes', () => {
+  const queue = createQueue(tracks('a', 'b', 'c', 'd'), { startIndex: 1 });
+
+  const moved = moveItem(queue, 1, 3);
+  assert.deepEqual(ids(moved), ['a', 'c', 'd', 'b']);
+  assert.equal(currentItem(moved).track.id, 'b');
+
+  const other = moveItem(queue, 3, 0);
+  assert.deepEqual(ids(other), ['d', 'a', 'b', 'c']);
+  assert.equal(currentItem(other).track.id, 'b');
+});
+
+test('removeItem keeps the current entry and refuses to remove it', () => {
+  const queue = createQueue(tracks('a', 'b', 'c'), { startIndex: 1 });
+
+  const removed = removeItem(queue, 0);
+  assert.deepEqual(ids(removed), ['b', 'c']);
+  assert.equal(currentItem(removed).track.id, 'b');
+
+  assert.equal(removeItem(queue, 1), queue);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { uploadFile, UPLOAD_CHUNK_SIZE } from '../../client/src/uploader.js';
+import { parseUploadMetadata } from '../../lib/uploads.js';
+
+const json = (status, body, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+// An in-memory tus server for `request(path, options)`. `failPatch(call)`
+// may return a Response to send instead of handling the nth PATCH (from 1),
+// after storing `keep` bytes of its chunk.
+const fakeServer = ({ failPatch = () => null } = {}) => {
+  const uploads = new Map();
+  const calls = [];
+  let patches = 0;
+
+  const request = async (url, { method, headers = {}, body } = {}) => {
+    calls.push([method, url, headers['Upload-Offset'] ?? null]);
+    const [, id, action] = /^\/uploads(?:\/([^/?]+))?(?:\/(finalize))?/.exec(url);
+
+    if (method === 'POST' && !id) {
+      const upload = { id: `u${uploads.size + 1}`, size: Number(headers['Upload-Length']), metadata: parseUploadMetadata(headers['Upload-Metadata']), data: Buffer.alloc(0) };
+      uploads.set(upload.id, upload);
+      return json(201, { id: upload.id, offset: 0, size: upload.size });
+    }
+
+    const upload = uploads.get(id);
+    if (!upload) return json(404, { error: 'Upload not found' });
+
+    if (method === 'HEAD') return new Response(null, { status: 200, headers: { 'Upload-Offset': String(upload.data.length) } });
+
+    if (method === 'PATCH') {
+      patches += 1;
+      const chunk = Buffer.from(await body.arrayBuffer());
+      const failure = failPatch(patches);
+      if (failure) {
+        upload.data = Buffer.concat([upload.data, chunk.subarray(0, failure.keep ?? 0)]);
+        return failure.response;
+      }
+      if (Number(headers['Upload-Offset']) !== upload.data.length) {
+        return json(409, { error: `Upload-Offset must be ${upload.data.length}` });
+      }
+      upload.data = Buffer.concat([upload.data, chunk]);
+      return new Response(null, { status: 204, headers: { 'Upload-Offset': String(upload.data.length) } });
+    }
+
+    if (method === 'POST' && action === 'finalize') {
+      return json(201, { track: { id: 't1', original_name: upload.metadata.filename, size: upload.data.length } });
+    }
+    throw new Error(`Unexpected ${method} ${url}`);
+  };
+
+  return { request, uploads, calls };
+};
+
+const fileOf = (size, name = 'Café Tune.mp3') =>
+  new File([Buffer.alloc(size, 7)], name, { type: 'audio/mpeg' });
+
+test('a file is sent in chunks with its name and type as Upload-Metadata', async () => {
+  const server = fakeServer();
+  const progress = [];
+  const file = fileOf(UPLOAD_CHUNK_SIZE + 100);
+
+  const result = await uploadFile({ file, request: server.request, onProgress: ({ sent }) => progress.push(sent) });
+
+  assert.deepEqual(result, { track: { id: 't1', original_name: 'Café Tune.mp3', size: file.size } });
+  assert.deepEqual(server.uploads.get('u1').metadata, { filename: 'Café Tune.mp3', filetype: 'audio/mpeg' });
+  assert.deepEqual(progress, [0, UPLOAD_CHUNK_SIZE, file.size]);
+});
+
+test('after a 409 the client asks for the offset and carries on from there', async () => {
+  // The first chunk half arrives before the server answers with a conflict
+  const server = fakeServer({
+    failPatch: (call) => (call === 1 ? { keep: 40, response: json(409, { error: 'Upload-Offset must be 0' }) } : null)
+  });
+
+  const result = await uploadFile({ file: fileOf(100), request: server.request });
+
+  assert.equal(result.track.size, 100);
+  assert.deepEqual(server.calls.filter(([method]) => method !== 'POST'), [
+    ['PATCH', '/uploads/u1', '0'],
+    ['HEAD', '/uploads/u1', null],
+    ['PATCH', '/uploads/u1', '40']
+  ]);
+});
+
+test('a chunk refused for going past Upload-Length is not sent again', async () => {
+  const server = fakeServer({
+    failPatch: () => ({ response: json(413, { error: 'Chunk goes past the end of the upload' }) })
+  });
+
+  await assert.rejects(uploadFile({ file: fileOf(100), request: server.request }), {
+    status: 413,
+    message: 'Chunk goes past the end of the upload',
+    uploadId: 'u1'
+  });
+  assert.equal(server.calls.filter(([method]) => method === 'PATCH').length, 1);
+});
+
+test('a refused Upload-Metadata fails the upload before any bytes are sent', async () => {
+  const server = fakeServer();
+  const request = (url, options) => (options.method === 'POST' && url === '/uploads'
+    ? Promise.resolve(json(400, { error: 'Upload-Metadata must be comma-separated keys, each with a base64-encoded value' }))
+    : server.request(url, options));
+
+  await assert.rejects(uploadFile({ file: fileOf(100), request }), { status: 400, message: /Upload-Metadata/ });
+  assert.deepEqual(server.calls, []);
+});
+
+test('resuming an upload the server no longer has starts a new one', async () => {
+  const server = fakeServer();
+
+  const result = await uploadFile({ file: fileOf(100), uploadId: 'gone', request: server.request });
+
+  assert.equal(result.track.size, 100);
+  assert.deepEqual(server.calls.slice(0, 2), [['HEAD', '/uploads/gone', null], ['POST', '/uploads', null]]);
+});
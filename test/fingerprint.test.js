@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  contentHash, fingerprintFromBands, encodeFingerprint, decodeFingerprint, fingerprintSimilarity,
+  findNearDuplicates, NEAR_DUPLICATE_SIMILARITY
+} from '../lib/fingerprint.js';
+import { analyzeSignal } from '../lib/analysis.js';
+
+const SAMPLE_RATE = 22050;
+
+// Small seeded generator, so every run fingerprints the same audio
+const random = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) >>> 0;
+  return seed / 2 ** 32;
+};
+
+// `seconds` of a melody: a new pair of random tones every 120 ms
+const melody = (seed, seconds) => {
+  const next = random(seed);
+  const samples = new Float32Array(seconds * SAMPLE_RATE);
+  const noteLength = Math.round(0.12 * SAMPLE_RATE);
+  let tones = [];
+  for (let i = 0; i < samples.length; i++) {
+    if (i % noteLength === 0) tones = [300 + next() * 2700, 300 + next() * 2700];
+    samples[i] = 0.3 * (Math.sin((2 * Math.PI * tones[0] * i) / SAMPLE_RATE) + Math.sin((2 * Math.PI * tones[1] * i) / SAMPLE_RATE));
+  }
+  return samples;
+};
+
+// The same audio at another level, with a little noise and leading silence,
+// as a lossy re-encode would give it
+const reencode = (samples) => {
+  const next = random(99);
+  const silence = Math.round(0.02 * SAMPLE_RATE);
+  const out = new Float32Array(samples.length + silence);
+  samples.forEach((sample, i) => {
+    out[i + silence] = 0.6 * sample + 0.01 * (next() - 0.5);
+  });
+  return out;
+};
+
+const fingerprintOf = (samples) => analyzeSignal(samples, SAMPLE_RATE).fingerprint;
+
+test('contentHash is the SHA-256 of the bytes', () => {
+  assert.equal(contentHash(Buffer.from('abc')), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
+
+test('fingerprints survive an encode and decode round trip', () => {
+  const words = Uint32Array.from([0, 1, 0xffffffff, 0x80000000, 123456789]);
+  assert.deepEqual(decodeFingerprint(encodeFingerprint(words)), words);
+});
+
+test('fingerprintFromBands refuses short or uniform audio', () => {
+  const flat = Array.from({ length: 300 }, () => new Array(33).fill(1));
+  assert.equal(fingerprintFromBands(flat), null);
+  assert.equal(fingerprintFromBands(flat.slice(0, 100)), null);
+});
+
+test('a re-encoded recording is a near duplicate and another recording is not', () => {
+  const original = fingerprintOf(melody(1, 20));
+  const copy = fingerprintOf(reencode(melody(1, 20)));
+  const other = fingerprintOf(melody(2, 20));
+  assert.ok(original && copy && other);
+
+  assert.equal(fingerprintSimilarity(original, original), 1);
+  assert.ok(fingerprintSimilarity(original, copy) >= NEAR_DUPLICATE_SIMILARITY, 'copy should match');
+  assert.ok(fingerprintSimilarity(original, other) < NEAR_DUPLICATE_SIMILARITY, 'other should not match');
+});
+
+test('silence has no fingerprint', () => {
+  assert.equal(fingerprintOf(new Float32Array(20 * SAMPLE_RATE)), null);
+});
+
+test('findNearDuplicates keeps close matches of a similar length, best first', () => {
+  const fingerprint = fingerprintOf(melody(1, 20));
+  const candidates = [
+    { track_id: 'other', duration: 20, fingerprint: encodeFingerprint(fingerprintOf(melody(2, 20))) },
+    { track_id: 'copy', duration: 20.02, fingerprint: encodeFingerprint(fingerprintOf(reencode(melody(1, 20)))) },
+    { track_id: 'same', duration: 20, fingerprint: encodeFingerprint(fingerprint) },
+    { track_id: 'longer', duration: 200, fingerprint: encodeFingerprint(fingerprint) }
+  ];
+
+  const matches = findNearDuplicates({ fingerprint, duration: 20 }, candidates);
+
+  assert.deepEqual(matches.map((match) => match.track_id), ['same', 'copy']);
+  assert.equal(matches[0].similarity, 1);
+});
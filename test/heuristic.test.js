@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tokenize, profileForMood, moodClustersFor, scoreTracksForMood, selectTracksHeuristically, MOOD_CLUSTERS
+} from '../lib/ai/heuristic.js';
+
+const LIBRARY = [
+  { id: 'run', title: 'Sprint', energy: 0.9, bpm: 140, brightness: 0.5, musical_key: 'A major', genre: 'Techno' },
+  { id: 'club', title: 'Late Set', energy: 0.8, bpm: 128, brightness: 0.55, musical_key: 'F major', genre: 'House' },
+  { id: 'fast', title: 'Hype', energy: 0.85, bpm: 65, brightness: 0.45, genre: 'Electronic' },
+  { id: 'drift', title: 'Drift', energy: 0.2, bpm: 70, brightness: 0.15, musical_key: 'D minor', genre: 'Ambient' },
+  { id: 'piano', title: 'Nocturne', energy: 0.25, bpm: 80, brightness: 0.2, genre: 'Classical' },
+  { id: 'rain', title: 'Rain on Glass', energy: 0.3, bpm: 75, brightness: 0.25, musical_key: 'E minor', genre: 'Folk' },
+  { id: 'blank', original_name: 'track01.mp3' }
+];
+
+test('tokenize keeps words, ampersands, apostrophes and hyphens', () => {
+  assert.deepEqual(tokenize("Drum & Bass, feel-good rock'n'roll!"), ['drum', '&', 'bass', 'feel-good', "rock'n'roll"]);
+  assert.deepEqual(tokenize(null), []);
+  assert.deepEqual(tokenize('?!'), []);
+});
+
+test('a mood takes the profile of its keywords, or the balanced one', () => {
+  const workout = profileForMood('Gym WORKOUT');
+  assert.equal(workout.label, 'energetic');
+  assert.deepEqual(workout.bpm, [120, 150]);
+  assert.equal(workout.mode, 'major');
+
+  // Keywords match whole words only
+  assert.equal(profileForMood('running late').label, 'energetic');
+  assert.equal(profileForMood('rerun').label, 'balanced');
+  assert.equal(profileForMood('').label, 'balanced');
+});
+
+test('moods with several keyword groups blend their profiles', () => {
+  const profile = profileForMood('rainy study session');
+
+  assert.equal(profile.label, 'focused + sad');
+  assert.equal(profile.energy, (0.4 + 0.3) / 2);
+  assert.deepEqual(profile.bpm, [70, 105]);
+  assert.equal(profile.mode, 'minor');
+  assert.ok(profile.genres.includes('lo-fi') && profile.genres.includes('blues'));
+
+  // Profiles that disagree on the mode leave it open
+  assert.equal(profileForMood('happy but sad').mode, null);
+
+  assert.deepEqual(moodClustersFor('rainy study session'), ['focused', 'sad']);
+  assert.deepEqual(moodClustersFor('anything'), ['balanced']);
+  assert.ok(moodClustersFor('happy rage').every((cluster) => MOOD_CLUSTERS.includes(cluster)));
+});
+
+test('tracks are scored against the mood, best first', () => {
+  const { profile, scored } = scoreTracksForMood('workout', LIBRARY);
+
+  assert.equal(profile.label, 'energetic');
+  assert.deepEqual(scored.slice(0, 3).map(({ track }) => track.id).sort(), ['club', 'fast', 'run']);
+  assert.deepEqual(scored.slice(-3).map(({ track }) => track.id).sort(), ['drift', 'piano', 'rain']);
+
+  // A half-time tempo reading counts as the same groove
+  const fast = scored.find(({ track }) => track.id === 'fast');
+  assert.ok(fast.reasons.includes('65 BPM'));
+
+  // Tracks with no features sit in the middle
+  assert.equal(scored.find(({ track }) => track.id === 'blank').score, 0.5);
+});
+
+test('mood words in a track name raise its score', () => {
+  const { scored } = scoreTracksForMood('rain', LIBRARY);
+  const rain = scored.find(({ track }) => track.id === 'rain');
+
+  assert.equal(scored[0].track.id, 'rain');
+  assert.ok(rain.reasons.includes('name mentions "rain"'));
+});
+
+test('equal scores are ordered by id so results repeat', () => {
+  const tracks = ['c', 'a', 'b'].map((id) => ({ id }));
+  assert.deepEqual(scoreTracksForMood('calm', tracks).scored.map(({ track }) => track.id), ['a', 'b', 'c']);
+});
+
+test('the selection has a third of the library, between 3 and 6 tracks', () => {
+  const many = Array.from({ length: 30 }, (_, i) => ({ id: `t${i}`, energy: i / 30 }));
+
+  assert.equal(selectTracksHeuristically({ mood: 'calm', tracks: LIBRARY }).tracks.length, 3);
+  assert.equal(selectTracksHeuristically({ mood: 'calm', tracks: many.slice(0, 15) }).tracks.length, 5);
+  assert.equal(selectTracksHeuristically({ mood: 'calm', tracks: many }).tracks.length, 6);
+  assert.equal(selectTracksHeuristically({ mood: 'calm', tracks: many, count: 2 }).tracks.length, 2);
+  assert.equal(selectTracksHeuristically({ mood: 'calm', tracks: many.slice(0, 2) }).tracks.length, 2);
+  assert.deepEqual(selectTracksHeuristically({ mood: 'calm', tracks: [] }).tracks, []);
+});
+
+test('picks open with the best match and then follow the closest tempo and energy', () => {
+  // Best match first: a, b, c, d
+  const tracks = [
+    { id: 'a', energy: 0.85, bpm: 135 },
+    { id: 'b', energy: 0.85, bpm: 105 },
+    { id: 'c', energy: 0.6, bpm: 135 },
+    { id: 'd', energy: 0.5, bpm: 100 }
+  ];
+
+  const { scored } = scoreTracksForMood('workout', tracks);
+  assert.deepEqual(scored.map(({ track }) => track.id), ['a', 'b', 'c', 'd']);
+
+  const { tracks: picks } = selectTracksHeuristically({ mood: 'workout', tracks, count: 4 });
+
+  assert.deepEqual(picks.map(({ id }) => id), ['a', 'c', 'd', 'b']);
+  for (const { weight, reason } of picks) {
+    assert.ok(weight >= 0 && weight <= 1);
+    assert.match(reason, /energetic mood/);
+  }
+  assert.equal(picks[0].reason, 'Fits the energetic mood: energy 0.85, 135 BPM');
+});
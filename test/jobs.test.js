@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobQueue } from '../lib/jobs/queue.js';
+import { createMemoryJobStore } from '../lib/jobs/memory.js';
+
+const createQueue = (options = {}) =>
+  createJobQueue(createMemoryJobStore(), { backoffMs: 10, pollMs: 10, ...options });
+
+// Poll until the job reaches a finished status
+const settled = async (queue, id) => {
+  for (let i = 0; i < 200; i++) {
+    const job = await queue.get(id);
+    if (job.status === 'completed' || job.status === 'failed') return job;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${id} did not finish`);
+};
+
+test('a queued job runs and keeps its handler result', async () => {
+  const queue = createQueue();
+  const job = await queue.enqueue('double', { value: 21 }, { workspaceId: 'w1' });
+  assert.equal(job.status, 'queued');
+
+  const stop = queue.work({ double: async ({ data }) => ({ value: data.value * 2 }) });
+  const done = await settled(queue, job.id);
+  await stop();
+
+  assert.equal(done.status, 'completed');
+  assert.deepEqual(done.result, { value: 42 });
+  assert.equal(done.attempts, 1);
+  assert.ok(done.finished_at);
+});
+
+test('a failed attempt runs again after a backoff', async () => {
+  const queue = createQueue();
+  let calls = 0;
+  const job = await queue.enqueue('flaky', {});
+
+  const stop = queue.work({
+    flaky: async () => {
+      calls += 1;
+      if (calls < 3) throw new Error(`attempt ${calls} failed`);
+      return 'ok';
+    }
+  });
+  const done = await settled(queue, job.id);
+  await stop();
+
+  assert.equal(done.status, 'completed');
+  assert.equal(done.attempts, 3);
+  assert.equal(done.error, null);
+  assert.equal(done.result, 'ok');
+});
+
+test('a job fails once every attempt has, and retry() runs it again from scratch', async () => {
+  const queue = createQueue();
+  let broken = true;
+  const job = await queue.enqueue('fragile', {}, { attempts: 2 });
+
+  const stop = queue.work({
+    fragile: async () => {
+      if (broken) throw new Error('still broken');
+      return 'fixed';
+    }
+  });
+  const failed = await settled(queue, job.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts, 2);
+  assert.equal(failed.error, 'still broken');
+
+  broken = false;
+  const retried = await queue.retry(job.id);
+  assert.equal(retried.status, 'queued');
+  assert.equal(retried.attempts, 0);
+  const done = await settled(queue, job.id);
+  await stop();
+
+  assert.equal(done.status, 'completed');
+  assert.equal(done.attempts, 1);
+  assert.equal(await queue.retry(job.id), null);
+});
+
+test('a job without a handler fails', async () => {
+  const queue = createQueue();
+  const job = await queue.enqueue('unknown', {}, { attempts: 1 });
+
+  const stop = queue.work({});
+  const done = await settled(queue, job.id);
+  await stop();
+
+  assert.equal(done.status, 'failed');
+  assert.match(done.error, /No handler for job type "unknown"/);
+});
+
+test('list() returns a workspace\'s jobs newest first, optionally by status', async () => {
+  const queue = createQueue();
+  const first = await queue.enqueue('a', {}, { workspaceId: 'w1' });
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const second = await queue.enqueue('b', {}, { workspaceId: 'w1' });
+  await queue.enqueue('c', {}, { workspaceId: 'w2' });
+
+  assert.deepEqual((await queue.list('w1')).map((job) => job.id), [second.id, first.id]);
+  assert.deepEqual((await queue.list('w1', { limit: 1 })).map((job) => job.id), [second.id]);
+  assert.deepEqual(await queue.list('w1', { status: 'failed' }), []);
+});
+
+test('stop() lets the job in hand finish', async () => {
+  const queue = createQueue();
+  let onStart;
+  const started = new Promise((resolve) => {
+    onStart = resolve;
+  });
+  const job = await queue.enqueue('slow', {});
+
+  let release;
+  const stop = queue.work({
+    slow: () => new Promise((resolve) => {
+      release = resolve;
+      onStart();
+    })
+  });
+  await started;
+  const stopped = stop();
+  release('done');
+  await stopped;
+
+  assert.equal((await queue.get(job.id)).status, 'completed');
+});
+
+test('the memory store hands a lapsed lease to the next claim', async () => {
+  const store = createMemoryJobStore();
+  await store.push('job-1', Date.now());
+
+  assert.equal(await store.claim(1), 'job-1');
+  assert.equal(await store.claim(1000), null);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal(await store.claim(1000), 'job-1');
+});
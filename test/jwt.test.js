@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import crypto from 'node:crypto';
+import assert from 'node:assert/strict';
+import { signToken, verifyToken } from '../lib/auth/jwt.js';
+import { createSupabaseAuth } from '../lib/auth/supabase.js';
+
+const SECRET = 'test-secret';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// A token with any header and claims, HMAC-signed with the right secret, or
+// left unsigned
+const forge = (header, claims, { signed = true } = {}) => {
+  const data = `${encode(header)}.${encode(claims)}`;
+  return signed ? `${data}.${crypto.createHmac('sha256', SECRET).update(data).digest('base64url')}` : `${data}.`;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test('verifyToken returns the claims of a token it signed', () => {
+  const claims = verifyToken(signToken({ sub: 'user-1', email: 'a@example.com' }, SECRET, { expiresIn: 60 }), SECRET);
+  assert.equal(claims.sub, 'user-1');
+  assert.equal(claims.email, 'a@example.com');
+  assert.equal(claims.exp - claims.iat, 60);
+});
+
+test('verifyToken rejects a token signed with another secret', () => {
+  assert.equal(verifyToken(signToken({ sub: 'user-1' }, 'other-secret', { expiresIn: 60 }), SECRET), null);
+});
+
+test('verifyToken rejects a token whose claims were changed after signing', () => {
+  const [header, , signature] = signToken({ sub: 'user-1' }, SECRET, { expiresIn: 60 }).split('.');
+  const tampered = `${header}.${encode({ sub: 'user-2', exp: now() + 60 })}.${signature}`;
+  assert.equal(verifyToken(tampered, SECRET), null);
+});
+
+test('verifyToken rejects unsigned and non-HS256 tokens', () => {
+  assert.equal(verifyToken(forge({ alg: 'none', typ: 'JWT' }, { sub: 'user-1' }, { signed: false }), SECRET), null);
+  assert.equal(verifyToken(forge({ alg: 'none', typ: 'JWT' }, { sub: 'user-1' }), SECRET), null);
+  assert.equal(verifyToken(forge({ alg: 'RS256', typ: 'JWT' }, { sub: 'user-1' }), SECRET), null);
+});
+
+test('verifyToken rejects expired and not-yet-valid tokens', () => {
+  assert.equal(verifyToken(signToken({ sub: 'user-1' }, SECRET, { expiresIn: -1 }), SECRET), null);
+  assert.equal(verifyToken(signToken({ sub: 'user-1', nbf: now() + 60 }, SECRET, { expiresIn: 120 }), SECRET), null);
+});
+
+test('verifyToken rejects malformed tokens', () => {
+  assert.equal(verifyToken('', SECRET), null);
+  assert.equal(verifyToken('a.b', SECRET), null);
+  assert.equal(verifyToken('not.a.token', SECRET), null);
+});
+
+test('Supabase tokens verified with the JWT secret must be user tokens for the authenticated audience', async () => {
+  const auth = createSupabaseAuth({ jwtSecret: SECRET });
+  const token = (claims) => signToken(claims, SECRET, { expiresIn: 60 });
+
+  assert.deepEqual(await auth.verify(token({ sub: 'user-1', email: 'a@example.com', aud: 'authenticated' })), {
+    id: 'user-1',
+    email: 'a@example.com'
+  });
+  assert.equal(await auth.verify(token({ sub: 'user-1', aud: 'anon' })), null);
+  assert.equal(await auth.verify(token({ sub: 'user-1' })), null);
+  // The anon and service keys carry a role but no subject
+  assert.equal(await auth.verify(token({ role: 'service_role', aud: 'authenticated' })), null);
+  assert.equal(await auth.verify(signToken({ sub: 'user-1', aud: 'authenticated' }, 'other-secret', { expiresIn: 60 })), null);
+});
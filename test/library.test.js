@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { searchWords, parseTrackQuery, parsePlaylistQuery, pageResponse } from '../lib/library.js';
+import { createSqliteRepository } from '../lib/db/sqlite.js';
+
+test('searchWords lowercases, splits on punctuation and drops repeats', () => {
+  assert.deepEqual(searchWords('Café del Mar — café, DEL!'), ['café', 'del', 'mar']);
+  assert.deepEqual(searchWords(undefined), []);
+  assert.equal(searchWords('a b c d e f g h i j k l').length, 10);
+});
+
+test('parseTrackQuery fills in defaults', () => {
+  const { options } = parseTrackQuery({});
+  assert.deepEqual(options, {
+    words: [],
+    sort: 'uploaded',
+    ascending: false,
+    sortKey: 'uploaded:desc',
+    after: null,
+    limit: 50,
+    filters: {
+      durationMin: null,
+      durationMax: null,
+      bpmMin: null,
+      bpmMax: null,
+      key: null,
+      genre: null,
+      uploadedAfter: null,
+      uploadedBefore: null,
+      neverSelected: false
+    }
+  });
+});
+
+test('parseTrackQuery reads filters', () => {
+  const { options } = parseTrackQuery({
+    q: 'night drive', sort: 'bpm', order: 'asc', limit: '5',
+    bpm_min: '120', duration_max: '300', key: ' A minor ', genre: 'house',
+    uploaded_after: '2024-01-01', never_selected: 'true'
+  });
+  assert.deepEqual(options.words, ['night', 'drive']);
+  assert.equal(options.sortKey, 'bpm:asc');
+  assert.equal(options.limit, 5);
+  assert.equal(options.filters.bpmMin, 120);
+  assert.equal(options.filters.durationMax, 300);
+  assert.equal(options.filters.key, 'A minor');
+  assert.equal(options.filters.uploadedAfter, '2024-01-01T00:00:00.000Z');
+  assert.equal(options.filters.neverSelected, true);
+});
+
+test('parseTrackQuery rejects bad sorts, limits, numbers, dates and cursors', () => {
+  assert.match(parseTrackQuery({ sort: 'size' }).error, /sort must be one of/);
+  assert.match(parseTrackQuery({ order: 'up' }).error, /order must be asc or desc/);
+  assert.match(parseTrackQuery({ limit: '201' }).error, /limit must be/);
+  assert.match(parseTrackQuery({ bpm_min: '-1' }).error, /bpm_min must be a number/);
+  assert.match(parseTrackQuery({ uploaded_before: 'yesterday' }).error, /uploaded_before must be a date/);
+  assert.match(parseTrackQuery({ cursor: 'garbage' }).error, /cursor is invalid/);
+});
+
+test('a cursor only continues the sort order it was made for', () => {
+  const { options } = parseTrackQuery({ sort: 'title', order: 'asc' });
+  const { next_cursor: cursor } = pageResponse('tracks', { items: [], total: 1, next: { value: 'm', id: 't1' } }, options);
+
+  assert.deepEqual(parseTrackQuery({ sort: 'title', order: 'asc', cursor }).options.after, { value: 'm', id: 't1' });
+  assert.match(parseTrackQuery({ sort: 'title', order: 'desc', cursor }).error, /another sort order/);
+});
+
+test('parsePlaylistQuery checks the source', () => {
+  assert.equal(parsePlaylistQuery({ source: 'import' }).options.filters.source, 'import');
+  assert.equal(parsePlaylistQuery({}).options.limit, 20);
+  assert.match(parsePlaylistQuery({ source: 'radio' }).error, /source must be one of/);
+});
+
+test('pages of a SQLite search follow each other without gaps or repeats', async () => {
+  const db = createSqliteRepository({ filename: ':memory:' });
+  const workspace = await db.workspaces.createWithOwner({ name: 'Test', user_id: 'user-1', email: 'a@example.com' });
+  const bpms = [128, 90, null, 128, 140, 100, null];
+  for (const [i, bpm] of bpms.entries()) {
+    await db.tracks.create({
+      workspace_id: workspace.id,
+      filename: `${i}.mp3`,
+      original_name: `${i}.mp3`,
+      storage_path: `music/${i}.mp3`,
+      title: i % 2 ? `Night Drive ${i}` : `Morning ${i}`,
+      bpm
+    });
+  }
+
+  const pages = [];
+  let cursor;
+  do {
+    const { options } = parseTrackQuery({ sort: 'bpm', order: 'asc', limit: '2', ...(cursor && { cursor }) });
+    const page = pageResponse('tracks', await db.tracks.search(workspace.id, options), options);
+    pages.push(page);
+    cursor = page.next_cursor;
+  } while (cursor);
+
+  assert.equal(pages[0].total, 7);
+  assert.equal(pages[1].total, null);
+  assert.deepEqual(pages.flatMap((page) => page.tracks.map((track) => track.bpm)), [90, 100, 128, 128, 140, null, null]);
+  assert.equal(new Set(pages.flatMap((page) => page.tracks.map((track) => track.id))).size, 7);
+
+  const { options } = parseTrackQuery({ q: 'nig', bpm_min: '100' });
+  const found = await db.tracks.search(workspace.id, options);
+  assert.deepEqual(found.items.map((track) => track.title).sort(), ['Night Drive 3', 'Night Drive 5']);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoudnessMeter, albumLoudness } from '../lib/loudness.js';
+
+const SAMPLE_RATE = 48000;
+
+const sine = ({ seconds, frequency, amplitude, phase = 0 }) =>
+  Float32Array.from({ length: seconds * SAMPLE_RATE }, (_, i) =>
+    amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE + phase));
+
+// Measure planar channels, pushed in chunks as a decoder would
+const measure = (channels, chunk = 4096) => {
+  const meter = new LoudnessMeter(SAMPLE_RATE);
+  for (let start = 0; start < channels[0].length; start += chunk) {
+    const parts = channels.map((data) => data.subarray(start, start + chunk));
+    meter.push(parts, parts[0].length);
+  }
+  return meter;
+};
+
+const near = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+
+test('a -23 dBFS stereo 1 kHz sine measures -23 LUFS (EBU Tech 3341 case 1)', () => {
+  const tone = sine({ seconds: 5, frequency: 1000, amplitude: 10 ** (-23 / 20) });
+  const meter = measure([tone, tone]);
+  near(meter.integrated, -23, 0.1, 'integrated loudness');
+  near(meter.truePeak, -23, 0.1, 'true peak');
+});
+
+test('the relative gate ignores quiet passages', () => {
+  const loud = sine({ seconds: 10, frequency: 1000, amplitude: 10 ** (-20 / 20) });
+  const quiet = sine({ seconds: 10, frequency: 1000, amplitude: 10 ** (-50 / 20) });
+  const both = new Float32Array(loud.length + quiet.length);
+  both.set(loud);
+  both.set(quiet, loud.length);
+
+  near(measure([both, both]).integrated, -20, 0.1, 'integrated loudness');
+});
+
+test('the true peak catches overs between samples', () => {
+  // At a quarter of the sample rate and 45° out of phase, every sample lands
+  // 3 dB below the crest of the wave
+  const tone = sine({ seconds: 1, frequency: SAMPLE_RATE / 4, amplitude: 0.5, phase: Math.PI / 4 });
+  const samplePeak = 20 * Math.log10(Math.max(...tone.map(Math.abs)));
+
+  near(samplePeak, -9.03, 0.01, 'sample peak');
+  near(measure([tone]).truePeak, -6.02, 0.5, 'true peak');
+});
+
+test('silence and audio under 400 ms have no loudness', () => {
+  assert.equal(measure([new Float32Array(SAMPLE_RATE)]).integrated, null);
+  assert.equal(measure([new Float32Array(SAMPLE_RATE)]).truePeak, null);
+  assert.equal(measure([sine({ seconds: 0.3, frequency: 1000, amplitude: 0.5 })]).integrated, null);
+});
+
+test('albumLoudness averages energy by duration and keeps the highest peak', () => {
+  const album = albumLoudness([
+    { duration: 100, integrated_loudness: -10, true_peak: -0.5 },
+    { duration: 300, integrated_loudness: -20, true_peak: -3 },
+    { duration: 50, integrated_loudness: null, true_peak: 0 }
+  ]);
+  // 10 * log10((100 * 10^-1 + 300 * 10^-2) / 400) = -14.88
+  assert.deepEqual(album, { album_loudness: -14.88, album_peak: -0.5 });
+
+  assert.deepEqual(albumLoudness([{ duration: 60, integrated_loudness: null }]), { album_loudness: null, album_peak: null });
+});
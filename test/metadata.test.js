@@ -0,0 +1,183 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractMetadata } from '../lib/metadata.js';
+
+const syncsafe = (n) => Buffer.from([(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f]);
+
+const uint32BE = (n) => {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(n);
+  return buf;
+};
+
+const uint32LE = (n) => {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(n);
+  return buf;
+};
+
+// An ID3v2 tag of `version` (3 or 4) with text frames { TIT2: 'Title', ... }
+// in `encoding` (0 latin1, 1 UTF-16 with BOM, 3 UTF-8)
+const id3v2 = (frames, { version = 3, encoding = 0 } = {}) => {
+  const encode = (text) => {
+    if (encoding === 1) return Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+    return Buffer.from(text, encoding === 3 ? 'utf8' : 'latin1');
+  };
+  const body = Buffer.concat(Object.entries(frames).map(([id, text]) => {
+    const data = Buffer.concat([Buffer.from([encoding]), encode(text)]);
+    const size = version === 4 ? syncsafe(data.length) : uint32BE(data.length);
+    return Buffer.concat([Buffer.from(id, 'latin1'), size, Buffer.alloc(2), data]);
+  }));
+  return Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([version, 0, 0]), syncsafe(body.length), body]);
+};
+
+const id3v1 = ({ title = '', artist = '', album = '', year = '', track = 0, genre = 255 }) => {
+  const field = (text, length) => {
+    const buf = Buffer.alloc(length);
+    buf.write(text, 'latin1');
+    return buf;
+  };
+  return Buffer.concat([
+    Buffer.from('TAG', 'latin1'),
+    field(title, 30), field(artist, 30), field(album, 30), field(year, 4),
+    field('', 28), Buffer.from([0, track, genre])
+  ]);
+};
+
+// `count` silent MPEG-1 Layer III frames at 128 kbps and 44.1 kHz, stereo
+const FRAME_LENGTH = 417;
+const mp3Frames = (count) => Buffer.concat(Array.from({ length: count }, () => {
+  const frame = Buffer.alloc(FRAME_LENGTH);
+  frame.set([0xff, 0xfb, 0x90, 0x00]);
+  return frame;
+}));
+
+const riffChunk = (id, body) => {
+  const padding = body.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0);
+  return Buffer.concat([Buffer.from(id, 'latin1'), uint32LE(body.length), body, padding]);
+};
+
+// A 16-bit PCM WAV file of `seconds` of silence, with RIFF INFO `tags`
+const wav = ({ seconds, sampleRate = 8000, channels = 1, tags = {} }) => {
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(1, 0);
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * channels * 2, 8);
+  fmt.writeUInt16LE(channels * 2, 12);
+  fmt.writeUInt16LE(16, 14);
+
+  const info = Buffer.concat([
+    Buffer.from('INFO', 'latin1'),
+    ...Object.entries(tags).map(([id, text]) => riffChunk(id, Buffer.from(`${text}\0`)))
+  ]);
+  const chunks = Buffer.concat([
+    riffChunk('fmt ', fmt),
+    riffChunk('LIST', info),
+    riffChunk('data', Buffer.alloc(Math.round(seconds * sampleRate) * channels * 2))
+  ]);
+  return Buffer.concat([Buffer.from('RIFF', 'latin1'), uint32LE(chunks.length + 4), Buffer.from('WAVE', 'latin1'), chunks]);
+};
+
+// A FLAC header with STREAMINFO for `samples` at `sampleRate` and a Vorbis
+// comment block
+const flac = ({ samples, sampleRate, comments }) => {
+  const streamInfo = Buffer.alloc(34);
+  streamInfo[10] = (sampleRate >> 12) & 0xff;
+  streamInfo[11] = (sampleRate >> 4) & 0xff;
+  streamInfo[12] = (sampleRate & 0x0f) << 4;
+  streamInfo.writeUInt32BE(samples, 14);
+
+  const vendor = Buffer.from('test');
+  const entries = comments.map((comment) => Buffer.from(comment));
+  const vorbis = Buffer.concat([
+    uint32LE(vendor.length), vendor, uint32LE(entries.length),
+    ...entries.flatMap((entry) => [uint32LE(entry.length), entry])
+  ]);
+
+  const block = (type, body, last) => {
+    const header = Buffer.alloc(4);
+    header[0] = (last ? 0x80 : 0) | type;
+    header.writeUIntBE(body.length, 1, 3);
+    return Buffer.concat([header, body]);
+  };
+  return Buffer.concat([Buffer.from('fLaC', 'latin1'), block(0, streamInfo, false), block(4, vorbis, true)]);
+};
+
+test('extractMetadata reads ID3v2.3 tags and adds up MP3 frames for the duration', () => {
+  const file = Buffer.concat([
+    id3v2({ TIT2: 'Night Drive', TPE1: 'The Examples', TALB: 'Roads', TYER: '1999', TCON: '(17)', TRCK: '3/12' }),
+    mp3Frames(10)
+  ]);
+
+  const metadata = extractMetadata(file, 'night.mp3');
+
+  assert.deepEqual({ ...metadata, duration: undefined }, {
+    title: 'Night Drive',
+    artist: 'The Examples',
+    album: 'Roads',
+    year: 1999,
+    genre: 'Rock',
+    track_number: 3,
+    duration: undefined
+  });
+  assert.ok(Math.abs(metadata.duration - (10 * 1152) / 44100) < 1e-9);
+});
+
+test('extractMetadata decodes UTF-16 and UTF-8 ID3v2 text', () => {
+  const utf16 = extractMetadata(Buffer.concat([id3v2({ TIT2: 'Café Ünïcode' }, { encoding: 1 }), mp3Frames(2)]), 'a.mp3');
+  assert.equal(utf16.title, 'Café Ünïcode');
+
+  const utf8 = extractMetadata(Buffer.concat([id3v2({ TPE1: 'Ærøskøbing' }, { version: 4, encoding: 3 }), mp3Frames(2)]), 'a.mp3');
+  assert.equal(utf8.artist, 'Ærøskøbing');
+});
+
+test('extractMetadata falls back to ID3v1 for fields ID3v2 lacks', () => {
+  const file = Buffer.concat([
+    id3v2({ TIT2: 'From ID3v2' }),
+    mp3Frames(4),
+    id3v1({ title: 'From ID3v1', artist: 'Old Tagger', year: '1987', track: 7, genre: 8 })
+  ]);
+
+  const metadata = extractMetadata(file, 'a.mp3');
+
+  assert.equal(metadata.title, 'From ID3v2');
+  assert.equal(metadata.artist, 'Old Tagger');
+  assert.equal(metadata.year, 1987);
+  assert.equal(metadata.track_number, 7);
+  assert.equal(metadata.genre, 'Jazz');
+});
+
+test('extractMetadata reads WAV duration and RIFF INFO tags', () => {
+  const file = wav({ seconds: 1.5, tags: { INAM: 'Field Recording', IART: 'Someone', ICRD: '2021-05-01', ITRK: '2' } });
+
+  const metadata = extractMetadata(file, 'field.wav');
+
+  assert.equal(metadata.duration, 1.5);
+  assert.equal(metadata.title, 'Field Recording');
+  assert.equal(metadata.artist, 'Someone');
+  assert.equal(metadata.year, 2021);
+  assert.equal(metadata.track_number, 2);
+});
+
+test('extractMetadata reads FLAC STREAMINFO and Vorbis comments', () => {
+  const file = flac({
+    samples: 44100 * 3,
+    sampleRate: 44100,
+    comments: ['TITLE=Lossless', 'artist=Lower Case Key', 'DATE=2015', 'TRACKNUMBER=4']
+  });
+
+  const metadata = extractMetadata(file, 'song.flac');
+
+  assert.equal(metadata.duration, 3);
+  assert.equal(metadata.title, 'Lossless');
+  assert.equal(metadata.artist, 'Lower Case Key');
+  assert.equal(metadata.year, 2015);
+  assert.equal(metadata.track_number, 4);
+});
+
+test('extractMetadata returns every field null for unreadable files', () => {
+  const empty = { title: null, artist: null, album: null, year: null, genre: null, track_number: null, duration: null };
+  assert.deepEqual(extractMetadata(Buffer.from('definitely not audio'), 'notes.txt'), empty);
+  assert.deepEqual(extractMetadata(Buffer.alloc(0), 'empty.mp3'), empty);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writePlaylist, readPlaylist, detectPlaylistFormat, matchEntries } from '../lib/playlistFormats.js';
+
+const playlist = {
+  title: 'Late & Loud',
+  annotation: 'For <night> drives',
+  entries: [
+    {
+      location: 'https://dj.example.com/api/tracks/stream/t1?share=abc',
+      title: 'Night Drive',
+      artist: 'The Examples',
+      album: 'Roads',
+      track_number: 3,
+      duration: 215
+    },
+    { location: 'music/02 - untagged.mp3', title: 'untagged', artist: null, album: null, track_number: null, duration: null }
+  ]
+};
+
+for (const format of ['xspf', 'jspf']) {
+  test(`${format.toUpperCase()} reads back what it writes`, () => {
+    assert.deepEqual(readPlaylist(writePlaylist(format, playlist), format), playlist);
+  });
+}
+
+test('M3U8 reads back locations, labels, albums and durations', () => {
+  const read = readPlaylist(writePlaylist('m3u8', playlist), 'm3u8');
+
+  assert.equal(read.title, 'Late & Loud');
+  assert.deepEqual(read.entries[0], { ...playlist.entries[0], track_number: null });
+  assert.deepEqual(read.entries[1], playlist.entries[1]);
+});
+
+test('M3U8 keeps line breaks out of its fields', () => {
+  const text = writePlaylist('m3u8', {
+    title: 'Two\nlines',
+    entries: [{ location: 'a.mp3', title: 'Bad\r\ntitle', artist: null, album: null, duration: 1 }]
+  });
+  assert.deepEqual(text.split('\n'), ['#EXTM3U', '#PLAYLIST:Two lines', '#EXTINF:1,Bad title', 'a.mp3', '']);
+});
+
+test('readPlaylist reads plain M3U with a byte order mark and #EXTART', () => {
+  const read = readPlaylist('\uFEFF#EXTM3U\r\n#EXTINF:-1,Just a title\r\n#EXTART:Someone\r\nsong.mp3\r\nother.mp3\r\n', 'm3u8');
+  assert.deepEqual(read.entries.map(({ location, title, artist, duration }) => ({ location, title, artist, duration })), [
+    { location: 'song.mp3', title: 'Just a title', artist: 'Someone', duration: null },
+    { location: 'other.mp3', title: null, artist: null, duration: null }
+  ]);
+});
+
+test('readPlaylist reads XSPF with a namespace prefix and CDATA', () => {
+  const xml = `<?xml version="1.0"?>
+<x:playlist xmlns:x="http://xspf.org/ns/0/" version="1">
+  <x:title><![CDATA[Mixed & matched]]></x:title>
+  <x:trackList>
+    <x:track><x:location>file:///a.flac</x:location><x:title>A &#233;t&#xE9;</x:title><x:duration>1500</x:duration></x:track>
+  </x:trackList>
+</x:playlist>`;
+  const read = readPlaylist(xml, 'xspf');
+  assert.equal(read.title, 'Mixed & matched');
+  assert.equal(read.entries[0].title, 'A été');
+  assert.equal(read.entries[0].duration, 1.5);
+});
+
+test('readPlaylist explains malformed files', () => {
+  assert.throws(() => readPlaylist('{ not json', 'jspf'), /Could not read JSPF playlist/);
+});
+
+test('detectPlaylistFormat goes by extension, then by content', () => {
+  assert.equal(detectPlaylistFormat('', 'list.m3u'), 'm3u8');
+  assert.equal(detectPlaylistFormat('', 'list.XSPF'), 'xspf');
+  assert.equal(detectPlaylistFormat('', 'list.json'), 'jspf');
+  assert.equal(detectPlaylistFormat('  {"playlist":{}}', 'upload'), 'jspf');
+  assert.equal(detectPlaylistFormat('<playlist/>', 'upload'), 'xspf');
+  assert.equal(detectPlaylistFormat('song.mp3', 'upload'), 'm3u8');
+});
+
+test('matchEntries tries stream URLs, file names, tags and then titles alone', () => {
+  const tracks = [
+    { id: 't1', original_name: 'x.mp3', filename: 'u1-x.mp3', title: 'Night Drive', artist: 'The Examples' },
+    { id: 't2', original_name: 'Café Song.mp3', filename: 'u2-cafe.mp3', title: null, artist: null },
+    { id: 't3', original_name: 'c.mp3', filename: 'u3-c.mp3', title: 'Morning', artist: 'Birds' },
+    { id: 't4', original_name: 'd.mp3', filename: 'u4-d.mp3', title: 'Only Title', artist: 'Someone' }
+  ];
+  const entries = [
+    { location: 'http://other.host/api/tracks/stream/t1?share=x', title: null, artist: null },
+    { location: 'C:\\Music\\07 - cafe song.mp3', title: null, artist: null },
+    { location: null, title: 'MORNING!', artist: 'birds' },
+    { location: null, title: 'only title', artist: null },
+    { location: 'missing.mp3', title: 'Nothing Like It', artist: 'Nobody' }
+  ];
+
+  const matches = matchEntries(entries, tracks);
+
+  assert.deepEqual(matches.map(({ track, matched_by }) => [track?.id ?? null, matched_by]), [
+    ['t1', 'id'],
+    ['t2', 'filename'],
+    ['t3', 'tags'],
+    ['t4', 'title'],
+    [null, null]
+  ]);
+});
+
+test('matchEntries leaves ambiguous entries unmatched', () => {
+  const tracks = [
+    { id: 'a', original_name: 'a.mp3', filename: 'a.mp3', title: 'Intro', artist: 'One' },
+    { id: 'b', original_name: 'b.mp3', filename: 'b.mp3', title: 'Intro', artist: 'Two' }
+  ];
+  const [match] = matchEntries([{ location: null, title: 'Intro', artist: null }], tracks);
+  assert.equal(match.track, null);
+});
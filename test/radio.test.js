@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickRadioTracks } from '../lib/radio.js';
+
+// Small seeded generator, so every run draws the same picks
+const random = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) >>> 0;
+  return seed / 2 ** 32;
+};
+
+// Tracks with nothing to score them by, so they all fit the mood equally
+const library = (count, artist = (i) => `Artist ${i}`) =>
+  Array.from({ length: count }, (_, i) => ({ id: `t${i + 1}`, original_name: `${i + 1}.mp3`, artist: artist(i + 1) }));
+
+const ids = (picks) => picks.map((pick) => pick.track.id);
+
+test('a batch holds `count` different tracks', () => {
+  const picks = pickRadioTracks({ mood: 'calm', tracks: library(10), playlists: [], count: 3, random: random(1) });
+
+  assert.equal(picks.length, 3);
+  assert.equal(new Set(ids(picks)).size, 3);
+  assert.ok(picks.every((pick) => pick.weight === 0.5 && typeof pick.reason === 'string'));
+});
+
+test('a batch is never larger than the library', () => {
+  assert.equal(pickRadioTracks({ mood: 'calm', tracks: library(2), playlists: [], count: 10, random: random(1) }).length, 2);
+  assert.deepEqual(pickRadioTracks({ mood: 'calm', tracks: [], playlists: [], count: 3 }), []);
+});
+
+test('recently played tracks stay out of rotation', () => {
+  // Up to half the library counts as recent: 10 tracks here
+  const tracks = library(20);
+  const history = ['t1', 't2', 't3', 't4', 't5'];
+
+  for (let seed = 1; seed <= 50; seed++) {
+    const picks = pickRadioTracks({ mood: 'calm', tracks, playlists: [], history, count: 3, random: random(seed) });
+    assert.ok(ids(picks).every((id) => !history.includes(id)), `seed ${seed} replayed ${ids(picks)}`);
+  }
+});
+
+test('the artists of the last two tracks are skipped while others are available', () => {
+  const tracks = library(10, (i) => (i <= 4 ? 'Same Band' : `Artist ${i}`));
+  tracks[0].artist = 'SAME BAND';
+
+  for (let seed = 1; seed <= 50; seed++) {
+    const [pick] = pickRadioTracks({ mood: 'calm', tracks, playlists: [], history: ['t1'], count: 1, random: random(seed) });
+    assert.notEqual(pick.track.artist, 'Same Band');
+  }
+});
+
+test('small libraries relax the rules rather than go silent', () => {
+  const two = library(2, () => 'Duo');
+  assert.deepEqual(ids(pickRadioTracks({ mood: 'calm', tracks: two, playlists: [], history: ['t1', 't2'], count: 3, random: random(1) })), ['t1', 't2']);
+
+  const one = library(1);
+  assert.deepEqual(ids(pickRadioTracks({ mood: 'calm', tracks: one, playlists: [], history: ['t1'], count: 1, random: random(1) })), ['t1']);
+});
+
+test('weights from playlists for similar moods raise a track\'s score', () => {
+  const tracks = library(2);
+  const playlists = [
+    { mood_prompt: 'calm sunday', playlist_tracks: [{ track_id: 't1', weight: 1 }, { track_id: 't2', weight: 0 }] },
+    // An unrelated mood counts for nothing
+    { mood_prompt: 'energetic workout', playlist_tracks: [{ track_id: 't2', weight: 1 }] }
+  ];
+
+  const byId = Object.fromEntries(
+    pickRadioTracks({ mood: 'calm evening', tracks, playlists, count: 2, random: random(1) }).map((pick) => [pick.track.id, pick])
+  );
+
+  assert.equal(byId.t1.weight, 0.7);
+  assert.equal(byId.t2.weight, 0.3);
+  assert.match(byId.t1.reason, /weighted 1\.00 in similar playlists/);
+
+  // Picks are drawn by squared score: 0.49 against 0.09
+  const next = random(7);
+  let t1First = 0;
+  for (let i = 0; i < 1000; i++) {
+    const [pick] = pickRadioTracks({ mood: 'calm evening', tracks, playlists, count: 1, random: next });
+    if (pick.track.id === 't1') t1First++;
+  }
+  assert.ok(t1First > 780 && t1First < 910, `t1 came first ${t1First} times out of 1000`);
+});
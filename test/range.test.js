@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRange, makeETag, isNotModified, isRangeFresh } from '../lib/range.js';
+
+const request = (headers) => ({ headers });
+
+test('parseRange reads a closed range with an inclusive end', () => {
+  assert.deepEqual(parseRange('bytes=0-99', 1000), { start: 0, end: 99 });
+  assert.deepEqual(parseRange('bytes=500-999', 1000), { start: 500, end: 999 });
+});
+
+test('parseRange runs an open range to the last byte', () => {
+  assert.deepEqual(parseRange('bytes=900-', 1000), { start: 900, end: 999 });
+});
+
+test('parseRange clamps the end to the resource', () => {
+  assert.deepEqual(parseRange('bytes=900-5000', 1000), { start: 900, end: 999 });
+});
+
+test('parseRange reads a suffix range as the last N bytes', () => {
+  assert.deepEqual(parseRange('bytes=-100', 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRange('bytes=-5000', 1000), { start: 0, end: 999 });
+});
+
+test('parseRange reports ranges without an existing byte as unsatisfiable', () => {
+  assert.deepEqual(parseRange('bytes=1000-', 1000), { unsatisfiable: true });
+  assert.deepEqual(parseRange('bytes=2000-3000', 1000), { unsatisfiable: true });
+  assert.deepEqual(parseRange('bytes=-0', 1000), { unsatisfiable: true });
+});
+
+test('parseRange ignores missing, malformed and multiple ranges', () => {
+  assert.equal(parseRange(undefined, 1000), null);
+  assert.equal(parseRange('', 1000), null);
+  assert.equal(parseRange('items=0-10', 1000), null);
+  assert.equal(parseRange('bytes=-', 1000), null);
+  assert.equal(parseRange('bytes=abc', 1000), null);
+  assert.equal(parseRange('bytes=10-5', 1000), null);
+  assert.equal(parseRange('bytes=0-10,20-30', 1000), null);
+});
+
+test('makeETag is a stable quoted validator', () => {
+  const etag = makeETag('music/a.mp3', 1234);
+  assert.match(etag, /^"[0-9a-f]{27}"$/);
+  assert.equal(makeETag('music/a.mp3', 1234), etag);
+  assert.notEqual(makeETag('music/a.mp3', 1235), etag);
+});
+
+test('isNotModified matches If-None-Match, including weak and listed tags', () => {
+  const etag = '"abc"';
+  assert.equal(isNotModified(request({ 'if-none-match': '"abc"' }), { etag }), true);
+  assert.equal(isNotModified(request({ 'if-none-match': '"x", W/"abc"' }), { etag }), true);
+  assert.equal(isNotModified(request({ 'if-none-match': '*' }), { etag }), true);
+  assert.equal(isNotModified(request({ 'if-none-match': '"other"' }), { etag }), false);
+});
+
+test('isNotModified prefers If-None-Match over If-Modified-Since', () => {
+  const lastModified = new Date('2024-01-01T00:00:00Z');
+  const headers = { 'if-none-match': '"other"', 'if-modified-since': 'Tue, 02 Jan 2024 00:00:00 GMT' };
+  assert.equal(isNotModified(request(headers), { etag: '"abc"', lastModified }), false);
+});
+
+test('isNotModified compares If-Modified-Since to the second', () => {
+  const lastModified = new Date('2024-01-01T00:00:00.500Z');
+  const check = (since) => isNotModified(request({ 'if-modified-since': since }), { etag: '"abc"', lastModified });
+  assert.equal(check('Mon, 01 Jan 2024 00:00:00 GMT'), true);
+  assert.equal(check('Sun, 31 Dec 2023 23:59:59 GMT'), false);
+  assert.equal(check('not a date'), false);
+});
+
+test('isRangeFresh honours a Range only while If-Range still matches', () => {
+  const lastModified = new Date('2024-01-01T00:00:00Z');
+  const fresh = (ifRange) => isRangeFresh(request(ifRange ? { 'if-range': ifRange } : {}), { etag: '"abc"', lastModified });
+  assert.equal(fresh(null), true);
+  assert.equal(fresh('"abc"'), true);
+  assert.equal(fresh('"old"'), false);
+  assert.equal(fresh('W/"abc"'), false);
+  assert.equal(fresh('Mon, 01 Jan 2024 00:00:00 GMT'), true);
+  assert.equal(fresh('Tue, 02 Jan 2024 00:00:00 GMT'), false);
+});
@@ -0,0 +1,195 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePlaylistResponse, buildRepairPrompt, MAX_PLAYLIST_TRACKS } from '../lib/ai/schema.js';
+import { createTrackSelector } from '../lib/ai/selector.js';
+import { createHeuristicProvider } from '../lib/ai/heuristic.js';
+
+const IDS = ['t1', 't2', 't3', 't4', 't5', 't6', 't7', 't8'];
+
+const pick = (id, weight = 0.8, reason = 'fits') => ({ id, weight, reason });
+
+test('validatePlaylistResponse accepts JSON in markdown fences or surrounded by chatter', () => {
+  const json = JSON.stringify({ tracks: [pick('t1'), pick('t2'), pick('t3')] });
+
+  for (const reply of [json, `\`\`\`json\n${json}\n\`\`\``, `Here is your playlist:\n${json}\nEnjoy!`]) {
+    const result = validatePlaylistResponse(reply, IDS);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.tracks.map((t) => t.id), ['t1', 't2', 't3']);
+  }
+});
+
+test('validatePlaylistResponse asks for a new reply when the JSON is broken or has no tracks array', () => {
+  assert.match(validatePlaylistResponse('{"tracks": [', IDS).errors[0], /^Response is not valid JSON/);
+  assert.match(validatePlaylistResponse('no json here', IDS).errors[0], /^Response is not valid JSON/);
+  assert.deepEqual(validatePlaylistResponse({ songs: [] }, IDS).errors, ['Response must be an object with a "tracks" array']);
+  assert.deepEqual(validatePlaylistResponse('null', IDS).errors, ['Response must be an object with a "tracks" array']);
+});
+
+test('validatePlaylistResponse reports items without an id', () => {
+  const result = validatePlaylistResponse({ tracks: [pick('t1'), 'id: t2', { weight: 1 }, pick('t3'), pick('t4')] }, IDS);
+
+  assert.deepEqual(result.tracks.map((t) => t.id), ['t1', 't3', 't4']);
+  assert.deepEqual(result.errors, [
+    'tracks[1] must be an object with "id", "weight" and "reason"',
+    'tracks[2] is missing a track "id"'
+  ]);
+});
+
+test('validatePlaylistResponse rejects unknown track ids and asks for a new reply', () => {
+  const result = validatePlaylistResponse({ tracks: [pick('t1'), pick('nope'), pick('t2'), pick('t3')] }, IDS);
+
+  assert.deepEqual(result.tracks.map((t) => t.id), ['t1', 't2', 't3']);
+  assert.deepEqual(result.rejected, [{ id: 'nope', reason: 'Unknown track ID (not in the library)' }]);
+  assert.deepEqual(result.errors, ['tracks[1].id "nope" is not one of the provided track IDs']);
+});
+
+test('validatePlaylistResponse drops duplicates and extra picks without asking again', () => {
+  const result = validatePlaylistResponse({ tracks: [...IDS.map((id) => pick(id)), pick('t1')] }, IDS);
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.tracks.length, MAX_PLAYLIST_TRACKS);
+  assert.deepEqual(result.rejected, [
+    { id: 't7', reason: `Exceeds the maximum of ${MAX_PLAYLIST_TRACKS} tracks` },
+    { id: 't8', reason: `Exceeds the maximum of ${MAX_PLAYLIST_TRACKS} tracks` },
+    { id: 't1', reason: 'Duplicate of an earlier pick' }
+  ]);
+});
+
+test('validatePlaylistResponse clamps weights, defaults missing ones and trims reasons', () => {
+  const result = validatePlaylistResponse({
+    tracks: [
+      { id: 't1', weight: 1.5, reason: '  loud  ' },
+      { id: 't2', weight: -2 },
+      { id: 't3', weight: '0.3', reason: 'x'.repeat(300) },
+      { id: 't4', weight: 'high', reason: 42 }
+    ]
+  }, IDS);
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.tracks.map((t) => t.weight), [1, 0, 0.3, 0.5]);
+  assert.deepEqual(result.tracks.map((t) => t.reason.length), [4, 0, 200, 0]);
+  assert.equal(result.tracks[0].reason, 'loud');
+});
+
+test('validatePlaylistResponse accepts numeric ids for string track ids', () => {
+  const result = validatePlaylistResponse({ tracks: [{ id: 1, weight: 1 }, { id: 2, weight: 1 }, { id: 3, weight: 1 }] }, ['1', '2', '3']);
+  assert.deepEqual(result.tracks.map((t) => t.id), ['1', '2', '3']);
+});
+
+test('validatePlaylistResponse wants at least three picks, or the whole library when it is smaller', () => {
+  const twoOfEight = validatePlaylistResponse({ tracks: [pick('t1'), pick('t2')] }, IDS);
+  assert.match(twoOfEight.errors[0], /^Only 2 valid track\(s\) were selected; select between 3 and 6/);
+
+  assert.deepEqual(validatePlaylistResponse({ tracks: [pick('t1'), pick('t2')] }, ['t1', 't2']).errors, []);
+});
+
+test('buildRepairPrompt repeats the prompt with the errors, the old reply and the schema', () => {
+  const prompt = buildRepairPrompt('Pick tracks.', '{"tracks": [', ['Response is not valid JSON']);
+
+  assert.ok(prompt.startsWith('Pick tracks.\n'));
+  assert.match(prompt, /- Response is not valid JSON/);
+  assert.match(prompt, /Previous response:\n\{"tracks": \[/);
+  assert.match(prompt, /"maxItems": 6/);
+});
+
+// ==================== SELECTOR ====================
+
+const tracks = IDS.map((id, index) => ({ id, original_name: `${id}.mp3`, energy: index / 10, bpm: 90 + index * 5 }));
+
+// A provider that answers each prompt with the next of `replies`, throwing
+// the ones that are errors
+const stubProvider = (replies) => {
+  const prompts = [];
+  return {
+    name: 'stub',
+    model: 'stub-1',
+    prompts,
+    async complete(prompt) {
+      prompts.push(prompt);
+      const reply = replies.shift();
+      if (reply instanceof Error) throw reply;
+      return reply;
+    }
+  };
+};
+
+const selectorFor = (provider, options = {}) =>
+  createTrackSelector({ provider, heuristic: createHeuristicProvider(), maxRepairAttempts: 2, ...options });
+
+const select = async (selector) => {
+  const events = [];
+  const result = await selector({ mood: 'calm evening', tracks, onEvent: (type, data) => events.push([type, data]) });
+  return { result, events: events.map(([type]) => type) };
+};
+
+const valid = JSON.stringify({ tracks: [pick('t2'), pick('t3'), pick('t4')] });
+
+test('a reply that is not JSON goes back to the model with the error, and the repaired reply is used', async () => {
+  const provider = stubProvider(['Sure! Here are some tracks: t2, t3, t4', valid]);
+
+  const { result, events } = await select(selectorFor(provider));
+
+  assert.equal(result.provider, 'stub');
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(result.tracks.map((t) => t.id), ['t2', 't3', 't4']);
+  assert.equal(provider.prompts.length, 2);
+  assert.match(provider.prompts[1], /Response is not valid JSON/);
+  assert.match(provider.prompts[1], /Sure! Here are some tracks/);
+  assert.deepEqual(events, ['prompt', 'invalid', 'prompt', 'pick', 'pick', 'pick']);
+});
+
+test('rejections from every attempt are reported with the attempt they came from', async () => {
+  const provider = stubProvider([
+    JSON.stringify({ tracks: [pick('ghost'), pick('t1')] }),
+    JSON.stringify({ tracks: [pick('t1'), pick('t2'), pick('t3'), pick('t1')] })
+  ]);
+
+  const { result } = await select(selectorFor(provider));
+
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(result.rejected, [
+    { id: 'ghost', reason: 'Unknown track ID (not in the library)', attempt: 1 },
+    { id: 't1', reason: 'Duplicate of an earlier pick', attempt: 2 }
+  ]);
+});
+
+test('after the last repair the best reply is kept if it has enough usable picks', async () => {
+  const almost = JSON.stringify({ tracks: [pick('t1'), pick('t2'), pick('t3'), pick('ghost')] });
+  const provider = stubProvider([almost, almost, almost]);
+
+  const { result } = await select(selectorFor(provider));
+
+  assert.equal(provider.prompts.length, 3);
+  assert.equal(result.provider, 'stub');
+  assert.deepEqual(result.tracks.map((t) => t.id), ['t1', 't2', 't3']);
+});
+
+test('the heuristic takes over when the model never gets it right', async () => {
+  const provider = stubProvider(['nope', 'still nope']);
+
+  const { result, events } = await select(selectorFor(provider, { maxRepairAttempts: 1 }));
+
+  assert.equal(provider.prompts.length, 2);
+  assert.equal(result.provider, 'heuristic');
+  assert.equal(result.attempts, 2);
+  assert.ok(result.tracks.length >= 3);
+  assert.deepEqual(events.slice(0, 5), ['prompt', 'invalid', 'prompt', 'invalid', 'fallback']);
+  assert.ok(events.slice(5).every((type) => type === 'pick'));
+});
+
+test('the heuristic takes over when the provider fails', async () => {
+  const provider = stubProvider([new Error('quota exceeded')]);
+
+  const { result, events } = await select(selectorFor(provider));
+
+  assert.equal(result.provider, 'heuristic');
+  assert.deepEqual(events.slice(0, 2), ['prompt', 'fallback']);
+});
+
+test('without the fallback, provider failures and invalid replies surface as errors', async () => {
+  await assert.rejects(select(selectorFor(stubProvider([new Error('quota exceeded')]), { fallbackEnabled: false })), /quota exceeded/);
+  await assert.rejects(
+    select(selectorFor(stubProvider(['nope']), { fallbackEnabled: false, maxRepairAttempts: 0 })),
+    /stub reply failed validation after 1 attempt\(s\): Response is not valid JSON/
+  );
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// lib/shares.js looks tokens up in the shared repository; give it a
+// throwaway database
+process.env.DB_DRIVER = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+const { db } = await import('../lib/db/index.js');
+const {
+  createShareToken, hashShareToken, isShareActive, publicShare, findSharedPlaylist, findSharedTrack
+} = await import('../lib/shares.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY).toISOString();
+
+// A workspace with a playlist of tracks a and b, and track c outside it
+const setup = async () => {
+  const workspace = await db.workspaces.createWithOwner({ name: 'Test', user_id: 'user-1', email: 'a@example.com' });
+  const [a, b, c] = await Promise.all(['a', 'b', 'c'].map((name) => db.tracks.create({
+    workspace_id: workspace.id,
+    filename: `${name}.mp3`,
+    original_name: `${name}.mp3`,
+    storage_path: `music/${name}.mp3`
+  })));
+  const playlist = await db.playlists.createWithTracks({
+    workspace_id: workspace.id,
+    owner_id: 'user-1',
+    mood_prompt: 'calm',
+    tracks: [a, b].map((track, i) => ({ track_id: track.id, position: i + 1, weight: 1 }))
+  });
+
+  const share = async (fields = {}) => {
+    const { token, hash } = createShareToken();
+    const row = await db.shares.create({
+      playlist_id: playlist.id,
+      workspace_id: workspace.id,
+      token_hash: hash,
+      created_by: 'user-1',
+      expires_at: null,
+      ...fields
+    });
+    return { token, row };
+  };
+
+  return { workspace, playlist, tracks: { a, b, c }, share };
+};
+
+test('share tokens are random and only their hash is kept', () => {
+  const first = createShareToken();
+  const second = createShareToken();
+
+  assert.notEqual(first.token, second.token);
+  assert.equal(first.hash, hashShareToken(first.token));
+  assert.match(first.hash, /^[0-9a-f]{64}$/);
+  assert.ok(!first.hash.includes(first.token));
+});
+
+test('a share is active until it expires or is revoked', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+
+  assert.equal(isShareActive({ expires_at: null, revoked_at: null }, now), true);
+  assert.equal(isShareActive({ expires_at: '2026-01-02T00:00:00Z', revoked_at: null }, now), true);
+  assert.equal(isShareActive({ expires_at: '2026-01-01T00:00:00Z', revoked_at: null }, now), false);
+  assert.equal(isShareActive({ expires_at: '2025-12-31T00:00:00Z', revoked_at: null }, now), false);
+  assert.equal(isShareActive({ expires_at: null, revoked_at: '2025-12-31T00:00:00Z' }, now), false);
+  assert.equal(isShareActive(null, now), false);
+});
+
+test('publicShare leaves out the token hash', () => {
+  const shown = publicShare({ id: 's1', token_hash: 'secret', expires_at: null, revoked_at: null });
+  assert.deepEqual(shown, { id: 's1', expires_at: null, revoked_at: null, active: true });
+});
+
+test('an active token opens its playlist and the tracks in it', async () => {
+  const { playlist, tracks: { a, b }, share } = await setup();
+  const { token } = await share({ expires_at: inDays(1) });
+
+  assert.equal((await findSharedPlaylist(token)).id, playlist.id);
+  assert.equal((await findSharedTrack(token, a.id)).id, a.id);
+  assert.equal((await findSharedTrack(token, b.id)).id, b.id);
+});
+
+test('a token does not open tracks outside its playlist', async () => {
+  const { tracks: { c }, share } = await setup();
+  const { token } = await share();
+
+  assert.equal(await findSharedTrack(token, c.id), null);
+  assert.equal(await findSharedTrack(token, 'no-such-track'), null);
+});
+
+test('expired and revoked tokens open nothing', async () => {
+  const { tracks: { a }, share } = await setup();
+  const expired = await share({ expires_at: inDays(-1) });
+  const revoked = await share();
+  await db.shares.update(revoked.row.id, { revoked_at: new Date().toISOString() });
+
+  for (const { token } of [expired, revoked]) {
+    assert.equal(await findSharedPlaylist(token), null);
+    assert.equal(await findSharedTrack(token, a.id), null);
+  }
+});
+
+test('unknown tokens open nothing', async () => {
+  const { tracks: { a } } = await setup();
+  assert.equal(await findSharedPlaylist('not-a-token'), null);
+  assert.equal(await findSharedTrack(createShareToken().token, a.id), null);
+});
+
+test('a token stops working when its playlist is deleted', async () => {
+  const { playlist, tracks: { a }, share } = await setup();
+  const { token } = await share();
+
+  await db.playlists.remove(playlist.id);
+
+  assert.equal(await findSharedTrack(token, a.id), null);
+});
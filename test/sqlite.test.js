@@ -0,0 +1,200 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSqliteRepository } from '../lib/db/sqlite.js';
+
+// A fresh in-memory database with one workspace and `count` tracks
+const setup = async (count = 3) => {
+  const db = createSqliteRepository({ filename: ':memory:' });
+  const workspace = await db.workspaces.createWithOwner({ name: 'Test', user_id: 'user-1', email: 'a@example.com' });
+  const tracks = [];
+  for (let i = 1; i <= count; i++) {
+    tracks.push(await db.tracks.create({
+      workspace_id: workspace.id,
+      filename: `${i}.mp3`,
+      original_name: `${i}.mp3`,
+      storage_path: `music/${i}.mp3`
+    }));
+  }
+  return { db, workspace, tracks };
+};
+
+const selectionCount = async (db, workspace, track) => (await db.tracks.get(track.id, workspace.id)).selection_count ?? 0;
+
+const entryTrackIds = (playlist) => playlist.playlist_tracks.map((pt) => pt.track_id);
+
+test('createWithTracks stores the entries in order and counts each selection', async () => {
+  const { db, workspace, tracks: [a, b, c] } = await setup();
+
+  const playlist = await db.playlists.createWithTracks({
+    workspace_id: workspace.id,
+    owner_id: 'user-1',
+    mood_prompt: 'calm',
+    tracks: [
+      { track_id: b.id, position: 1, weight: 0.9 },
+      { track_id: a.id, position: 2, weight: 0.5 }
+    ]
+  });
+
+  assert.equal(playlist.mood_prompt, 'calm');
+  assert.equal(playlist.source, 'generated');
+  assert.deepEqual(entryTrackIds(playlist), [b.id, a.id]);
+  assert.equal(playlist.playlist_tracks[0].tracks.id, b.id);
+  assert.equal(await selectionCount(db, workspace, a), 1);
+  assert.equal(await selectionCount(db, workspace, b), 1);
+  assert.equal(await selectionCount(db, workspace, c), 0);
+});
+
+test('createWithTracks stores nothing when an entry fails', async () => {
+  const { db, workspace, tracks: [a] } = await setup();
+
+  await assert.rejects(db.playlists.createWithTracks({
+    workspace_id: workspace.id,
+    owner_id: 'user-1',
+    mood_prompt: 'calm',
+    tracks: [
+      { track_id: a.id, position: 1, weight: 0.5 },
+      { track_id: 'no-such-track', position: 2, weight: 0.5 }
+    ]
+  }));
+
+  assert.deepEqual(await db.playlists.list(workspace.id), []);
+  assert.equal(await selectionCount(db, workspace, a), 0);
+});
+
+test('importWithTracks stores a named import without counting selections', async () => {
+  const { db, workspace, tracks: [a, b] } = await setup(2);
+
+  const playlist = await db.playlists.importWithTracks({
+    workspace_id: workspace.id,
+    owner_id: 'user-1',
+    name: 'Road Trip',
+    mood_prompt: '',
+    tracks: [
+      { track_id: b.id, position: 1, weight: 1 },
+      { track_id: a.id, position: 2, weight: 1 }
+    ]
+  });
+
+  assert.equal(playlist.name, 'Road Trip');
+  assert.equal(playlist.source, 'import');
+  assert.deepEqual(entryTrackIds(playlist), [b.id, a.id]);
+  assert.equal(await selectionCount(db, workspace, a), 0);
+});
+
+test('importWithTracks stores nothing when an entry fails', async () => {
+  const { db, workspace, tracks: [a] } = await setup(1);
+
+  await assert.rejects(db.playlists.importWithTracks({
+    workspace_id: workspace.id,
+    owner_id: 'user-1',
+    name: 'Broken',
+    mood_prompt: '',
+    tracks: [
+      { track_id: a.id, position: 1, weight: 1 },
+      { track_id: 'no-such-track', position: 2, weight: 1 }
+    ]
+  }));
+
+  assert.deepEqual(await db.playlists.list(workspace.id), []);
+});
+
+test('reorderTracks renumbers the entries 1..n in the given order', async () => {
+  const { db, workspace, tracks: [a, b, c] } = await setup();
+  const playlist = await db.playlists.createWithTracks({
+    workspace_id: workspace.id,
+    owner_id: 'user-1',
+    mood_prompt: 'calm',
+    tracks: [a, b, c].map((track, i) => ({ track_id: track.id, position: i + 1, weight: 0.5 }))
+  });
+  const [first, second, third] = playlist.playlist_tracks.map((pt) => pt.id);
+
+  await db.playlists.reorderTracks(playlist.id, [third, first, second]);
+
+  const reordered = await db.playlists.get(playlist.id, workspace.id);
+  assert.deepEqual(entryTrackIds(reordered), [c.id, a.id, b.id]);
+  assert.deepEqual(reordered.playlist_tracks.map((pt) => pt.position), [1, 2, 3]);
+});
+
+test('reorderTracks leaves entries of other playlists alone', async () => {
+  const { db, workspace, tracks: [a, b] } = await setup(2);
+  const create = () => db.playlists.createWithTracks({
+    workspace_id: workspace.id,
+    owner_id: 'user-1',
+    mood_prompt: 'calm',
+    tracks: [a, b].map((track, i) => ({ track_id: track.id, position: i + 1, weight: 0.5 }))
+  });
+  const mine = await create();
+  const other = await create();
+
+  await db.playlists.reorderTracks(mine.id, [other.playlist_tracks[1].id, other.playlist_tracks[0].id]);
+
+  const unchanged = await db.playlists.get(other.id, workspace.id);
+  assert.deepEqual(entryTrackIds(unchanged), [a.id, b.id]);
+  assert.deepEqual(unchanged.playlist_tracks.map((pt) => pt.position), [1, 2]);
+});
+
+test('merge moves entries, play events and selection counts to the kept track', async () => {
+  const { db, workspace, tracks: [keep, copy, other] } = await setup();
+  const playlist = await db.playlists.createWithTracks({
+    workspace_id: workspace.id,
+    owner_id: 'user-1',
+    mood_prompt: 'calm',
+    tracks: [
+      { track_id: other.id, position: 1, weight: 0.5 },
+      { track_id: copy.id, position: 2, weight: 0.5 }
+    ]
+  });
+  await db.tracks.update(keep.id, { selection_count: 2 });
+  await db.plays.record([{ workspace_id: workspace.id, track_id: copy.id, event: 'start', position: 0 }]);
+
+  await db.duplicates.merge(keep.id, [copy.id]);
+
+  assert.equal(await db.tracks.get(copy.id, workspace.id), null);
+  const merged = await db.playlists.get(playlist.id, workspace.id);
+  assert.deepEqual(entryTrackIds(merged), [other.id, keep.id]);
+  assert.equal(await selectionCount(db, workspace, keep), 3);
+  const totals = await db.plays.trackTotals(workspace.id);
+  assert.deepEqual(totals.map((row) => [row.track_id, row.starts]), [[keep.id, 1]]);
+});
+
+test('merge keeps one entry per playlist and renumbers it', async () => {
+  const { db, workspace, tracks: [keep, copy, other] } = await setup();
+  const playlist = await db.playlists.createWithTracks({
+    workspace_id: workspace.id,
+    owner_id: 'user-1',
+    mood_prompt: 'calm',
+    tracks: [
+      { track_id: copy.id, position: 1, weight: 0.5 },
+      { track_id: other.id, position: 2, weight: 0.5 },
+      { track_id: keep.id, position: 3, weight: 0.5 }
+    ]
+  });
+
+  await db.duplicates.merge(keep.id, [copy.id]);
+
+  const merged = await db.playlists.get(playlist.id, workspace.id);
+  assert.deepEqual(entryTrackIds(merged), [other.id, keep.id]);
+  assert.deepEqual(merged.playlist_tracks.map((pt) => pt.position), [1, 2]);
+});
+
+test('merge folds several copies into the first entry among them', async () => {
+  const { db, workspace, tracks: [keep, copy1, copy2] } = await setup();
+  const playlist = await db.playlists.createWithTracks({
+    workspace_id: workspace.id,
+    owner_id: 'user-1',
+    mood_prompt: 'calm',
+    tracks: [
+      { track_id: copy2.id, position: 1, weight: 0.5 },
+      { track_id: copy1.id, position: 2, weight: 0.5 }
+    ]
+  });
+
+  await db.duplicates.merge(keep.id, [copy1.id, copy2.id]);
+
+  const merged = await db.playlists.get(playlist.id, workspace.id);
+  assert.deepEqual(entryTrackIds(merged), [keep.id]);
+  assert.equal(merged.playlist_tracks[0].position, 1);
+  assert.equal(await selectionCount(db, workspace, keep), 2);
+  assert.equal(await db.tracks.get(copy1.id, workspace.id), null);
+  assert.equal(await db.tracks.get(copy2.id, workspace.id), null);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  statsWindowStart, parseStatsQuery, statsCacheKey, playlistMatches, countSelections, summarizePlays
+} from '../lib/stats.js';
+
+const NOW = new Date('2024-03-15T10:30:00Z');
+
+const filtersFor = (query = {}) => parseStatsQuery(query).filters;
+
+test('statsWindowStart starts on whole hours and UTC days', () => {
+  assert.equal(statsWindowStart('24h', NOW).toISOString(), '2024-03-14T11:00:00.000Z');
+  assert.equal(statsWindowStart('7d', NOW).toISOString(), '2024-03-09T00:00:00.000Z');
+  assert.equal(statsWindowStart('30d', NOW).toISOString(), '2024-02-15T00:00:00.000Z');
+  assert.equal(statsWindowStart('all', NOW), null);
+});
+
+test('parseStatsQuery fills in defaults and normalizes the mood keyword', () => {
+  assert.deepEqual(parseStatsQuery({}).filters, {
+    window: '30d', mood: null, cluster: null, playlistId: null, limit: 10
+  });
+  assert.deepEqual(parseStatsQuery({ window: '7d', mood: '  Rainy, DAY ', cluster: 'sad', playlist_id: 'p1', limit: '5' }).filters, {
+    window: '7d', mood: 'rainy day', cluster: 'sad', playlistId: 'p1', limit: 5
+  });
+  assert.equal(parseStatsQuery({}, { defaultLimit: 20 }).filters.limit, 20);
+});
+
+test('parseStatsQuery rejects unknown windows and clusters, empty moods and bad limits', () => {
+  assert.match(parseStatsQuery({ window: '1y' }).error, /window must be one of/);
+  assert.match(parseStatsQuery({ cluster: 'spooky' }).error, /cluster must be one of/);
+  assert.match(parseStatsQuery({ mood: '!!!' }).error, /mood must contain/);
+  assert.match(parseStatsQuery({ mood: ['calm'] }).error, /mood must contain/);
+  for (const limit of ['0', '51', '2.5', 'ten']) {
+    assert.match(parseStatsQuery({ limit }).error, /limit must be/);
+  }
+});
+
+test('statsCacheKey differs for every filter', () => {
+  const base = filtersFor();
+  const keys = new Set([
+    statsCacheKey('plays', 'w1', base),
+    statsCacheKey('plays', 'w2', base),
+    statsCacheKey('top', 'w1', base),
+    statsCacheKey('plays', 'w1', { ...base, window: '7d' }),
+    statsCacheKey('plays', 'w1', { ...base, mood: 'rain' }),
+    statsCacheKey('plays', 'w1', { ...base, cluster: 'sad' }),
+    statsCacheKey('plays', 'w1', { ...base, playlistId: 'p:1' }),
+    statsCacheKey('plays', 'w1', { ...base, limit: 5 })
+  ]);
+  assert.equal(keys.size, 8);
+});
+
+test('playlistMatches finds mood keywords by word prefix, clusters and playlist ids', () => {
+  const playlist = { id: 'p1', mood_prompt: 'Rainy day blues' };
+  assert.equal(playlistMatches(playlist, { mood: 'rain', cluster: null, playlistId: null }), true);
+  assert.equal(playlistMatches(playlist, { mood: 'rain blue', cluster: null, playlistId: null }), true);
+  assert.equal(playlistMatches(playlist, { mood: 'ainy', cluster: null, playlistId: null }), false);
+  assert.equal(playlistMatches(playlist, { mood: null, cluster: 'sad', playlistId: null }), true);
+  assert.equal(playlistMatches(playlist, { mood: null, cluster: 'calm', playlistId: null }), false);
+  assert.equal(playlistMatches(playlist, { mood: null, cluster: null, playlistId: 'p2' }), false);
+});
+
+test('countSelections counts generated playlists in the window that match the filters', () => {
+  const tracks = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+  const entries = (...ids) => ids.map((track_id) => ({ track_id }));
+  const playlists = [
+    { id: 1, source: 'generated', mood_prompt: 'calm evening', created_at: '2024-03-14T00:00:00Z', playlist_tracks: entries('a', 'b') },
+    { id: 2, source: 'generated', mood_prompt: 'calm sleep', created_at: '2024-03-13T00:00:00Z', playlist_tracks: entries('a', 'deleted') },
+    { id: 3, source: 'manual', mood_prompt: 'calm', created_at: '2024-03-14T00:00:00Z', playlist_tracks: entries('c') },
+    { id: 4, source: 'generated', mood_prompt: 'calm', created_at: '2023-01-01T00:00:00Z', playlist_tracks: entries('c') },
+    { id: 5, source: 'generated', mood_prompt: 'gym workout', created_at: '2024-03-14T00:00:00Z', playlist_tracks: entries('c') }
+  ];
+
+  const selections = countSelections({
+    playlists,
+    tracks,
+    since: statsWindowStart('30d', NOW),
+    filters: filtersFor({ mood: 'calm' })
+  });
+
+  assert.deepEqual(selections, [{ id: 'a', selections: 2 }, { id: 'b', selections: 1 }]);
+});
+
+test('summarizePlays ranks tracks and totals plays, skips and listening time', () => {
+  const tracks = [{ id: 'a' }, { id: 'b' }];
+  const totals = [
+    { track_id: 'a', starts: 3, replays: 1, skips: 1, completes: 3, listened: 600.4 },
+    { track_id: 'b', starts: 2, replays: 0, skips: 2, completes: 0, listened: 30 },
+    { track_id: 'deleted', starts: 9, replays: 0, skips: 0, completes: 9, listened: 900 }
+  ];
+
+  const summary = summarizePlays({ totals, periods: [], tracks, since: statsWindowStart('7d', NOW), filters: filtersFor({ window: '7d' }), now: NOW });
+
+  assert.deepEqual(summary.totals, { plays: 6, skips: 3, completes: 3, completion_rate: 0.5, listened_seconds: 630 });
+  assert.deepEqual(summary.most_played.map((row) => [row.track.id, row.plays]), [['a', 4], ['b', 2]]);
+  assert.deepEqual(summary.most_skipped.map((row) => [row.track.id, row.skips, row.skip_rate]), [['b', 2, 1], ['a', 1, 0.25]]);
+  assert.equal(summary.bucket, 'day');
+});
+
+test('summarizePlays charts every period of the window, filling gaps with zero', () => {
+  const since = statsWindowStart('24h', NOW);
+  const periods = [{ period: '2024-03-15T09', seconds: '125.6' }];
+
+  const { listening } = summarizePlays({ totals: [], periods, tracks: [], since, filters: filtersFor({ window: '24h' }), now: NOW });
+
+  assert.equal(listening.length, 24);
+  assert.equal(listening[0].start, '2024-03-14T11:00:00.000Z');
+  assert.deepEqual(listening.at(-2), { start: '2024-03-15T09:00:00.000Z', seconds: 126 });
+  assert.deepEqual(listening.at(-1), { start: '2024-03-15T10:00:00.000Z', seconds: 0 });
+});
+
+test('summarizePlays charts all time from the first day with plays', () => {
+  const periods = [{ period: '2024-03-13', seconds: 60 }];
+
+  const { listening } = summarizePlays({ totals: [], periods, tracks: [], since: null, filters: filtersFor({ window: 'all' }), now: NOW });
+
+  assert.deepEqual(listening.map((day) => [day.start.slice(0, 10), day.seconds]), [
+    ['2024-03-13', 60], ['2024-03-14', 0], ['2024-03-15', 0]
+  ]);
+  assert.deepEqual(summarizePlays({ totals: [], periods: [], tracks: [], since: null, filters: filtersFor({ window: 'all' }), now: NOW }).listening, []);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createItemScanner, readLines } from '../lib/ai/stream.js';
+
+// Items the scanner reports for `text` fed as `chunks`
+const scan = (chunks) => {
+  const items = [];
+  const feed = createItemScanner((item) => items.push(item));
+  chunks.forEach(feed);
+  return items;
+};
+
+// `text` cut into two chunks at every position, then into single characters
+const splits = (text) => [
+  ...Array.from({ length: text.length + 1 }, (_, i) => [text.slice(0, i), text.slice(i)]),
+  [...text]
+];
+
+const REPLY = `\`\`\`json
+{
+  "tracks": [
+    { "id": "a1", "weight": 0.9, "reason": "Braces } and { in a \\"quoted\\" reason" },
+    { "id": "b2", "weight": 0.5, "reason": "Backslash \\\\ at the end \\\\" },
+    {"id":"c3","weight":1,"reason":"Ünïcødé – 🎧","extra":{"nested":[1,{"x":2}]}}
+  ],
+  "note": "{ not an item }"
+}
+\`\`\``;
+
+const ITEMS = [
+  { id: 'a1', weight: 0.9, reason: 'Braces } and { in a "quoted" reason' },
+  { id: 'b2', weight: 0.5, reason: 'Backslash \\ at the end \\' },
+  { id: 'c3', weight: 1, reason: 'Ünïcødé – 🎧', extra: { nested: [1, { x: 2 }] } }
+];
+
+test('createItemScanner reports every item of the reply in one chunk', () => {
+  assert.deepEqual(scan([REPLY]), ITEMS);
+});
+
+test('createItemScanner reports the same items wherever the reply is split', () => {
+  for (const chunks of splits(REPLY)) {
+    assert.deepEqual(scan(chunks), ITEMS, `split as ${JSON.stringify(chunks.slice(0, 2))}`);
+  }
+});
+
+test('createItemScanner reports each item as soon as its closing brace arrives', () => {
+  const items = [];
+  const feed = createItemScanner((item) => items.push(item));
+
+  feed('{"tracks": [{"id": "a1", "weight": 0.9');
+  assert.deepEqual(items, []);
+  feed('}, {"id": "b2"');
+  assert.deepEqual(items, [{ id: 'a1', weight: 0.9 }]);
+});
+
+test('createItemScanner ignores chatter before the reply and skips malformed items', () => {
+  const text = 'Sure, "here" it is: {"tracks": [{"id": bad}, {"id": "ok"}]}';
+  for (const chunks of splits(text)) {
+    assert.deepEqual(scan(chunks), [{ id: 'ok' }]);
+  }
+});
+
+test('readLines yields complete lines across chunk boundaries', async () => {
+  const text = 'first\r\nsecond\n\nthird – ü';
+  const encoded = new TextEncoder().encode(text);
+
+  for (let i = 0; i <= encoded.length; i++) {
+    const lines = [];
+    for await (const line of readLines([encoded.slice(0, i), encoded.slice(i)])) lines.push(line);
+    assert.deepEqual(lines, ['first', 'second', '', 'third – ü'], `split at byte ${i}`);
+  }
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signToken } from '../lib/auth/jwt.js';
+
+// A known secret, so the tests can sign tickets the module did not issue
+const SECRET = 'stream-ticket-test-secret';
+process.env.STREAM_TICKET_SECRET = SECRET;
+const { createStreamTicket, verifyStreamTicket } = await import('../lib/streamTickets.js');
+
+test('a ticket opens its own track in its workspace', () => {
+  const ticket = createStreamTicket({ trackId: 'track-1', workspaceId: 'ws-1' });
+  assert.equal(verifyStreamTicket(ticket, 'track-1'), 'ws-1');
+});
+
+test('numeric track ids match their string form', () => {
+  assert.equal(verifyStreamTicket(createStreamTicket({ trackId: 42, workspaceId: 'ws-1' }), '42'), 'ws-1');
+});
+
+test('a ticket for one track does not open another', () => {
+  const ticket = createStreamTicket({ trackId: 'track-1', workspaceId: 'ws-1' });
+  assert.equal(verifyStreamTicket(ticket, 'track-2'), null);
+});
+
+test('an expired ticket is rejected', () => {
+  const expired = signToken({ typ: 'stream', sub: 'track-1', workspace_id: 'ws-1' }, SECRET, { expiresIn: -1 });
+  assert.equal(verifyStreamTicket(expired, 'track-1'), null);
+});
+
+test('a tampered ticket is rejected', () => {
+  const [header, , signature] = createStreamTicket({ trackId: 'track-1', workspaceId: 'ws-1' }).split('.');
+  const claims = Buffer.from(JSON.stringify({ typ: 'stream', sub: 'track-2', workspace_id: 'ws-1', exp: 9999999999 })).toString('base64url');
+
+  assert.equal(verifyStreamTicket(`${header}.${claims}.${signature}`, 'track-2'), null);
+  assert.equal(verifyStreamTicket(`${header}.${claims}.`, 'track-2'), null);
+});
+
+test('tickets signed with another secret, or other tokens signed with this one, are rejected', () => {
+  const foreign = signToken({ typ: 'stream', sub: 'track-1', workspace_id: 'ws-1' }, 'other-secret', { expiresIn: 60 });
+  assert.equal(verifyStreamTicket(foreign, 'track-1'), null);
+
+  const notATicket = signToken({ sub: 'track-1', workspace_id: 'ws-1' }, SECRET, { expiresIn: 60 });
+  assert.equal(verifyStreamTicket(notATicket, 'track-1'), null);
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { createUploadStore, parseUploadMetadata } from '../lib/uploads.js';
+
+const base64 = (text) => Buffer.from(text).toString('base64');
+
+test('parseUploadMetadata decodes base64 values and keys without one', () => {
+  assert.deepEqual(parseUploadMetadata(`filename ${base64('Café Tune.mp3')},filetype ${base64('audio/mpeg')},is_private`), {
+    filename: 'Café Tune.mp3',
+    filetype: 'audio/mpeg',
+    is_private: ''
+  });
+  assert.deepEqual(parseUploadMetadata(`filename ${base64('ab')}`), { filename: 'ab' });
+  assert.deepEqual(parseUploadMetadata(`filename ${base64('ab').replace(/=+$/, '')}`), { filename: 'ab' });
+  assert.deepEqual(parseUploadMetadata(undefined), {});
+  assert.deepEqual(parseUploadMetadata(''), {});
+});
+
+test('parseUploadMetadata refuses malformed headers', () => {
+  assert.equal(parseUploadMetadata('filename not-base64!'), null);
+  assert.equal(parseUploadMetadata(`filename ${base64('a.mp3')} extra`), null);
+  assert.equal(parseUploadMetadata(`filename  ${base64('a.mp3')}`), null);
+  assert.equal(parseUploadMetadata('filename abcde'), null);
+  assert.equal(parseUploadMetadata(`filename ${base64('a.mp3')},filename ${base64('b.mp3')}`), null);
+});
+
+let directory;
+let store;
+
+before(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'uploads-test-'));
+  store = createUploadStore({ directory });
+});
+
+after(() => fs.promises.rm(directory, { recursive: true, force: true }));
+
+const bytes = (text) => Readable.from([Buffer.from(text)]);
+
+test('chunks are appended at the current offset until the upload is complete', async () => {
+  const upload = await store.create({ filename: 'a.mp3', size: 10 });
+  assert.equal(upload.offset, 0);
+
+  assert.equal(await store.append(upload.id, 0, bytes('0123')), 4);
+  assert.equal((await store.get(upload.id)).offset, 4);
+  assert.equal(await store.append(upload.id, 4, bytes('456789')), 10);
+
+  assert.equal((await store.read(upload.id)).toString(), '0123456789');
+  assert.equal((await store.get(upload.id)).filename, 'a.mp3');
+});
+
+test('a chunk sent at the wrong offset is refused with a 409', async () => {
+  const upload = await store.create({ filename: 'a.mp3', size: 10 });
+  await store.append(upload.id, 0, bytes('0123'));
+
+  for (const offset of [0, 2, 6]) {
+    await assert.rejects(store.append(upload.id, offset, bytes('xx')), { status: 409, message: 'Upload-Offset must be 4' });
+  }
+  assert.equal((await store.get(upload.id)).offset, 4);
+});
+
+test('a chunk going past Upload-Length is refused with a 413', async () => {
+  const upload = await store.create({ filename: 'a.mp3', size: 6 });
+  await store.append(upload.id, 0, bytes('0123'));
+
+  await assert.rejects(store.append(upload.id, 4, bytes('4567')), { status: 413 });
+  assert.equal((await store.get(upload.id)).offset, 4);
+
+  // The client can carry on with the bytes that fit
+  assert.equal(await store.append(upload.id, 4, bytes('45')), 6);
+  await assert.rejects(store.append(upload.id, 6, bytes('6')), { status: 413 });
+});
+
+test('only one chunk at a time is written to an upload', async () => {
+  const upload = await store.create({ filename: 'a.mp3', size: 10 });
+  const slow = new Readable({ read() {} });
+
+  const first = store.append(upload.id, 0, slow);
+  await assert.rejects(store.append(upload.id, 0, bytes('01')), { status: 409 });
+
+  slow.push('0123');
+  slow.push(null);
+  assert.equal(await first, 4);
+});
+
+test('unknown and malformed upload ids are not found', async () => {
+  assert.equal(await store.get('00000000-0000-4000-8000-000000000000'), null);
+  assert.equal(await store.get('../secrets'), null);
+  await assert.rejects(store.append('00000000-0000-4000-8000-000000000000', 0, bytes('0')), { status: 404 });
+});
+
+test('removeExpired deletes uploads nobody has added to', async () => {
+  const expiring = createUploadStore({ directory, ttl: -1 });
+  const upload = await expiring.create({ filename: 'a.mp3', size: 10 });
+
+  await expiring.removeExpired();
+
+  assert.equal(await expiring.get(upload.id), null);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// lib/workspaces.js uses the shared repository; give it a throwaway database
+process.env.DB_DRIVER = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+const { db } = await import('../lib/db/index.js');
+const { ROLES, can, permissionsFor, workspacesFor, requireWorkspace, requirePermission } = await import('../lib/workspaces.js');
+
+const ALL_PERMISSIONS = [
+  'tracks:read', 'playlists:read', 'playlists:generate', 'stats:read',
+  'tracks:write', 'playlists:write', 'members:manage', 'workspace:manage'
+];
+
+const ALLOWED = {
+  listener: ['tracks:read', 'playlists:read', 'playlists:generate', 'stats:read'],
+  curator: ['tracks:read', 'playlists:read', 'playlists:generate', 'stats:read', 'tracks:write', 'playlists:write'],
+  owner: ALL_PERMISSIONS
+};
+
+for (const role of ROLES) {
+  test(`${role}s may do exactly what their role allows`, () => {
+    assert.deepEqual([...permissionsFor(role)].sort(), [...ALLOWED[role]].sort());
+    for (const permission of ALL_PERMISSIONS) {
+      assert.equal(can(role, permission), ALLOWED[role].includes(permission), `${role} ${permission}`);
+    }
+  });
+}
+
+test('unknown roles may do nothing', () => {
+  assert.deepEqual(permissionsFor('admin'), []);
+  assert.deepEqual(permissionsFor(undefined), []);
+  assert.equal(can('admin', 'tracks:read'), false);
+  assert.equal(can('__proto__', 'tracks:read'), false);
+});
+
+// Run an Express middleware; resolves to the status it answered with, or
+// null when it passed the request on
+const run = (middleware, req) => new Promise((resolve, reject) => {
+  const res = {
+    status(code) {
+      return { json: () => resolve(code) };
+    }
+  };
+  middleware(req, res, (error) => (error ? reject(error) : resolve(null)));
+});
+
+test('requirePermission answers 403 when the role lacks the permission', async () => {
+  assert.equal(await run(requirePermission('tracks:write'), { workspace: { role: 'listener' } }), 403);
+  assert.equal(await run(requirePermission('tracks:write'), { workspace: { role: 'curator' } }), null);
+  assert.equal(await run(requirePermission('members:manage'), { workspace: { role: 'curator' } }), 403);
+  assert.equal(await run(requirePermission('members:manage'), { workspace: { role: 'owner' } }), null);
+});
+
+test('a first visit creates a personal workspace owned by the user', async () => {
+  const [workspace, ...others] = await workspacesFor({ id: 'first-user', email: 'first@example.com' });
+
+  assert.deepEqual(others, []);
+  assert.equal(workspace.name, 'My Library');
+  assert.equal(workspace.role, 'owner');
+});
+
+test('an invitation is claimed by the invited email only', async () => {
+  const owner = { id: 'owner-1', email: 'owner@example.com' };
+  const [shared] = await workspacesFor(owner);
+  await db.workspaces.addMember({ workspace_id: shared.id, email: 'guest@example.com', role: 'curator' });
+
+  const stranger = await workspacesFor({ id: 'stranger-1', email: 'someone@example.com' });
+  assert.ok(stranger.every((workspace) => workspace.id !== shared.id));
+  assert.equal(await db.workspaces.membership(shared.id, 'stranger-1'), null);
+
+  // Emails are compared case-insensitively
+  const guest = await workspacesFor({ id: 'guest-1', email: 'Guest@Example.com' });
+  assert.deepEqual(guest.map((workspace) => [workspace.id, workspace.role]), [[shared.id, 'curator']]);
+
+  // Once claimed, the invitation is gone for anyone else with that address
+  const impostor = await workspacesFor({ id: 'guest-2', email: 'guest@example.com' });
+  assert.ok(impostor.every((workspace) => workspace.id !== shared.id));
+});
+
+test('a user without an email claims no invitations', async () => {
+  const [shared] = await workspacesFor({ id: 'owner-2', email: 'owner2@example.com' });
+  await db.workspaces.addMember({ workspace_id: shared.id, email: 'invited@example.com', role: 'listener' });
+
+  const workspaces = await workspacesFor({ id: 'no-email', email: null });
+  assert.ok(workspaces.every((workspace) => workspace.id !== shared.id));
+});
+
+test('requireWorkspace answers 404 for a workspace the caller is not a member of', async () => {
+  const [mine] = await workspacesFor({ id: 'member-1', email: 'member@example.com' });
+  const [theirs] = await workspacesFor({ id: 'member-2', email: 'other@example.com' });
+
+  const req = (id) => ({ params: {}, get: () => id, user: { id: 'member-1', email: 'member@example.com' } });
+
+  const own = req(mine.id);
+  assert.equal(await run(requireWorkspace, own), null);
+  assert.deepEqual(own.workspace, { id: mine.id, role: 'owner' });
+
+  assert.equal(await run(requireWorkspace, req(theirs.id)), 404);
+
+  const fallback = req(undefined);
+  assert.equal(await run(requireWorkspace, fallback), null);
+  assert.equal(fallback.workspace.id, mine.id);
+});
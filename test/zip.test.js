@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zipStream } from '../lib/zip.js';
+
+const collect = async (files) => {
+  const chunks = [];
+  for await (const chunk of zipStream(files)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// The entries of a ZIP archive, read through its central directory the way
+// unzip tools do: [{ name, crc, size, data }]
+const readZip = (zip) => {
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50);
+  const count = zip.readUInt16LE(end + 10);
+  let pos = zip.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(pos), 0x02014b50);
+    const crc = zip.readUInt32LE(pos + 16);
+    const size = zip.readUInt32LE(pos + 20);
+    const nameLength = zip.readUInt16LE(pos + 28);
+    const name = zip.toString('utf8', pos + 46, pos + 46 + nameLength);
+    const offset = zip.readUInt32LE(pos + 42);
+
+    assert.equal(zip.readUInt32LE(offset), 0x04034b50);
+    const dataStart = offset + 30 + zip.readUInt16LE(offset + 26);
+    const data = zip.subarray(dataStart, dataStart + size);
+    // The data descriptor after the data repeats the checksum and sizes
+    assert.equal(zip.readUInt32LE(dataStart + size), 0x08074b50);
+    assert.equal(zip.readUInt32LE(dataStart + size + 4), crc);
+
+    entries.push({ name, crc, size, data });
+    pos += 46 + nameLength;
+  }
+  return entries;
+};
+
+test('zipStream stores files of every content kind', async () => {
+  async function* chunks() {
+    yield Buffer.from('hel');
+    yield Buffer.from('lo');
+  }
+  const zip = await collect([
+    { name: 'playlist.m3u8', open: async () => '#EXTM3U\n' },
+    { name: 'audio/01 - Café.mp3', open: async () => chunks() },
+    { name: 'empty.txt', open: async () => Buffer.alloc(0) }
+  ]);
+
+  const entries = readZip(zip);
+
+  assert.deepEqual(entries.map(({ name, size }) => [name, size]), [
+    ['playlist.m3u8', 8],
+    ['audio/01 - Café.mp3', 5],
+    ['empty.txt', 0]
+  ]);
+  assert.equal(entries[0].data.toString(), '#EXTM3U\n');
+  assert.equal(entries[1].data.toString(), 'hello');
+  assert.equal(entries[1].crc, 0x3610a686); // CRC-32 of "hello"
+  assert.equal(entries[2].crc, 0);
+});
+
+test('zipStream takes an async iterable of files and uses forward slashes', async () => {
+  async function* files() {
+    yield { name: 'dir\\file.txt', date: new Date(2024, 0, 2, 3, 4, 6), open: async () => 'x' };
+  }
+  const zip = await collect(files());
+
+  const [entry] = readZip(zip);
+  assert.equal(entry.name, 'dir/file.txt');
+  // DOS date and time of the local header
+  assert.equal(zip.readUInt16LE(10), (3 << 11) | (4 << 5) | 3);
+  assert.equal(zip.readUInt16LE(12), ((2024 - 1980) << 9) | (1 << 5) | 2);
+});
+
+test('zipStream writes an empty archive', async () => {
+  const zip = await collect([]);
+  assert.equal(zip.length, 22);
+  assert.deepEqual(readZip(zip), []);
+});
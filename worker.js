@@ -0,0 +1,28 @@
+// worker.js
+// Works through background jobs (lib/jobs) apart from the API server, so
+// processing uploads never slows down requests. Needs Redis: start the server
+// with JOBS_IN_SERVER=false and as many of these (`npm run worker`) as the
+// load calls for, all with the same REDIS_URL, database and storage settings.
+import 'dotenv/config';
+import { jobs, JOB_CONCURRENCY } from './lib/jobs/index.js';
+import { jobHandlers } from './lib/processing.js';
+
+if (jobs.name !== 'redis') {
+  console.error('The worker needs REDIS_URL: without Redis, jobs are worked inside the API server');
+  process.exit(1);
+}
+
+const stop = jobs.work(jobHandlers, { concurrency: JOB_CONCURRENCY });
+console.log(`Worker started, up to ${JOB_CONCURRENCY} job(s) at once`);
+
+// Finish the jobs in hand before exiting (a job cut short is run again once
+// its lease runs out)
+const shutdown = async () => {
+  console.log('Worker stopping...');
+  await stop();
+  await jobs.close();
+  process.exit(0);
+};
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);